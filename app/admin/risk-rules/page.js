@@ -0,0 +1,379 @@
+"use client";
+
+import { useState, useEffect, useCallback } from 'react';
+import { Settings, Save, History, Plus, Trash2, AlertTriangle, CheckCircle } from 'lucide-react';
+import Link from 'next/link';
+
+const inputClass = "w-full border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1 text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white";
+
+// Editable copy of a stored rule set version
+function toDraft(ruleSet) {
+  return {
+    key: ruleSet.key,
+    name: ruleSet.name,
+    agency: ruleSet.agency || '',
+    baseVersion: ruleSet.version,
+    rules: JSON.parse(JSON.stringify(ruleSet.rules))
+  };
+}
+
+/**
+ * Admin page for editing agency risk rule sets
+ * Saving always creates a new version so past assessments stay reproducible
+ */
+export default function RiskRulesAdminPage() {
+  const [ruleSets, setRuleSets] = useState([]);
+  const [selectedKey, setSelectedKey] = useState('default');
+  const [versions, setVersions] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [createdBy, setCreatedBy] = useState('');
+  const [notes, setNotes] = useState('');
+  const [status, setStatus] = useState(null);
+
+  const loadRuleSets = useCallback(async () => {
+    const res = await fetch('/api/risk-rule-sets');
+    const result = await res.json();
+    if (result.success) setRuleSets(result.ruleSets);
+  }, []);
+
+  const loadVersions = useCallback(async (key) => {
+    const res = await fetch(`/api/risk-rule-sets?key=${encodeURIComponent(key)}&history=true`);
+    const result = await res.json();
+    if (result.success) {
+      setVersions(result.versions);
+      if (result.versions.length > 0) {
+        setDraft(toDraft(result.versions[0]));
+        setStatus(null);
+      }
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRuleSets().catch(error => console.error('Failed to load rule sets:', error));
+  }, [loadRuleSets]);
+
+  useEffect(() => {
+    loadVersions(selectedKey).catch(error => console.error('Failed to load rule set versions:', error));
+  }, [selectedKey, loadVersions]);
+
+  const editVersion = (ruleSet) => {
+    setDraft(toDraft(ruleSet));
+    setStatus(null);
+  };
+
+  const startNewRuleSet = () => {
+    if (!draft) return;
+    setDraft({ ...draft, key: '', name: '', agency: '', baseVersion: null });
+    setVersions([]);
+    setStatus(null);
+  };
+
+  const updateRules = (updater) => {
+    setDraft(prev => {
+      const rules = JSON.parse(JSON.stringify(prev.rules));
+      updater(rules);
+      return { ...prev, rules };
+    });
+  };
+
+  const parseNumber = (value) => (value === '' ? undefined : Number(value));
+
+  const saveDraft = async () => {
+    setStatus(null);
+    try {
+      const res = await fetch('/api/risk-rule-sets', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          key: draft.key,
+          name: draft.name,
+          agency: draft.agency || null,
+          rules: draft.rules,
+          notes: notes || null,
+          createdBy: createdBy || null
+        })
+      });
+      const result = await res.json();
+
+      if (!result.success) {
+        const detail = result.validationErrors
+          ? result.validationErrors.map(e => `${e.path.join('.')}: ${e.message}`).join('; ')
+          : result.details || result.error;
+        setStatus({ type: 'error', message: detail });
+        return;
+      }
+
+      setStatus({ type: 'success', message: `Saved ${result.ruleSet.name} version ${result.ruleSet.version}` });
+      setNotes('');
+      await loadRuleSets();
+      if (result.ruleSet.key === selectedKey) {
+        await loadVersions(selectedKey);
+      } else {
+        setSelectedKey(result.ruleSet.key);
+      }
+    } catch (error) {
+      setStatus({ type: 'error', message: error.message });
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      {/* Header */}
+      <div className="bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700">
+        <div className="max-w-7xl mx-auto px-4 py-6">
+          <div className="flex items-center space-x-3">
+            <div className="p-2 bg-[#8C1515] rounded-lg">
+              <Settings className="h-6 w-6 text-white" />
+            </div>
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+                Risk Rule Sets
+              </h1>
+              <p className="text-gray-600 dark:text-gray-400">
+                Agency prescription limits used by the risk engine. Every save creates a new version.
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 py-6">
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+
+          {/* Rule set list and history */}
+          <div className="space-y-6">
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700 p-4">
+              <h2 className="text-sm font-semibold text-gray-900 dark:text-white mb-3">Rule Sets</h2>
+              <div className="space-y-1">
+                {ruleSets.map(ruleSet => (
+                  <button
+                    key={ruleSet.key}
+                    onClick={() => setSelectedKey(ruleSet.key)}
+                    className={`w-full text-left px-3 py-2 rounded text-sm ${
+                      ruleSet.key === selectedKey
+                        ? 'bg-[#8C1515]/10 text-[#8C1515] dark:text-[#E18C8C]'
+                        : 'text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700'
+                    }`}
+                  >
+                    {ruleSet.name}
+                    <span className="block text-xs text-gray-500">
+                      {ruleSet.agency || 'All agencies'} · v{ruleSet.version}
+                    </span>
+                  </button>
+                ))}
+              </div>
+              <button
+                onClick={startNewRuleSet}
+                className="mt-3 w-full flex items-center justify-center space-x-1 p-2 border border-gray-300 dark:border-gray-600 rounded text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+              >
+                <Plus className="h-4 w-4" />
+                <span>New from current</span>
+              </button>
+            </div>
+
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700 p-4">
+              <div className="flex items-center space-x-2 mb-3">
+                <History className="h-4 w-4 text-[#8C1515]" />
+                <h2 className="text-sm font-semibold text-gray-900 dark:text-white">Versions</h2>
+              </div>
+              <div className="space-y-2">
+                {versions.map(version => (
+                  <button
+                    key={version.version}
+                    onClick={() => editVersion(version)}
+                    className="w-full text-left text-xs text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white"
+                  >
+                    <span className="font-medium">v{version.version}</span>
+                    {version.created_at && ` · ${new Date(version.created_at).toLocaleDateString()}`}
+                    {version.created_by && ` · ${version.created_by}`}
+                    {version.notes && <span className="block">{version.notes}</span>}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <Link href="/risk-assessment" className="block text-sm text-[#8C1515] hover:underline">
+              Back to risk assessment
+            </Link>
+          </div>
+
+          {/* Editor */}
+          {draft && (
+            <div className="lg:col-span-3 space-y-6">
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700 p-6">
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Key</label>
+                    <input
+                      value={draft.key}
+                      disabled={draft.baseVersion !== null}
+                      onChange={(e) => setDraft({ ...draft, key: e.target.value })}
+                      placeholder="e.g. cal-fire"
+                      className={inputClass}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Name</label>
+                    <input value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} className={inputClass} />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Agency</label>
+                    <input value={draft.agency} onChange={(e) => setDraft({ ...draft, agency: e.target.value })} className={inputClass} />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Max Score</label>
+                    <input
+                      type="number"
+                      value={draft.rules.maxScore}
+                      onChange={(e) => updateRules(r => { r.maxScore = Number(e.target.value); })}
+                      className={inputClass}
+                    />
+                  </div>
+                </div>
+              </div>
+
+              {/* Fuel types */}
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700 p-6">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Fuel Types</h2>
+                <div className="space-y-2">
+                  {draft.rules.fuelTypes.map((fuel, idx) => (
+                    <div key={idx} className="grid grid-cols-12 gap-2 items-center">
+                      <input value={fuel.value} onChange={(e) => updateRules(r => { r.fuelTypes[idx].value = e.target.value; })} className={`${inputClass} col-span-3`} />
+                      <input value={fuel.label} onChange={(e) => updateRules(r => { r.fuelTypes[idx].label = e.target.value; })} className={`${inputClass} col-span-6`} />
+                      <input type="number" step="0.5" value={fuel.baseRisk} onChange={(e) => updateRules(r => { r.fuelTypes[idx].baseRisk = Number(e.target.value); })} className={`${inputClass} col-span-2`} />
+                      <button onClick={() => updateRules(r => { r.fuelTypes.splice(idx, 1); })} className="text-gray-400 hover:text-red-600">
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    onClick={() => updateRules(r => { r.fuelTypes.push({ value: '', label: '', baseRisk: 1 }); })}
+                    className="text-sm text-[#8C1515] hover:underline"
+                  >
+                    Add fuel type
+                  </button>
+                </div>
+              </div>
+
+              {/* Levels */}
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700 p-6">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-1">Risk Levels</h2>
+                <p className="text-xs text-gray-500 mb-4">Checked top to bottom; a level applies when the score is above its threshold. Leave the last threshold empty.</p>
+                <div className="space-y-2">
+                  {draft.rules.levels.map((level, idx) => (
+                    <div key={idx} className="grid grid-cols-12 gap-2">
+                      <input value={level.level} onChange={(e) => updateRules(r => { r.levels[idx].level = e.target.value; })} className={`${inputClass} col-span-3`} />
+                      <input
+                        type="number"
+                        value={level.above ?? ''}
+                        placeholder="above"
+                        onChange={(e) => updateRules(r => { r.levels[idx].above = e.target.value === '' ? null : Number(e.target.value); })}
+                        className={`${inputClass} col-span-2`}
+                      />
+                      <input value={level.summary} onChange={(e) => updateRules(r => { r.levels[idx].summary = e.target.value; })} className={`${inputClass} col-span-7`} />
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {/* Factors */}
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700 p-6">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-1">Factor Thresholds</h2>
+                <p className="text-xs text-gray-500 mb-4">The first matching band of each factor adds its points.</p>
+                <div className="space-y-6">
+                  {draft.rules.factors.map((factor, fIdx) => (
+                    <div key={factor.id}>
+                      <h3 className="font-medium text-gray-900 dark:text-white mb-2">
+                        {factor.label} {factor.unit && <span className="text-xs text-gray-500">({factor.unit})</span>}
+                      </h3>
+                      <div className="space-y-2">
+                        {factor.bands.map((band, bIdx) => (
+                          <div key={bIdx} className="grid grid-cols-12 gap-2 items-center">
+                            {band.equals !== undefined ? (
+                              <input
+                                value={band.equals}
+                                onChange={(e) => updateRules(r => { r.factors[fIdx].bands[bIdx].equals = e.target.value; })}
+                                className={`${inputClass} col-span-2`}
+                              />
+                            ) : (
+                              <>
+                                <input
+                                  type="number"
+                                  value={band.lt ?? ''}
+                                  placeholder="<"
+                                  onChange={(e) => updateRules(r => { r.factors[fIdx].bands[bIdx].lt = parseNumber(e.target.value); })}
+                                  className={`${inputClass} col-span-1`}
+                                />
+                                <input
+                                  type="number"
+                                  value={band.gt ?? ''}
+                                  placeholder=">"
+                                  onChange={(e) => updateRules(r => { r.factors[fIdx].bands[bIdx].gt = parseNumber(e.target.value); })}
+                                  className={`${inputClass} col-span-1`}
+                                />
+                              </>
+                            )}
+                            <input
+                              type="number"
+                              value={band.points}
+                              onChange={(e) => updateRules(r => { r.factors[fIdx].bands[bIdx].points = Number(e.target.value); })}
+                              className={`${inputClass} col-span-1`}
+                            />
+                            <select
+                              value={band.severity}
+                              onChange={(e) => updateRules(r => { r.factors[fIdx].bands[bIdx].severity = e.target.value; })}
+                              className={`${inputClass} col-span-2`}
+                            >
+                              <option value="critical">Critical</option>
+                              <option value="caution">Caution</option>
+                              <option value="advisory">Advisory</option>
+                              <option value="favorable">Favorable</option>
+                            </select>
+                            <input
+                              value={band.message}
+                              onChange={(e) => updateRules(r => { r.factors[fIdx].bands[bIdx].message = e.target.value; })}
+                              className={`${inputClass} col-span-6`}
+                            />
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {/* Save */}
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700 p-6">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Saved by</label>
+                    <input value={createdBy} onChange={(e) => setCreatedBy(e.target.value)} className={inputClass} />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Change notes</label>
+                    <input value={notes} onChange={(e) => setNotes(e.target.value)} className={inputClass} />
+                  </div>
+                  <button
+                    onClick={saveDraft}
+                    className="flex items-center justify-center space-x-2 p-2 bg-[#8C1515] hover:bg-[#B83A4B] text-white rounded-lg transition-colors"
+                  >
+                    <Save className="h-4 w-4" />
+                    <span>Save as new version</span>
+                  </button>
+                </div>
+                {status && (
+                  <div className={`mt-4 flex items-center space-x-2 text-sm ${
+                    status.type === 'error' ? 'text-red-600' : 'text-green-600'
+                  }`}>
+                    {status.type === 'error' ? <AlertTriangle className="h-4 w-4" /> : <CheckCircle className="h-4 w-4" />}
+                    <span>{status.message}</span>
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
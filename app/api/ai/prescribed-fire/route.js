@@ -2,6 +2,12 @@ import { NextResponse } from 'next/server';
 import { OpenAI } from 'openai';
 import { retrieveContext } from '../../../../lib/rag-service';
 import { getFireManagementData, checkDatabaseStatus } from '../../../../lib/query-service';
+import { assessRisk, attainableScore, celsiusToFahrenheit } from '../../../../lib/risk-engine';
+import { evaluatePrescription } from '../../../../lib/prescription-window';
+import { getPrescription } from '../../../../lib/prescriptions';
+import { getSmokeScreeningReport } from '../../../../lib/smoke-receptors';
+import { describeScreening } from '../../../../lib/smoke-screening';
+import { getEvaluationAnalytics } from '../../../../lib/burn-evaluations';
 
 // Initialize OpenAI with fallback handling
 let openai = null;
@@ -45,6 +51,12 @@ export async function POST(request) {
       includeDeviceInfo: true 
     });
 
+    // Prescription of the burn unit in question (default limits otherwise)
+    const { prescription } = await getPrescription(options.fireDataId || null);
+    const fireConditionAssessment = assessFireConditions(environmentalData, prescription);
+    fireConditionAssessment.smokeScreening = await loadSmokeScreening(options.fireDataId, options.windDirection);
+    const burnHistory = await loadBurnHistory();
+
     // Generate specialized fire management response
     let fireAnalysis = '';
     
@@ -66,6 +78,15 @@ ${contextSummary}
 CURRENT ENVIRONMENTAL CONDITIONS:
 ${environmentalSummary}
 
+PRESCRIPTION STATUS:
+${formatPrescriptionStatus(fireConditionAssessment.prescription)}
+
+SMOKE-SENSITIVE RECEPTORS:
+${formatSmokeScreening(fireConditionAssessment.smokeScreening)}
+
+PAST BURN OUTCOMES (post-burn evaluations):
+${formatBurnHistory(burnHistory)}
+
 FIRE MANAGEMENT QUERY: "${query}"
 
 Provide a comprehensive response covering:
@@ -73,7 +94,7 @@ Provide a comprehensive response covering:
 2. Safety considerations based on current conditions
 3. Environmental impact assessment
 4. Operational recommendations
-5. Weather and air quality implications
+5. Weather and air quality implications, naming the smoke-sensitive receptors listed above
 6. Timing and planning considerations
 
 Focus on practical fire management guidance while emphasizing safety protocols. If environmental conditions show elevated risks (high temperatures, low humidity, poor air quality), clearly highlight these concerns and provide appropriate recommendations.`;
@@ -94,12 +115,9 @@ Focus on practical fire management guidance while emphasizing safety protocols.
 
     // Fallback analysis if AI generation fails
     if (!fireAnalysis) {
-      fireAnalysis = generateFallbackFireAnalysis(query, contextResults, environmentalData);
+      fireAnalysis = generateFallbackFireAnalysis(query, contextResults, environmentalData, fireConditionAssessment);
     }
 
-    // Assess current fire conditions based on environmental data
-    const fireConditionAssessment = assessFireConditions(environmentalData);
-
     return NextResponse.json({
       success: true,
       query,
@@ -112,7 +130,7 @@ Focus on practical fire management guidance while emphasizing safety protocols.
       },
       knowledgeBase: contextResults.results.slice(0, 3), // Top 3 relevant items
       environmentalData: environmentalData.slice(0, 10), // Recent environmental readings
-      recommendations: generateFireRecommendations(environmentalData),
+      recommendations: generateFireRecommendations(fireConditionAssessment),
       timestamp: new Date().toISOString()
     });
 
@@ -131,17 +149,21 @@ Focus on practical fire management guidance while emphasizing safety protocols.
 /**
  * GET /api/ai/prescribed-fire
  * Get current fire management status and environmental conditions
+ * ?fireDataId=&windDirection= add the burn unit's prescription and downwind receptor screening
  */
 export async function GET(request) {
   try {
     const { searchParams } = new URL(request.url);
     const includeRecommendations = searchParams.get('recommendations') === 'true';
+    const fireDataId = parseInt(searchParams.get('fireDataId'));
     
     // Get current environmental data
     const environmentalData = await getFireManagementData({ limit: 50 });
     
-    // Assess current conditions
-    const fireConditions = assessFireConditions(environmentalData);
+    // Assess current conditions against the burn unit's prescription
+    const { prescription } = await getPrescription(isNaN(fireDataId) ? null : fireDataId);
+    const fireConditions = assessFireConditions(environmentalData, prescription);
+    fireConditions.smokeScreening = await loadSmokeScreening(isNaN(fireDataId) ? null : fireDataId, searchParams.get('windDirection'));
     
     // Check database status
     const dbStatus = await checkDatabaseStatus();
@@ -155,7 +177,7 @@ export async function GET(request) {
     };
     
     if (includeRecommendations) {
-      response.recommendations = generateFireRecommendations(environmentalData);
+      response.recommendations = generateFireRecommendations(fireConditions);
     }
     
     return NextResponse.json(response);
@@ -198,15 +220,18 @@ ${summary.map(record =>
 
 /**
  * Assess fire conditions based on environmental data
+ * Sensor readings (°C) are checked hour by hour against the prescription;
+ * the shared risk engine adds an overall score.
  */
-function assessFireConditions(environmentalData) {
+function assessFireConditions(environmentalData, prescription) {
   if (!environmentalData || environmentalData.length === 0) {
     return {
       overall: 'unknown',
       temperature: 'unknown',
       humidity: 'unknown',
       airQuality: 'unknown',
-      risk: 'unknown'
+      risk: 'unknown',
+      prescription: null
     };
   }
 
@@ -215,17 +240,19 @@ function assessFireConditions(environmentalData) {
   const avgHumidity = recent.reduce((sum, d) => sum + (d.humidity || d.relativehumidity || 0), 0) / recent.length;
   const maxPM25 = Math.max(...recent.map(d => d.pm25 || 0));
 
-  // Assess temperature conditions for prescribed fire
-  let tempCondition = 'favorable';
-  if (avgTemp > 35) tempCondition = 'high_risk';
-  else if (avgTemp > 30) tempCondition = 'elevated';
-  else if (avgTemp < 5) tempCondition = 'low';
+  const evaluation = evaluatePrescription(environmentalData, prescription, { temperatureUnit: 'C' });
+  const currentHour = evaluation.hours[evaluation.hours.length - 1] || null;
+
+  const risk = assessRisk({
+    temperature: celsiusToFahrenheit(avgTemp),
+    humidity: avgHumidity
+  });
 
-  // Assess humidity conditions
-  let humidityCondition = 'favorable';
-  if (avgHumidity < 20) humidityCondition = 'very_low';
-  else if (avgHumidity < 30) humidityCondition = 'low';
-  else if (avgHumidity > 80) humidityCondition = 'high';
+  // Sensors only give temperature and RH, which can never reach the engine's
+  // full-scale levels; rate the score against what those factors can add.
+  // Both at their worst band (e.g. >85°F with <25% RH) is high, one is moderate.
+  const attainable = attainableScore(risk);
+  const weatherShare = attainable > 0 ? risk.score / attainable : 0;
 
   // Assess air quality
   let airQualityCondition = 'good';
@@ -233,19 +260,35 @@ function assessFireConditions(environmentalData) {
   else if (maxPM25 > 100) airQualityCondition = 'sensitive_groups';
   else if (maxPM25 > 50) airQualityCondition = 'moderate';
 
-  // Overall risk assessment
+  // Out of prescription now is a no-go regardless of the score
   let overallRisk = 'low';
-  if (tempCondition === 'high_risk' || humidityCondition === 'very_low') {
+  if ((currentHour && !currentHour.inPrescription) || weatherShare >= 1) {
     overallRisk = 'high';
-  } else if (tempCondition === 'elevated' || humidityCondition === 'low' || airQualityCondition === 'moderate') {
+  } else if (
+    weatherShare >= 0.5 ||
+    airQualityCondition === 'moderate' ||
+    evaluation.summary.percentInPrescription < 50
+  ) {
     overallRisk = 'moderate';
   }
 
   return {
     overall: overallRisk,
-    temperature: tempCondition,
-    humidity: humidityCondition,
+    temperature: describeParameter(currentHour, 'temperature'),
+    humidity: describeParameter(currentHour, 'humidity'),
     airQuality: airQualityCondition,
+    risk: {
+      score: risk.score,
+      level: risk.level,
+      attainableScore: attainable,
+      factors: risk.factors.filter(f => f.assessed)
+    },
+    prescription: {
+      inPrescription: currentHour ? currentHour.inPrescription : null,
+      currentFailures: currentHour ? currentHour.failures : [],
+      windows: evaluation.windows,
+      summary: evaluation.summary
+    },
     metrics: {
       avgTemperature: Math.round(avgTemp * 10) / 10,
       avgHumidity: Math.round(avgHumidity * 10) / 10,
@@ -254,44 +297,134 @@ function assessFireConditions(environmentalData) {
   };
 }
 
+/**
+ * Summarize one parameter of the latest hour against the prescription
+ */
+function describeParameter(hour, parameter) {
+  if (!hour || hour.missing.includes(parameter)) return 'unknown';
+  const failure = hour.failures.find(f => f.parameter === parameter);
+  if (!failure) return 'in_prescription';
+  return failure.reason === 'above' ? 'above_prescription' : 'below_prescription';
+}
+
+// Operational follow-up for each prescription parameter
+const PARAMETER_ACTIONS = {
+  temperature: 'Ensure adequate crew hydration and monitor temperature trends',
+  humidity: 'Maintain readiness for rapid fire behavior changes',
+  windSpeed: 'Hold ignition until winds return to prescription',
+  windDirection: 'Hold ignition until winds return to an allowed sector',
+  fuelMoisture: 'Re-sample fuel moisture before ignition'
+};
+
+function formatPrescriptionStatus(prescription) {
+  if (!prescription) return 'No sensor readings to check against the prescription.';
+
+  const { inPrescription, currentFailures, windows, summary } = prescription;
+  const now = inPrescription === null
+    ? 'Latest hour could not be checked.'
+    : inPrescription
+      ? 'Latest hour is in prescription.'
+      : `Latest hour is out of prescription: ${currentFailures.map(f => f.message).join('; ')}.`;
+
+  return [
+    now,
+    `${summary.inPrescriptionHours} of ${summary.totalHours} recent hours in prescription (${summary.percentInPrescription}%); longest window ${summary.longestWindowHours} h.`,
+    ...windows.slice(-3).map(w => `- Window ${w.start} to ${w.end} (${w.hours} h)`)
+  ].join('\n');
+}
+
+/**
+ * Downwind receptor screening for the burn unit, or null when there is no unit,
+ * no usable wind or the registry cannot be read
+ */
+async function loadSmokeScreening(fireDataId, windDirection) {
+  if (!fireDataId) return null;
+
+  try {
+    const report = await getSmokeScreeningReport({ fireDataId, windDirection });
+    if (!report?.screening) return null;
+    return { wind: report.wind, ...report.screening };
+  } catch (error) {
+    console.warn('Smoke receptor screening failed:', error.message);
+    return null;
+  }
+}
+
+function formatSmokeScreening(screening) {
+  if (!screening) return 'No burn unit screened for smoke-sensitive receptors.';
+  if (screening.receptors.length === 0) {
+    return `No registered receptors downwind (toward ${screening.downwindDirection}) or near the unit.`;
+  }
+
+  return [
+    `Wind from ${screening.wind.direction}; smoke travels toward ${screening.downwindDirection}.`,
+    ...describeScreening(screening).map(line => `- ${line}`)
+  ].join('\n');
+}
+
+/**
+ * Historical success across post-burn evaluations, or null when none can be read
+ */
+async function loadBurnHistory() {
+  try {
+    return await getEvaluationAnalytics();
+  } catch (error) {
+    console.warn('Post-burn evaluation history failed:', error.message);
+    return null;
+  }
+}
+
+function formatBurnHistory(history) {
+  if (!history || history.overall.evaluations === 0) return 'No post-burn evaluations recorded yet.';
+
+  const { overall, byBurnType, byObjective } = history;
+  return [
+    `${overall.evaluations} evaluated burns, ${overall.acresBurned} acres; ${overall.objectivesMet} of ${overall.objectivesTotal} objectives met` +
+      (overall.meanPercentBurned !== null ? `; ${overall.meanPercentBurned}% of units burned on average` : ''),
+    ...byBurnType.map(group => `- ${group.key}: ${group.evaluations} burns, ${group.objectiveSuccessRate ?? '—'}% of objectives met`),
+    ...byObjective.slice(0, 5).map(stat => `- "${stat.objective}": met ${stat.met} of ${stat.total} times`)
+  ].join('\n');
+}
+
 /**
  * Generate fire management recommendations
  */
-function generateFireRecommendations(environmentalData) {
-  const conditions = assessFireConditions(environmentalData);
+function generateFireRecommendations(conditions) {
   const recommendations = [];
 
-  // Temperature-based recommendations
-  if (conditions.temperature === 'high_risk') {
-    recommendations.push({
-      category: 'temperature',
-      priority: 'critical',
-      message: 'Extreme temperature conditions detected. Consider postponing prescribed burns.',
-      action: 'Monitor temperature trends and wait for cooler conditions'
-    });
-  } else if (conditions.temperature === 'elevated') {
-    recommendations.push({
-      category: 'temperature',
-      priority: 'caution',
-      message: 'Elevated temperatures require increased vigilance and additional safety measures.',
-      action: 'Ensure adequate crew hydration and rest periods'
+  // Weather-based recommendations from the prescription check
+  if (conditions.prescription) {
+    conditions.prescription.currentFailures.forEach(failure => {
+      recommendations.push({
+        category: failure.parameter,
+        priority: 'critical',
+        message: `Out of prescription: ${failure.message}.`,
+        action: PARAMETER_ACTIONS[failure.parameter] || 'Monitor conditions closely'
+      });
     });
+
+    const { summary } = conditions.prescription;
+    if (summary.totalHours > 0) {
+      recommendations.push({
+        category: 'prescription_window',
+        priority: summary.inPrescriptionHours === 0 ? 'caution' : 'standard',
+        message: `Conditions were in prescription for ${summary.inPrescriptionHours} of ${summary.totalHours} recent hours (longest window ${summary.longestWindowHours} h).`,
+        action: 'Schedule ignition inside a forecast prescription window'
+      });
+    }
   }
 
-  // Humidity-based recommendations
-  if (conditions.humidity === 'very_low') {
-    recommendations.push({
-      category: 'humidity',
-      priority: 'critical',
-      message: 'Very low humidity increases fire intensity and spread risk.',
-      action: 'Consider postponing operations or implementing additional containment measures'
-    });
-  } else if (conditions.humidity === 'low') {
-    recommendations.push({
-      category: 'humidity',
-      priority: 'caution',
-      message: 'Low humidity conditions require careful monitoring.',
-      action: 'Maintain readiness for rapid fire behavior changes'
+  // Smoke-sensitive receptors downwind or next to the unit, by name
+  if (conditions.smokeScreening) {
+    conditions.smokeScreening.receptors.forEach(receptor => {
+      recommendations.push({
+        category: 'smoke_sensitive',
+        priority: receptor.sensitivity === 'high' ? 'critical' : 'caution',
+        message: `${receptor.name} is ${receptor.distanceKm} km ${receptor.direction} of the unit${receptor.downwind ? ', in the downwind smoke cone' : ''}.`,
+        action: receptor.nearestSensor
+          ? `Notify ${receptor.name} before ignition and watch sensor ${receptor.nearestSensor.node} for PM2.5 impacts`
+          : `Notify ${receptor.name} before ignition and place a portable smoke monitor nearby`
+      });
     });
   }
 
@@ -326,16 +459,25 @@ function generateFireRecommendations(environmentalData) {
 /**
  * Generate fallback fire analysis when AI is unavailable
  */
-function generateFallbackFireAnalysis(query, contextResults, environmentalData) {
-  const conditions = assessFireConditions(environmentalData);
-  
+function generateFallbackFireAnalysis(query, contextResults, environmentalData, conditions) {
+  let prescriptionStatus = 'unknown';
+  if (conditions.prescription && conditions.prescription.inPrescription !== null) {
+    prescriptionStatus = conditions.prescription.inPrescription
+      ? 'yes'
+      : `no (${conditions.prescription.currentFailures.map(f => f.message).join('; ')})`;
+  }
+
   return `Prescribed Fire Management Analysis for: "${query}"
 
 Current Environmental Assessment:
-- Overall Risk Level: ${conditions.overall.toUpperCase()}
+- Overall Risk Level: ${conditions.overall.toUpperCase()}${conditions.risk?.level ? ` (${conditions.risk.level}, score ${conditions.risk.score})` : ''}
 - Temperature Conditions: ${conditions.temperature}
 - Humidity Conditions: ${conditions.humidity}  
 - Air Quality Status: ${conditions.airQuality}
+- In Prescription Now: ${prescriptionStatus}
+
+Smoke-Sensitive Receptors:
+${formatSmokeScreening(conditions.smokeScreening)}
 
 ${environmentalData.length > 0 ? `Based on ${environmentalData.length} recent environmental readings, average conditions show ${conditions.metrics?.avgTemperature}°C temperature and ${conditions.metrics?.avgHumidity}% relative humidity.` : ''}
 
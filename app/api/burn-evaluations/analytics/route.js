@@ -0,0 +1,30 @@
+import { NextResponse } from 'next/server';
+import { getEvaluationAnalytics } from '../../../../lib/burn-evaluations';
+import { EVALUATION_OUTCOMES } from '../../../../lib/post-burn-evaluation';
+
+/**
+ * GET /api/burn-evaluations/analytics
+ * Historical success over each unit's latest evaluation, overall and by year,
+ * burn type and objective. ?burnType= filters; ?from=&to= bound the burn date.
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const analytics = await getEvaluationAnalytics({
+      burnType: searchParams.get('burnType'),
+      from: searchParams.get('from'),
+      to: searchParams.get('to')
+    });
+
+    return NextResponse.json({ success: true, ...analytics, outcomes: EVALUATION_OUTCOMES });
+
+  } catch (error) {
+    console.error('Post-burn analytics error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to load post-burn analytics',
+      details: error.message
+    }, { status: 500 });
+  }
+}
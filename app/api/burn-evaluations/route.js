@@ -0,0 +1,162 @@
+import { NextResponse } from 'next/server';
+import {
+  listEvaluations,
+  getEvaluation,
+  createEvaluation,
+  updateEvaluation,
+  archiveEvaluation,
+  EvaluationSchema,
+  EvaluationUpdateSchema
+} from '../../../lib/burn-evaluations';
+import { CONSUMPTION_CLASSES, EVALUATION_OUTCOMES } from '../../../lib/post-burn-evaluation';
+
+function parseId(request) {
+  return parseInt(new URL(request.url).searchParams.get('id'));
+}
+
+/**
+ * GET /api/burn-evaluations
+ * ?id=                   one evaluation
+ * ?fireDataId=           evaluations for a burn unit
+ * ?includeArchived=true  include archived evaluations
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const id = parseId(request);
+
+    if (!isNaN(id)) {
+      const evaluation = await getEvaluation(id);
+      if (!evaluation) {
+        return NextResponse.json({ success: false, error: `Evaluation ${id} not found` }, { status: 404 });
+      }
+      return NextResponse.json({ success: true, evaluation });
+    }
+
+    const fireDataId = parseInt(searchParams.get('fireDataId'));
+    const evaluations = await listEvaluations({
+      fireDataId: isNaN(fireDataId) ? null : fireDataId,
+      includeArchived: searchParams.get('includeArchived') === 'true'
+    });
+
+    return NextResponse.json({
+      success: true,
+      evaluations,
+      count: evaluations.length,
+      consumptionClasses: CONSUMPTION_CLASSES,
+      outcomes: EVALUATION_OUTCOMES
+    });
+
+  } catch (error) {
+    console.error('Post-burn evaluation fetch error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to load post-burn evaluations',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/burn-evaluations
+ * Record an evaluation: { fireDataId, evaluator, burnDate, objectives: [{ objective, met }], percentBurned,
+ * acresBurned, scorchHeightAvg, scorchHeightMax, consumption, effectsPlots, photos, notes }
+ * Updates the unit's acres_completed.
+ */
+export async function POST(request) {
+  try {
+    const parsed = EvaluationSchema.safeParse(await request.json());
+
+    if (!parsed.success) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid post-burn evaluation',
+        validationErrors: parsed.error.errors
+      }, { status: 400 });
+    }
+
+    const evaluation = await createEvaluation(parsed.data);
+    if (!evaluation) {
+      return NextResponse.json({
+        success: false,
+        error: `Burn unit ${parsed.data.fireDataId} not found`
+      }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true, evaluation }, { status: 201 });
+
+  } catch (error) {
+    console.error('Post-burn evaluation create error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to save post-burn evaluation',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/burn-evaluations?id=
+ * Update evaluation fields; acres_completed follows a new percent or acres burned
+ */
+export async function PUT(request) {
+  try {
+    const id = parseId(request);
+    if (isNaN(id)) {
+      return NextResponse.json({ success: false, error: 'id is required' }, { status: 400 });
+    }
+
+    const parsed = EvaluationUpdateSchema.safeParse(await request.json());
+    if (!parsed.success) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid post-burn evaluation update',
+        validationErrors: parsed.error.errors
+      }, { status: 400 });
+    }
+
+    const evaluation = await updateEvaluation(id, parsed.data);
+    if (!evaluation) {
+      return NextResponse.json({ success: false, error: `Evaluation ${id} not found` }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true, evaluation });
+
+  } catch (error) {
+    console.error('Post-burn evaluation update error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to update post-burn evaluation',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE /api/burn-evaluations?id=
+ * Archive an evaluation; evaluations are never hard-deleted
+ */
+export async function DELETE(request) {
+  try {
+    const id = parseId(request);
+    if (isNaN(id)) {
+      return NextResponse.json({ success: false, error: 'id is required' }, { status: 400 });
+    }
+
+    const evaluation = await archiveEvaluation(id);
+
+    return NextResponse.json({ success: true, evaluation });
+
+  } catch (error) {
+    console.error('Post-burn evaluation archive error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to archive post-burn evaluation',
+      details: error.message
+    }, { status: 500 });
+  }
+}
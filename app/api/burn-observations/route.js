@@ -0,0 +1,123 @@
+import { NextResponse } from 'next/server';
+import {
+  listObservations,
+  createObservation,
+  archiveObservation,
+  ObservationSchema
+} from '../../../lib/burn-observations';
+import { checkContingencyTriggers } from '../../../lib/contingency-plans';
+
+function parseId(request) {
+  return parseInt(new URL(request.url).searchParams.get('id'));
+}
+
+/**
+ * GET /api/burn-observations?fireDataId=
+ * ?start=&end=           observation time range
+ * ?includeArchived=true  include archived observations
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const fireDataId = parseInt(searchParams.get('fireDataId'));
+    if (isNaN(fireDataId)) {
+      return NextResponse.json({ success: false, error: 'fireDataId is required' }, { status: 400 });
+    }
+
+    const observations = await listObservations({
+      fireDataId,
+      start: searchParams.get('start'),
+      end: searchParams.get('end'),
+      includeArchived: searchParams.get('includeArchived') === 'true'
+    });
+
+    return NextResponse.json({ success: true, observations, count: observations.length });
+
+  } catch (error) {
+    console.error('Burn observation fetch error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to load burn observations',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/burn-observations
+ * Record a belt weather observation:
+ * { fireDataId, observedAt, observer, dryBulb, wetBulb, windSpeed, windDirection, fuelMoisture, flameLength, spotting, ... }
+ * RH is computed from the bulbs; the response carries the prescription check
+ * and any contingency alerts the reading raised.
+ */
+export async function POST(request) {
+  try {
+    const parsed = ObservationSchema.safeParse(await request.json());
+
+    if (!parsed.success) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid burn observation',
+        validationErrors: parsed.error.errors
+      }, { status: 400 });
+    }
+
+    const observation = await createObservation(parsed.data);
+    if (!observation) {
+      return NextResponse.json({
+        success: false,
+        error: `Burn unit ${parsed.data.fireDataId} not found`
+      }, { status: 404 });
+    }
+
+    // The observation is already on record, so a failed trigger check is logged, not returned as an error
+    let contingency = null;
+    try {
+      contingency = await checkContingencyTriggers(observation.fire_data_id);
+    } catch (error) {
+      console.error('Contingency trigger check error:', error);
+    }
+
+    return NextResponse.json({
+      success: true,
+      observation,
+      contingencyAlerts: contingency?.alerts.filter(a => a.source_key === `observation:${observation.id}`) || []
+    }, { status: 201 });
+
+  } catch (error) {
+    console.error('Burn observation create error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to record burn observation',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE /api/burn-observations?id=
+ * Archive an observation entered in error; observations are never hard-deleted
+ */
+export async function DELETE(request) {
+  try {
+    const id = parseId(request);
+    if (isNaN(id)) {
+      return NextResponse.json({ success: false, error: 'id is required' }, { status: 400 });
+    }
+
+    const observation = await archiveObservation(id);
+
+    return NextResponse.json({ success: true, observation });
+
+  } catch (error) {
+    console.error('Burn observation archive error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to archive burn observation',
+      details: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,41 @@
+import { NextResponse } from 'next/server';
+import { getBurnTimeline } from '../../../../lib/burn-observations';
+
+/**
+ * GET /api/burn-observations/timeline?fireDataId=
+ * Observations with their prescription flags, plus hourly temperature, RH and
+ * PM2.5 from nearby air_quality sensors. ?start=&end= override the time range.
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const fireDataId = parseInt(searchParams.get('fireDataId'));
+    if (isNaN(fireDataId)) {
+      return NextResponse.json({ success: false, error: 'fireDataId is required' }, { status: 400 });
+    }
+
+    const timeline = await getBurnTimeline({
+      fireDataId,
+      start: searchParams.get('start'),
+      end: searchParams.get('end')
+    });
+
+    if (!timeline) {
+      return NextResponse.json({
+        success: false,
+        error: `Burn unit ${fireDataId} not found`
+      }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true, ...timeline });
+
+  } catch (error) {
+    console.error('Burn timeline error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to load burn timeline',
+      details: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { getBurnOutcomeAnalytics } from '../../../lib/burn-history';
+import { OUTCOME_DIMENSIONS, WEATHER_BANDS } from '../../../lib/burn-outcomes';
+
+/**
+ * GET /api/burn-outcomes
+ * Success rate, completion ratio, postponements and escapes across stored
+ * burn units, by burn type, ecosystem, month, risk level and weather at
+ * ignition. ?burnType= filters; ?from=&to= bound fire_data.datetime.
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const analytics = await getBurnOutcomeAnalytics({
+      burnType: searchParams.get('burnType'),
+      from: searchParams.get('from'),
+      to: searchParams.get('to')
+    });
+
+    return NextResponse.json({
+      success: true,
+      ...analytics,
+      dimensions: OUTCOME_DIMENSIONS,
+      weatherBands: WEATHER_BANDS
+    });
+
+  } catch (error) {
+    console.error('Burn outcome analytics error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to load burn outcome analytics',
+      details: error.message
+    }, { status: 500 });
+  }
+}
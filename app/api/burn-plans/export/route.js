@@ -0,0 +1,68 @@
+import { NextResponse } from 'next/server';
+import {
+  loadBurnPlanExportData,
+  buildBurnPlanDocument,
+  renderMarkdown,
+  renderPdf
+} from '../../../../lib/burn-plan-export';
+
+const FORMATS = {
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  json: { contentType: 'application/json', extension: 'json' }
+};
+
+/**
+ * GET /api/burn-plans/export?id=&format=pdf|md|json
+ * Export a saved burn plan laid out by the standard prescribed fire plan elements
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const id = parseInt(searchParams.get('id'));
+    const formatKey = searchParams.get('format') || 'pdf';
+
+    if (isNaN(id)) {
+      return NextResponse.json({ success: false, error: 'id is required' }, { status: 400 });
+    }
+    if (!FORMATS[formatKey]) {
+      return NextResponse.json({
+        success: false,
+        error: `format must be one of: ${Object.keys(FORMATS).join(', ')}`
+      }, { status: 400 });
+    }
+
+    const data = await loadBurnPlanExportData(id);
+    if (!data) {
+      return NextResponse.json({
+        success: false,
+        error: `Burn plan ${id} not found`
+      }, { status: 404 });
+    }
+
+    const doc = buildBurnPlanDocument(data);
+
+    if (formatKey === 'json') {
+      return NextResponse.json({ success: true, document: doc });
+    }
+
+    const body = formatKey === 'pdf' ? await renderPdf(doc) : renderMarkdown(doc);
+    const filename = `burn-plan-${id}-${data.plan.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`;
+
+    return new NextResponse(body, {
+      headers: {
+        'Content-Type': FORMATS[formatKey].contentType,
+        'Content-Disposition': `attachment; filename="${filename}.${FORMATS[formatKey].extension}"`
+      }
+    });
+
+  } catch (error) {
+    console.error('Burn plan export error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to export burn plan',
+      details: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,141 @@
+import { NextResponse } from 'next/server';
+import {
+  getBurnPlan,
+  setGoNoGoAnswer,
+  signGoNoGo,
+  GoNoGoAnswerSchema,
+  GoNoGoSignSchema
+} from '../../../../lib/burn-plans';
+import {
+  GO_NO_GO_QUESTIONS,
+  GO_NO_GO_SIGNOFFS,
+  createGoNoGo,
+  goNoGoProgress,
+  isGoNoGoLocked,
+  isGoNoGoSigned
+} from '../../../../lib/burn-plan-checklist';
+
+function parseId(request) {
+  return parseInt(new URL(request.url).searchParams.get('id'));
+}
+
+function describe(plan) {
+  const goNoGo = { ...createGoNoGo(), ...plan.go_no_go };
+  return {
+    planId: plan.id,
+    questions: GO_NO_GO_QUESTIONS,
+    signoffs: GO_NO_GO_SIGNOFFS,
+    goNoGo,
+    progress: goNoGoProgress(goNoGo),
+    locked: isGoNoGoLocked(goNoGo),
+    signed: isGoNoGoSigned(goNoGo)
+  };
+}
+
+function respond(id, result) {
+  if (!result) {
+    return NextResponse.json({ success: false, error: `Burn plan ${id} not found` }, { status: 404 });
+  }
+  if (!result.ok) {
+    return NextResponse.json({ success: false, code: result.code, error: result.error }, { status: 409 });
+  }
+  return NextResponse.json({ success: true, ...describe(result.plan) });
+}
+
+/**
+ * GET /api/burn-plans/go-no-go?id=
+ * The plan's go/no-go checklist with progress and lock state
+ */
+export async function GET(request) {
+  try {
+    const id = parseId(request);
+    if (isNaN(id)) {
+      return NextResponse.json({ success: false, error: 'id is required' }, { status: 400 });
+    }
+
+    const plan = await getBurnPlan(id);
+    if (!plan) {
+      return NextResponse.json({ success: false, error: `Burn plan ${id} not found` }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true, ...describe(plan) });
+
+  } catch (error) {
+    console.error('Go/no-go load error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to load go/no-go checklist',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PATCH /api/burn-plans/go-no-go?id=
+ * Answer a question: { questionId, answer: 'yes'|'no', initials }
+ * Refused with 409 once the checklist is signed, or when another change was saved at the same time.
+ */
+export async function PATCH(request) {
+  try {
+    const id = parseId(request);
+    if (isNaN(id)) {
+      return NextResponse.json({ success: false, error: 'id is required' }, { status: 400 });
+    }
+
+    const parsed = GoNoGoAnswerSchema.safeParse(await request.json());
+    if (!parsed.success) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid go/no-go answer',
+        validationErrors: parsed.error.errors
+      }, { status: 400 });
+    }
+
+    return respond(id, await setGoNoGoAnswer(id, parsed.data));
+
+  } catch (error) {
+    console.error('Go/no-go answer error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to record go/no-go answer',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/burn-plans/go-no-go?id=
+ * Sign the checklist: { role: 'burnBoss'|'agencyAdministrator', name }
+ * Refused with 409 until every answer is yes, and for the administrator until the burn boss has signed;
+ * also when another change was saved at the same time.
+ */
+export async function POST(request) {
+  try {
+    const id = parseId(request);
+    if (isNaN(id)) {
+      return NextResponse.json({ success: false, error: 'id is required' }, { status: 400 });
+    }
+
+    const parsed = GoNoGoSignSchema.safeParse(await request.json());
+    if (!parsed.success) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid sign-off',
+        validationErrors: parsed.error.errors
+      }, { status: 400 });
+    }
+
+    return respond(id, await signGoNoGo(id, parsed.data));
+
+  } catch (error) {
+    console.error('Go/no-go sign-off error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to sign go/no-go checklist',
+      details: error.message
+    }, { status: 500 });
+  }
+}
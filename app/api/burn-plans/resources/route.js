@@ -0,0 +1,121 @@
+import { NextResponse } from 'next/server';
+import { getBurnPlan, saveResourceRequirements } from '../../../../lib/burn-plans';
+import { ResourceRequirementInputSchema } from '../../../../lib/resource-requirements';
+import { estimateUnitResources, checkStoredRequirements } from '../../../../lib/unit-resources';
+
+function parseId(request) {
+  return parseInt(new URL(request.url).searchParams.get('id'));
+}
+
+function invalid(parsed) {
+  return NextResponse.json({
+    success: false,
+    error: 'Invalid resource requirement inputs',
+    validationErrors: parsed.error.errors
+  }, { status: 400 });
+}
+
+function refused(fireDataId, result) {
+  if (!result) {
+    return NextResponse.json({ success: false, error: `Burn unit ${fireDataId} not found` }, { status: 404 });
+  }
+  return NextResponse.json({ success: false, code: result.code, error: result.error }, { status: 400 });
+}
+
+/**
+ * GET /api/burn-plans/resources?id=
+ * Resource requirements saved on a burn plan, checked against the unit's current crew size
+ */
+export async function GET(request) {
+  try {
+    const id = parseId(request);
+    if (isNaN(id)) {
+      return NextResponse.json({ success: false, error: 'id is required' }, { status: 400 });
+    }
+
+    const plan = await getBurnPlan(id);
+    if (!plan) {
+      return NextResponse.json({ success: false, error: `Burn plan ${id} not found` }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      requirements: plan.resource_requirements || null,
+      crewCheck: await checkStoredRequirements(plan.resource_requirements, plan.fire_data_id)
+    });
+
+  } catch (error) {
+    console.error('Resource requirements load error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to load resource requirements',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/burn-plans/resources
+ * Calculate resource requirements without saving:
+ * { fireDataId?, perimeterFt?, acres?, flameLength, rateOfSpread, firingMethod, holdingDifficulty, firingHours? }
+ * The perimeter defaults to the unit's mapped boundary, else its acreage.
+ */
+export async function POST(request) {
+  try {
+    const parsed = ResourceRequirementInputSchema.safeParse(await request.json());
+    if (!parsed.success) return invalid(parsed);
+
+    const result = await estimateUnitResources(parsed.data);
+    if (!result?.ok) return refused(parsed.data.fireDataId, result);
+
+    return NextResponse.json({ success: true, requirements: result.requirements, crewCheck: result.crewCheck });
+
+  } catch (error) {
+    console.error('Resource requirements calculation error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to calculate resource requirements',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/burn-plans/resources?id=
+ * Calculate resource requirements for the plan's burn unit and save them on the plan
+ */
+export async function PUT(request) {
+  try {
+    const id = parseId(request);
+    if (isNaN(id)) {
+      return NextResponse.json({ success: false, error: 'id is required' }, { status: 400 });
+    }
+
+    const parsed = ResourceRequirementInputSchema.safeParse(await request.json());
+    if (!parsed.success) return invalid(parsed);
+
+    const plan = await getBurnPlan(id);
+    if (!plan) {
+      return NextResponse.json({ success: false, error: `Burn plan ${id} not found` }, { status: 404 });
+    }
+
+    const input = { ...parsed.data, fireDataId: plan.fire_data_id || null, acres: parsed.data.acres ?? plan.acres_planned };
+    const result = await estimateUnitResources(input);
+    if (!result?.ok) return refused(input.fireDataId, result);
+
+    const saved = await saveResourceRequirements(id, result.requirements);
+
+    return NextResponse.json({ success: true, requirements: saved.resource_requirements, crewCheck: result.crewCheck });
+
+  } catch (error) {
+    console.error('Resource requirements save error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to save resource requirements',
+      details: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,206 @@
+import { NextResponse } from 'next/server';
+import {
+  listBurnPlans,
+  getBurnPlan,
+  createBurnPlan,
+  updateBurnPlan,
+  setChecklistItem,
+  archiveBurnPlan,
+  BurnPlanSchema,
+  BurnPlanUpdateSchema,
+  ChecklistUpdateSchema
+} from '../../../lib/burn-plans';
+
+function parseId(request) {
+  return parseInt(new URL(request.url).searchParams.get('id'));
+}
+
+/**
+ * GET /api/burn-plans
+ * ?id=               one burn plan
+ * ?fireDataId=       plans for a burn unit
+ * ?includeArchived=true  include archived plans in the list
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const id = searchParams.get('id');
+
+    if (id) {
+      const plan = await getBurnPlan(parseInt(id));
+      if (!plan) {
+        return NextResponse.json({
+          success: false,
+          error: `Burn plan ${id} not found`
+        }, { status: 404 });
+      }
+      return NextResponse.json({ success: true, plan });
+    }
+
+    const fireDataId = searchParams.get('fireDataId');
+    const plans = await listBurnPlans({
+      fireDataId: fireDataId ? parseInt(fireDataId) : null,
+      includeArchived: searchParams.get('includeArchived') === 'true'
+    });
+
+    return NextResponse.json({ success: true, plans, count: plans.length });
+
+  } catch (error) {
+    console.error('Burn plan fetch error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to load burn plans',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/burn-plans
+ * Create a burn plan (starts from the standard checklist unless one is given)
+ */
+export async function POST(request) {
+  try {
+    const parsed = BurnPlanSchema.safeParse(await request.json());
+
+    if (!parsed.success) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid burn plan',
+        validationErrors: parsed.error.errors
+      }, { status: 400 });
+    }
+
+    const plan = await createBurnPlan(parsed.data);
+
+    return NextResponse.json({ success: true, plan }, { status: 201 });
+
+  } catch (error) {
+    console.error('Burn plan create error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to create burn plan',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/burn-plans?id=
+ * Update plan fields
+ */
+export async function PUT(request) {
+  try {
+    const id = parseId(request);
+    if (isNaN(id)) {
+      return NextResponse.json({ success: false, error: 'id is required' }, { status: 400 });
+    }
+
+    const parsed = BurnPlanUpdateSchema.safeParse(await request.json());
+    if (!parsed.success) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid burn plan update',
+        validationErrors: parsed.error.errors
+      }, { status: 400 });
+    }
+
+    const plan = await updateBurnPlan(id, parsed.data);
+    if (!plan) {
+      return NextResponse.json({
+        success: false,
+        error: `Burn plan ${id} not found`
+      }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true, plan });
+
+  } catch (error) {
+    console.error('Burn plan update error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to update burn plan',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PATCH /api/burn-plans?id=
+ * Check off or reopen a checklist item: { itemId, done, completedBy }
+ * Refused with 409 when another change was saved at the same time.
+ */
+export async function PATCH(request) {
+  try {
+    const id = parseId(request);
+    if (isNaN(id)) {
+      return NextResponse.json({ success: false, error: 'id is required' }, { status: 400 });
+    }
+
+    const parsed = ChecklistUpdateSchema.safeParse(await request.json());
+    if (!parsed.success) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid checklist update',
+        validationErrors: parsed.error.errors
+      }, { status: 400 });
+    }
+
+    const result = await setChecklistItem(id, parsed.data);
+    if (!result) {
+      return NextResponse.json({
+        success: false,
+        error: `Burn plan ${id} not found`
+      }, { status: 404 });
+    }
+    if (!result.ok) {
+      return NextResponse.json({ success: false, code: result.code, error: result.error }, { status: 409 });
+    }
+
+    return NextResponse.json({ success: true, plan: result.plan });
+
+  } catch (error) {
+    console.error('Burn plan checklist error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to update checklist',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE /api/burn-plans?id=
+ * Archive a burn plan; plans are never hard-deleted
+ */
+export async function DELETE(request) {
+  try {
+    const id = parseId(request);
+    if (isNaN(id)) {
+      return NextResponse.json({ success: false, error: 'id is required' }, { status: 400 });
+    }
+
+    const plan = await archiveBurnPlan(id);
+    if (!plan) {
+      return NextResponse.json({
+        success: false,
+        error: `Burn plan ${id} not found`
+      }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true, plan });
+
+  } catch (error) {
+    console.error('Burn plan archive error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to archive burn plan',
+      details: error.message
+    }, { status: 500 });
+  }
+}
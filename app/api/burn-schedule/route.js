@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server';
+import { getBurnSchedule } from '../../../lib/burn-schedule';
+import { ScheduleOptionsSchema, EXCLUSION_REASONS } from '../../../lib/burn-scheduler';
+
+/**
+ * POST /api/burn-schedule
+ * Propose burn days for the planned units from forecast weather, each unit's
+ * prescription and weather window, and the crew available per day.
+ * Uses the uploaded `forecast` rows when given, else weather_data for each
+ * unit's nearest station. Nothing is saved.
+ */
+export async function POST(request) {
+  try {
+    const parsed = ScheduleOptionsSchema.safeParse(await request.json());
+
+    if (!parsed.success) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid schedule request',
+        validationErrors: parsed.error.errors
+      }, { status: 400 });
+    }
+
+    const schedule = await getBurnSchedule(parsed.data);
+
+    return NextResponse.json({
+      success: true,
+      ...schedule,
+      exclusionReasons: EXCLUSION_REASONS,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Burn schedule error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to build burn schedule',
+      details: error.message
+    }, { status: 500 });
+  }
+}
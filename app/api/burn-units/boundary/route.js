@@ -0,0 +1,98 @@
+import { NextResponse } from 'next/server';
+import { getUnitBoundary, saveUnitBoundary, clearUnitBoundary } from '../../../../lib/unit-boundaries';
+
+function parseFireDataId(request) {
+  return parseInt(new URL(request.url).searchParams.get('fireDataId'));
+}
+
+/**
+ * GET /api/burn-units/boundary?fireDataId=
+ * Boundary polygon with mapped acres, perimeter and the acres_planned check
+ */
+export async function GET(request) {
+  try {
+    const fireDataId = parseFireDataId(request);
+    if (isNaN(fireDataId)) {
+      return NextResponse.json({ success: false, error: 'fireDataId is required' }, { status: 400 });
+    }
+
+    const result = await getUnitBoundary(fireDataId);
+    if (!result) {
+      return NextResponse.json({ success: false, error: `Burn unit ${fireDataId} not found` }, { status: 404 });
+    }
+
+    const { boundary, metrics, acreageCheck } = result;
+    return NextResponse.json({ success: true, boundary, metrics, acreageCheck });
+
+  } catch (error) {
+    console.error('Boundary fetch error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to load boundary',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/burn-units/boundary?fireDataId=
+ * Save a boundary from a GeoJSON Polygon, MultiPolygon, Feature or FeatureCollection
+ */
+export async function PUT(request) {
+  try {
+    const fireDataId = parseFireDataId(request);
+    if (isNaN(fireDataId)) {
+      return NextResponse.json({ success: false, error: 'fireDataId is required' }, { status: 400 });
+    }
+
+    const result = await saveUnitBoundary(fireDataId, await request.json());
+    if (!result) {
+      return NextResponse.json({ success: false, error: `Burn unit ${fireDataId} not found` }, { status: 404 });
+    }
+    if (!result.ok) {
+      return NextResponse.json({ success: false, error: result.error, code: result.code }, { status: 400 });
+    }
+
+    const { boundary, metrics, acreageCheck } = result;
+    return NextResponse.json({ success: true, boundary, metrics, acreageCheck });
+
+  } catch (error) {
+    console.error('Boundary save error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to save boundary',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE /api/burn-units/boundary?fireDataId=
+ * Remove a unit's boundary
+ */
+export async function DELETE(request) {
+  try {
+    const fireDataId = parseFireDataId(request);
+    if (isNaN(fireDataId)) {
+      return NextResponse.json({ success: false, error: 'fireDataId is required' }, { status: 400 });
+    }
+
+    const cleared = await clearUnitBoundary(fireDataId);
+    if (!cleared) {
+      return NextResponse.json({ success: false, error: `Burn unit ${fireDataId} not found` }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true });
+
+  } catch (error) {
+    console.error('Boundary clear error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to clear boundary',
+      details: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,37 @@
+import { NextResponse } from 'next/server';
+import { listBurnUnits, getBurnUnit } from '../../../lib/burn-units';
+
+/**
+ * GET /api/burn-units
+ * List burn units from fire_data (?status= to filter), or one unit with ?id=
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const id = searchParams.get('id');
+
+    if (id) {
+      const unit = await getBurnUnit(parseInt(id));
+      if (!unit) {
+        return NextResponse.json({
+          success: false,
+          error: `Burn unit ${id} not found`
+        }, { status: 404 });
+      }
+      return NextResponse.json({ success: true, unit });
+    }
+
+    const units = await listBurnUnits({ status: searchParams.get('status') });
+
+    return NextResponse.json({ success: true, units, count: units.length });
+
+  } catch (error) {
+    console.error('Burn unit fetch error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to load burn units',
+      details: error.message
+    }, { status: 500 });
+  }
+}
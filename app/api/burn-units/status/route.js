@@ -0,0 +1,92 @@
+import { NextResponse } from 'next/server';
+import { getStatusOverview, transitionBurnStatus, StatusTransitionSchema } from '../../../../lib/burn-lifecycle';
+import { BURN_STATUSES } from '../../../../lib/burn-status';
+
+// Refused transitions: bad request for the lifecycle, conflict for unmet preconditions
+const REFUSAL_STATUS = {
+  invalid_transition: 400,
+  reason_required: 400,
+  preconditions_failed: 409,
+  status_changed: 409
+};
+
+/**
+ * GET /api/burn-units/status?fireDataId=
+ * Current status, the next allowed statuses with their precondition checks,
+ * and the status history. Without fireDataId, lists the lifecycle statuses.
+ */
+export async function GET(request) {
+  try {
+    const fireDataId = parseInt(new URL(request.url).searchParams.get('fireDataId'));
+
+    if (isNaN(fireDataId)) {
+      return NextResponse.json({ success: true, statuses: BURN_STATUSES });
+    }
+
+    const overview = await getStatusOverview(fireDataId);
+    if (!overview) {
+      return NextResponse.json({
+        success: false,
+        error: `Burn unit ${fireDataId} not found`
+      }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true, ...overview });
+
+  } catch (error) {
+    console.error('Burn status fetch error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to load burn status',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/burn-units/status
+ * Move a burn unit to its next status: { fireDataId, to, changedBy, reason }
+ */
+export async function POST(request) {
+  try {
+    const parsed = StatusTransitionSchema.safeParse(await request.json());
+
+    if (!parsed.success) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid status transition',
+        validationErrors: parsed.error.errors
+      }, { status: 400 });
+    }
+
+    const result = await transitionBurnStatus(parsed.data);
+
+    if (!result) {
+      return NextResponse.json({
+        success: false,
+        error: `Burn unit ${parsed.data.fireDataId} not found`
+      }, { status: 404 });
+    }
+
+    if (!result.ok) {
+      return NextResponse.json({
+        success: false,
+        error: result.error,
+        code: result.code,
+        checks: result.checks
+      }, { status: REFUSAL_STATUS[result.code] || 400 });
+    }
+
+    return NextResponse.json({ success: true, unit: result.unit, entry: result.entry, checks: result.checks });
+
+  } catch (error) {
+    console.error('Burn status transition error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to change burn status',
+      details: error.message
+    }, { status: 500 });
+  }
+}
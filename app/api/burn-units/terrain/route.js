@@ -0,0 +1,83 @@
+import { NextResponse } from 'next/server';
+import { listDemFiles, terrainForLocation, getUnitTerrain, saveUnitTerrain, demDirectory } from '../../../../lib/unit-terrain';
+
+const REFUSAL_STATUS = { 'no-location': 400, 'no-dem': 422 };
+
+function parseFireDataId(request) {
+  return parseInt(new URL(request.url).searchParams.get('fireDataId'));
+}
+
+function terrainResponse(result) {
+  if (!result.ok) {
+    return NextResponse.json({ success: false, error: result.error, code: result.code }, { status: REFUSAL_STATUS[result.code] || 400 });
+  }
+
+  const { terrain, basis, source } = result;
+  return NextResponse.json({ success: true, terrain, basis, source });
+}
+
+/**
+ * GET /api/burn-units/terrain?fireDataId= or ?lat=&lon=
+ * Elevation, slope and aspect from local DEMs, without saving.
+ * With no parameters, lists the available DEM files.
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const fireDataId = parseFireDataId(request);
+    const lat = parseFloat(searchParams.get('lat'));
+    const lon = parseFloat(searchParams.get('lon'));
+
+    if (!isNaN(fireDataId)) {
+      const result = await getUnitTerrain(fireDataId);
+      if (!result) {
+        return NextResponse.json({ success: false, error: `Burn unit ${fireDataId} not found` }, { status: 404 });
+      }
+      return terrainResponse(result);
+    }
+
+    if (!isNaN(lat) && !isNaN(lon)) {
+      return terrainResponse(await terrainForLocation({ latitude: lat, longitude: lon }));
+    }
+
+    return NextResponse.json({ success: true, directory: demDirectory(), files: await listDemFiles() });
+
+  } catch (error) {
+    console.error('Terrain fetch error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to compute terrain',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/burn-units/terrain?fireDataId=
+ * Compute terrain for a unit and store elevation, slope and aspect on it
+ */
+export async function POST(request) {
+  try {
+    const fireDataId = parseFireDataId(request);
+    if (isNaN(fireDataId)) {
+      return NextResponse.json({ success: false, error: 'fireDataId is required' }, { status: 400 });
+    }
+
+    const result = await saveUnitTerrain(fireDataId);
+    if (!result) {
+      return NextResponse.json({ success: false, error: `Burn unit ${fireDataId} not found` }, { status: 404 });
+    }
+
+    return terrainResponse(result);
+
+  } catch (error) {
+    console.error('Terrain save error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to save terrain',
+      details: error.message
+    }, { status: 500 });
+  }
+}
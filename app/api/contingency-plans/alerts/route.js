@@ -0,0 +1,110 @@
+import { NextResponse } from 'next/server';
+import { z } from 'zod';
+import {
+  listContingencyAlerts,
+  checkContingencyTriggers,
+  acknowledgeContingencyAlert
+} from '../../../../lib/contingency-plans';
+
+const AcknowledgeSchema = z.object({
+  acknowledgedBy: z.string().trim().min(1, 'Name is required')
+});
+
+function parseParam(request, name) {
+  return parseInt(new URL(request.url).searchParams.get(name));
+}
+
+/**
+ * GET /api/contingency-plans/alerts?fireDataId=
+ * Alerts raised for a burn unit, newest first. ?open=true hides acknowledged alerts.
+ */
+export async function GET(request) {
+  try {
+    const fireDataId = parseParam(request, 'fireDataId');
+    if (isNaN(fireDataId)) {
+      return NextResponse.json({ success: false, error: 'fireDataId is required' }, { status: 400 });
+    }
+
+    const open = new URL(request.url).searchParams.get('open') === 'true';
+    const alerts = await listContingencyAlerts(fireDataId, { includeAcknowledged: !open });
+
+    return NextResponse.json({ success: true, alerts });
+
+  } catch (error) {
+    console.error('Contingency alert fetch error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to load contingency alerts',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/contingency-plans/alerts?fireDataId=
+ * Check observations and nearby sensor readings since ignition against the
+ * unit's triggers, raising an alert for each new crossing
+ */
+export async function POST(request) {
+  try {
+    const fireDataId = parseParam(request, 'fireDataId');
+    if (isNaN(fireDataId)) {
+      return NextResponse.json({ success: false, error: 'fireDataId is required' }, { status: 400 });
+    }
+
+    const result = await checkContingencyTriggers(fireDataId);
+    if (!result) {
+      return NextResponse.json({ success: false, error: `Burn unit ${fireDataId} not found` }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true, ...result });
+
+  } catch (error) {
+    console.error('Contingency trigger check error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to check contingency triggers',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PATCH /api/contingency-plans/alerts?id=
+ * Acknowledge an alert: { acknowledgedBy }
+ */
+export async function PATCH(request) {
+  try {
+    const id = parseParam(request, 'id');
+    if (isNaN(id)) {
+      return NextResponse.json({ success: false, error: 'id is required' }, { status: 400 });
+    }
+
+    const parsed = AcknowledgeSchema.safeParse(await request.json());
+    if (!parsed.success) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid acknowledgement',
+        validationErrors: parsed.error.errors
+      }, { status: 400 });
+    }
+
+    const alert = await acknowledgeContingencyAlert(id, parsed.data.acknowledgedBy);
+    if (!alert) {
+      return NextResponse.json({ success: false, error: `Contingency alert ${id} not found` }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true, alert });
+
+  } catch (error) {
+    console.error('Contingency alert acknowledge error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to acknowledge contingency alert',
+      details: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,79 @@
+import { NextResponse } from 'next/server';
+import { getContingencyPlan, saveContingencyPlan } from '../../../lib/contingency-plans';
+import { ContingencyPlanSchema, TRIGGER_PARAMETERS, RESOURCE_KINDS } from '../../../lib/contingency';
+
+function parseFireDataId(request) {
+  return parseInt(new URL(request.url).searchParams.get('fireDataId'));
+}
+
+/**
+ * GET /api/contingency-plans?fireDataId=
+ * Trigger points, actions and contingency resources for a burn unit
+ */
+export async function GET(request) {
+  try {
+    const fireDataId = parseFireDataId(request);
+    if (isNaN(fireDataId)) {
+      return NextResponse.json({ success: false, error: 'fireDataId is required' }, { status: 400 });
+    }
+
+    const result = await getContingencyPlan(fireDataId);
+    if (!result) {
+      return NextResponse.json({ success: false, error: `Burn unit ${fireDataId} not found` }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      plan: result.plan,
+      parameters: TRIGGER_PARAMETERS,
+      resourceKinds: RESOURCE_KINDS
+    });
+
+  } catch (error) {
+    console.error('Contingency plan fetch error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to load contingency plan',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/contingency-plans?fireDataId=
+ * Save a burn unit's contingency plan: { triggers, resources, notes, updatedBy }
+ */
+export async function PUT(request) {
+  try {
+    const fireDataId = parseFireDataId(request);
+    if (isNaN(fireDataId)) {
+      return NextResponse.json({ success: false, error: 'fireDataId is required' }, { status: 400 });
+    }
+
+    const parsed = ContingencyPlanSchema.safeParse(await request.json());
+    if (!parsed.success) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid contingency plan',
+        validationErrors: parsed.error.errors
+      }, { status: 400 });
+    }
+
+    const plan = await saveContingencyPlan(fireDataId, parsed.data);
+    if (!plan) {
+      return NextResponse.json({ success: false, error: `Burn unit ${fireDataId} not found` }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true, plan });
+
+  } catch (error) {
+    console.error('Contingency plan save error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to save contingency plan',
+      details: error.message
+    }, { status: 500 });
+  }
+}
@@ -1,10 +1,15 @@
 import { NextResponse } from 'next/server';
 import { supabase, supabaseAdmin, isSupabaseConfigured } from '../../../lib/supabase';
+import { FUEL_MOISTURE_MODELS, estimateRowsByNode, fosbergDeadFuelMoisture } from '../../../lib/dead-fuel-moisture';
+import { withEstimatedFuelMoisture } from '../../../lib/fuel-moisture';
+import { PLANNING_STATUSES } from '../../../lib/burn-status';
 
 /**
  * GET handler for fetching fire management data
  * Supports pagination and filtering with fast response times
  * Falls back to mock fire data if Supabase is not configured
+ * Rows carry 1-hr/10-hr dead fuel moisture estimated from sensor temperature
+ * and RH (fuelMoistureModel=fosberg|nelson, default fosberg)
  */
 export async function GET(request) {
   try {
@@ -15,6 +20,14 @@ export async function GET(request) {
     const filterId = searchParams.get('filterId');
     const startDate = searchParams.get('startDate');
     const endDate = searchParams.get('endDate');
+    const fuelMoistureModel = searchParams.get('fuelMoistureModel') || 'fosberg';
+
+    if (!FUEL_MOISTURE_MODELS.includes(fuelMoistureModel)) {
+      return NextResponse.json(
+        { error: `Unknown fuel moisture model '${fuelMoistureModel}'` },
+        { status: 400 }
+      );
+    }
     
     // Try Supabase with fire management data
     if (isSupabaseConfigured()) {
@@ -70,8 +83,12 @@ export async function GET(request) {
           
           // Convert air_quality data to fire data format
           const burnTypes = ['Fuel Reduction', 'Ecosystem Restoration', 'Habitat Enhancement'];
-          const statuses = ['Planned', 'In Progress', 'Completed', 'Monitoring'];
+          // Demo units are only ever at a planning stage, never burning or escaped
+          const statuses = PLANNING_STATUSES;
           const riskLevels = ['Low', 'Moderate', 'High'];
+
+          // Sensors report °C; each node's readings are run as one series
+          const fuelMoisture = estimateRowsByNode(fallbackData, { model: fuelMoistureModel, temperatureUnit: 'C' });
           
           const convertedData = fallbackData.map((item, index) => {
             // Generate realistic fire management data based on air quality sensor locations
@@ -95,10 +112,15 @@ export async function GET(request) {
               acres_planned: Math.floor(Math.random() * 400) + 50,
               acres_completed: Math.floor(Math.random() * 300) + 25,
               temperature: item.temperature || Math.floor(Math.random() * 30) + 50,
-              humidity: item.relativeHumidity || Math.floor(Math.random() * 40) + 30,
+              humidity: item.relativehumidity ?? item.relativeHumidity ?? Math.floor(Math.random() * 40) + 30,
               wind_speed: Math.floor(Math.random() * 15) + 3,
               wind_direction: ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'][index % 8],
-              fuel_moisture: Math.floor(Math.random() * 15) + 8,
+              fuel_moisture: fuelMoisture[index]?.oneHour ?? null,
+              estimated_fuel_moisture_1hr: fuelMoisture[index]?.oneHour ?? null,
+              estimated_fuel_moisture_10hr: fuelMoisture[index]?.tenHour ?? null,
+              fuel_moisture_model: fuelMoisture[index] ? fuelMoistureModel : null,
+              fuel_moisture_source: fuelMoisture[index] ? 'sensor' : null,
+              fuel_moisture_sensor: fuelMoisture[index] ? item.from_node : null,
               latitude: item.latitude,
               longitude: item.longitude,
               elevation: item.elevation,
@@ -124,9 +146,16 @@ export async function GET(request) {
         if (!data) {
           throw new Error('No data returned from database');
         }
+
+        let rows = data;
+        try {
+          rows = await withEstimatedFuelMoisture(data, { model: fuelMoistureModel });
+        } catch (moistureError) {
+          console.error('Error estimating fuel moisture:', moistureError);
+        }
         
         return NextResponse.json({
-          data,
+          data: rows,
           count: count || data.length,
           limit,
           offset,
@@ -219,17 +248,21 @@ function generateMockData(count = 20, uploadId = null, filterId = null) {
   ];
   
   const burnTypes = ['Fuel Reduction', 'Ecosystem Restoration', 'Habitat Enhancement'];
-  const burnStatuses = ['Planned', 'In Progress', 'Completed', 'Monitoring'];
+  const burnStatuses = PLANNING_STATUSES;
   
   // Generate fire management data points
   return Array.from({ length: count }, (_, i) => {
     const location = locations[Math.floor(Math.random() * locations.length)];
+    const temperature = Math.floor(Math.random() * 40) + 45; // 45-85°F
+    const humidity = Math.floor(Math.random() * 40) + 30; // 30-70%
     
     // Generate a random date within the past year
     const date = new Date();
     date.setDate(date.getDate() - Math.floor(Math.random() * 365));
     date.setHours(Math.floor(Math.random() * 24));
     date.setMinutes(Math.floor(Math.random() * 60));
+
+    const fuelMoisture = fosbergDeadFuelMoisture({ time: date, temperature, humidity });
     
     return {
       id: i + 1,
@@ -240,10 +273,15 @@ function generateMockData(count = 20, uploadId = null, filterId = null) {
       status: burnStatuses[Math.floor(Math.random() * burnStatuses.length)],
       acres_planned: Math.floor(Math.random() * 500) + 50,
       acres_completed: Math.floor(Math.random() * 400) + 25,
-      temperature: Math.floor(Math.random() * 40) + 45, // 45-85°F
-      humidity: Math.floor(Math.random() * 40) + 30, // 30-70%
+      temperature,
+      humidity,
       wind_speed: Math.floor(Math.random() * 15) + 3, // 3-18 mph
-      fuel_moisture: Math.floor(Math.random() * 15) + 8, // 8-23%
+      fuel_moisture: fuelMoisture.oneHour,
+      estimated_fuel_moisture_1hr: fuelMoisture.oneHour,
+      estimated_fuel_moisture_10hr: fuelMoisture.tenHour,
+      fuel_moisture_model: 'fosberg',
+      fuel_moisture_source: 'fire_data',
+      fuel_moisture_sensor: null,
       latitude: location.lat + (Math.random() - 0.5) * 0.1,
       longitude: location.lon + (Math.random() - 0.5) * 0.1,
       elevation: `${Math.floor(Math.random() * 3000) + 500} ft`,
@@ -0,0 +1,64 @@
+import { NextResponse } from 'next/server';
+import { calculateSurfaceFire, FireBehaviorInputSchema } from '../../../lib/fire-behavior';
+import { FUEL_MODELS, getFuelModel } from '../../../lib/fuel-models';
+
+/**
+ * POST /api/fire-behavior
+ * Rothermel surface fire behavior for a fuel model, fuel moistures (%),
+ * midflame wind (mph) and slope (%)
+ */
+export async function POST(request) {
+  try {
+    const parsed = FireBehaviorInputSchema.safeParse(await request.json());
+
+    if (!parsed.success) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid fire behavior inputs',
+        validationErrors: parsed.error.errors
+      }, { status: 400 });
+    }
+
+    if (!getFuelModel(parsed.data.fuelModel)) {
+      return NextResponse.json({
+        success: false,
+        error: `Unknown fuel model '${parsed.data.fuelModel}'`
+      }, { status: 400 });
+    }
+
+    const behavior = calculateSurfaceFire(parsed.data);
+
+    return NextResponse.json({
+      success: true,
+      behavior,
+      units: {
+        rateOfSpread: 'ft/min and ch/h',
+        flameLength: 'ft',
+        firelineIntensity: 'BTU/ft/s',
+        heatPerUnitArea: 'BTU/ft²',
+        reactionIntensity: 'BTU/ft²/min'
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Fire behavior calculation error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Fire behavior calculation failed',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * GET /api/fire-behavior
+ * List the available fuel models
+ */
+export async function GET() {
+  return NextResponse.json({
+    success: true,
+    fuelModels: FUEL_MODELS.map(({ code, name, group, family, dynamic }) => ({ code, name, group, family, dynamic }))
+  });
+}
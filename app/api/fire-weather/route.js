@@ -0,0 +1,126 @@
+import { NextResponse } from 'next/server';
+import { z } from 'zod';
+import { getFireWeatherSeries, storeWeatherDataIndices, FIRE_WEATHER_SOURCES } from '../../../lib/fire-weather';
+import { computeFireWeatherIndices, hainesIndex, FireWeatherInputSchema } from '../../../lib/fire-weather-indices';
+import { celsiusToFahrenheit } from '../../../lib/risk-engine';
+
+const StoreSchema = z.object({
+  locationName: z.string().optional(),
+  start: z.string().optional(),
+  end: z.string().optional()
+});
+
+/**
+ * GET /api/fire-weather
+ * Fire weather index series. `source` is weather_data (default), air_quality
+ * or session_data; sensor sources take `nodes`, `sessionId` and an assumed
+ * `windSpeed` (mph) for the wind-dependent indices.
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const source = searchParams.get('source') || 'weather_data';
+
+    if (!FIRE_WEATHER_SOURCES.includes(source)) {
+      return NextResponse.json({
+        success: false,
+        error: `source must be one of ${FIRE_WEATHER_SOURCES.join(', ')}`
+      }, { status: 400 });
+    }
+
+    const windSpeed = searchParams.get('windSpeed');
+    const series = await getFireWeatherSeries({
+      source,
+      locationName: searchParams.get('locationName'),
+      nodes: searchParams.get('nodes')?.split(',').filter(Boolean),
+      sessionId: searchParams.get('sessionId'),
+      start: searchParams.get('start'),
+      end: searchParams.get('end'),
+      limit: parseInt(searchParams.get('limit') || '1000'),
+      windSpeed: windSpeed !== null && windSpeed !== '' && !isNaN(Number(windSpeed)) ? Number(windSpeed) : null
+    });
+
+    return NextResponse.json({
+      success: true,
+      ...series,
+      count: series.points.length
+    });
+
+  } catch (error) {
+    console.error('Fire weather series error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to load fire weather indices',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/fire-weather
+ * Indices for a single reading: { temperature, temperatureUnit, humidity, windSpeed, upperAir, mixingHeight, transportWindSpeed }
+ */
+export async function POST(request) {
+  try {
+    const parsed = FireWeatherInputSchema.safeParse(await request.json());
+
+    if (!parsed.success) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid fire weather reading',
+        validationErrors: parsed.error.errors
+      }, { status: 400 });
+    }
+
+    const { temperatureUnit, upperAir, ...reading } = parsed.data;
+    const temperature = temperatureUnit === 'C' ? celsiusToFahrenheit(reading.temperature) : reading.temperature;
+
+    return NextResponse.json({
+      success: true,
+      indices: computeFireWeatherIndices({ ...reading, temperature, upperAir }),
+      haines: upperAir ? hainesIndex(upperAir) : null
+    });
+
+  } catch (error) {
+    console.error('Fire weather calculation error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Fire weather calculation failed',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/fire-weather
+ * Recompute and store the indices on weather_data rows, optionally limited to
+ * a station and time range
+ */
+export async function PUT(request) {
+  try {
+    const parsed = StoreSchema.safeParse(await request.json().catch(() => ({})));
+
+    if (!parsed.success) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid request',
+        validationErrors: parsed.error.errors
+      }, { status: 400 });
+    }
+
+    const updated = await storeWeatherDataIndices(parsed.data);
+
+    return NextResponse.json({ success: true, updated });
+
+  } catch (error) {
+    console.error('Fire weather store error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to store fire weather indices',
+      details: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,51 @@
+import { NextResponse } from 'next/server';
+import { z } from 'zod';
+import { evaluateUnitPrescription } from '../../../../lib/prescriptions';
+import { PrescriptionSchema } from '../../../../lib/prescription-window';
+
+const EvaluateSchema = z.object({
+  fireDataId: z.number().int().positive().nullable().optional(),
+  prescription: PrescriptionSchema.optional(),
+  forecast: z.array(z.record(z.any())).max(5000).optional(),
+  temperatureUnit: z.enum(['F', 'C']).optional(),
+  locationName: z.string().optional(),
+  start: z.string().optional(),
+  end: z.string().optional()
+});
+
+/**
+ * POST /api/prescriptions/evaluate
+ * Check weather hour by hour against a burn unit's prescription.
+ * Uses the uploaded `forecast` rows when given, else weather_data for the
+ * nearest station (or `locationName`) between `start` and `end`.
+ */
+export async function POST(request) {
+  try {
+    const parsed = EvaluateSchema.safeParse(await request.json());
+
+    if (!parsed.success) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid evaluation request',
+        validationErrors: parsed.error.errors
+      }, { status: 400 });
+    }
+
+    const evaluation = await evaluateUnitPrescription(parsed.data);
+
+    return NextResponse.json({
+      success: true,
+      evaluation,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Prescription evaluation error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Prescription evaluation failed',
+      details: error.message
+    }, { status: 500 });
+  }
+}
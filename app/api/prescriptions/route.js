@@ -0,0 +1,60 @@
+import { NextResponse } from 'next/server';
+import { getPrescription, savePrescription } from '../../../lib/prescriptions';
+import { PrescriptionSchema } from '../../../lib/prescription-window';
+
+/**
+ * GET /api/prescriptions?fireDataId=
+ * Prescription limits for a burn unit (default limits when none are set)
+ */
+export async function GET(request) {
+  try {
+    const fireDataId = parseInt(new URL(request.url).searchParams.get('fireDataId'));
+    const { prescription, isDefault } = await getPrescription(isNaN(fireDataId) ? null : fireDataId);
+
+    return NextResponse.json({ success: true, prescription, isDefault });
+
+  } catch (error) {
+    console.error('Prescription fetch error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to load prescription',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/prescriptions?fireDataId=
+ * Save prescription limits for a burn unit
+ */
+export async function PUT(request) {
+  try {
+    const fireDataId = parseInt(new URL(request.url).searchParams.get('fireDataId'));
+    if (isNaN(fireDataId)) {
+      return NextResponse.json({ success: false, error: 'fireDataId is required' }, { status: 400 });
+    }
+
+    const parsed = PrescriptionSchema.safeParse(await request.json());
+    if (!parsed.success) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid prescription',
+        validationErrors: parsed.error.errors
+      }, { status: 400 });
+    }
+
+    const prescription = await savePrescription(fireDataId, parsed.data);
+
+    return NextResponse.json({ success: true, prescription });
+
+  } catch (error) {
+    console.error('Prescription save error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to save prescription',
+      details: error.message
+    }, { status: 500 });
+  }
+}
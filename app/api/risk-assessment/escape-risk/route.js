@@ -0,0 +1,61 @@
+import { NextResponse } from 'next/server';
+import { EscapeRiskInputSchema } from '../../../../lib/escape-simulation';
+import { simulateEscapeRisk } from '../../../../lib/escape-risk';
+import { getFuelModel } from '../../../../lib/fuel-models';
+
+/**
+ * POST /api/risk-assessment/escape-risk
+ * Monte Carlo escape risk around a forecast:
+ * { fuelModel, forecast: { temperature, humidity, windSpeed }, fireDataId?, moisture?, windAdjustment?,
+ *   slope?, prescription?, holding: { maxFlameLength, maxRateOfSpread }?, samples?, seed?, historyDays? }
+ * Weather variability comes from the last historyDays of weather_data at the
+ * station nearest the unit; the prescription defaults to the unit's.
+ */
+export async function POST(request) {
+  try {
+    const parsed = EscapeRiskInputSchema.safeParse(await request.json());
+
+    if (!parsed.success) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid escape-risk inputs',
+        validationErrors: parsed.error.errors
+      }, { status: 400 });
+    }
+
+    if (!getFuelModel(parsed.data.fuelModel)) {
+      return NextResponse.json({
+        success: false,
+        error: `Unknown fuel model '${parsed.data.fuelModel}'`
+      }, { status: 400 });
+    }
+
+    const simulation = await simulateEscapeRisk(parsed.data);
+    if (!simulation) {
+      return NextResponse.json({
+        success: false,
+        error: `Burn unit ${parsed.data.fireDataId} not found`
+      }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      simulation,
+      units: {
+        probabilities: '% of samples',
+        flameLength: 'ft',
+        rateOfSpread: 'ch/h'
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Escape-risk simulation error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Escape-risk simulation failed',
+      details: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,88 @@
+import { NextResponse } from 'next/server';
+import { assessRisk, RiskInputSchema } from '../../../lib/risk-engine';
+import { getRuleSet, getRuleSetForUnit, summarizeRuleSet } from '../../../lib/risk-rule-sets';
+
+/**
+ * POST /api/risk-assessment
+ * Score a set of site, weather and operational inputs with the shared risk engine
+ * Uses the rule set given by ruleSet (and optional ruleSetVersion), else the one
+ * selected for fireDataId, else the built-in default
+ */
+export async function POST(request) {
+  try {
+    const { inputs, ruleSet: ruleSetKey, ruleSetVersion, fireDataId } = await request.json();
+
+    const parsed = RiskInputSchema.safeParse(inputs);
+    if (!parsed.success) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid risk assessment inputs',
+        validationErrors: parsed.error.errors
+      }, { status: 400 });
+    }
+
+    const ruleSet = ruleSetKey
+      ? await getRuleSet(ruleSetKey, ruleSetVersion || null)
+      : await getRuleSetForUnit(fireDataId);
+
+    if (!ruleSet) {
+      return NextResponse.json({
+        success: false,
+        error: `Rule set '${ruleSetKey}' not found`
+      }, { status: 404 });
+    }
+
+    const assessment = assessRisk(parsed.data, ruleSet.rules);
+
+    return NextResponse.json({
+      success: true,
+      assessment,
+      ruleSet: summarizeRuleSet(ruleSet),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Risk assessment error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Risk assessment failed',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * GET /api/risk-assessment
+ * Return the fuel types and risk levels of a rule set (?ruleSet=, default built-in)
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const ruleSet = await getRuleSet(searchParams.get('ruleSet') || 'default');
+
+    if (!ruleSet) {
+      return NextResponse.json({
+        success: false,
+        error: 'Rule set not found'
+      }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      ruleSet: summarizeRuleSet(ruleSet),
+      fuelTypes: ruleSet.rules.fuelTypes,
+      maxScore: ruleSet.rules.maxScore,
+      levels: ruleSet.rules.levels.map(l => l.level)
+    });
+
+  } catch (error) {
+    console.error('Risk rule lookup error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to load risk rules',
+      details: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,163 @@
+import { NextResponse } from 'next/server';
+import {
+  createAssessment,
+  listAssessments,
+  getAssessment,
+  updateAssessment,
+  diffAssessments,
+  rowToInputs,
+  AssessmentInputSchema,
+  AssessmentUpdateSchema
+} from '../../../lib/risk-assessments';
+
+/**
+ * GET /api/risk-assessments
+ * ?fireDataId=  list saved assessments for a burn unit (newest first)
+ * ?id=          one assessment with its inputs
+ * ?compare=a,b  diff two assessments (older first)
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const id = searchParams.get('id');
+    const compare = searchParams.get('compare');
+    const fireDataId = searchParams.get('fireDataId');
+
+    if (compare) {
+      const ids = compare.split(',').map(v => parseInt(v));
+      if (ids.length !== 2 || ids.some(isNaN)) {
+        return NextResponse.json({
+          success: false,
+          error: 'compare must be two assessment ids, e.g. compare=3,7'
+        }, { status: 400 });
+      }
+
+      const [first, second] = await Promise.all(ids.map(getAssessment));
+      if (!first || !second) {
+        return NextResponse.json({
+          success: false,
+          error: 'One or both assessments were not found'
+        }, { status: 404 });
+      }
+
+      // Always diff from the older assessment to the newer one
+      const [before, after] = new Date(first.assessment_date) <= new Date(second.assessment_date)
+        ? [first, second]
+        : [second, first];
+
+      return NextResponse.json({ success: true, diff: diffAssessments(before, after) });
+    }
+
+    if (id) {
+      const assessment = await getAssessment(parseInt(id));
+      if (!assessment) {
+        return NextResponse.json({
+          success: false,
+          error: `Risk assessment ${id} not found`
+        }, { status: 404 });
+      }
+      return NextResponse.json({ success: true, assessment, inputs: rowToInputs(assessment) });
+    }
+
+    if (!fireDataId) {
+      return NextResponse.json({
+        success: false,
+        error: 'fireDataId, id or compare is required'
+      }, { status: 400 });
+    }
+
+    const assessments = await listAssessments(parseInt(fireDataId), {
+      limit: parseInt(searchParams.get('limit') || '50')
+    });
+
+    return NextResponse.json({ success: true, assessments, count: assessments.length });
+
+  } catch (error) {
+    console.error('Risk assessment fetch error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to load risk assessments',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/risk-assessments
+ * Score and save an assessment for a burn unit
+ */
+export async function POST(request) {
+  try {
+    const parsed = AssessmentInputSchema.safeParse(await request.json());
+
+    if (!parsed.success) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid risk assessment',
+        validationErrors: parsed.error.errors
+      }, { status: 400 });
+    }
+
+    const assessment = await createAssessment(parsed.data);
+    if (!assessment) {
+      return NextResponse.json({
+        success: false,
+        error: `Rule set '${parsed.data.ruleSet}' not found`
+      }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true, assessment }, { status: 201 });
+
+  } catch (error) {
+    console.error('Risk assessment save error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to save risk assessment',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/risk-assessments?id=
+ * Update assessor name or notes; inputs and scores are immutable and
+ * assessments cannot be deleted
+ */
+export async function PUT(request) {
+  try {
+    const id = parseInt(new URL(request.url).searchParams.get('id'));
+    if (isNaN(id)) {
+      return NextResponse.json({ success: false, error: 'id is required' }, { status: 400 });
+    }
+
+    const parsed = AssessmentUpdateSchema.safeParse(await request.json());
+    if (!parsed.success) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid update',
+        validationErrors: parsed.error.errors
+      }, { status: 400 });
+    }
+
+    const assessment = await updateAssessment(id, parsed.data);
+    if (!assessment) {
+      return NextResponse.json({
+        success: false,
+        error: `Risk assessment ${id} not found`
+      }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true, assessment });
+
+  } catch (error) {
+    console.error('Risk assessment update error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to update risk assessment',
+      details: error.message
+    }, { status: 500 });
+  }
+}
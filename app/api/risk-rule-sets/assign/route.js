@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { assignRuleSetToUnit, RuleSetAssignmentSchema } from '../../../../lib/risk-rule-sets';
+
+/**
+ * POST /api/risk-rule-sets/assign
+ * Select the rule set used to assess a burn unit: { fireDataId, key }
+ */
+export async function POST(request) {
+  try {
+    const parsed = RuleSetAssignmentSchema.safeParse(await request.json());
+
+    if (!parsed.success) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid rule set assignment',
+        validationErrors: parsed.error.errors
+      }, { status: 400 });
+    }
+
+    const result = await assignRuleSetToUnit(parsed.data.fireDataId, parsed.data.key);
+    if (!result.ok) {
+      return NextResponse.json({ success: false, code: result.code, error: result.error }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true, unit: result.unit });
+
+  } catch (error) {
+    console.error('Risk rule set assignment error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to assign risk rule set',
+      details: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,82 @@
+import { NextResponse } from 'next/server';
+import {
+  listRuleSets,
+  getRuleSet,
+  getRuleSetHistory,
+  saveRuleSet,
+  RuleSetInputSchema
+} from '../../../lib/risk-rule-sets';
+
+/**
+ * GET /api/risk-rule-sets
+ * List the latest version of each rule set, or one rule set with ?key=
+ * Add &history=true for every version, or &version=N for a specific one
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const key = searchParams.get('key');
+    const version = searchParams.get('version');
+
+    if (!key) {
+      const ruleSets = await listRuleSets();
+      return NextResponse.json({ success: true, ruleSets });
+    }
+
+    if (searchParams.get('history') === 'true') {
+      const versions = await getRuleSetHistory(key);
+      return NextResponse.json({ success: true, key, versions });
+    }
+
+    const ruleSet = await getRuleSet(key, version ? parseInt(version) : null);
+    if (!ruleSet) {
+      return NextResponse.json({
+        success: false,
+        error: `Rule set '${key}'${version ? ` version ${version}` : ''} not found`
+      }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true, ruleSet });
+
+  } catch (error) {
+    console.error('Risk rule set fetch error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to load risk rule sets',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/risk-rule-sets
+ * Save a rule set; each save creates a new version
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const parsed = RuleSetInputSchema.safeParse(body);
+
+    if (!parsed.success) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid rule set',
+        validationErrors: parsed.error.errors
+      }, { status: 400 });
+    }
+
+    const ruleSet = await saveRuleSet(parsed.data);
+
+    return NextResponse.json({ success: true, ruleSet }, { status: 201 });
+
+  } catch (error) {
+    console.error('Risk rule set save error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to save risk rule set',
+      details: error.message
+    }, { status: 500 });
+  }
+}
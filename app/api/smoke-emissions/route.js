@@ -0,0 +1,123 @@
+import { NextResponse } from 'next/server';
+import { estimateSmokeEmissions, burnEmissionsInput, SmokeEmissionsInputSchema } from '../../../lib/smoke-emissions';
+import { getFuelModel } from '../../../lib/fuel-models';
+import { getBurnPlan } from '../../../lib/burn-plans';
+import { getBurnUnit } from '../../../lib/burn-units';
+import { getLatestAssessment } from '../../../lib/risk-assessments';
+
+const UNITS = { fuelLoad: 'tons/acre', fuelConsumed: 'tons', emissions: 'tons', factors: 'lb/ton consumed' };
+
+/**
+ * GET /api/smoke-emissions
+ * ?planId=                      emissions for a saved burn plan
+ * ?fireDataId=[&fuelModel=]     emissions for a burn unit (fuel model from its latest assessment by default)
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const planId = searchParams.get('planId');
+    const fireDataId = searchParams.get('fireDataId');
+
+    if (!planId && !fireDataId) {
+      return NextResponse.json({
+        success: false,
+        error: 'planId or fireDataId is required'
+      }, { status: 400 });
+    }
+
+    const plan = planId ? await getBurnPlan(parseInt(planId)) : null;
+    if (planId && !plan) {
+      return NextResponse.json({
+        success: false,
+        error: `Burn plan ${planId} not found`
+      }, { status: 404 });
+    }
+
+    const unitId = plan ? plan.fire_data_id : parseInt(fireDataId);
+    const [unit, assessment] = unitId
+      ? await Promise.all([getBurnUnit(unitId), getLatestAssessment(unitId)])
+      : [null, null];
+
+    if (!plan && !unit) {
+      return NextResponse.json({
+        success: false,
+        error: `Burn unit ${fireDataId} not found`
+      }, { status: 404 });
+    }
+
+    const input = burnEmissionsInput({ plan, unit, assessment, fuelModel: searchParams.get('fuelModel') });
+    if (!input) {
+      return NextResponse.json({
+        success: false,
+        error: 'No fuel model is recorded for this burn; select one on the burn plan or risk assessment'
+      }, { status: 400 });
+    }
+
+    const parsed = SmokeEmissionsInputSchema.safeParse(input);
+    if (!parsed.success || !getFuelModel(parsed.data.fuelModel)) {
+      return NextResponse.json({
+        success: false,
+        error: `Cannot estimate emissions for fuel model '${input.fuelModel}'`,
+        validationErrors: parsed.success ? undefined : parsed.error.errors
+      }, { status: 400 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      emissions: estimateSmokeEmissions(parsed.data),
+      planId: plan?.id ?? null,
+      fireDataId: unit?.id ?? null,
+      units: UNITS
+    });
+
+  } catch (error) {
+    console.error('Smoke emissions fetch error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to estimate smoke emissions',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/smoke-emissions
+ * Emissions for a fuel model and acreage
+ * { fuelModel, acresPlanned, acresCompleted, burnDays, consumption }
+ */
+export async function POST(request) {
+  try {
+    const parsed = SmokeEmissionsInputSchema.safeParse(await request.json());
+
+    if (!parsed.success) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid smoke emissions inputs',
+        validationErrors: parsed.error.errors
+      }, { status: 400 });
+    }
+
+    if (!getFuelModel(parsed.data.fuelModel)) {
+      return NextResponse.json({
+        success: false,
+        error: `Unknown fuel model '${parsed.data.fuelModel}'`
+      }, { status: 400 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      emissions: estimateSmokeEmissions(parsed.data),
+      units: UNITS
+    });
+
+  } catch (error) {
+    console.error('Smoke emissions calculation error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Smoke emissions calculation failed',
+      details: error.message
+    }, { status: 500 });
+  }
+}
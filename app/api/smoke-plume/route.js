@@ -0,0 +1,51 @@
+import { NextResponse } from 'next/server';
+import { computePlumeGrid, PlumeInputSchema, STABILITY_CLASSES } from '../../../lib/smoke-dispersion';
+import { compareWithSensors } from '../../../lib/smoke-plume';
+
+/**
+ * POST /api/smoke-plume
+ * Gaussian plume PM2.5 concentration grid for a burn, plus a comparison with
+ * air_quality sensor readings when ignitionTime is given
+ * { latitude, longitude, emissionRate | pm25TonsPerDay, burnHours, windSpeed, windDirection, stability, ... }
+ */
+export async function POST(request) {
+  try {
+    const parsed = PlumeInputSchema.safeParse(await request.json());
+
+    if (!parsed.success) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid smoke plume inputs',
+        validationErrors: parsed.error.errors
+      }, { status: 400 });
+    }
+
+    const plume = computePlumeGrid(parsed.data);
+    const comparison = parsed.data.ignitionTime ? await compareWithSensors(parsed.data) : null;
+
+    return NextResponse.json({
+      success: true,
+      plume,
+      comparison,
+      units: { concentration: 'µg/m³ PM2.5', emissionRate: 'g/s', distance: 'km' },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Smoke plume calculation error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Smoke plume calculation failed',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * GET /api/smoke-plume
+ * List the stability classes
+ */
+export async function GET() {
+  return NextResponse.json({ success: true, stabilityClasses: STABILITY_CLASSES });
+}
@@ -0,0 +1,136 @@
+import { NextResponse } from 'next/server';
+import {
+  listReceptors,
+  createReceptor,
+  updateReceptor,
+  archiveReceptor,
+  ReceptorSchema,
+  ReceptorUpdateSchema
+} from '../../../lib/smoke-receptors';
+import { RECEPTOR_TYPES, SENSITIVITY_CLASSES } from '../../../lib/smoke-screening';
+
+function parseId(request) {
+  return parseInt(new URL(request.url).searchParams.get('id'));
+}
+
+/**
+ * GET /api/smoke-receptors
+ * ?includeArchived=true  include archived receptors
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const receptors = await listReceptors({
+      includeArchived: searchParams.get('includeArchived') === 'true'
+    });
+
+    return NextResponse.json({
+      success: true,
+      receptors,
+      count: receptors.length,
+      receptorTypes: RECEPTOR_TYPES,
+      sensitivityClasses: SENSITIVITY_CLASSES
+    });
+
+  } catch (error) {
+    console.error('Smoke receptor fetch error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to load smoke receptors',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/smoke-receptors
+ * Register a receptor: { name, receptorType, sensitivity, latitude, longitude, contact, notes }
+ */
+export async function POST(request) {
+  try {
+    const parsed = ReceptorSchema.safeParse(await request.json());
+
+    if (!parsed.success) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid smoke receptor',
+        validationErrors: parsed.error.errors
+      }, { status: 400 });
+    }
+
+    const receptor = await createReceptor(parsed.data);
+
+    return NextResponse.json({ success: true, receptor }, { status: 201 });
+
+  } catch (error) {
+    console.error('Smoke receptor create error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to create smoke receptor',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/smoke-receptors?id=
+ * Update receptor fields
+ */
+export async function PUT(request) {
+  try {
+    const id = parseId(request);
+    if (isNaN(id)) {
+      return NextResponse.json({ success: false, error: 'id is required' }, { status: 400 });
+    }
+
+    const parsed = ReceptorUpdateSchema.safeParse(await request.json());
+    if (!parsed.success) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid smoke receptor update',
+        validationErrors: parsed.error.errors
+      }, { status: 400 });
+    }
+
+    const receptor = await updateReceptor(id, parsed.data);
+
+    return NextResponse.json({ success: true, receptor });
+
+  } catch (error) {
+    console.error('Smoke receptor update error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to update smoke receptor',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE /api/smoke-receptors?id=
+ * Archive a receptor so it drops out of screening
+ */
+export async function DELETE(request) {
+  try {
+    const id = parseId(request);
+    if (isNaN(id)) {
+      return NextResponse.json({ success: false, error: 'id is required' }, { status: 400 });
+    }
+
+    const receptor = await archiveReceptor(id);
+
+    return NextResponse.json({ success: true, receptor });
+
+  } catch (error) {
+    console.error('Smoke receptor archive error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to archive smoke receptor',
+      details: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,55 @@
+import { NextResponse } from 'next/server';
+import { getSmokeScreeningReport } from '../../../../lib/smoke-receptors';
+import { directionToDegrees } from '../../../../lib/geo';
+
+/**
+ * GET /api/smoke-receptors/screening
+ * ?fireDataId=       burn unit to screen (required)
+ * ?windDirection=    direction the wind blows from; defaults to the latest weather_data reading
+ * ?coneAngle=        half-angle of the downwind cone in degrees (default 30)
+ * ?maxDistanceKm=    cap on screening distance
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const fireDataId = parseInt(searchParams.get('fireDataId'));
+    const windDirection = searchParams.get('windDirection');
+    const coneAngle = parseFloat(searchParams.get('coneAngle'));
+    const maxDistanceKm = parseFloat(searchParams.get('maxDistanceKm'));
+
+    if (isNaN(fireDataId)) {
+      return NextResponse.json({ success: false, error: 'fireDataId is required' }, { status: 400 });
+    }
+    if (windDirection && directionToDegrees(windDirection) === null) {
+      return NextResponse.json({
+        success: false,
+        error: `Unreadable wind direction '${windDirection}'; use degrees or a compass point`
+      }, { status: 400 });
+    }
+
+    const report = await getSmokeScreeningReport({
+      fireDataId,
+      windDirection,
+      coneHalfAngle: isNaN(coneAngle) ? undefined : Math.min(Math.max(coneAngle, 5), 90),
+      maxDistanceKm: isNaN(maxDistanceKm) ? undefined : maxDistanceKm
+    });
+
+    if (!report) {
+      return NextResponse.json({
+        success: false,
+        error: `Burn unit ${fireDataId} not found`
+      }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true, report });
+
+  } catch (error) {
+    console.error('Smoke screening error:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to screen smoke receptors',
+      details: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,271 @@
+"use client";
+
+import { useState, useEffect, useMemo } from 'react';
+import dynamic from 'next/dynamic';
+import { BarChart3, CloudSun, Table } from 'lucide-react';
+
+const Plot = dynamic(() => import('react-plotly.js'), {
+  ssr: false,
+  loading: () => <div className="animate-pulse bg-gray-200 dark:bg-gray-700 h-full w-full rounded"></div>
+});
+
+const inputClass = 'border border-gray-300 dark:border-gray-600 rounded-md px-3 py-2 text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+const display = (value, unit = '') => (value === null || value === undefined ? '—' : `${value}${unit}`);
+
+const WEATHER_ROWS = [
+  { id: 'temperature', label: 'Temperature', unit: ' °F' },
+  { id: 'humidity', label: 'Relative humidity', unit: '%' },
+  { id: 'windSpeed', label: 'Wind speed', unit: ' mph' },
+  { id: 'fuelMoisture', label: '1-hr fuel moisture', unit: '%' }
+];
+
+const range = (stats, unit) => (stats ? `${stats.min}–${stats.max}${unit} (mean ${stats.mean})` : '—');
+
+export default function BurnOutcomesPage() {
+  const [burnTypes, setBurnTypes] = useState([]);
+  const [filters, setFilters] = useState({ burnType: '', from: '', to: '' });
+  const [dimension, setDimension] = useState('burnType');
+  const [analytics, setAnalytics] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetch('/api/burn-units')
+      .then(res => res.json())
+      .then(result => {
+        if (result.success) {
+          setBurnTypes([...new Set(result.units.map(u => u.burn_type).filter(Boolean))].sort());
+        }
+      })
+      .catch(err => console.error('Failed to load burn units:', err));
+  }, []);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+
+    setIsLoading(true);
+    fetch(`/api/burn-outcomes?${params}`, { signal: controller.signal })
+      .then(res => res.json())
+      .then(result => {
+        if (result.success) {
+          setAnalytics(result);
+          setError(null);
+        } else {
+          setError(result.details || result.error);
+        }
+        setIsLoading(false);
+      })
+      .catch(err => {
+        if (err.name !== 'AbortError') {
+          setError(err.message);
+          setIsLoading(false);
+        }
+      });
+
+    return () => controller.abort();
+  }, [filters]);
+
+  const setFilter = (field, value) => setFilters(prev => ({ ...prev, [field]: value }));
+
+  const overall = analytics?.overall;
+  const groups = useMemo(() => analytics?.groups[dimension] || [], [analytics, dimension]);
+  const dimensionLabel = analytics?.dimensions.find(d => d.id === dimension)?.label;
+
+  const plotData = useMemo(() => [
+    {
+      x: groups.map(g => g.key),
+      y: groups.map(g => g.successRate),
+      name: 'Success rate (%)',
+      type: 'bar',
+      marker: { color: '#059669' }
+    },
+    {
+      x: groups.map(g => g.key),
+      y: groups.map(g => g.completionRatio),
+      name: 'Acres completed (%)',
+      type: 'bar',
+      marker: { color: '#8C1515' }
+    },
+    {
+      x: groups.map(g => g.key),
+      y: groups.map(g => g.escapes),
+      name: 'Escapes',
+      type: 'scatter',
+      mode: 'markers',
+      yaxis: 'y2',
+      marker: { color: '#7F1D1D', size: 10, symbol: 'x' }
+    }
+  ], [groups]);
+
+  const stats = overall ? [
+    { label: 'Burn units', value: overall.units },
+    { label: 'Ignited', value: overall.ignited },
+    { label: 'Success rate', value: display(overall.successRate, '%'), detail: `${overall.successful}/${overall.decided} closed out` },
+    { label: 'Acres completed', value: display(overall.completionRatio, '%'), detail: 'of planned, ignited units' },
+    { label: 'Postponements', value: overall.postponements },
+    { label: 'Escapes', value: overall.escapes }
+  ] : [];
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      {/* Header */}
+      <div className="bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700">
+        <div className="max-w-7xl mx-auto px-4 py-6">
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <div className="flex items-center space-x-3">
+              <div className="p-2 bg-[#8C1515] rounded-lg">
+                <BarChart3 className="h-6 w-6 text-white" />
+              </div>
+              <div>
+                <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+                  Burn Outcomes
+                </h1>
+                <p className="text-gray-600 dark:text-gray-400">
+                  Which conditions have produced successful burns on our units
+                </p>
+              </div>
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+              <select value={filters.burnType} onChange={(e) => setFilter('burnType', e.target.value)} className={inputClass}>
+                <option value="">All burn types</option>
+                {burnTypes.map(type => <option key={type} value={type}>{type}</option>)}
+              </select>
+              <input type="date" value={filters.from} onChange={(e) => setFilter('from', e.target.value)} className={inputClass} />
+              <input type="date" value={filters.to} onChange={(e) => setFilter('to', e.target.value)} className={inputClass} />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 py-6 space-y-6">
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        {overall && overall.units === 0 && !isLoading && (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700 p-6 text-sm text-gray-500">
+            No burn units match these filters.
+          </div>
+        )}
+
+        {overall && overall.units > 0 && (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+              {stats.map(stat => (
+                <div key={stat.label} className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700 p-4">
+                  <div className="text-xs text-gray-500">{stat.label}</div>
+                  <div className="text-xl font-semibold text-gray-900 dark:text-white">{stat.value}</div>
+                  {stat.detail && <div className="text-xs text-gray-500">{stat.detail}</div>}
+                </div>
+              ))}
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+              <div className="lg:col-span-2 bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700">
+                <div className="p-6">
+                  <div className="flex items-center justify-between mb-4">
+                    <div className="flex items-center space-x-2">
+                      <Table className="h-5 w-5 text-[#8C1515]" />
+                      <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                        Outcomes by {dimensionLabel}
+                      </h2>
+                    </div>
+                    <select value={dimension} onChange={(e) => setDimension(e.target.value)} className={inputClass}>
+                      {analytics.dimensions.map(d => <option key={d.id} value={d.id}>{d.label}</option>)}
+                    </select>
+                  </div>
+
+                  <div className="h-72">
+                    <Plot
+                      data={plotData}
+                      layout={{
+                        autosize: true,
+                        barmode: 'group',
+                        margin: { l: 50, r: 50, t: 10, b: 60 },
+                        yaxis: { title: '%', range: [0, 100] },
+                        yaxis2: { title: 'Escapes', overlaying: 'y', side: 'right', rangemode: 'tozero', dtick: 1 },
+                        legend: { orientation: 'h', y: -0.25 },
+                        paper_bgcolor: 'rgba(0,0,0,0)',
+                        plot_bgcolor: 'rgba(0,0,0,0)'
+                      }}
+                      config={{ displayModeBar: false, responsive: true }}
+                      style={{ width: '100%', height: '100%' }}
+                      useResizeHandler
+                    />
+                  </div>
+
+                  <table className="w-full mt-4 text-sm text-gray-600 dark:text-gray-400">
+                    <thead>
+                      <tr className="text-left border-b border-gray-200 dark:border-gray-700">
+                        <th className="py-2">{dimensionLabel}</th>
+                        <th className="py-2">Units</th>
+                        <th className="py-2">Ignited</th>
+                        <th className="py-2">Success</th>
+                        <th className="py-2">Completed</th>
+                        <th className="py-2">Postponed</th>
+                        <th className="py-2">Escapes</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {groups.map(group => (
+                        <tr key={group.key} className="border-b border-gray-100 dark:border-gray-700/50">
+                          <td className="py-2 font-medium text-gray-900 dark:text-white">{group.key}</td>
+                          <td className="py-2">{group.units}</td>
+                          <td className="py-2">{group.ignited}</td>
+                          <td className="py-2">{display(group.successRate, '%')} <span className="text-xs">({group.successful}/{group.decided})</span></td>
+                          <td className="py-2">{display(group.completionRatio, '%')}</td>
+                          <td className="py-2">{group.postponements}</td>
+                          <td className="py-2">{group.escapes}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700">
+                <div className="p-6">
+                  <div className="flex items-center space-x-2 mb-4">
+                    <CloudSun className="h-5 w-5 text-[#8C1515]" />
+                    <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                      Weather at Ignition
+                    </h2>
+                  </div>
+                  {[
+                    { id: 'successful', label: 'Successful burns', color: 'text-green-700 dark:text-green-400' },
+                    { id: 'unsuccessful', label: 'Unsuccessful or escaped', color: 'text-red-700 dark:text-red-400' }
+                  ].map(set => {
+                    const ranges = analytics.weather[set.id];
+                    return (
+                      <div key={set.id} className="mb-4">
+                        <h3 className={`text-sm font-medium ${set.color}`}>{set.label} ({ranges.burns})</h3>
+                        {ranges.burns === 0 ? (
+                          <p className="text-xs text-gray-500">None recorded.</p>
+                        ) : (
+                          <dl className="mt-1 space-y-1 text-xs text-gray-600 dark:text-gray-400">
+                            {WEATHER_ROWS.map(row => (
+                              <div key={row.id} className="flex justify-between space-x-2">
+                                <dt>{row.label}</dt>
+                                <dd className="text-gray-900 dark:text-white">{range(ranges[row.id], row.unit)}</dd>
+                              </div>
+                            ))}
+                          </dl>
+                        )}
+                      </div>
+                    );
+                  })}
+                  <p className="text-xs text-gray-500">
+                    From the first belt weather observation after ignition, or the weather recorded on the unit.
+                  </p>
+                </div>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,300 @@
+"use client";
+
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { CalendarDays, AlertTriangle, XCircle, ListOrdered, Users } from 'lucide-react';
+
+const inputClass = 'border border-gray-300 dark:border-gray-600 rounded-md px-3 py-2 text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const todayIso = () => new Date().toLocaleDateString('en-CA');
+
+const dayLabel = (date) => new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+// Score colors: the best days are darkest
+const scoreClass = (score) => (score >= 80
+  ? 'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300'
+  : score >= 60
+    ? 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-300'
+    : 'bg-orange-100 text-orange-800 dark:bg-orange-900/40 dark:text-orange-300');
+
+export default function BurnSchedulePage() {
+  const [options, setOptions] = useState({ start: todayIso(), days: 14, crewPerDay: 20, minWindowHours: 4 });
+  const [crewByDate, setCrewByDate] = useState({});
+  const [schedule, setSchedule] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    setIsLoading(true);
+    fetch('/api/burn-schedule', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...options, crewByDate }),
+      signal: controller.signal
+    })
+      .then(res => res.json())
+      .then(result => {
+        if (result.success) {
+          setSchedule(result);
+          setError(null);
+        } else {
+          setError(result.details || result.error);
+        }
+        setIsLoading(false);
+      })
+      .catch(err => {
+        if (err.name !== 'AbortError') {
+          setError(err.message);
+          setIsLoading(false);
+        }
+      });
+
+    return () => controller.abort();
+  }, [options, crewByDate]);
+
+  const setOption = (field, value) => setOptions(prev => ({ ...prev, [field]: value }));
+
+  const setDayCrew = (date, value) => setCrewByDate(prev => {
+    const next = { ...prev };
+    if (value === '') delete next[date];
+    else next[date] = Math.max(0, parseInt(value) || 0);
+    return next;
+  });
+
+  // Pad the first week so dates fall under their weekday
+  const leadingBlanks = schedule ? new Date(`${schedule.dates[0]}T12:00:00Z`).getUTCDay() : 0;
+  const summary = schedule?.summary;
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      {/* Header */}
+      <div className="bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700">
+        <div className="max-w-7xl mx-auto px-4 py-6">
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <div className="flex items-center space-x-3">
+              <div className="p-2 bg-[#8C1515] rounded-lg">
+                <CalendarDays className="h-6 w-6 text-white" />
+              </div>
+              <div>
+                <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+                  Burn Schedule
+                </h1>
+                <p className="text-gray-600 dark:text-gray-400">
+                  Proposed burn days across planned units from forecast weather and crew availability
+                </p>
+              </div>
+            </div>
+            <div className="flex flex-wrap items-end gap-2 text-xs text-gray-500">
+              <label className="flex flex-col">
+                Start
+                <input type="date" value={options.start} onChange={(e) => setOption('start', e.target.value || todayIso())} className={inputClass} />
+              </label>
+              <label className="flex flex-col">
+                Days
+                <input type="number" min="1" max="60" value={options.days} onChange={(e) => setOption('days', Math.min(60, Math.max(1, parseInt(e.target.value) || 1)))} className={`${inputClass} w-20`} />
+              </label>
+              <label className="flex flex-col">
+                Crew per day
+                <input type="number" min="0" value={options.crewPerDay} onChange={(e) => setOption('crewPerDay', Math.max(0, parseInt(e.target.value) || 0))} className={`${inputClass} w-24`} />
+              </label>
+              <label className="flex flex-col">
+                Min window (h)
+                <input type="number" min="1" max="24" value={options.minWindowHours} onChange={(e) => setOption('minWindowHours', Math.min(24, Math.max(1, parseInt(e.target.value) || 1)))} className={`${inputClass} w-20`} />
+              </label>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 py-6 space-y-6">
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        {summary && (
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            {[
+              { label: 'Planned units', value: summary.units },
+              { label: 'Scheduled', value: summary.scheduled },
+              { label: 'Excluded', value: summary.excluded },
+              { label: 'Conflicts', value: summary.conflicts },
+              { label: 'Crew-days assigned', value: summary.crewDaysAssigned }
+            ].map(stat => (
+              <div key={stat.label} className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700 p-4">
+                <div className="text-xs text-gray-500">{stat.label}</div>
+                <div className="text-xl font-semibold text-gray-900 dark:text-white">{stat.value}</div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {schedule && (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700">
+            <div className="p-6">
+              <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center space-x-2">
+                  <CalendarDays className="h-5 w-5 text-[#8C1515]" />
+                  <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                    Calendar
+                  </h2>
+                </div>
+                <span className="text-xs text-gray-500">
+                  {isLoading ? 'Updating…' : `Weather from ${schedule.source === 'forecast' ? 'uploaded forecast' : 'weather_data'}; ${schedule.options.operationalHours.start}:00–${schedule.options.operationalHours.end}:00 ${schedule.options.timeZone}`}
+                </span>
+              </div>
+
+              <div className="grid grid-cols-7 gap-2">
+                {WEEKDAYS.map(day => (
+                  <div key={day} className="text-xs font-medium text-center text-gray-500">{day}</div>
+                ))}
+                {Array.from({ length: leadingBlanks }, (_, i) => <div key={`blank-${i}`} />)}
+                {schedule.calendar.map(day => (
+                  <div
+                    key={day.date}
+                    className={`min-h-[7rem] rounded-md border p-2 text-xs ${day.conflicts ? 'border-amber-400 dark:border-amber-600' : 'border-gray-200 dark:border-gray-700'}`}
+                  >
+                    <div className="flex items-center justify-between">
+                      <span className="font-medium text-gray-900 dark:text-white">{dayLabel(day.date)}</span>
+                      {day.conflicts > 0 && <AlertTriangle className="h-3 w-3 text-amber-500" />}
+                    </div>
+                    <div className="flex items-center space-x-1 text-gray-500 mt-1" title="Crew assigned / available (edit to override)">
+                      <Users className="h-3 w-3" />
+                      <span>{day.crewAssigned}/</span>
+                      <input
+                        type="number"
+                        min="0"
+                        value={crewByDate[day.date] ?? ''}
+                        placeholder={String(options.crewPerDay)}
+                        onChange={(e) => setDayCrew(day.date, e.target.value)}
+                        className="w-10 bg-transparent border-b border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 focus:outline-none"
+                      />
+                    </div>
+                    <div className="mt-1 space-y-1">
+                      {day.burns.map(burn => (
+                        <div key={burn.fireDataId} className={`rounded px-1 py-0.5 ${scoreClass(burn.score)}`} title={`Score ${burn.score}; ${burn.windowHours} h window${burn.poorVentilationHours ? `, ${burn.poorVentilationHours} h poor ventilation` : ''}`}>
+                          <div className="font-medium truncate">{burn.rank}. {burn.burnUnit}</div>
+                          <div>{burn.window} · {burn.crewSize} crew</div>
+                        </div>
+                      ))}
+                      {day.burns.length === 0 && day.feasibleUnits === 0 && (
+                        <div className="text-gray-400">No unit in prescription</div>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+
+        {schedule && (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="lg:col-span-2 bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700">
+              <div className="p-6">
+                <div className="flex items-center space-x-2 mb-4">
+                  <ListOrdered className="h-5 w-5 text-[#8C1515]" />
+                  <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                    Scheduled Burns
+                  </h2>
+                </div>
+                {schedule.assignments.length === 0 ? (
+                  <p className="text-sm text-gray-500">No unit could be scheduled in these dates.</p>
+                ) : (
+                  <table className="w-full text-sm text-gray-600 dark:text-gray-400">
+                    <thead>
+                      <tr className="text-left border-b border-gray-200 dark:border-gray-700">
+                        <th className="py-2">Date</th>
+                        <th className="py-2">Unit</th>
+                        <th className="py-2">Window</th>
+                        <th className="py-2">Score</th>
+                        <th className="py-2">Crew</th>
+                        <th className="py-2">Burn boss</th>
+                        <th className="py-2">Alternates</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {schedule.assignments.map(a => (
+                        <tr key={a.fireDataId} className="border-b border-gray-100 dark:border-gray-700/50">
+                          <td className="py-2">{dayLabel(a.date)}</td>
+                          <td className="py-2 font-medium text-gray-900 dark:text-white">
+                            {a.burnUnit}
+                            <span className="ml-1 text-xs text-gray-500">{a.status}</span>
+                          </td>
+                          <td className="py-2">{a.window}</td>
+                          <td className="py-2">
+                            <span className={`px-1.5 py-0.5 rounded text-xs ${scoreClass(a.score)}`}>{a.score}</span>
+                            {!a.firstChoice && <span className="ml-1 text-xs text-amber-600" title="Best day was taken">moved</span>}
+                          </td>
+                          <td className="py-2">{a.crewSize}</td>
+                          <td className="py-2">{a.burnBoss || '—'}</td>
+                          <td className="py-2 text-xs">{a.alternates.map(alt => `${dayLabel(alt.date)} (${alt.score})`).join(', ') || '—'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            </div>
+
+            <div className="space-y-6">
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700">
+                <div className="p-6">
+                  <div className="flex items-center space-x-2 mb-4">
+                    <AlertTriangle className="h-5 w-5 text-[#8C1515]" />
+                    <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                      Conflicts
+                    </h2>
+                  </div>
+                  {schedule.conflicts.length === 0 ? (
+                    <p className="text-sm text-gray-500">No unit lost a day to crew or burn boss limits.</p>
+                  ) : (
+                    <ul className="space-y-2 text-sm">
+                      {schedule.conflicts.map(c => (
+                        <li key={`${c.date}-${c.type}`} className="text-gray-700 dark:text-gray-300">
+                          <span className="font-medium">{dayLabel(c.date)}</span>
+                          <span className="ml-1 text-xs uppercase text-amber-600">{c.type === 'crew' ? 'crew' : 'burn boss'}</span>
+                          <div className="text-xs text-gray-500">{c.message}</div>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              </div>
+
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700">
+                <div className="p-6">
+                  <div className="flex items-center space-x-2 mb-4">
+                    <XCircle className="h-5 w-5 text-[#8C1515]" />
+                    <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                      Excluded Units
+                    </h2>
+                  </div>
+                  {schedule.excluded.length === 0 ? (
+                    <p className="text-sm text-gray-500">Every planned unit was scheduled.</p>
+                  ) : (
+                    <ul className="space-y-2 text-sm">
+                      {schedule.excluded.map(unit => (
+                        <li key={unit.fireDataId} className="text-gray-700 dark:text-gray-300">
+                          <span className="font-medium">{unit.burnUnit}</span>
+                          <span className="ml-1 text-xs text-red-600">{schedule.exclusionReasons[unit.reason]}</span>
+                          <div className="text-xs text-gray-500">{unit.message}</div>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
+        <p className="text-xs text-gray-500">
+          Approved and Ready units are scheduled; Ready units are placed first. Prescriptions and weather windows are edited on the{' '}
+          <Link href="/fire-planning" className="text-[#8C1515] hover:underline">fire planning page</Link>.
+        </p>
+      </div>
+    </div>
+  );
+}
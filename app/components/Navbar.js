@@ -20,6 +20,8 @@ const Navbar = () => {
     { name: 'AI Assistant', href: '/ai-assistant' },
     { name: 'Fire Planning', href: '/fire-planning' },
     { name: 'Risk Assessment', href: '/risk-assessment' },
+    { name: 'Post-Burn', href: '/post-burn' },
+    { name: 'Outcomes', href: '/burn-outcomes' },
     { name: 'Data Explorer', href: '/data-explorer' },
   ]
 
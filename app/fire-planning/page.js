@@ -4,9 +4,22 @@ import { useState, useEffect } from 'react';
 import { 
   Calendar, Cloud, Thermometer, Wind, Droplets, AlertTriangle, 
   CheckCircle, MapPin, Users, Flame, Shield, FileText, TrendingUp, 
-  Clock, Target, Globe, BarChart3 
+  Clock, Target, Globe, BarChart3, Save, Archive, Plus
 } from 'lucide-react';
 import Link from 'next/link';
+import { ECOSYSTEM_FUEL_TYPES } from '../../lib/risk-engine';
+import { PLANNING_CHECKLIST, createChecklist, checklistProgress } from '../../lib/burn-plan-checklist';
+import PrescriptionTimeline from '../../components/PrescriptionTimeline';
+import FuelModelSelect from '../../components/FuelModelSelect';
+import SmokeEmissionsPanel from '../../components/SmokeEmissionsPanel';
+import SmokeScreeningPanel from '../../components/SmokeScreeningPanel';
+import BurnStatusPanel from '../../components/BurnStatusPanel';
+import GoNoGoPanel from '../../components/GoNoGoPanel';
+import BurnObservationLog from '../../components/BurnObservationLog';
+import ContingencyPlanPanel from '../../components/ContingencyPlanPanel';
+import ResourceRequirementsPanel from '../../components/ResourceRequirementsPanel';
+import { suggestFuelModels } from '../../lib/fuel-models';
+import { isPoorVentilation } from '../../lib/fire-weather-indices';
 
 export default function FirePlanningPage() {
   const [selectedLocation, setSelectedLocation] = useState('');
@@ -14,24 +27,53 @@ export default function FirePlanningPage() {
   const [plannedDate, setPlannedDate] = useState('');
   const [acreage, setAcreage] = useState('');
   const [ecosystemType, setEcosystemType] = useState('');
+  const [fuelModel, setFuelModel] = useState('');
+  const [burnDays, setBurnDays] = useState(1);
+
+  // Saved burn plan being edited
+  const [plans, setPlans] = useState([]);
+  const [planId, setPlanId] = useState('');
+  const [planName, setPlanName] = useState('');
+  const [fireDataId, setFireDataId] = useState('');
+  // Bumped after each burn-day observation so contingency alerts re-check
+  const [observationCount, setObservationCount] = useState(0);
+  const [burnUnits, setBurnUnits] = useState([]);
+  const [preparedBy, setPreparedBy] = useState('');
+  const [checklist, setChecklist] = useState(createChecklist);
+  const [saveStatus, setSaveStatus] = useState(null);
   
-  // Weather data simulation
+  // Weather data simulation, replaced by the latest weather_data record when one exists
   const [weatherData, setWeatherData] = useState({
     temperature: 68,
     humidity: 45,
     windSpeed: 8,
     windDirection: 'SW',
     forecast: 'Favorable',
-    hainesIndex: 4
+    hainesIndex: null,
+    fosbergIndex: null,
+    chandlerIndex: null,
+    chandlerCategory: null,
+    mixingHeight: null,
+    transportWindSpeed: null,
+    transportWindDirection: null,
+    ventilationIndex: null,
+    ventilationCategory: null
   });
 
-  // Risk assessment factors
+  // Site and operational inputs for the risk engine
   const [riskFactors, setRiskFactors] = useState({
     fuelMoisture: 12,
-    topography: 'Moderate',
-    infrastructure: 'Low',
-    weather: 'Favorable',
-    season: 'Optimal'
+    slope: 20,
+    infrastructureDistance: 500,
+    weatherStability: 'stable',
+    seasonalTiming: 'optimal'
+  });
+
+  const [riskAssessment, setRiskAssessment] = useState({
+    level: 'Unknown',
+    color: 'gray',
+    recommendation: 'Calculating risk...',
+    factors: []
   });
 
   const ecosystemTypes = [
@@ -53,68 +95,248 @@ export default function FirePlanningPage() {
     'Research/Monitoring'
   ];
 
-  // Risk level calculation
-  const calculateRiskLevel = () => {
-    const factors = [
-      riskFactors.fuelMoisture > 10 ? 1 : 2,
-      riskFactors.topography === 'Low' ? 1 : riskFactors.topography === 'Moderate' ? 2 : 3,
-      riskFactors.infrastructure === 'Low' ? 1 : riskFactors.infrastructure === 'Moderate' ? 2 : 3,
-      weatherData.windSpeed < 10 ? 1 : weatherData.windSpeed < 15 ? 2 : 3,
-      weatherData.humidity > 40 ? 1 : weatherData.humidity > 25 ? 2 : 3
-    ];
-    
-    const avgRisk = factors.reduce((a, b) => a + b, 0) / factors.length;
-    
-    if (avgRisk <= 1.5) return { level: 'Low', color: 'green', recommendation: 'Proceed with standard protocols' };
-    if (avgRisk <= 2.2) return { level: 'Moderate', color: 'yellow', recommendation: 'Implement enhanced safety measures' };
-    return { level: 'High', color: 'red', recommendation: 'Consider postponing or additional resources' };
+  // Score the plan with the shared risk engine
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const calculateRiskLevel = async () => {
+      try {
+        const response = await fetch('/api/risk-assessment', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            inputs: {
+              ...riskFactors,
+              fuelType: ECOSYSTEM_FUEL_TYPES[ecosystemType],
+              temperature: weatherData.temperature,
+              humidity: weatherData.humidity,
+              windSpeed: weatherData.windSpeed
+            }
+          }),
+          signal: controller.signal
+        });
+        const result = await response.json();
+
+        if (result.success) {
+          setRiskAssessment({
+            level: result.assessment.level,
+            color: result.assessment.color,
+            recommendation: result.assessment.recommendations[0],
+            factors: result.assessment.factors
+          });
+        }
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          console.error('Risk assessment request failed:', error);
+        }
+      }
+    };
+
+    calculateRiskLevel();
+    return () => controller.abort();
+  }, [riskFactors, weatherData, ecosystemType]);
+
+  const loadPlans = async () => {
+    try {
+      const response = await fetch('/api/burn-plans');
+      const result = await response.json();
+      if (result.success) setPlans(result.plans);
+    } catch (error) {
+      console.error('Failed to load burn plans:', error);
+    }
   };
 
-  const riskAssessment = calculateRiskLevel();
-
-  // Planning checklist
-  const planningSteps = [
-    { 
-      category: 'Pre-Planning',
-      items: [
-        'Define burn objectives and success criteria',
-        'Conduct site assessment and fuel mapping',
-        'Review historical weather patterns',
-        'Identify water sources and access roads',
-        'Notify adjacent landowners and authorities'
-      ]
-    },
-    {
-      category: 'Prescription Development', 
-      items: [
-        'Set weather parameter windows',
-        'Determine fuel moisture targets',
-        'Plan ignition pattern and timing',
-        'Calculate resource requirements',
-        'Develop contingency plans'
-      ]
-    },
-    {
-      category: 'Safety Planning',
-      items: [
-        'Establish firebreaks and safety zones',
-        'Plan crew positioning and escape routes',
-        'Arrange medical and emergency support',
-        'Test communication systems',
-        'Prepare suppression resources'
-      ]
-    },
-    {
-      category: 'Implementation',
-      items: [
-        'Verify prescription conditions met',
-        'Brief all personnel on objectives and safety',
-        'Monitor weather conditions continuously',
-        'Execute ignition according to plan',
-        'Conduct mop-up and patrol activities'
-      ]
+  useEffect(() => {
+    loadPlans();
+
+    fetch('/api/burn-units')
+      .then(res => res.json())
+      .then(result => {
+        if (result.success) setBurnUnits(result.units);
+      })
+      .catch(error => console.error('Failed to load burn units:', error));
+
+    fetch('/api/fire-weather?source=weather_data&limit=1')
+      .then(res => res.json())
+      .then(result => {
+        const latest = result.success ? result.points[result.points.length - 1] : null;
+        if (!latest) return;
+        setWeatherData(prev => ({
+          ...prev,
+          temperature: latest.temperature ?? prev.temperature,
+          humidity: latest.humidity ?? prev.humidity,
+          windSpeed: latest.windSpeed ?? prev.windSpeed,
+          windDirection: latest.windDirection ?? prev.windDirection,
+          hainesIndex: latest.haines,
+          fosbergIndex: latest.fosberg,
+          chandlerIndex: latest.chandler,
+          chandlerCategory: latest.chandlerCategory,
+          mixingHeight: latest.mixingHeight,
+          transportWindSpeed: latest.transportWindSpeed,
+          transportWindDirection: latest.transportWindDirection,
+          ventilationIndex: latest.ventilation,
+          ventilationCategory: latest.ventilationCategory
+        }));
+      })
+      .catch(error => console.error('Failed to load fire weather:', error));
+  }, []);
+
+  const applyPlan = (plan) => {
+    setPlanId(plan ? String(plan.id) : '');
+    setPlanName(plan?.name || '');
+    setFireDataId(plan?.fire_data_id ? String(plan.fire_data_id) : '');
+    setSelectedLocation(plan?.location_name || '');
+    setBurnObjective(plan?.objective || '');
+    setEcosystemType(plan?.ecosystem_type || '');
+    setFuelModel(plan?.site_conditions?.fuelModel || '');
+    setBurnDays(plan?.site_conditions?.burnDays || 1);
+    setPlannedDate(plan?.planned_date || '');
+    setAcreage(plan?.acres_planned ?? '');
+    setPreparedBy(plan?.prepared_by || preparedBy);
+    setChecklist(plan?.checklist?.length ? plan.checklist : createChecklist());
+    if (plan?.site_conditions && Object.keys(plan.site_conditions).length > 0) {
+      const { fuelModel: _fuelModel, burnDays: _burnDays, ...siteConditions } = plan.site_conditions;
+      setRiskFactors(prev => ({ ...prev, ...siteConditions }));
     }
-  ];
+    setSaveStatus(null);
+  };
+
+  const selectPlan = async (id) => {
+    if (!id) {
+      applyPlan(null);
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/burn-plans?id=${id}`);
+      const result = await response.json();
+      if (result.success) {
+        applyPlan(result.plan);
+      } else {
+        setSaveStatus({ type: 'error', message: result.error });
+      }
+    } catch (error) {
+      setSaveStatus({ type: 'error', message: error.message });
+    }
+  };
+
+  const selectBurnUnit = (id) => {
+    setFireDataId(id);
+
+    const unit = burnUnits.find(u => String(u.id) === id);
+    if (!unit) return;
+
+    if (!planName) setPlanName(unit.burn_unit);
+    setSelectedLocation(unit.location_name ? `${unit.location_name}, ${unit.burn_unit}` : unit.burn_unit);
+    if (unit.acres_planned) setAcreage(unit.acres_planned);
+
+    // Slope from the unit's stored terrain, else computed from a local DEM
+    if (unit.slope_percent !== null && unit.slope_percent !== undefined) {
+      setRiskFactors(prev => ({ ...prev, slope: Math.round(unit.slope_percent) }));
+      return;
+    }
+    fetch(`/api/burn-units/terrain?fireDataId=${id}`)
+      .then(res => res.json())
+      .then(result => {
+        if (result.success && result.terrain.slopePercent) {
+          setRiskFactors(prev => ({ ...prev, slope: Math.round(result.terrain.slopePercent.mean) }));
+        }
+      })
+      .catch(error => console.error('Failed to load unit terrain:', error));
+  };
+
+  const savePlan = async () => {
+    const plan = {
+      name: planName || selectedLocation,
+      fireDataId: fireDataId ? Number(fireDataId) : null,
+      locationName: selectedLocation || null,
+      objective: burnObjective || null,
+      ecosystemType: ecosystemType || null,
+      plannedDate: plannedDate || null,
+      acresPlanned: acreage === '' ? null : Number(acreage),
+      siteConditions: { ...riskFactors, fuelModel: fuelModel || null, burnDays },
+      preparedBy: preparedBy || null
+    };
+
+    if (!plan.name) {
+      setSaveStatus({ type: 'error', message: 'Give the plan a name or location before saving' });
+      return;
+    }
+
+    try {
+      // Checklist progress on a saved plan is stored item by item as it is ticked
+      const response = await fetch(planId ? `/api/burn-plans?id=${planId}` : '/api/burn-plans', {
+        method: planId ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(planId ? plan : { ...plan, checklist })
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        applyPlan(result.plan);
+        setSaveStatus({ type: 'success', message: 'Burn plan saved' });
+        loadPlans();
+      } else {
+        setSaveStatus({ type: 'error', message: result.details || result.error });
+      }
+    } catch (error) {
+      setSaveStatus({ type: 'error', message: error.message });
+    }
+  };
+
+  const archivePlan = async () => {
+    if (!planId || !window.confirm('Archive this burn plan? It will no longer appear in the plan list.')) return;
+
+    try {
+      const response = await fetch(`/api/burn-plans?id=${planId}`, { method: 'DELETE' });
+      const result = await response.json();
+
+      if (result.success) {
+        applyPlan(null);
+        setSaveStatus({ type: 'success', message: 'Burn plan archived' });
+        loadPlans();
+      } else {
+        setSaveStatus({ type: 'error', message: result.details || result.error });
+      }
+    } catch (error) {
+      setSaveStatus({ type: 'error', message: error.message });
+    }
+  };
+
+  const toggleChecklistItem = async (item) => {
+    const done = !item.done;
+
+    if (!planId) {
+      // Unsaved plan: keep progress locally until the plan is created
+      setChecklist(prev => prev.map(i => i.id !== item.id ? i : {
+        ...i,
+        done,
+        completedBy: done ? preparedBy || null : null,
+        completedAt: done ? new Date().toISOString() : null
+      }));
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/burn-plans?id=${planId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ itemId: item.id, done, completedBy: preparedBy || null })
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        setChecklist(result.plan.checklist);
+      } else {
+        setSaveStatus({ type: 'error', message: result.details || result.error });
+      }
+    } catch (error) {
+      setSaveStatus({ type: 'error', message: error.message });
+    }
+  };
+
+  const progress = checklistProgress(checklist);
+  const linkedUnit = burnUnits.find(u => String(u.id) === fireDataId);
 
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
@@ -143,6 +365,115 @@ export default function FirePlanningPage() {
           {/* Main Planning Form */}
           <div className="lg:col-span-2 space-y-6">
             
+            {/* Burn Plan */}
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700">
+              <div className="p-6">
+                <div className="flex items-center justify-between mb-4">
+                  <div className="flex items-center space-x-2">
+                    <Save className="h-5 w-5 text-[#8C1515]" />
+                    <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                      Burn Plan
+                    </h2>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <button
+                      onClick={() => applyPlan(null)}
+                      className="flex items-center space-x-1 px-3 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+                    >
+                      <Plus className="h-4 w-4" />
+                      <span>New</span>
+                    </button>
+                    {planId && (
+                      <button
+                        onClick={archivePlan}
+                        className="flex items-center space-x-1 px-3 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+                      >
+                        <Archive className="h-4 w-4" />
+                        <span>Archive</span>
+                      </button>
+                    )}
+                    <button
+                      onClick={savePlan}
+                      className="flex items-center space-x-1 px-3 py-1 text-sm bg-[#8C1515] hover:bg-[#B83A4B] text-white rounded-md transition-colors"
+                    >
+                      <Save className="h-4 w-4" />
+                      <span>Save</span>
+                    </button>
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Saved Plans
+                    </label>
+                    <select
+                      value={planId}
+                      onChange={(e) => selectPlan(e.target.value)}
+                      className="w-full border border-gray-300 dark:border-gray-600 rounded-md px-3 py-2 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                    >
+                      <option value="">New plan</option>
+                      {plans.map(plan => (
+                        <option key={plan.id} value={plan.id}>
+                          {plan.name}{plan.planned_date ? ` (${plan.planned_date})` : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Plan Name
+                    </label>
+                    <input
+                      type="text"
+                      value={planName}
+                      onChange={(e) => setPlanName(e.target.value)}
+                      placeholder="e.g., Unit 5A Spring Burn"
+                      className="w-full border border-gray-300 dark:border-gray-600 rounded-md px-3 py-2 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Burn Unit
+                    </label>
+                    <select
+                      value={fireDataId}
+                      onChange={(e) => selectBurnUnit(e.target.value)}
+                      className="w-full border border-gray-300 dark:border-gray-600 rounded-md px-3 py-2 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                    >
+                      <option value="">Not linked</option>
+                      {burnUnits.map(unit => (
+                        <option key={unit.id} value={unit.id}>
+                          {unit.burn_unit}{unit.location_name ? ` - ${unit.location_name}` : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Your Name
+                    </label>
+                    <input
+                      type="text"
+                      value={preparedBy}
+                      onChange={(e) => setPreparedBy(e.target.value)}
+                      placeholder="Recorded on checklist items you complete"
+                      className="w-full border border-gray-300 dark:border-gray-600 rounded-md px-3 py-2 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                    />
+                  </div>
+                </div>
+
+                {saveStatus && (
+                  <p className={`mt-3 text-sm ${saveStatus.type === 'success' ? 'text-green-600' : 'text-red-600'}`}>
+                    {saveStatus.message}
+                  </p>
+                )}
+              </div>
+            </div>
+
             {/* Project Details */}
             <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700">
               <div className="p-6">
@@ -195,6 +526,18 @@ export default function FirePlanningPage() {
                       ))}
                     </select>
                   </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Fuel Model
+                    </label>
+                    <FuelModelSelect
+                      value={fuelModel}
+                      onChange={setFuelModel}
+                      suggested={suggestFuelModels({ ecosystemType })}
+                      className="w-full border border-gray-300 dark:border-gray-600 rounded-md px-3 py-2 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                    />
+                  </div>
                   
                   <div>
                     <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
@@ -212,7 +555,7 @@ export default function FirePlanningPage() {
                     </select>
                   </div>
                   
-                  <div className="md:col-span-2">
+                  <div>
                     <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
                       Target Burn Date
                     </label>
@@ -266,40 +609,126 @@ export default function FirePlanningPage() {
                 <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
                   <div>
                     <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Haines Index:</span>
-                    <span className="ml-2 text-lg font-semibold text-gray-900 dark:text-white">{weatherData.hainesIndex}</span>
+                    <span className="ml-2 text-lg font-semibold text-gray-900 dark:text-white">{weatherData.hainesIndex ?? '—'}</span>
+                  </div>
+                  <div>
+                    <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Fosberg FFWI:</span>
+                    <span className="ml-2 text-lg font-semibold text-gray-900 dark:text-white">{weatherData.fosbergIndex ?? '—'}</span>
+                  </div>
+                  <div>
+                    <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Chandler Burning Index:</span>
+                    <span className="ml-2 text-lg font-semibold text-gray-900 dark:text-white">
+                      {weatherData.chandlerIndex ?? '—'}
+                      {weatherData.chandlerCategory && ` (${weatherData.chandlerCategory})`}
+                    </span>
                   </div>
                   <div>
                     <span className="text-sm font-medium text-gray-700 dark:text-gray-300">24hr Forecast:</span>
                     <span className="ml-2 text-lg font-semibold text-green-600">{weatherData.forecast}</span>
                   </div>
                 </div>
+
+                <div className={`mt-4 p-4 rounded-lg ${isPoorVentilation(weatherData.ventilationCategory) ? 'bg-red-50 dark:bg-red-900/20' : 'bg-gray-50 dark:bg-gray-900/40'}`}>
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div>
+                      <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Mixing Height:</span>
+                      <span className="ml-2 text-lg font-semibold text-gray-900 dark:text-white">
+                        {weatherData.mixingHeight != null ? `${Math.round(weatherData.mixingHeight).toLocaleString()} ft` : '—'}
+                      </span>
+                    </div>
+                    <div>
+                      <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Transport Wind:</span>
+                      <span className="ml-2 text-lg font-semibold text-gray-900 dark:text-white">
+                        {weatherData.transportWindSpeed != null ? `${weatherData.transportWindSpeed} mph ${weatherData.transportWindDirection || ''}` : '—'}
+                      </span>
+                    </div>
+                    <div>
+                      <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Ventilation Index:</span>
+                      <span className={`ml-2 text-lg font-semibold ${isPoorVentilation(weatherData.ventilationCategory) ? 'text-red-600' : 'text-gray-900 dark:text-white'}`}>
+                        {weatherData.ventilationIndex != null ? `${weatherData.ventilationIndex.toLocaleString()} kt-ft` : '—'}
+                        {weatherData.ventilationCategory && ` (${weatherData.ventilationCategory})`}
+                      </span>
+                    </div>
+                  </div>
+                  {isPoorVentilation(weatherData.ventilationCategory) && (
+                    <p className="mt-2 text-sm text-red-600">
+                      Poor ventilation: smoke is likely to stay near the surface. Check the smoke management plan before ignition.
+                    </p>
+                  )}
+                  {weatherData.ventilationIndex == null && (
+                    <p className="mt-2 text-xs text-gray-500">No mixing height or transport wind in the latest weather record.</p>
+                  )}
+                </div>
               </div>
             </div>
 
+            {/* Prescription Window */}
+            <PrescriptionTimeline fireDataId={fireDataId} />
+
+            {/* Burn-Day Observations */}
+            <BurnObservationLog
+              fireDataId={fireDataId}
+              elevation={linkedUnit?.elevation ?? null}
+              observer={preparedBy}
+              onRecorded={() => setObservationCount(count => count + 1)}
+            />
+
+            {/* Contingency Plan */}
+            <ContingencyPlanPanel
+              fireDataId={fireDataId}
+              userName={preparedBy}
+              refreshKey={observationCount}
+            />
+
+            {/* Resource Requirements */}
+            <ResourceRequirementsPanel
+              planId={planId}
+              fireDataId={fireDataId}
+              acreage={acreage}
+              fuelModel={fuelModel}
+              windSpeed={weatherData.windSpeed}
+              fuelMoisture={riskFactors.fuelMoisture}
+              slope={riskFactors.slope}
+            />
+
             {/* Planning Checklist */}
             <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700">
               <div className="p-6">
-                <div className="flex items-center space-x-2 mb-4">
-                  <CheckCircle className="h-5 w-5 text-[#8C1515]" />
-                  <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
-                    Planning Checklist
-                  </h2>
+                <div className="flex items-center justify-between mb-4">
+                  <div className="flex items-center space-x-2">
+                    <CheckCircle className="h-5 w-5 text-[#8C1515]" />
+                    <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                      Planning Checklist
+                    </h2>
+                  </div>
+                  <span className="text-sm text-gray-500">
+                    {progress.done}/{progress.total} complete
+                  </span>
                 </div>
                 
                 <div className="space-y-6">
-                  {planningSteps.map((step, idx) => (
-                    <div key={idx}>
+                  {PLANNING_CHECKLIST.map(({ category }) => (
+                    <div key={category}>
                       <h3 className="font-medium text-gray-900 dark:text-white mb-3">
-                        {step.category}
+                        {category}
                       </h3>
                       <div className="space-y-2">
-                        {step.items.map((item, itemIdx) => (
-                          <div key={itemIdx} className="flex items-center space-x-2">
+                        {checklist.filter(item => item.category === category).map(item => (
+                          <div key={item.id} className="flex items-start space-x-2">
                             <input
                               type="checkbox"
-                              className="h-4 w-4 text-[#8C1515] rounded focus:ring-[#8C1515]"
+                              checked={item.done}
+                              onChange={() => toggleChecklistItem(item)}
+                              className="mt-0.5 h-4 w-4 text-[#8C1515] rounded focus:ring-[#8C1515]"
                             />
-                            <span className="text-sm text-gray-700 dark:text-gray-300">{item}</span>
+                            <div>
+                              <span className="text-sm text-gray-700 dark:text-gray-300">{item.label}</span>
+                              {item.done && item.completedAt && (
+                                <p className="text-xs text-gray-500">
+                                  Done{item.completedBy ? ` by ${item.completedBy}` : ''} {new Date(item.completedAt).toLocaleString()}
+                                </p>
+                              )}
+                            </div>
                           </div>
                         ))}
                       </div>
@@ -313,6 +742,12 @@ export default function FirePlanningPage() {
           {/* Sidebar */}
           <div className="space-y-6">
             
+            {/* Burn Status */}
+            <BurnStatusPanel fireDataId={fireDataId} changedBy={preparedBy} />
+
+            {/* Go/No-Go */}
+            <GoNoGoPanel key={planId} planId={planId} signerName={preparedBy} />
+
             {/* Risk Assessment */}
             <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700">
               <div className="p-6">
@@ -326,17 +761,23 @@ export default function FirePlanningPage() {
                 <div className={`p-4 rounded-lg mb-4 ${
                   riskAssessment.color === 'green' ? 'bg-green-50 dark:bg-green-900/20' :
                   riskAssessment.color === 'yellow' ? 'bg-yellow-50 dark:bg-yellow-900/20' :
+                  riskAssessment.color === 'orange' ? 'bg-orange-50 dark:bg-orange-900/20' :
+                  riskAssessment.color === 'gray' ? 'bg-gray-50 dark:bg-gray-900/20' :
                   'bg-red-50 dark:bg-red-900/20'
                 }`}>
                   <div className="flex items-center space-x-2 mb-2">
                     <AlertTriangle className={`h-5 w-5 ${
                       riskAssessment.color === 'green' ? 'text-green-600' :
                       riskAssessment.color === 'yellow' ? 'text-yellow-600' :
+                      riskAssessment.color === 'orange' ? 'text-orange-600' :
+                      riskAssessment.color === 'gray' ? 'text-gray-600' :
                       'text-red-600'
                     }`} />
                     <span className={`font-semibold ${
                       riskAssessment.color === 'green' ? 'text-green-800 dark:text-green-200' :
                       riskAssessment.color === 'yellow' ? 'text-yellow-800 dark:text-yellow-200' :
+                      riskAssessment.color === 'orange' ? 'text-orange-800 dark:text-orange-200' :
+                      riskAssessment.color === 'gray' ? 'text-gray-800 dark:text-gray-200' :
                       'text-red-800 dark:text-red-200'
                     }`}>
                       {riskAssessment.level} Risk
@@ -345,6 +786,8 @@ export default function FirePlanningPage() {
                   <p className={`text-sm ${
                     riskAssessment.color === 'green' ? 'text-green-700 dark:text-green-300' :
                     riskAssessment.color === 'yellow' ? 'text-yellow-700 dark:text-yellow-300' :
+                    riskAssessment.color === 'orange' ? 'text-orange-700 dark:text-orange-300' :
+                    riskAssessment.color === 'gray' ? 'text-gray-700 dark:text-gray-300' :
                     'text-red-700 dark:text-red-300'
                   }`}>
                     {riskAssessment.recommendation}
@@ -352,22 +795,35 @@ export default function FirePlanningPage() {
                 </div>
                 
                 <div className="space-y-3">
-                  <div className="flex justify-between">
-                    <span className="text-sm text-gray-600 dark:text-gray-400">Fuel Moisture</span>
-                    <span className="font-medium">{riskFactors.fuelMoisture}%</span>
-                  </div>
-                  <div className="flex justify-between">
-                    <span className="text-sm text-gray-600 dark:text-gray-400">Topography</span>
-                    <span className="font-medium">{riskFactors.topography}</span>
-                  </div>
-                  <div className="flex justify-between">
-                    <span className="text-sm text-gray-600 dark:text-gray-400">Infrastructure Risk</span>
-                    <span className="font-medium">{riskFactors.infrastructure}</span>
-                  </div>
+                  {riskAssessment.factors.filter(factor => factor.assessed).map(factor => (
+                    <div key={factor.id} className="flex justify-between">
+                      <span className="text-sm text-gray-600 dark:text-gray-400">
+                        {factor.label}: {factor.value}{factor.unit && ` ${factor.unit}`}
+                      </span>
+                      <span className="font-medium">
+                        {factor.points > 0 ? `+${factor.points}` : factor.points}
+                      </span>
+                    </div>
+                  ))}
                 </div>
               </div>
             </div>
 
+            {/* Smoke Emissions */}
+            <SmokeEmissionsPanel
+              fuelModel={fuelModel}
+              acresPlanned={acreage}
+              acresCompleted={linkedUnit?.acres_completed ?? null}
+              burnDays={burnDays}
+              onBurnDaysChange={setBurnDays}
+            />
+
+            {/* Downwind Receptors */}
+            <SmokeScreeningPanel
+              fireDataId={fireDataId}
+              windDirection={weatherData.windDirection}
+            />
+
             {/* Quick Actions */}
             <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700">
               <div className="p-6">
@@ -381,6 +837,13 @@ export default function FirePlanningPage() {
                       <span>Ask AI Assistant</span>
                     </button>
                   </Link>
+
+                  <Link href="/burn-schedule" className="w-full">
+                    <button className="w-full flex items-center space-x-2 p-3 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg transition-colors">
+                      <Calendar className="h-4 w-4" />
+                      <span>Season Burn Schedule</span>
+                    </button>
+                  </Link>
                   
                   <button className="w-full flex items-center space-x-2 p-3 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg transition-colors">
                     <Globe className="h-4 w-4" />
@@ -392,10 +855,33 @@ export default function FirePlanningPage() {
                     <span>Historical Data</span>
                   </button>
                   
-                  <button className="w-full flex items-center space-x-2 p-3 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg transition-colors">
-                    <FileText className="h-4 w-4" />
-                    <span>Generate Report</span>
-                  </button>
+                  {planId ? (
+                    <div className="grid grid-cols-2 gap-2">
+                      <a
+                        href={`/api/burn-plans/export?id=${planId}&format=pdf`}
+                        className="flex items-center space-x-2 p-3 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg transition-colors"
+                      >
+                        <FileText className="h-4 w-4" />
+                        <span>Export PDF</span>
+                      </a>
+                      <a
+                        href={`/api/burn-plans/export?id=${planId}&format=md`}
+                        className="flex items-center space-x-2 p-3 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg transition-colors"
+                      >
+                        <FileText className="h-4 w-4" />
+                        <span>Export Markdown</span>
+                      </a>
+                    </div>
+                  ) : (
+                    <button
+                      disabled
+                      title="Save the burn plan to export it"
+                      className="w-full flex items-center space-x-2 p-3 border border-gray-300 dark:border-gray-600 text-gray-400 rounded-lg cursor-not-allowed"
+                    >
+                      <FileText className="h-4 w-4" />
+                      <span>Generate Report</span>
+                    </button>
+                  )}
                 </div>
               </div>
             </div>
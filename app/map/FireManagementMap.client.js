@@ -2,7 +2,10 @@
 import { useState, useEffect } from 'react';
 import dynamic from 'next/dynamic';
 import Loading from '../components/Loading';
+import SmokePlumePanel from '../../components/SmokePlumePanel';
+import UnitBoundaryPanel from '../../components/UnitBoundaryPanel';
 import { getColorForValue, getMetricInfo } from '../../lib/mapDataUtils';
+import { BURN_STATUSES } from '../../lib/burn-status';
 
 // Client-side only wrapper for the Leaflet-based fire management map
 const FireManagementMap = dynamic(
@@ -17,10 +20,23 @@ const FireManagementMap = dynamic(
   }
 );
 
+// PM2.5 bands used by getColorForValue(value, 'pm25')
+const PLUME_LEGEND = [
+  ['#00E400', '≤12'],
+  ['#FFFF00', '12-35'],
+  ['#FF7E00', '35-55'],
+  ['#FF0000', '55-150'],
+  ['#99004C', '150-250'],
+  ['#7E0023', '>250']
+];
+
 export default function FireManagementMapClient(props) {
   // Add pre-processing to ensure all data has the right format before passing to map
   const [processedData, setProcessedData] = useState([]);
   const [selectedMetric, setSelectedMetric] = useState('status');
+  const [plumeResult, setPlumeResult] = useState(null);
+  const [isDrawing, setIsDrawing] = useState(false);
+  const [draftBoundary, setDraftBoundary] = useState([]);
   
   useEffect(() => {
     if (props.data && props.data.length > 0) {
@@ -37,6 +53,16 @@ export default function FireManagementMapClient(props) {
     }
   }, [props.data]);
 
+  // Show a saved or removed boundary without reloading the page
+  const applyBoundary = (fireDataId, { boundary, metrics }) => {
+    setProcessedData(prev => prev.map(point => (point.fireDataId === fireDataId ? {
+      ...point,
+      boundary,
+      boundaryAcres: metrics?.acres ?? null,
+      boundaryPerimeterFt: metrics?.perimeterFt ?? null
+    } : point)));
+  };
+
   // Available metrics for fire management
   const availableMetrics = [
     { key: 'status', label: 'Burn Status' },
@@ -55,7 +81,11 @@ export default function FireManagementMapClient(props) {
     data: processedData,
     selectedMetric,
     getColorForValue,
-    getMetricInfo
+    getMetricInfo,
+    plume: plumeResult?.plume || null,
+    plumeSensors: plumeResult?.sensors || [],
+    draftBoundary: isDrawing ? draftBoundary : null,
+    onAddBoundaryPoint: isDrawing ? (point) => setDraftBoundary(prev => [...prev, point]) : null
   };
 
   return (
@@ -81,6 +111,19 @@ export default function FireManagementMapClient(props) {
         </p>
       </div>
 
+      {/* Smoke Plume */}
+      <SmokePlumePanel units={processedData.filter(point => !point._isLegacy)} onResult={setPlumeResult} />
+
+      {/* Unit Boundary */}
+      <UnitBoundaryPanel
+        units={processedData.filter(point => !point._isLegacy && point.fireDataId)}
+        draftPoints={draftBoundary}
+        isDrawing={isDrawing}
+        onDrawingChange={setIsDrawing}
+        onDraftChange={setDraftBoundary}
+        onSaved={applyBoundary}
+      />
+
       {/* Map */}
       <FireManagementMap {...enhancedProps} />
       
@@ -90,26 +133,12 @@ export default function FireManagementMapClient(props) {
           {getMetricInfo(selectedMetric).name} Legend
         </h3>
         <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-xs">
-          {selectedMetric === 'status' && (
-            <>
-              <div className="flex items-center">
-                <div className="w-3 h-3 rounded-full bg-[#2563EB] mr-2"></div>
-                <span>Planned</span>
-              </div>
-              <div className="flex items-center">
-                <div className="w-3 h-3 rounded-full bg-[#F59E0B] mr-2"></div>
-                <span>In Progress</span>
-              </div>
-              <div className="flex items-center">
-                <div className="w-3 h-3 rounded-full bg-[#059669] mr-2"></div>
-                <span>Completed</span>
-              </div>
-              <div className="flex items-center">
-                <div className="w-3 h-3 rounded-full bg-[#7C3AED] mr-2"></div>
-                <span>Monitoring</span>
-              </div>
-            </>
-          )}
+          {selectedMetric === 'status' && BURN_STATUSES.map(status => (
+            <div key={status.id} className="flex items-center">
+              <div className="w-3 h-3 rounded-full mr-2" style={{ backgroundColor: status.color }}></div>
+              <span>{status.id}</span>
+            </div>
+          ))}
           {selectedMetric === 'riskLevel' && (
             <>
               <div className="flex items-center">
@@ -150,7 +179,49 @@ export default function FireManagementMapClient(props) {
               </div>
             </>
           )}
+          {selectedMetric === 'fuelMoisture' && (
+            <>
+              <div className="flex items-center">
+                <div className="w-3 h-3 rounded-full bg-[#DC2626] mr-2"></div>
+                <span>&le;8% (Very Dry)</span>
+              </div>
+              <div className="flex items-center">
+                <div className="w-3 h-3 rounded-full bg-[#F59E0B] mr-2"></div>
+                <span>9-12% (Dry)</span>
+              </div>
+              <div className="flex items-center">
+                <div className="w-3 h-3 rounded-full bg-[#FBBF24] mr-2"></div>
+                <span>13-16% (Moderate)</span>
+              </div>
+              <div className="flex items-center">
+                <div className="w-3 h-3 rounded-full bg-[#059669] mr-2"></div>
+                <span>17-20% (Moist)</span>
+              </div>
+              <div className="flex items-center">
+                <div className="w-3 h-3 rounded-full bg-[#2563EB] mr-2"></div>
+                <span>&gt;20% (Very Moist)</span>
+              </div>
+            </>
+          )}
         </div>
+        {plumeResult && (
+          <div className="mt-3 pt-3 border-t border-gray-200 dark:border-gray-700">
+            <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Smoke Plume PM2.5 (µg/m³)
+            </h3>
+            <div className="grid grid-cols-2 md:grid-cols-6 gap-2 text-xs">
+              {PLUME_LEGEND.map(([color, label]) => (
+                <div key={label} className="flex items-center">
+                  <div className="w-3 h-3 rounded-full mr-2" style={{ backgroundColor: color }}></div>
+                  <span>{label}</span>
+                </div>
+              ))}
+            </div>
+            <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+              Outlined circles are sensors, colored by observed smoke PM2.5 above background.
+            </p>
+          </div>
+        )}
       </div>
     </div>
   );
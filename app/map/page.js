@@ -3,6 +3,9 @@ import { ChevronRight, AlertTriangle, UploadCloud, Info, MapPin } from 'lucide-r
 import { Error } from '../components/Error';
 import { supabase } from '../../lib/supabase';
 import { normalizeFireData, normalizeSensorData } from '../../lib/mapDataUtils';
+import { withEstimatedFuelMoisture } from '../../lib/fuel-moisture';
+import { estimateRowsByNode } from '../../lib/dead-fuel-moisture';
+import { BURN_STATUSES } from '../../lib/burn-status';
 import FireManagementMapClient from './FireManagementMap.client';
 
 export default async function MapPage({ searchParams }) {
@@ -24,7 +27,8 @@ export default async function MapPage({ searchParams }) {
         id, datetime, burn_unit, location_name, burn_type, status,
         acres_planned, acres_completed, temperature, humidity,
         wind_speed, wind_direction, fuel_moisture, latitude, longitude, 
-        elevation, crew_size, burn_boss, objectives, risk_level
+        elevation, crew_size, burn_boss, objectives, risk_level,
+        boundary, boundary_acres, boundary_perimeter_ft
       `)
       .order('datetime', { ascending: false })
       .limit(1000);
@@ -38,8 +42,16 @@ export default async function MapPage({ searchParams }) {
     if (fireRows && fireRows.length > 0) {
       console.log(`Fetched ${fireRows.length} rows from fire_data`);
       
+      // Derive dead fuel moisture from nearby sensor temperature and humidity
+      let rows = fireRows;
+      try {
+        rows = await withEstimatedFuelMoisture(fireRows);
+      } catch (e) {
+        console.error('Error estimating fuel moisture:', e);
+      }
+
       // Apply normalization and validation to ensure all data points are usable
-      data = normalizeFireData(fireRows);
+      data = normalizeFireData(rows);
       console.log(`Processed ${data.length} valid fire management points for map`);
     }
   } catch (e) {
@@ -59,6 +71,7 @@ export default async function MapPage({ searchParams }) {
       if (legError) throw legError;
       
       // Convert air quality data to fire management format for demonstration
+      const fuelMoisture = estimateRowsByNode(legacyRows || [], { temperatureUnit: 'C' });
       data = (legacyRows || []).map((item, index) => ({
         latitude: Number(item.latitude) || 0,
         longitude: Number(item.longitude) || 0,
@@ -70,6 +83,10 @@ export default async function MapPage({ searchParams }) {
         riskLevel: 'Unknown',
         temperature: item.temperature,
         humidity: item.relativeHumidity,
+        fuelMoisture: fuelMoisture[index]?.oneHour ?? null,
+        fuelMoisture10hr: fuelMoisture[index]?.tenHour ?? null,
+        fuelMoistureSource: fuelMoisture[index] ? 'sensor' : null,
+        fuelMoistureSensor: item.from_node || null,
         datetime: item.timestamp || item.datetime,
         _isLegacy: true
       }));
@@ -149,37 +166,24 @@ export default async function MapPage({ searchParams }) {
         <div className="mt-4">
           <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-200 mb-2">Fire Management Metrics:</h3>
           <ul className="list-disc pl-5 space-y-2">
-            <li><strong>Burn Status</strong>: Current operational status (Planned, In Progress, Completed, Monitoring)</li>
+            <li><strong>Burn Status</strong>: Lifecycle status from Draft through Approved, Ready, Ignition, Holding, Mop-up, Patrol and Monitoring to Completed, or Cancelled / Escaped</li>
             <li><strong>Risk Level</strong>: Safety assessment based on weather, fuel conditions, and terrain</li>
             <li><strong>Acres Planned/Completed</strong>: Target area and progress of prescribed fire operations</li>
             <li><strong>Weather Conditions</strong>: Temperature, humidity, wind speed and direction for burn safety</li>
-            <li><strong>Fuel Moisture</strong>: Vegetation moisture content affecting fire behavior and safety</li>
+            <li><strong>Fuel Moisture</strong>: 1-hr and 10-hr dead fuel moisture estimated from temperature and humidity at the nearest sensor (NWCG tables), falling back to the unit weather or hand-entered values</li>
             <li><strong>Crew Information</strong>: Team size and burn boss for each operation</li>
+            <li><strong>Unit Boundaries</strong>: Burn unit polygons, imported as GeoJSON or drawn on the map and colored by status, with mapped acreage and perimeter (holding line length)</li>
           </ul>
         </div>
         <div className="mt-4">
           <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-200 mb-2">Status Color Legend:</h3>
           <ul className="grid grid-cols-1 md:grid-cols-2 gap-2">
-            <li className="flex items-center">
-              <div className="w-4 h-4 rounded-full bg-[#2563EB] mr-2"></div>
-              <span>Planned: Burn operation scheduled and approved</span>
-            </li>
-            <li className="flex items-center">
-              <div className="w-4 h-4 rounded-full bg-[#F59E0B] mr-2"></div>
-              <span>In Progress: Active burn operation underway</span>
-            </li>
-            <li className="flex items-center">
-              <div className="w-4 h-4 rounded-full bg-[#059669] mr-2"></div>
-              <span>Completed: Burn operation successfully finished</span>
-            </li>
-            <li className="flex items-center">
-              <div className="w-4 h-4 rounded-full bg-[#7C3AED] mr-2"></div>
-              <span>Monitoring: Post-burn monitoring and assessment</span>
-            </li>
-            <li className="flex items-center">
-              <div className="w-4 h-4 rounded-full bg-[#DC2626] mr-2"></div>
-              <span>Cancelled: Operation cancelled due to conditions</span>
-            </li>
+            {BURN_STATUSES.map(status => (
+              <li key={status.id} className="flex items-center">
+                <div className="w-4 h-4 rounded-full mr-2" style={{ backgroundColor: status.color }}></div>
+                <span>{status.id}: {status.description}</span>
+              </li>
+            ))}
             <li className="flex items-center">
               <div className="w-4 h-4 rounded-full bg-[#6B7280] mr-2"></div>
               <span>Unknown: Status information not available</span>
@@ -0,0 +1,137 @@
+"use client";
+
+import { useState, useEffect } from 'react';
+import { Flame, History } from 'lucide-react';
+import PostBurnEvaluationForm from '../../components/PostBurnEvaluationForm';
+import PostBurnAnalytics from '../../components/PostBurnAnalytics';
+import { EVALUATION_OUTCOMES, objectivesSummary } from '../../lib/post-burn-evaluation';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+export default function PostBurnPage() {
+  const [burnUnits, setBurnUnits] = useState([]);
+  const [fireDataId, setFireDataId] = useState('');
+  const [evaluations, setEvaluations] = useState([]);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    fetch('/api/burn-units')
+      .then(res => res.json())
+      .then(result => {
+        if (result.success) setBurnUnits(result.units);
+      })
+      .catch(error => console.error('Failed to load burn units:', error));
+  }, [refreshKey]);
+
+  useEffect(() => {
+    if (!fireDataId) {
+      setEvaluations([]);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+
+    fetch(`/api/burn-evaluations?fireDataId=${fireDataId}`, { signal: controller.signal })
+      .then(res => res.json())
+      .then(result => {
+        if (result.success) setEvaluations(result.evaluations);
+      })
+      .catch(error => {
+        if (error.name !== 'AbortError') console.error('Failed to load evaluations:', error);
+      });
+
+    return () => controller.abort();
+  }, [fireDataId, refreshKey]);
+
+  const unit = burnUnits.find(u => String(u.id) === fireDataId) || null;
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      {/* Header */}
+      <div className="bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700">
+        <div className="max-w-7xl mx-auto px-4 py-6">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-3">
+              <div className="p-2 bg-[#8C1515] rounded-lg">
+                <Flame className="h-6 w-6 text-white" />
+              </div>
+              <div>
+                <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+                  Post-Burn Evaluation
+                </h1>
+                <p className="text-gray-600 dark:text-gray-400">
+                  Record burn outcomes and effects, and track success across past burns
+                </p>
+              </div>
+            </div>
+            <select
+              value={fireDataId}
+              onChange={(e) => setFireDataId(e.target.value)}
+              className="border border-gray-300 dark:border-gray-600 rounded-md px-3 py-2 text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            >
+              <option value="">Select burn unit</option>
+              {burnUnits.map(u => (
+                <option key={u.id} value={u.id}>{u.burn_unit || `Unit ${u.id}`}{u.status ? ` (${u.status})` : ''}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 py-6">
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-2">
+            <PostBurnEvaluationForm unit={unit} onSaved={() => setRefreshKey(key => key + 1)} />
+          </div>
+
+          <div className="space-y-6">
+            {unit && (
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700">
+                <div className="p-6">
+                  <div className="flex items-center space-x-2 mb-4">
+                    <History className="h-5 w-5 text-[#8C1515]" />
+                    <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                      {unit.burn_unit} Evaluations
+                    </h2>
+                  </div>
+                  <p className="text-xs text-gray-500 mb-3">
+                    {unit.acres_completed ?? 0} of {unit.acres_planned ?? '—'} acres completed
+                  </p>
+                  {evaluations.length === 0 ? (
+                    <p className="text-sm text-gray-500">No evaluations recorded for this unit.</p>
+                  ) : (
+                    <ul className="space-y-2 text-sm">
+                      {evaluations.map(evaluation => {
+                        const outcome = EVALUATION_OUTCOMES.find(o => o.id === evaluation.outcome);
+                        const { met, total } = objectivesSummary(evaluation.objectives);
+                        return (
+                          <li key={evaluation.id} className="border-b border-gray-100 dark:border-gray-700 pb-2">
+                            <div className="flex items-center justify-between">
+                              <span className="text-gray-900 dark:text-white">{formatDate(evaluation.burn_date || evaluation.evaluated_at)}</span>
+                              {outcome && (
+                                <span className="px-2 py-0.5 text-xs text-white rounded-full" style={{ backgroundColor: outcome.color }}>
+                                  {outcome.label}
+                                </span>
+                              )}
+                            </div>
+                            <div className="text-xs text-gray-600 dark:text-gray-400">
+                              {evaluation.evaluator} · {met}/{total} objectives · {evaluation.percent_burned ?? '—'}% burned
+                              {evaluation.scorch_height_avg != null && ` · ${evaluation.scorch_height_avg} ft scorch`}
+                              {evaluation.photos?.length > 0 && ` · ${evaluation.photos.length} photos`}
+                            </div>
+                          </li>
+                        );
+                      })}
+                    </ul>
+                  )}
+                </div>
+              </div>
+            )}
+
+            <PostBurnAnalytics refreshKey={refreshKey} />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
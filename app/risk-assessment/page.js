@@ -6,12 +6,20 @@ import {
   Wind, Droplets, Calendar, FileText, BarChart3, Target, CheckCircle,
   XCircle, AlertCircle, Info, Flame, Users, Clock, Zap
 } from 'lucide-react';
+import Link from 'next/link';
+import { DEFAULT_RISK_RULES, getRiskColor as getRiskLevelColor } from '../../lib/risk-engine';
+import RiskAssessmentHistory from '../../components/RiskAssessmentHistory';
+import FireBehaviorPanel from '../../components/FireBehaviorPanel';
+import EscapeRiskPanel from '../../components/EscapeRiskPanel';
+import FuelModelSelect from '../../components/FuelModelSelect';
+import { suggestFuelModels } from '../../lib/fuel-models';
 
 export default function RiskAssessmentPage() {
   const [assessmentData, setAssessmentData] = useState({
     location: '',
     date: '',
     fuelType: '',
+    fuelModel: '',
     fuelMoisture: 15,
     slope: 10,
     windSpeed: 8,
@@ -25,151 +33,174 @@ export default function RiskAssessmentPage() {
 
   const [riskScore, setRiskScore] = useState(0);
   const [riskLevel, setRiskLevel] = useState('Low');
+  const [maxScore, setMaxScore] = useState(12);
+  const [riskFactors, setRiskFactors] = useState([]);
   const [recommendations, setRecommendations] = useState([]);
 
-  // Fuel types with different risk profiles
-  const fuelTypes = [
-    { value: 'grass', label: 'Grassland', baseRisk: 1 },
-    { value: 'brush', label: 'Brush/Chaparral', baseRisk: 2 },
-    { value: 'oak', label: 'Oak Woodland', baseRisk: 1.5 },
-    { value: 'pine', label: 'Pine Forest', baseRisk: 2.5 },
-    { value: 'mixed', label: 'Mixed Conifer', baseRisk: 3 },
-    { value: 'dead', label: 'Heavy Dead/Down', baseRisk: 4 }
-  ];
-
-  // Calculate comprehensive risk score
+  // Agency rule sets and the one used for scoring
+  const [ruleSets, setRuleSets] = useState([]);
+  const [ruleSetKey, setRuleSetKey] = useState('default');
+  const [ruleSetInfo, setRuleSetInfo] = useState(null);
+
+  // Burn unit the assessment is saved against
+  const [burnUnits, setBurnUnits] = useState([]);
+  const [fireDataId, setFireDataId] = useState('');
+  const [assessorName, setAssessorName] = useState('');
+  const [saveStatus, setSaveStatus] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [historyVersion, setHistoryVersion] = useState(0);
+
+  // DEM terrain for the selected unit; saved is false until stored on the unit
+  const [terrain, setTerrain] = useState(null);
+
+  const selectedRuleSet = ruleSets.find(r => r.key === ruleSetKey);
+  const fuelTypes = selectedRuleSet ? selectedRuleSet.rules.fuelTypes : DEFAULT_RISK_RULES.fuelTypes;
+
   useEffect(() => {
-    calculateRisk();
-  }, [assessmentData]);
+    fetch('/api/risk-rule-sets')
+      .then(res => res.json())
+      .then(result => {
+        if (result.success) setRuleSets(result.ruleSets);
+      })
+      .catch(error => console.error('Failed to load risk rule sets:', error));
 
-  const calculateRisk = () => {
-    let score = 0;
-    let newRecommendations = [];
+    fetch('/api/burn-units')
+      .then(res => res.json())
+      .then(result => {
+        if (result.success) setBurnUnits(result.units);
+      })
+      .catch(error => console.error('Failed to load burn units:', error));
+  }, []);
 
-    // Base fuel type risk
-    const fuelType = fuelTypes.find(f => f.value === assessmentData.fuelType);
-    if (fuelType) {
-      score += fuelType.baseRisk;
-    }
+  const selectBurnUnit = (id) => {
+    setFireDataId(id);
+    setSaveStatus(null);
 
-    // Fuel moisture factor (higher moisture = lower risk)
-    if (assessmentData.fuelMoisture < 8) {
-      score += 3;
-      newRecommendations.push("Critical: Fuel moisture below safe threshold (8%). Consider postponing burn.");
-    } else if (assessmentData.fuelMoisture < 12) {
-      score += 2;
-      newRecommendations.push("Caution: Low fuel moisture. Increase crew readiness and water resources.");
-    } else if (assessmentData.fuelMoisture > 20) {
-      score -= 1;
-      newRecommendations.push("Good: High fuel moisture provides safety buffer.");
-    }
+    const unit = burnUnits.find(u => String(u.id) === id);
+    if (!unit) return;
 
-    // Slope factor (steeper = higher risk)
-    if (assessmentData.slope > 30) {
-      score += 2;
-      newRecommendations.push("High slope (>30%) increases fire spread rate. Use indirect attack methods.");
-    } else if (assessmentData.slope > 15) {
-      score += 1;
-      newRecommendations.push("Moderate slope requires careful ignition pattern planning.");
-    }
+    setRuleSetKey(unit.risk_rule_set_key || 'default');
+    setAssessmentData(prev => ({
+      ...prev,
+      location: unit.location_name ? `${unit.location_name}, ${unit.burn_unit}` : unit.burn_unit
+    }));
 
-    // Wind speed factor
-    if (assessmentData.windSpeed > 15) {
-      score += 3;
-      newRecommendations.push("High winds (>15 mph) pose significant risk. Consider postponing.");
-    } else if (assessmentData.windSpeed > 10) {
-      score += 1;
-      newRecommendations.push("Moderate winds require close monitoring and downwind crew positioning.");
-    } else if (assessmentData.windSpeed < 3) {
-      score += 1;
-      newRecommendations.push("Light winds may cause poor smoke dispersal. Monitor for inversions.");
+    setTerrain(null);
+    if (unit.terrain) {
+      applyTerrain({ ...unit.terrain, saved: true });
+      return;
     }
 
-    // Temperature factor
-    if (assessmentData.temperature > 85) {
-      score += 2;
-      newRecommendations.push("High temperature increases fire behavior intensity.");
-    } else if (assessmentData.temperature < 45) {
-      score += 1;
-      newRecommendations.push("Low temperature may affect ignition success and crew comfort.");
-    }
+    fetch(`/api/burn-units/terrain?fireDataId=${id}`)
+      .then(res => res.json())
+      .then(result => {
+        if (result.success) applyTerrain({ ...result.terrain, basis: result.basis, source: result.source, saved: false });
+      })
+      .catch(error => console.error('Failed to load unit terrain:', error));
+  };
 
-    // Humidity factor
-    if (assessmentData.humidity < 25) {
-      score += 2;
-      newRecommendations.push("Low humidity (<25%) increases fire intensity and ember production.");
-    } else if (assessmentData.humidity > 50) {
-      score -= 1;
-      newRecommendations.push("High humidity provides favorable burning conditions.");
+  const applyTerrain = (computed) => {
+    setTerrain(computed);
+    if (computed.slopePercent) {
+      setAssessmentData(prev => ({ ...prev, slope: Math.round(computed.slopePercent.mean) }));
     }
+  };
 
-    // Infrastructure proximity
-    if (assessmentData.infrastructureDistance < 100) {
-      score += 3;
-      newRecommendations.push("Critical: Infrastructure within 100 feet. Requires extensive protection measures.");
-    } else if (assessmentData.infrastructureDistance < 300) {
-      score += 2;
-      newRecommendations.push("Infrastructure proximity requires additional safety precautions.");
-    }
+  const saveTerrain = async () => {
+    try {
+      const response = await fetch(`/api/burn-units/terrain?fireDataId=${fireDataId}`, { method: 'POST' });
+      const result = await response.json();
+      if (!result.success) throw new Error(result.details || result.error);
 
-    // Crew experience factor
-    if (assessmentData.crewExperience === 'novice') {
-      score += 2;
-      newRecommendations.push("Novice crew requires experienced supervision and simplified burn plan.");
-    } else if (assessmentData.crewExperience === 'mixed') {
-      score += 1;
-      newRecommendations.push("Mixed experience crew - ensure proper task assignment and supervision.");
+      applyTerrain({ ...result.terrain, basis: result.basis, source: result.source, saved: true });
+    } catch (error) {
+      console.error('Failed to save unit terrain:', error);
     }
+  };
 
-    // Weather stability
-    if (assessmentData.weatherStability === 'unstable') {
-      score += 2;
-      newRecommendations.push("Unstable weather conditions increase unpredictability. Monitor closely.");
+  const saveAssessment = async () => {
+    if (!fireDataId) {
+      setSaveStatus({ type: 'error', message: 'Select a burn unit before saving' });
+      return;
     }
 
-    // Seasonal timing
-    if (assessmentData.seasonalTiming === 'marginal') {
-      score += 1;
-      newRecommendations.push("Marginal seasonal timing - verify ecological windows are appropriate.");
-    } else if (assessmentData.seasonalTiming === 'poor') {
-      score += 2;
-      newRecommendations.push("Poor seasonal timing may compromise burn objectives or safety.");
-    }
+    try {
+      const response = await fetch('/api/risk-assessments', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          fireDataId: Number(fireDataId),
+          inputs: assessmentData,
+          ruleSet: ruleSetKey,
+          assessorName: assessorName || null,
+          assessmentDate: assessmentData.date ? new Date(assessmentData.date).toISOString() : undefined,
+          locationName: assessmentData.location || null
+        })
+      });
+      const result = await response.json();
 
-    // Determine risk level
-    let level = 'Low';
-    if (score > 8) level = 'Very High';
-    else if (score > 6) level = 'High';
-    else if (score > 4) level = 'Moderate';
-    else if (score > 2) level = 'Moderate-Low';
-
-    // Add general recommendations based on risk level
-    if (level === 'Very High') {
-      newRecommendations.unshift("STOP: Conditions not suitable for prescribed burning. Postpone operation.");
-    } else if (level === 'High') {
-      newRecommendations.unshift("Proceed with extreme caution. Consider additional resources and contingencies.");
-    } else if (level === 'Moderate') {
-      newRecommendations.unshift("Acceptable conditions with proper precautions and monitoring.");
-    } else {
-      newRecommendations.unshift("Favorable conditions for prescribed burning operations.");
+      if (result.success) {
+        setSaveStatus({ type: 'success', message: `Saved ${result.assessment.risk_level} assessment` });
+        setHistoryVersion(v => v + 1);
+      } else {
+        setSaveStatus({ type: 'error', message: result.details || result.error });
+      }
+    } catch (error) {
+      setSaveStatus({ type: 'error', message: error.message });
     }
-
-    setRiskScore(score);
-    setRiskLevel(level);
-    setRecommendations(newRecommendations);
   };
 
-  const getRiskColor = () => {
-    switch (riskLevel) {
-      case 'Low': return 'green';
-      case 'Moderate-Low': return 'green';
-      case 'Moderate': return 'yellow';
-      case 'High': return 'orange';
-      case 'Very High': return 'red';
-      default: return 'gray';
-    }
+  // Restore a saved assessment into the form
+  const loadAssessment = (assessment, inputs) => {
+    const restored = Object.fromEntries(
+      Object.entries(inputs).filter(([, value]) => value !== null && value !== undefined)
+    );
+
+    setAssessmentData(prev => ({
+      ...prev,
+      ...restored,
+      location: assessment.location_name || prev.location,
+      date: assessment.assessment_date ? assessment.assessment_date.slice(0, 10) : prev.date
+    }));
+    if (assessment.rule_set_key) setRuleSetKey(assessment.rule_set_key);
+    setAssessorName(assessment.assessor_name || '');
   };
 
+  // Score the current inputs with the shared risk engine
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const calculateRisk = async () => {
+      try {
+        const response = await fetch('/api/risk-assessment', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ inputs: assessmentData, ruleSet: ruleSetKey }),
+          signal: controller.signal
+        });
+        const result = await response.json();
+
+        if (result.success) {
+          setRiskScore(result.assessment.score);
+          setRiskLevel(result.assessment.level);
+          setMaxScore(result.assessment.maxScore);
+          setRiskFactors(result.assessment.factors);
+          setRecommendations(result.assessment.recommendations);
+          setRuleSetInfo(result.ruleSet);
+        }
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          console.error('Risk assessment request failed:', error);
+        }
+      }
+    };
+
+    calculateRisk();
+    return () => controller.abort();
+  }, [assessmentData, ruleSetKey]);
+
+  const getRiskColor = () => getRiskLevelColor(riskLevel);
+
   const getRiskIcon = () => {
     const color = getRiskColor();
     if (color === 'red') return <XCircle className="h-6 w-6 text-red-500" />;
@@ -216,6 +247,37 @@ export default function RiskAssessmentPage() {
                 </div>
                 
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Burn Unit
+                    </label>
+                    <select
+                      value={fireDataId}
+                      onChange={(e) => selectBurnUnit(e.target.value)}
+                      className="w-full border border-gray-300 dark:border-gray-600 rounded-md px-3 py-2 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                    >
+                      <option value="">Select burn unit</option>
+                      {burnUnits.map(unit => (
+                        <option key={unit.id} value={unit.id}>
+                          {unit.burn_unit}{unit.location_name ? ` - ${unit.location_name}` : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Assessor
+                    </label>
+                    <input
+                      type="text"
+                      value={assessorName}
+                      onChange={(e) => setAssessorName(e.target.value)}
+                      placeholder="Name of person completing the assessment"
+                      className="w-full border border-gray-300 dark:border-gray-600 rounded-md px-3 py-2 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                    />
+                  </div>
+
                   <div>
                     <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
                       Location
@@ -256,7 +318,40 @@ export default function RiskAssessmentPage() {
                       ))}
                     </select>
                   </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Fuel Model
+                    </label>
+                    <FuelModelSelect
+                      value={assessmentData.fuelModel}
+                      onChange={(fuelModel) => setAssessmentData({...assessmentData, fuelModel})}
+                      suggested={suggestFuelModels({ fuelType: assessmentData.fuelType })}
+                      className="w-full border border-gray-300 dark:border-gray-600 rounded-md px-3 py-2 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                    />
+                  </div>
                   
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Agency Rule Set
+                    </label>
+                    <select
+                      value={ruleSetKey}
+                      onChange={(e) => setRuleSetKey(e.target.value)}
+                      className="w-full border border-gray-300 dark:border-gray-600 rounded-md px-3 py-2 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                    >
+                      {ruleSets.length === 0 && <option value="default">Default Prescription Limits</option>}
+                      {ruleSets.map(ruleSet => (
+                        <option key={ruleSet.key} value={ruleSet.key}>
+                          {ruleSet.name}{ruleSet.agency ? ` (${ruleSet.agency})` : ''} v{ruleSet.version}
+                        </option>
+                      ))}
+                    </select>
+                    <Link href="/admin/risk-rules" className="text-xs text-[#8C1515] hover:underline">
+                      Manage rule sets
+                    </Link>
+                  </div>
+
                   <div>
                     <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
                       Average Slope (%)
@@ -267,6 +362,19 @@ export default function RiskAssessmentPage() {
                       onChange={(e) => setAssessmentData({...assessmentData, slope: parseInt(e.target.value) || 0})}
                       className="w-full border border-gray-300 dark:border-gray-600 rounded-md px-3 py-2 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
                     />
+                    {terrain?.slopePercent && (
+                      <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                        From DEM ({terrain.basis === 'boundary' ? 'unit boundary' : 'unit point'}, {terrain.source?.file}):
+                        mean {terrain.slopePercent.mean}%, 90th percentile {terrain.slopePercent.p90}%
+                        {terrain.elevationFt && `, ${terrain.elevationFt.min.toLocaleString()}–${terrain.elevationFt.max.toLocaleString()} ft`}
+                        {terrain.aspect.sector && `, mostly ${terrain.aspect.sector}-facing`}
+                        {!terrain.saved && (
+                          <button type="button" onClick={saveTerrain} className="ml-2 text-[#8C1515] hover:underline">
+                            Save to unit
+                          </button>
+                        )}
+                      </p>
+                    )}
                   </div>
                 </div>
               </div>
@@ -432,6 +540,14 @@ export default function RiskAssessmentPage() {
                 </div>
               </div>
             </div>
+
+            {showHistory && (
+              <RiskAssessmentHistory
+                fireDataId={fireDataId ? Number(fireDataId) : null}
+                refreshKey={historyVersion}
+                onLoad={loadAssessment}
+              />
+            )}
           </div>
 
           {/* Risk Assessment Results */}
@@ -455,7 +571,12 @@ export default function RiskAssessmentPage() {
                     {riskLevel}
                   </div>
                   <div className="text-sm text-gray-600 dark:text-gray-400 mb-4">
-                    Risk Score: {riskScore.toFixed(1)}/12
+                    Risk Score: {riskScore.toFixed(1)}/{maxScore}
+                    {ruleSetInfo && (
+                      <div className="text-xs text-gray-500">
+                        {ruleSetInfo.name} v{ruleSetInfo.version}
+                      </div>
+                    )}
                   </div>
                   
                   {/* Risk Level Bar */}
@@ -467,7 +588,7 @@ export default function RiskAssessmentPage() {
                         getRiskColor() === 'orange' ? 'bg-orange-500' :
                         'bg-red-500'
                       }`}
-                      style={{ width: `${Math.min((riskScore / 12) * 100, 100)}%` }}
+                      style={{ width: `${Math.min(Math.max(riskScore / maxScore, 0) * 100, 100)}%` }}
                     />
                   </div>
                   
@@ -481,6 +602,60 @@ export default function RiskAssessmentPage() {
               </div>
             </div>
 
+            {/* Fire Behavior */}
+            <FireBehaviorPanel
+              fuelModel={assessmentData.fuelModel}
+              windSpeed={assessmentData.windSpeed}
+              slope={assessmentData.slope}
+              fuelMoisture={assessmentData.fuelMoisture}
+            />
+
+            {/* Escape Risk */}
+            <EscapeRiskPanel
+              fireDataId={fireDataId}
+              fuelModel={assessmentData.fuelModel}
+              temperature={assessmentData.temperature}
+              humidity={assessmentData.humidity}
+              windSpeed={assessmentData.windSpeed}
+              slope={assessmentData.slope}
+              fuelMoisture={assessmentData.fuelMoisture}
+            />
+
+            {/* Factor Breakdown */}
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700">
+              <div className="p-6">
+                <div className="flex items-center space-x-2 mb-4">
+                  <BarChart3 className="h-5 w-5 text-[#8C1515]" />
+                  <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                    Score Breakdown
+                  </h2>
+                </div>
+
+                <div className="space-y-2">
+                  {riskFactors.map(factor => (
+                    <div key={factor.id} className="flex items-center justify-between text-sm">
+                      <span className="text-gray-600 dark:text-gray-400">
+                        {factor.label}
+                        {factor.assessed && (
+                          <span className="ml-1 text-xs text-gray-400">
+                            ({factor.value}{factor.unit && ` ${factor.unit}`})
+                          </span>
+                        )}
+                      </span>
+                      <span className={`font-medium ${
+                        !factor.assessed ? 'text-gray-400' :
+                        factor.points > 0 ? 'text-red-600 dark:text-red-400' :
+                        factor.points < 0 ? 'text-green-600 dark:text-green-400' :
+                        'text-gray-900 dark:text-white'
+                      }`}>
+                        {!factor.assessed ? 'n/a' : factor.points > 0 ? `+${factor.points}` : factor.points}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+
             {/* Recommendations */}
             <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700">
               <div className="p-6">
@@ -521,15 +696,27 @@ export default function RiskAssessmentPage() {
                     <span>Generate Report</span>
                   </button>
                   
-                  <button className="w-full flex items-center space-x-2 p-3 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg transition-colors">
+                  <button
+                    onClick={() => setShowHistory(!showHistory)}
+                    className="w-full flex items-center space-x-2 p-3 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg transition-colors"
+                  >
                     <BarChart3 className="h-4 w-4" />
-                    <span>View History</span>
+                    <span>{showHistory ? 'Hide History' : 'View History'}</span>
                   </button>
                   
-                  <button className="w-full flex items-center space-x-2 p-3 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg transition-colors">
+                  <button
+                    onClick={saveAssessment}
+                    className="w-full flex items-center space-x-2 p-3 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg transition-colors"
+                  >
                     <Clock className="h-4 w-4" />
                     <span>Save Assessment</span>
                   </button>
+
+                  {saveStatus && (
+                    <p className={`text-sm ${saveStatus.type === 'success' ? 'text-green-600' : 'text-red-600'}`}>
+                      {saveStatus.message}
+                    </p>
+                  )}
                 </div>
               </div>
             </div>
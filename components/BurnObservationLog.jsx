@@ -0,0 +1,357 @@
+"use client";
+
+import { useState, useEffect, useMemo } from 'react';
+import dynamic from 'next/dynamic';
+import { Thermometer, Plus, AlertTriangle } from 'lucide-react';
+import { relativeHumidityFromBulbs } from '../lib/belt-weather';
+
+const Plot = dynamic(() => import('react-plotly.js'), {
+  ssr: false,
+  loading: () => <div className="animate-pulse bg-gray-200 dark:bg-gray-700 h-full w-full rounded"></div>
+});
+
+const inputClass = 'w-full border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1 text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+const formatTime = (iso) => new Date(iso).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+// Sensors drawn on the timeline, nearest first
+const TIMELINE_SENSORS = 3;
+
+const SENSOR_COLORS = ['#2563EB', '#7C3AED', '#0891B2'];
+
+const EMPTY_FORM = {
+  dryBulb: '',
+  wetBulb: '',
+  windSpeed: '',
+  windGust: '',
+  windDirection: '',
+  fuelMoisture: '',
+  flameLength: '',
+  spotting: false,
+  spotDistance: '',
+  location: '',
+  notes: ''
+};
+
+const FIELDS = [
+  { id: 'dryBulb', label: 'Dry bulb (°F)' },
+  { id: 'wetBulb', label: 'Wet bulb (°F)' },
+  { id: 'windSpeed', label: 'Wind (mph)' },
+  { id: 'windGust', label: 'Gusts (mph)' },
+  { id: 'windDirection', label: 'Wind from', type: 'text', placeholder: 'SW or 225' },
+  { id: 'fuelMoisture', label: '1-hr fuel moisture (%)' },
+  { id: 'flameLength', label: 'Flame length (ft)' }
+];
+
+const toNumber = (value) => (value === '' ? null : Number(value));
+
+/**
+ * Burn-day belt weather log for a burn unit: observation entry with RH from
+ * the dry and wet bulb, and the burn timeline against nearby sensors
+ * onRecorded is called after each observation so contingency alerts can refresh.
+ */
+export default function BurnObservationLog({ fireDataId, elevation = null, observer: defaultObserver = '', onRecorded = null }) {
+  const [timeline, setTimeline] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [observer, setObserver] = useState(defaultObserver);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [raisedAlerts, setRaisedAlerts] = useState([]);
+
+  useEffect(() => {
+    setObserver(prev => prev || defaultObserver);
+  }, [defaultObserver]);
+
+  useEffect(() => {
+    setRaisedAlerts([]);
+  }, [fireDataId]);
+
+  useEffect(() => {
+    if (!fireDataId) {
+      setTimeline(null);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+
+    fetch(`/api/burn-observations/timeline?fireDataId=${fireDataId}`, { signal: controller.signal })
+      .then(res => res.json())
+      .then(result => {
+        if (result.success) {
+          setTimeline(result);
+          setError(null);
+        } else {
+          setTimeline(null);
+          setError(result.details || result.error);
+        }
+      })
+      .catch(err => {
+        if (err.name !== 'AbortError') setError(err.message);
+      });
+
+    return () => controller.abort();
+  }, [fireDataId, refreshKey]);
+
+  const computedRh = relativeHumidityFromBulbs(toNumber(form.dryBulb), toNumber(form.wetBulb), elevation ?? 0);
+
+  const updateField = (id, value) => setForm(prev => ({ ...prev, [id]: value }));
+
+  const recordObservation = async () => {
+    setIsSaving(true);
+    try {
+      const windDirection = form.windDirection.trim();
+      const response = await fetch('/api/burn-observations', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          fireDataId: Number(fireDataId),
+          observer,
+          location: form.location || null,
+          dryBulb: toNumber(form.dryBulb),
+          wetBulb: toNumber(form.wetBulb),
+          windSpeed: toNumber(form.windSpeed),
+          windGust: toNumber(form.windGust),
+          windDirection: windDirection === '' ? null : isNaN(Number(windDirection)) ? windDirection.toUpperCase() : Number(windDirection),
+          fuelMoisture: toNumber(form.fuelMoisture),
+          flameLength: toNumber(form.flameLength),
+          spotting: form.spotting,
+          spotDistance: form.spotting ? toNumber(form.spotDistance) : null,
+          notes: form.notes || null
+        })
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        setForm(EMPTY_FORM);
+        setError(null);
+        setRaisedAlerts(result.contingencyAlerts || []);
+        setRefreshKey(key => key + 1);
+        onRecorded?.();
+      } else {
+        setError(result.validationErrors?.map(e => `${e.path.join('.')}: ${e.message}`).join('; ') || result.details || result.error);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const plotData = useMemo(() => {
+    if (!timeline) return [];
+    const { observations, sensors } = timeline;
+    const markerColors = observations.map(o => (o.in_prescription === false ? '#DC2626' : '#059669'));
+    const hover = observations.map(o => [
+      `${o.observer}${o.location ? ` at ${o.location}` : ''}`,
+      ...(o.prescription_failures || []).map(f => f.message),
+      o.spotting ? `Spotting${o.spot_distance != null ? ` ${o.spot_distance} ft` : ''}` : null
+    ].filter(Boolean).join('<br>'));
+
+    return [
+      {
+        type: 'scatter',
+        mode: 'lines+markers',
+        name: 'Observed dry bulb (°F)',
+        x: observations.map(o => o.observed_at),
+        y: observations.map(o => o.dry_bulb),
+        text: hover,
+        line: { color: '#DC2626', width: 2 },
+        marker: { size: 9, color: markerColors, symbol: observations.map(o => (o.spotting ? 'diamond' : 'circle')) }
+      },
+      {
+        type: 'scatter',
+        mode: 'lines+markers',
+        name: 'Observed RH (%)',
+        x: observations.map(o => o.observed_at),
+        y: observations.map(o => o.relative_humidity),
+        text: hover,
+        line: { color: '#059669', width: 2 },
+        marker: { size: 9, color: markerColors }
+      },
+      ...sensors.slice(0, TIMELINE_SENSORS).flatMap((sensor, i) => [
+        {
+          type: 'scatter',
+          mode: 'lines',
+          name: `${sensor.node} temp (°F, ${sensor.distanceKm} km)`,
+          x: sensor.series.map(p => p.time),
+          y: sensor.series.map(p => p.temperature),
+          line: { color: SENSOR_COLORS[i], width: 1, dash: 'dot' }
+        },
+        {
+          type: 'scatter',
+          mode: 'lines',
+          name: `${sensor.node} RH (%)`,
+          x: sensor.series.map(p => p.time),
+          y: sensor.series.map(p => p.humidity),
+          line: { color: SENSOR_COLORS[i], width: 1, dash: 'dash' }
+        },
+        {
+          type: 'bar',
+          name: `${sensor.node} PM2.5 (µg/m³)`,
+          x: sensor.series.map(p => p.time),
+          y: sensor.series.map(p => p.pm25),
+          yaxis: 'y2',
+          opacity: 0.3,
+          marker: { color: SENSOR_COLORS[i] }
+        }
+      ])
+    ].filter(trace => trace.y.some(v => v !== null && v !== undefined));
+  }, [timeline]);
+
+  const layout = useMemo(() => {
+    const isDarkMode = typeof window !== 'undefined' && window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+    const textColor = isDarkMode ? '#e5e7eb' : '#1f2937';
+    const gridColor = isDarkMode ? '#374151' : '#e5e7eb';
+
+    return {
+      showlegend: true,
+      legend: { orientation: 'h', x: 0, y: -0.25, font: { color: textColor, size: 10 } },
+      xaxis: { type: 'date', gridcolor: gridColor, color: textColor },
+      yaxis: { title: '°F / % RH', gridcolor: gridColor, color: textColor },
+      yaxis2: { title: 'PM2.5', overlaying: 'y', side: 'right', rangemode: 'tozero', color: textColor, showgrid: false },
+      barmode: 'group',
+      margin: { l: 50, r: 50, t: 10, b: 40 },
+      paper_bgcolor: 'rgba(0,0,0,0)',
+      plot_bgcolor: 'rgba(0,0,0,0)',
+      autosize: true
+    };
+  }, []);
+
+  const summary = timeline?.summary;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700">
+      <div className="p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-2">
+            <Thermometer className="h-5 w-5 text-[#8C1515]" />
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+              Burn-Day Weather Observations
+            </h2>
+          </div>
+          {summary && summary.outOfPrescription > 0 && (
+            <span className="flex items-center space-x-1 text-xs text-red-600">
+              <AlertTriangle className="h-3 w-3" />
+              <span>{summary.outOfPrescription} of {summary.observations} out of prescription</span>
+            </span>
+          )}
+        </div>
+
+        {!fireDataId ? (
+          <p className="text-sm text-gray-500">Link a burn unit to log weather observations.</p>
+        ) : (
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              {FIELDS.map(field => (
+                <div key={field.id}>
+                  <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">{field.label}</label>
+                  <input
+                    type={field.type || 'number'}
+                    value={form[field.id]}
+                    onChange={(e) => updateField(field.id, e.target.value)}
+                    placeholder={field.placeholder}
+                    className={inputClass}
+                  />
+                </div>
+              ))}
+              <div>
+                <span className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">RH (computed)</span>
+                <div className="px-2 py-1 text-sm text-gray-900 dark:text-white">
+                  {computedRh !== null ? `${computedRh}%` : '—'}
+                </div>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3 items-end">
+              <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                <input type="checkbox" checked={form.spotting} onChange={(e) => updateField('spotting', e.target.checked)} />
+                <span>Spotting observed</span>
+              </label>
+              {form.spotting && (
+                <input
+                  type="number"
+                  value={form.spotDistance}
+                  onChange={(e) => updateField('spotDistance', e.target.value)}
+                  placeholder="Spot distance (ft)"
+                  className={inputClass}
+                />
+              )}
+              <input type="text" value={form.location} onChange={(e) => updateField('location', e.target.value)} placeholder="Location (e.g. Division A)" className={inputClass} />
+              <input type="text" value={observer} onChange={(e) => setObserver(e.target.value)} placeholder="Observer" className={inputClass} />
+            </div>
+
+            <div className="flex items-center space-x-2">
+              <input type="text" value={form.notes} onChange={(e) => updateField('notes', e.target.value)} placeholder="Notes" className={inputClass} />
+              <button
+                onClick={recordObservation}
+                disabled={isSaving || form.dryBulb === '' || !observer}
+                className="flex items-center space-x-1 px-3 py-1 text-sm bg-[#8C1515] hover:bg-[#B83A4B] text-white rounded-md transition-colors disabled:opacity-50 whitespace-nowrap"
+              >
+                <Plus className="h-4 w-4" />
+                <span>Record</span>
+              </button>
+            </div>
+
+            {raisedAlerts.length > 0 && (
+              <div className="rounded-md border border-red-300 dark:border-red-700 bg-red-50 dark:bg-red-900/30 p-3 text-sm text-red-800 dark:text-red-300">
+                <div className="flex items-center space-x-1 font-medium">
+                  <AlertTriangle className="h-4 w-4" />
+                  <span>Contingency trigger crossed</span>
+                </div>
+                <ul className="mt-1 space-y-1">
+                  {raisedAlerts.map(alert => (
+                    <li key={alert.id}>{alert.condition}: <strong>{alert.action}</strong></li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {timeline && (
+              <>
+                <div className="h-[320px]">
+                  {plotData.length > 0 ? (
+                    <Plot
+                      data={plotData}
+                      layout={layout}
+                      config={{ responsive: true, displaylogo: false }}
+                      useResizeHandler={true}
+                      style={{ width: '100%', height: '100%' }}
+                      className="w-full h-full"
+                    />
+                  ) : (
+                    <div className="h-full w-full flex items-center justify-center bg-gray-100 dark:bg-gray-900/40 rounded-lg">
+                      <p className="text-sm text-gray-500">No observations or nearby sensor readings yet</p>
+                    </div>
+                  )}
+                </div>
+                {timeline.sensors.length === 0 && (
+                  <p className="text-xs text-gray-500">No air quality sensors within range of this unit for the timeline period.</p>
+                )}
+
+                {timeline.observations.length > 0 && (
+                  <ul className="space-y-1 text-xs text-gray-600 dark:text-gray-400">
+                    {[...timeline.observations].reverse().map(o => (
+                      <li key={o.id} className={o.in_prescription === false ? 'text-red-600' : undefined}>
+                        {formatTime(o.observed_at)}: {o.dry_bulb}°F
+                        {o.relative_humidity != null && `, ${o.relative_humidity}% RH${o.rh_computed ? ' (bulbs)' : ''}`}
+                        {o.wind_speed != null && `, ${o.wind_speed} mph${o.wind_direction ? ` ${o.wind_direction}` : ''}`}
+                        {o.fuel_moisture != null && `, ${o.fuel_moisture}% FM`}
+                        {o.flame_length != null && `, ${o.flame_length} ft flames`}
+                        {o.spotting && `, spotting${o.spot_distance != null ? ` ${o.spot_distance} ft` : ''}`}
+                        {' '}— {o.observer}
+                        {o.prescription_failures?.length > 0 && `: ${o.prescription_failures.map(f => f.message).join('; ')}`}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </>
+            )}
+          </div>
+        )}
+
+        {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+      </div>
+    </div>
+  );
+}
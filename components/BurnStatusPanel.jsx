@@ -0,0 +1,168 @@
+"use client";
+
+import { useState, useEffect } from 'react';
+import { Activity, CheckCircle, XCircle, AlertTriangle } from 'lucide-react';
+import { statusColor } from '../lib/burn-status';
+
+const inputClass = 'w-full border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1 text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+const formatTime = (iso) => new Date(iso).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+function CheckIcon({ check }) {
+  if (check.passed) return <CheckCircle className="h-3 w-3 text-green-600 flex-shrink-0 mt-0.5" />;
+  if (!check.blocking) return <AlertTriangle className="h-3 w-3 text-amber-500 flex-shrink-0 mt-0.5" />;
+  return <XCircle className="h-3 w-3 text-red-600 flex-shrink-0 mt-0.5" />;
+}
+
+/**
+ * Burn unit lifecycle status: next steps with their precondition checks and
+ * the status history
+ */
+export default function BurnStatusPanel({ fireDataId, changedBy: defaultChangedBy = '' }) {
+  const [overview, setOverview] = useState(null);
+  const [changedBy, setChangedBy] = useState(defaultChangedBy);
+  const [reason, setReason] = useState('');
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    setChangedBy(prev => prev || defaultChangedBy);
+  }, [defaultChangedBy]);
+
+  useEffect(() => {
+    if (!fireDataId) {
+      setOverview(null);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+
+    fetch(`/api/burn-units/status?fireDataId=${fireDataId}`, { signal: controller.signal })
+      .then(res => res.json())
+      .then(result => {
+        if (result.success) {
+          setOverview(result);
+          setError(null);
+        } else {
+          setOverview(null);
+          setError(result.details || result.error);
+        }
+      })
+      .catch(err => {
+        if (err.name !== 'AbortError') setError(err.message);
+      });
+
+    return () => controller.abort();
+  }, [fireDataId, refreshKey]);
+
+  const moveTo = async (to) => {
+    setIsSaving(true);
+    try {
+      const response = await fetch('/api/burn-units/status', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fireDataId: Number(fireDataId), to, changedBy, reason: reason || null })
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        setReason('');
+        setError(null);
+        setRefreshKey(key => key + 1);
+      } else {
+        setError(result.validationErrors?.map(e => `${e.path.join('.')}: ${e.message}`).join('; ') || result.details || result.error);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700">
+      <div className="p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-2">
+            <Activity className="h-5 w-5 text-[#8C1515]" />
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+              Burn Status
+            </h2>
+          </div>
+          {overview && (
+            <span
+              className="px-2 py-0.5 text-xs font-medium text-white rounded-full"
+              style={{ backgroundColor: statusColor(overview.status) || '#6B7280' }}
+            >
+              {overview.status || 'No status'}
+            </span>
+          )}
+        </div>
+
+        {!fireDataId ? (
+          <p className="text-sm text-gray-500">Link a burn unit to manage its status.</p>
+        ) : overview && (
+          <div className="space-y-4">
+            {overview.lifecycleStatus !== overview.status && overview.status && (
+              <p className="text-xs text-gray-500">
+                Stored as &quot;{overview.status}&quot;{overview.lifecycleStatus ? `, treated as ${overview.lifecycleStatus}` : ''}.
+              </p>
+            )}
+
+            {overview.transitions.length === 0 ? (
+              <p className="text-sm text-gray-500">This burn is closed; no further status changes.</p>
+            ) : (
+              <>
+                <div className="grid grid-cols-2 gap-2">
+                  <input type="text" value={changedBy} onChange={(e) => setChangedBy(e.target.value)} placeholder="Your name" className={inputClass} />
+                  <input type="text" value={reason} onChange={(e) => setReason(e.target.value)} placeholder="Reason / notes" className={inputClass} />
+                </div>
+
+                {overview.transitions.map(transition => (
+                  <div key={transition.to} className="border border-gray-200 dark:border-gray-700 rounded-md p-3">
+                    <div className="flex items-center justify-between mb-1">
+                      <span className="text-sm font-medium text-gray-900 dark:text-white">
+                        → {transition.to}
+                        {transition.requiresReason && <span className="ml-1 text-xs text-gray-500">(reason required)</span>}
+                      </span>
+                      <button
+                        onClick={() => moveTo(transition.to)}
+                        disabled={isSaving || !transition.allowed || !changedBy || (transition.requiresReason && !reason)}
+                        className="px-3 py-1 text-xs bg-[#8C1515] hover:bg-[#B83A4B] text-white rounded-md transition-colors disabled:opacity-50"
+                      >
+                        Move
+                      </button>
+                    </div>
+                    {transition.checks.map(check => (
+                      <div key={check.id} className="flex items-start space-x-1 text-xs text-gray-600 dark:text-gray-400">
+                        <CheckIcon check={check} />
+                        <span>{check.label}: {check.message}</span>
+                      </div>
+                    ))}
+                  </div>
+                ))}
+              </>
+            )}
+
+            {overview.history.length > 0 && (
+              <div>
+                <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">History</h3>
+                <ul className="space-y-1 text-xs text-gray-600 dark:text-gray-400">
+                  {overview.history.map(entry => (
+                    <li key={entry.id}>
+                      {formatTime(entry.changed_at)}: {entry.from_status || '—'} → {entry.to_status} by {entry.changed_by}
+                      {entry.reason && ` (${entry.reason})`}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+
+        {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,408 @@
+"use client";
+
+import { useState, useEffect } from 'react';
+import { Siren, Plus, Trash2, Save, RefreshCw, CheckCircle } from 'lucide-react';
+import { COMPASS_SECTORS } from '../lib/geo';
+import { TRIGGER_PARAMETERS, RESOURCE_KINDS, EMPTY_CONTINGENCY_PLAN, describeTrigger, nextId } from '../lib/contingency';
+
+const inputClass = 'w-full border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1 text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+const formatTime = (iso) => new Date(iso).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+// Live sensor readings are re-checked this often while the panel is open
+const CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+const parameterFor = (id) => TRIGGER_PARAMETERS.find(p => p.id === id);
+
+const toNumber = (value) => (value === '' || value === null || value === undefined ? null : Number(value));
+
+/**
+ * Contingency plan for a burn unit: trigger points with their actions, the
+ * contingency resources with response times, and the alerts raised when
+ * observations or nearby sensors cross a trigger during the burn
+ */
+export default function ContingencyPlanPanel({ fireDataId, userName = '', refreshKey = 0 }) {
+  const [plan, setPlan] = useState(EMPTY_CONTINGENCY_PLAN);
+  const [check, setCheck] = useState(null);
+  const [error, setError] = useState(null);
+  const [saveStatus, setSaveStatus] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [checkKey, setCheckKey] = useState(0);
+
+  useEffect(() => {
+    setSaveStatus(null);
+    if (!fireDataId) {
+      setPlan(EMPTY_CONTINGENCY_PLAN);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+
+    fetch(`/api/contingency-plans?fireDataId=${fireDataId}`, { signal: controller.signal })
+      .then(res => res.json())
+      .then(result => {
+        if (result.success) {
+          setPlan(result.plan);
+          setError(null);
+        } else {
+          setError(result.details || result.error);
+        }
+      })
+      .catch(err => {
+        if (err.name !== 'AbortError') setError(err.message);
+      });
+
+    return () => controller.abort();
+  }, [fireDataId]);
+
+  // Check triggers on load, after each observation, and periodically for live sensors
+  useEffect(() => {
+    if (!fireDataId) {
+      setCheck(null);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const runCheck = () => fetch(`/api/contingency-plans/alerts?fireDataId=${fireDataId}`, { method: 'POST', signal: controller.signal })
+      .then(res => res.json())
+      .then(result => {
+        if (result.success) setCheck(result);
+        else setError(result.details || result.error);
+      })
+      .catch(err => {
+        if (err.name !== 'AbortError') setError(err.message);
+      });
+
+    runCheck();
+    const interval = setInterval(runCheck, CHECK_INTERVAL_MS);
+
+    return () => {
+      clearInterval(interval);
+      controller.abort();
+    };
+  }, [fireDataId, refreshKey, checkKey]);
+
+  const updateTrigger = (id, changes) => setPlan(prev => ({
+    ...prev,
+    triggers: prev.triggers.map(t => (t.id === id ? { ...t, ...changes } : t))
+  }));
+
+  const addTrigger = () => setPlan(prev => {
+    const { id, lastId } = nextId(prev, 't');
+    return {
+      ...prev,
+      lastId,
+      triggers: [...prev.triggers, { id, parameter: 'windSpeed', operator: 'above', threshold: null, sectors: [], action: '', resourceIds: [] }]
+    };
+  });
+
+  const updateResource = (id, changes) => setPlan(prev => ({
+    ...prev,
+    resources: prev.resources.map(r => (r.id === id ? { ...r, ...changes } : r))
+  }));
+
+  const addResource = () => setPlan(prev => {
+    const { id, lastId } = nextId(prev, 'r');
+    return {
+      ...prev,
+      lastId,
+      resources: [...prev.resources, { id, name: '', kind: 'engine', quantity: 1, responseMinutes: null, contact: '' }]
+    };
+  });
+
+  const removeResource = (id) => setPlan(prev => ({
+    ...prev,
+    resources: prev.resources.filter(r => r.id !== id),
+    triggers: prev.triggers.map(t => ({ ...t, resourceIds: t.resourceIds.filter(r => r !== id) }))
+  }));
+
+  const toggleList = (list, value) => (list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+
+  const savePlan = async () => {
+    setIsSaving(true);
+    try {
+      const response = await fetch(`/api/contingency-plans?fireDataId=${fireDataId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...plan, updatedBy: userName || null })
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        setPlan(result.plan);
+        setSaveStatus({ type: 'success', message: 'Contingency plan saved' });
+        setCheckKey(key => key + 1);
+      } else {
+        setSaveStatus({
+          type: 'error',
+          message: result.validationErrors?.map(e => `${e.path.join('.')}: ${e.message}`).join('; ') || result.details || result.error
+        });
+      }
+    } catch (err) {
+      setSaveStatus({ type: 'error', message: err.message });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const acknowledge = async (alertId) => {
+    try {
+      const response = await fetch(`/api/contingency-plans/alerts?id=${alertId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ acknowledgedBy: userName })
+      });
+      const result = await response.json();
+      if (!result.success) throw new Error(result.details || result.error);
+
+      setCheck(prev => ({ ...prev, alerts: prev.alerts.map(a => (a.id === alertId ? result.alert : a)) }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const alerts = check?.alerts || [];
+  const openAlerts = alerts.filter(a => !a.acknowledged_at);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700">
+      <div className="p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-2">
+            <Siren className="h-5 w-5 text-[#8C1515]" />
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+              Contingency Plan
+            </h2>
+          </div>
+          {openAlerts.length > 0 && (
+            <span className="px-2 py-1 rounded text-xs font-medium bg-red-100 text-red-800">
+              {openAlerts.length} open alert{openAlerts.length === 1 ? '' : 's'}
+            </span>
+          )}
+        </div>
+
+        {!fireDataId ? (
+          <p className="text-sm text-gray-500">Link a burn unit to write its contingency plan.</p>
+        ) : (
+          <div className="space-y-5">
+            {alerts.length > 0 && (
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300">Alerts</h3>
+                  <button onClick={() => setCheckKey(key => key + 1)} className="flex items-center space-x-1 text-xs text-[#8C1515] hover:underline">
+                    <RefreshCw className="h-3 w-3" />
+                    <span>Check now</span>
+                  </button>
+                </div>
+                <ul className="space-y-2">
+                  {alerts.map(alert => (
+                    <li
+                      key={alert.id}
+                      className={`rounded-md border p-2 text-sm ${alert.acknowledged_at
+                        ? 'border-gray-200 dark:border-gray-700 text-gray-500'
+                        : 'border-red-300 dark:border-red-700 bg-red-50 dark:bg-red-900/30 text-red-800 dark:text-red-300'}`}
+                    >
+                      <div className="flex items-start justify-between gap-2">
+                        <div>
+                          <div className="font-medium">{alert.message}</div>
+                          <div>Action: {alert.action}</div>
+                          {alert.resources?.length > 0 && (
+                            <div className="text-xs">
+                              Resources: {alert.resources.map(r => `${r.quantity > 1 ? `${r.quantity}× ` : ''}${r.name}${r.responseMinutes != null ? ` (${r.responseMinutes} min)` : ''}`).join(', ')}
+                            </div>
+                          )}
+                          <div className="text-xs opacity-75">
+                            {formatTime(alert.observed_at)}
+                            {alert.acknowledged_at && ` · acknowledged by ${alert.acknowledged_by} ${formatTime(alert.acknowledged_at)}`}
+                          </div>
+                        </div>
+                        {!alert.acknowledged_at && (
+                          <button
+                            onClick={() => acknowledge(alert.id)}
+                            disabled={!userName}
+                            title={userName ? 'Acknowledge' : 'Enter your name in Prepared By to acknowledge'}
+                            className="flex items-center space-x-1 px-2 py-1 text-xs border border-red-300 rounded-md hover:bg-red-100 dark:hover:bg-red-900/50 disabled:opacity-50 whitespace-nowrap"
+                          >
+                            <CheckCircle className="h-3 w-3" />
+                            <span>Acknowledge</span>
+                          </button>
+                        )}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            {check && !check.checked && plan.triggers.length > 0 && (
+              <p className="text-xs text-gray-500">{check.reason}</p>
+            )}
+
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300">Trigger Points</h3>
+                <button onClick={addTrigger} className="flex items-center space-x-1 text-xs text-[#8C1515] hover:underline">
+                  <Plus className="h-3 w-3" />
+                  <span>Add trigger</span>
+                </button>
+              </div>
+              {plan.triggers.length === 0 && (
+                <p className="text-xs text-gray-500">No triggers yet, e.g. wind above 15 mph, RH below 20% or a spot fire outside the line.</p>
+              )}
+              <div className="space-y-3">
+                {plan.triggers.map(trigger => {
+                  const parameter = parameterFor(trigger.parameter);
+                  return (
+                    <div key={trigger.id} className="rounded-md border border-gray-200 dark:border-gray-700 p-3 space-y-2">
+                      <div className="grid grid-cols-12 gap-2 items-center">
+                        <select
+                          value={trigger.parameter}
+                          onChange={(e) => updateTrigger(trigger.id, { parameter: e.target.value, operator: trigger.operator || 'above' })}
+                          className={`${inputClass} col-span-5`}
+                        >
+                          {TRIGGER_PARAMETERS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                        </select>
+                        {!parameter.sectors && !parameter.event && (
+                          <select
+                            value={trigger.operator || 'above'}
+                            onChange={(e) => updateTrigger(trigger.id, { operator: e.target.value })}
+                            className={`${inputClass} col-span-3`}
+                          >
+                            <option value="above">above</option>
+                            <option value="below">below</option>
+                          </select>
+                        )}
+                        {!parameter.sectors && (
+                          <input
+                            type="number"
+                            value={trigger.threshold ?? ''}
+                            onChange={(e) => updateTrigger(trigger.id, { threshold: toNumber(e.target.value) })}
+                            placeholder={parameter.event ? 'Min. distance' : 'Threshold'}
+                            className={`${inputClass} ${parameter.event ? 'col-span-5' : 'col-span-2'}`}
+                          />
+                        )}
+                        {!parameter.sectors && <span className="col-span-1 text-xs text-gray-500">{parameter.unit}</span>}
+                        {parameter.sectors && (
+                          <div className="col-span-6 flex flex-wrap gap-1">
+                            {COMPASS_SECTORS.map(sector => (
+                              <button
+                                key={sector}
+                                onClick={() => updateTrigger(trigger.id, { sectors: toggleList(trigger.sectors || [], sector) })}
+                                className={`px-1.5 py-0.5 text-xs rounded border ${trigger.sectors?.includes(sector) ? 'bg-[#8C1515] border-[#8C1515] text-white' : 'border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-300'}`}
+                              >
+                                {sector}
+                              </button>
+                            ))}
+                          </div>
+                        )}
+                        <button
+                          onClick={() => setPlan(prev => ({ ...prev, triggers: prev.triggers.filter(t => t.id !== trigger.id) }))}
+                          className="col-span-1 justify-self-end text-gray-400 hover:text-red-600"
+                          title="Remove trigger"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </div>
+                      <input
+                        type="text"
+                        value={trigger.action}
+                        onChange={(e) => updateTrigger(trigger.id, { action: e.target.value })}
+                        placeholder="Action, e.g. hold ignition and order the contingency engine"
+                        className={inputClass}
+                      />
+                      {plan.resources.length > 0 && (
+                        <div className="flex flex-wrap gap-3 text-xs text-gray-600 dark:text-gray-400">
+                          {plan.resources.map(resource => (
+                            <label key={resource.id} className="flex items-center space-x-1">
+                              <input
+                                type="checkbox"
+                                checked={trigger.resourceIds.includes(resource.id)}
+                                onChange={() => updateTrigger(trigger.id, { resourceIds: toggleList(trigger.resourceIds, resource.id) })}
+                              />
+                              <span>{resource.name || 'Unnamed resource'}</span>
+                            </label>
+                          ))}
+                        </div>
+                      )}
+                      {(parameter.sectors ? trigger.sectors?.length > 0 : parameter.event || trigger.threshold != null) && (
+                        <p className="text-xs text-gray-500">
+                          {describeTrigger({ ...trigger, sectors: trigger.sectors || [] })}
+                          {parameter.observation && !parameter.sensor && ' (checked against belt weather observations)'}
+                          {parameter.sensor && !parameter.observation && ' (checked against nearby sensors)'}
+                          {parameter.sensor && parameter.observation && ' (checked against observations and nearby sensors)'}
+                        </p>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300">Contingency Resources</h3>
+                <button onClick={addResource} className="flex items-center space-x-1 text-xs text-[#8C1515] hover:underline">
+                  <Plus className="h-3 w-3" />
+                  <span>Add resource</span>
+                </button>
+              </div>
+              {plan.resources.length === 0 ? (
+                <p className="text-xs text-gray-500">No contingency resources listed.</p>
+              ) : (
+                <div className="space-y-2">
+                  <div className="grid grid-cols-12 gap-2 text-xs text-gray-500">
+                    <span className="col-span-3">Resource</span>
+                    <span className="col-span-2">Type</span>
+                    <span className="col-span-1">Qty</span>
+                    <span className="col-span-2">Response (min)</span>
+                    <span className="col-span-3">Contact</span>
+                  </div>
+                  {plan.resources.map(resource => (
+                    <div key={resource.id} className="grid grid-cols-12 gap-2 items-center">
+                      <input type="text" value={resource.name} onChange={(e) => updateResource(resource.id, { name: e.target.value })} placeholder="Engine 31" className={`${inputClass} col-span-3`} />
+                      <select value={resource.kind} onChange={(e) => updateResource(resource.id, { kind: e.target.value })} className={`${inputClass} col-span-2`}>
+                        {RESOURCE_KINDS.map(k => <option key={k.id} value={k.id}>{k.label}</option>)}
+                      </select>
+                      <input type="number" min="1" value={resource.quantity} onChange={(e) => updateResource(resource.id, { quantity: parseInt(e.target.value) || 1 })} className={`${inputClass} col-span-1`} />
+                      <input type="number" min="0" value={resource.responseMinutes ?? ''} onChange={(e) => updateResource(resource.id, { responseMinutes: toNumber(e.target.value) })} className={`${inputClass} col-span-2`} />
+                      <input type="text" value={resource.contact || ''} onChange={(e) => updateResource(resource.id, { contact: e.target.value })} placeholder="Dispatch, radio channel" className={`${inputClass} col-span-3`} />
+                      <button onClick={() => removeResource(resource.id)} className="col-span-1 justify-self-end text-gray-400 hover:text-red-600" title="Remove resource">
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <textarea
+              value={plan.notes || ''}
+              onChange={(e) => setPlan(prev => ({ ...prev, notes: e.target.value }))}
+              rows={2}
+              placeholder="Notes, e.g. holding plan fallback lines or wildfire declaration contacts"
+              className={inputClass}
+            />
+
+            <div className="flex items-center justify-between">
+              <span className="text-xs text-gray-500">
+                {plan.updatedAt && `Saved ${formatTime(plan.updatedAt)}${plan.updatedBy ? ` by ${plan.updatedBy}` : ''}`}
+              </span>
+              <button
+                onClick={savePlan}
+                disabled={isSaving}
+                className="flex items-center space-x-1 px-3 py-1 text-sm bg-[#8C1515] hover:bg-[#B83A4B] text-white rounded-md transition-colors disabled:opacity-50"
+              >
+                <Save className="h-4 w-4" />
+                <span>Save Contingency Plan</span>
+              </button>
+            </div>
+            {saveStatus && (
+              <p className={`text-sm ${saveStatus.type === 'success' ? 'text-green-600' : 'text-red-600'}`}>{saveStatus.message}</p>
+            )}
+          </div>
+        )}
+
+        {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,260 @@
+"use client";
+
+import { useState, useEffect, useMemo } from 'react';
+import dynamic from 'next/dynamic';
+import { Dices } from 'lucide-react';
+import { getRiskColor } from '../lib/risk-engine';
+import { DEFAULT_HOLDING } from '../lib/escape-simulation';
+
+const Plot = dynamic(() => import('react-plotly.js'), {
+  ssr: false,
+  loading: () => <div className="animate-pulse bg-gray-200 dark:bg-gray-700 h-full w-full rounded"></div>
+});
+
+const inputClass = 'w-full border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1 text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+const SAMPLE_COUNTS = [500, 1000, 2500, 5000];
+
+const LEVEL_STYLES = {
+  green: 'bg-green-50 dark:bg-green-900/20 text-green-800 dark:text-green-300',
+  yellow: 'bg-yellow-50 dark:bg-yellow-900/20 text-yellow-800 dark:text-yellow-300',
+  orange: 'bg-orange-50 dark:bg-orange-900/20 text-orange-800 dark:text-orange-300',
+  red: 'bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-300'
+};
+
+const PRESCRIPTION_LABELS = {
+  temperature: 'Temperature',
+  humidity: 'Relative humidity',
+  windSpeed: 'Wind speed',
+  fuelMoisture: '1-hr fuel moisture'
+};
+
+/**
+ * Monte Carlo escape risk for the current assessment inputs: probability of
+ * leaving prescription or exceeding holding capability, with the simulated
+ * flame length distribution
+ */
+export default function EscapeRiskPanel({ fireDataId, fuelModel, temperature, humidity, windSpeed, slope, fuelMoisture }) {
+  const [maxFlameLength, setMaxFlameLength] = useState(DEFAULT_HOLDING.maxFlameLength);
+  const [maxRateOfSpread, setMaxRateOfSpread] = useState('');
+  const [samples, setSamples] = useState(1000);
+  const [simulation, setSimulation] = useState(null);
+  const [error, setError] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+
+  // Results describe the inputs they were run with; clear them when those change
+  useEffect(() => {
+    setSimulation(null);
+  }, [fireDataId, fuelModel, temperature, humidity, windSpeed, slope, fuelMoisture]);
+
+  const runSimulation = async () => {
+    setIsRunning(true);
+    try {
+      const response = await fetch('/api/risk-assessment/escape-risk', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          fireDataId: fireDataId ? Number(fireDataId) : undefined,
+          fuelModel,
+          forecast: { temperature, humidity: Math.max(humidity, 1), windSpeed },
+          moisture: { oneHour: Math.max(fuelMoisture, 1) },
+          slope,
+          holding: {
+            maxFlameLength: Number(maxFlameLength) || DEFAULT_HOLDING.maxFlameLength,
+            maxRateOfSpread: maxRateOfSpread === '' ? null : Number(maxRateOfSpread)
+          },
+          samples
+        })
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        setSimulation(result.simulation);
+        setError(null);
+      } else {
+        setSimulation(null);
+        setError(result.validationErrors?.map(e => `${e.path.join('.')}: ${e.message}`).join('; ') || result.details || result.error);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const layout = useMemo(() => {
+    const isDarkMode = typeof window !== 'undefined' && window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+    const textColor = isDarkMode ? '#e5e7eb' : '#1f2937';
+    const gridColor = isDarkMode ? '#374151' : '#e5e7eb';
+    const holdingLimit = simulation?.holding.maxFlameLength;
+
+    return {
+      showlegend: false,
+      xaxis: { title: 'Flame length (ft)', gridcolor: gridColor, color: textColor },
+      yaxis: { title: '% of samples', gridcolor: gridColor, color: textColor },
+      shapes: holdingLimit ? [{
+        type: 'line',
+        x0: holdingLimit,
+        x1: holdingLimit,
+        yref: 'paper',
+        y0: 0,
+        y1: 1,
+        line: { color: '#8C1515', width: 2, dash: 'dash' }
+      }] : [],
+      annotations: holdingLimit ? [{
+        x: holdingLimit,
+        yref: 'paper',
+        y: 1,
+        text: 'Holding limit',
+        showarrow: false,
+        xanchor: 'left',
+        font: { color: '#8C1515', size: 10 }
+      }] : [],
+      bargap: 0.05,
+      margin: { l: 50, r: 10, t: 20, b: 40 },
+      paper_bgcolor: 'rgba(0,0,0,0)',
+      plot_bgcolor: 'rgba(0,0,0,0)',
+      autosize: true
+    };
+  }, [simulation]);
+
+  const plotData = useMemo(() => (simulation ? [{
+    x: simulation.distribution.flameLength,
+    type: 'histogram',
+    histnorm: 'percent',
+    nbinsx: 30,
+    marker: { color: '#B83A4B' },
+    hovertemplate: '%{x} ft: %{y:.1f}%<extra></extra>'
+  }] : []), [simulation]);
+
+  const levelColor = simulation ? getRiskColor(simulation.complexity.level) : null;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700">
+      <div className="p-6">
+        <div className="flex items-center space-x-2 mb-4">
+          <Dices className="h-5 w-5 text-[#8C1515]" />
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Escape Risk Simulation
+          </h2>
+        </div>
+
+        {!fuelModel ? (
+          <p className="text-sm text-gray-500">Select a fuel model under Site Information to simulate escape risk.</p>
+        ) : (
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Holding flame length (ft)
+                </label>
+                <input
+                  type="number"
+                  min="1"
+                  step="0.5"
+                  value={maxFlameLength}
+                  onChange={(e) => setMaxFlameLength(e.target.value)}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Holding spread (ch/h)
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  value={maxRateOfSpread}
+                  onChange={(e) => setMaxRateOfSpread(e.target.value)}
+                  placeholder="No limit"
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Samples
+                </label>
+                <select value={samples} onChange={(e) => setSamples(Number(e.target.value))} className={inputClass}>
+                  {SAMPLE_COUNTS.map(count => (
+                    <option key={count} value={count}>{count.toLocaleString()}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex items-end">
+                <button
+                  onClick={runSimulation}
+                  disabled={isRunning}
+                  className="w-full px-3 py-1.5 bg-[#8C1515] hover:bg-[#B83A4B] text-white text-sm rounded-md transition-colors disabled:opacity-50"
+                >
+                  {isRunning ? 'Simulating...' : 'Run Simulation'}
+                </button>
+              </div>
+            </div>
+
+            <p className="text-xs text-gray-500">
+              Samples {temperature}°F, {humidity}% RH and {windSpeed} mph around the forecast
+              with a 0.4 wind adjustment factor and {slope}% slope.
+            </p>
+
+            {error && <p className="text-sm text-red-600">{error}</p>}
+
+            {simulation && (
+              <>
+                <div className="grid grid-cols-3 gap-2 text-center">
+                  <div className="p-2 rounded-lg bg-gray-50 dark:bg-gray-900/40">
+                    <div className="text-lg font-bold text-gray-900 dark:text-white">{simulation.probabilities.outOfPrescription}%</div>
+                    <div className="text-xs text-gray-500">Out of prescription</div>
+                  </div>
+                  <div className="p-2 rounded-lg bg-gray-50 dark:bg-gray-900/40">
+                    <div className="text-lg font-bold text-gray-900 dark:text-white">{simulation.probabilities.exceedsHolding}%</div>
+                    <div className="text-xs text-gray-500">Exceeds holding</div>
+                  </div>
+                  <div className="p-2 rounded-lg bg-gray-50 dark:bg-gray-900/40">
+                    <div className="text-lg font-bold text-gray-900 dark:text-white">{simulation.probabilities.either}%</div>
+                    <div className="text-xs text-gray-500">Either</div>
+                  </div>
+                </div>
+
+                <div className={`p-3 rounded-lg text-sm ${LEVEL_STYLES[levelColor] || LEVEL_STYLES.yellow}`}>
+                  <span className="font-medium">{simulation.complexity.level}:</span> {simulation.complexity.message}
+                </div>
+
+                <div className="h-[240px]">
+                  <Plot
+                    data={plotData}
+                    layout={layout}
+                    config={{ responsive: true, displaylogo: false }}
+                    useResizeHandler={true}
+                    style={{ width: '100%', height: '100%' }}
+                    className="w-full h-full"
+                  />
+                </div>
+
+                <div className="text-xs text-gray-600 dark:text-gray-400 space-y-1">
+                  <div>
+                    Flame length p10 {simulation.flameLength.p10} / p50 {simulation.flameLength.p50} / p90 {simulation.flameLength.p90} ft
+                    (forecast {simulation.deterministic.flameLength} ft);
+                    spread p90 {simulation.rateOfSpread.p90} ch/h
+                  </div>
+                  <div>
+                    Out of prescription by parameter:{' '}
+                    {Object.entries(simulation.prescriptionExceedance)
+                      .map(([id, percent]) => `${PRESCRIPTION_LABELS[id]} ${percent}%`)
+                      .join(', ')}
+                    {simulation.isDefaultPrescription && ' (default prescription)'}
+                  </div>
+                  <div className="text-gray-500">
+                    {simulation.variability.basis === 'weather_data'
+                      ? `Day-to-day variability from ${simulation.variability.pairs} hour pairs at ${simulation.station} over ${simulation.historyDays} days`
+                      : 'Too little weather_data history; default variability used'}
+                    {' '}(±{simulation.variability.stdDev.temperature}°F, ±{simulation.variability.stdDev.humidity}% RH, ±{simulation.variability.stdDev.windSpeed} mph)
+                  </div>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,171 @@
+"use client";
+
+import { useState, useEffect } from 'react';
+import { Flame } from 'lucide-react';
+import { getFuelModel } from '../lib/fuel-models';
+import { DEFAULT_FUEL_MOISTURE } from '../lib/fire-behavior';
+
+const inputClass = 'w-full border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1 text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+// Midflame wind adjustment factors for the 20-ft wind (Albini & Baughman 1979)
+const WIND_ADJUSTMENT_FACTORS = [
+  { value: 0.1, label: '0.1 — dense, sheltered canopy' },
+  { value: 0.2, label: '0.2 — partially sheltered' },
+  { value: 0.3, label: '0.3 — open canopy' },
+  { value: 0.4, label: '0.4 — unsheltered, short fuels' },
+  { value: 0.5, label: '0.5 — unsheltered, medium fuels' },
+  { value: 0.6, label: '0.6 — unsheltered, deep fuels' }
+];
+
+const MOISTURE_FIELDS = [
+  { id: 'tenHour', label: '10-hr (%)' },
+  { id: 'hundredHour', label: '100-hr (%)' },
+  { id: 'liveHerb', label: 'Live herb (%)' },
+  { id: 'liveWoody', label: 'Live woody (%)' }
+];
+
+const INTERPRETATION_STYLES = {
+  low: 'bg-green-50 dark:bg-green-900/20 text-green-800 dark:text-green-300',
+  moderate: 'bg-yellow-50 dark:bg-yellow-900/20 text-yellow-800 dark:text-yellow-300',
+  high: 'bg-orange-50 dark:bg-orange-900/20 text-orange-800 dark:text-orange-300',
+  extreme: 'bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-300'
+};
+
+/**
+ * Rothermel surface fire behavior for the current assessment inputs
+ * windSpeed is the 20-ft wind (mph), slope %, fuelMoisture the 1-hr dead fuel moisture %
+ */
+export default function FireBehaviorPanel({ fuelModel, windSpeed, slope, fuelMoisture }) {
+  const [moisture, setMoisture] = useState({
+    tenHour: DEFAULT_FUEL_MOISTURE.tenHour,
+    hundredHour: DEFAULT_FUEL_MOISTURE.hundredHour,
+    liveHerb: DEFAULT_FUEL_MOISTURE.liveHerb,
+    liveWoody: DEFAULT_FUEL_MOISTURE.liveWoody
+  });
+  const [windAdjustment, setWindAdjustment] = useState(0.4);
+  const [behavior, setBehavior] = useState(null);
+  const [error, setError] = useState(null);
+
+  const midflameWindSpeed = Math.round(windSpeed * windAdjustment * 10) / 10;
+
+  useEffect(() => {
+    if (!fuelModel) {
+      setBehavior(null);
+      setError(null);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+
+    fetch('/api/fire-behavior', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        fuelModel,
+        moisture: { oneHour: Math.max(fuelMoisture, 1), ...moisture },
+        midflameWindSpeed,
+        slope
+      }),
+      signal: controller.signal
+    })
+      .then(res => res.json())
+      .then(result => {
+        if (result.success) {
+          setBehavior(result.behavior);
+          setError(null);
+        } else {
+          setBehavior(null);
+          setError(result.validationErrors?.map(e => `${e.path.join('.')}: ${e.message}`).join('; ') || result.error);
+        }
+      })
+      .catch(err => {
+        if (err.name !== 'AbortError') setError(err.message);
+      });
+
+    return () => controller.abort();
+  }, [fuelModel, moisture, midflameWindSpeed, slope, fuelMoisture]);
+
+  const updateMoisture = (id, value) => {
+    setMoisture(prev => ({ ...prev, [id]: value === '' ? undefined : Number(value) }));
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700">
+      <div className="p-6">
+        <div className="flex items-center space-x-2 mb-4">
+          <Flame className="h-5 w-5 text-[#8C1515]" />
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Fire Behavior
+          </h2>
+        </div>
+
+        <div className="grid grid-cols-2 gap-3 mb-4">
+          <div className="col-span-2 text-sm text-gray-700 dark:text-gray-300">
+            {fuelModel
+              ? <>Fuel model <span className="font-medium">{fuelModel} — {getFuelModel(fuelModel)?.name}</span></>
+              : 'Select a fuel model under Site Information to calculate fire behavior.'}
+          </div>
+          {MOISTURE_FIELDS.map(({ id, label }) => (
+            <div key={id}>
+              <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                {label}
+              </label>
+              <input
+                type="number"
+                value={moisture[id] ?? ''}
+                onChange={(e) => updateMoisture(id, e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          ))}
+          <div className="col-span-2">
+            <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Wind Adjustment Factor
+            </label>
+            <select value={windAdjustment} onChange={(e) => setWindAdjustment(Number(e.target.value))} className={inputClass}>
+              {WIND_ADJUSTMENT_FACTORS.map(f => (
+                <option key={f.value} value={f.value}>{f.label}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">
+              {windSpeed} mph 20-ft wind → {midflameWindSpeed} mph midflame; 1-hr {fuelMoisture}%, slope {slope}%
+            </p>
+          </div>
+        </div>
+
+        {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+        {fuelModel && behavior && (
+          <div className="space-y-3">
+            <div className="grid grid-cols-2 gap-3 text-center">
+              <div className="p-3 rounded-lg bg-gray-50 dark:bg-gray-900/40">
+                <div className="text-xl font-bold text-gray-900 dark:text-white">{behavior.rateOfSpread.chPerHr}</div>
+                <div className="text-xs text-gray-500">Rate of spread (ch/h)</div>
+              </div>
+              <div className="p-3 rounded-lg bg-gray-50 dark:bg-gray-900/40">
+                <div className="text-xl font-bold text-gray-900 dark:text-white">{behavior.flameLength}</div>
+                <div className="text-xs text-gray-500">Flame length (ft)</div>
+              </div>
+              <div className="p-3 rounded-lg bg-gray-50 dark:bg-gray-900/40">
+                <div className="text-xl font-bold text-gray-900 dark:text-white">{behavior.firelineIntensity}</div>
+                <div className="text-xs text-gray-500">Fireline intensity (BTU/ft/s)</div>
+              </div>
+              <div className="p-3 rounded-lg bg-gray-50 dark:bg-gray-900/40">
+                <div className="text-xl font-bold text-gray-900 dark:text-white">{behavior.heatPerUnitArea}</div>
+                <div className="text-xs text-gray-500">Heat per unit area (BTU/ft²)</div>
+              </div>
+            </div>
+
+            <div className={`p-3 rounded-lg text-sm ${INTERPRETATION_STYLES[behavior.interpretation.level]}`}>
+              <span className="font-medium capitalize">{behavior.interpretation.level}:</span> {behavior.interpretation.message}
+            </div>
+
+            {behavior.windLimitExceeded && (
+              <p className="text-xs text-gray-500">Midflame wind exceeds the Rothermel wind limit; spread is capped.</p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,14 +1,28 @@
 "use client";
 
-import { MapContainer, TileLayer, CircleMarker, Popup, ZoomControl } from "react-leaflet";
+import { MapContainer, TileLayer, CircleMarker, Polygon, Polyline, Popup, ZoomControl, useMapEvents } from "react-leaflet";
 import "leaflet/dist/leaflet.css";
 import { getColorForValue, getMetricInfo } from "../lib/mapDataUtils";
+import { statusColor } from "../lib/burn-status";
+import { boundaryLatLngs } from "../lib/unit-geometry";
+
+// Adds a boundary vertex for each map click while a boundary is being drawn
+function DrawClickHandler({ onAddPoint }) {
+  useMapEvents({
+    click: (event) => onAddPoint([event.latlng.lat, event.latlng.lng]),
+  });
+  return null;
+}
 
 export default function FireManagementMap({
   data = [],
   height = "500px",
   selectedMetric = "status",
   darkMode = false,
+  plume = null,
+  plumeSensors = [],
+  draftBoundary = null,
+  onAddBoundaryPoint = null,
 }) {
   // Center on first valid point or fallback to California (where most prescribed fires occur)
   const center =
@@ -33,6 +47,89 @@ export default function FireManagementMap({
           }
           attribution='&copy; OpenStreetMap contributors'
         />
+        {plume?.cells.map((cell, idx) => (
+          <Polygon
+            key={`plume-${idx}`}
+            positions={cell.corners}
+            pathOptions={{
+              stroke: false,
+              fillColor: getColorForValue(cell.concentration, "pm25"),
+              fillOpacity: 0.35,
+            }}
+          />
+        ))}
+        {plumeSensors.map((sensor) => (
+          <CircleMarker
+            key={`sensor-${sensor.node}`}
+            center={[sensor.latitude, sensor.longitude]}
+            radius={7}
+            pathOptions={{
+              color: "#111827",
+              fillColor: getColorForValue(sensor.observedSmoke, "pm25"),
+              fillOpacity: 0.9,
+              weight: 2,
+            }}
+          >
+            <Popup>
+              <div className="space-y-1">
+                <div>
+                  <strong className="text-[#8C1515]">Sensor {sensor.node}</strong>
+                </div>
+                <div>
+                  <strong>Observed smoke:</strong> {sensor.observedSmoke} µg/m³
+                  {sensor.background !== null && ` (background ${sensor.background})`}
+                </div>
+                <div>
+                  <strong>Predicted:</strong> {sensor.predicted} µg/m³
+                </div>
+                <div className="text-sm text-gray-500">{sensor.distanceKm} km from ignition</div>
+              </div>
+            </Popup>
+          </CircleMarker>
+        ))}
+        {onAddBoundaryPoint && <DrawClickHandler onAddPoint={onAddBoundaryPoint} />}
+        {data.filter((point) => point.boundary).map((point) => {
+          const color = statusColor(point.status) || "#6B7280";
+          return (
+            <Polygon
+              key={`boundary-${point.fireDataId ?? point.unitId}`}
+              positions={boundaryLatLngs(point.boundary)}
+              pathOptions={{ color, fillColor: color, fillOpacity: 0.2, weight: 2 }}
+            >
+              <Popup>
+                <div className="space-y-1">
+                  <div>
+                    <strong className="text-[#8C1515]">{point.unitName || point.unitId}</strong>
+                  </div>
+                  <div>
+                    <strong>Status:</strong> {point.status}
+                  </div>
+                  <div>
+                    <strong>Mapped Area:</strong> {point.boundaryAcres} acres
+                    {point.acresPlanned && ` (${point.acresPlanned} planned)`}
+                  </div>
+                  <div>
+                    <strong>Perimeter:</strong> {point.boundaryPerimeterFt?.toLocaleString()} ft
+                  </div>
+                </div>
+              </Popup>
+            </Polygon>
+          );
+        })}
+        {draftBoundary?.length > 0 && (
+          <Polyline
+            positions={draftBoundary.length > 2 ? [...draftBoundary, draftBoundary[0]] : draftBoundary}
+            pathOptions={{ color: "#8C1515", weight: 2, dashArray: "6 4" }}
+          />
+        )}
+        {draftBoundary?.map((position, idx) => (
+          <CircleMarker
+            key={`draft-${idx}`}
+            center={position}
+            radius={4}
+            pathOptions={{ color: "#8C1515", fillColor: "#FFFFFF", fillOpacity: 1, weight: 2 }}
+          />
+        ))}
         {data.map((point, idx) => {
           const value = point[selectedMetric];
           const color = getColorForValue(value, selectedMetric.toLowerCase());
@@ -68,6 +165,11 @@ export default function FireManagementMap({
                       <strong>Acres Planned:</strong> {point.acresPlanned}
                     </div>
                   )}
+                  {point.boundaryAcres !== null && point.boundaryAcres !== undefined && (
+                    <div>
+                      <strong>Mapped Area:</strong> {point.boundaryAcres} acres, {point.boundaryPerimeterFt?.toLocaleString()} ft perimeter
+                    </div>
+                  )}
                   {point.acresCompleted !== null && (
                     <div>
                       <strong>Acres Completed:</strong> {point.acresCompleted}
@@ -101,6 +203,19 @@ export default function FireManagementMap({
                   {point.fuelMoisture && (
                     <div>
                       <strong>Fuel Moisture:</strong> {point.fuelMoisture}%
+                      {point.fuelMoisture10hr && ` 1-hr / ${point.fuelMoisture10hr}% 10-hr`}
+                      <span className="text-xs text-gray-500">
+                        {point.fuelMoistureSource === 'sensor'
+                          ? ` (estimated from sensor ${point.fuelMoistureSensor})`
+                          : point.fuelMoistureSource === 'fire_data'
+                            ? ' (estimated from unit weather)'
+                            : ' (hand-entered)'}
+                      </span>
+                    </div>
+                  )}
+                  {point.fuelMoistureSource !== 'manual' && point.fuelMoistureMeasured && (
+                    <div>
+                      <strong>Measured Fuel Moisture:</strong> {point.fuelMoistureMeasured}%
                     </div>
                   )}
                   {point.burnBoss && (
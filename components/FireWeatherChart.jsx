@@ -0,0 +1,195 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import dynamic from 'next/dynamic';
+import { FIRE_WEATHER_INDICES } from '../lib/fire-weather-indices';
+
+// Dynamically import Plotly
+const Plot = dynamic(() => import('react-plotly.js'), {
+  ssr: false,
+  loading: () => <div className="animate-pulse bg-gray-200 dark:bg-gray-700 h-full w-full rounded"></div>
+});
+
+const INDEX_COLORS = {
+  fosberg: '#FF5722',
+  hotDryWindy: '#9C27B0',
+  chandler: '#2196F3',
+  haines: '#4CAF50'
+};
+
+const SOURCES = [
+  { value: 'air_quality', label: 'Sensors (air_quality)' },
+  { value: 'weather_data', label: 'Weather stations (weather_data)' },
+  { value: 'session_data', label: 'Uploaded session (session_data)' }
+];
+
+const inputClass = 'border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1 text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+/**
+ * Fire weather index time series (FFWI, HDW, CBI, Haines) from /api/fire-weather
+ */
+const FireWeatherChart = ({ sensors = [], dateRange = {} }) => {
+  const [source, setSource] = useState('air_quality');
+  const [windSpeed, setWindSpeed] = useState('');
+  const [sessionId, setSessionId] = useState('');
+  const [selectedIndices, setSelectedIndices] = useState(FIRE_WEATHER_INDICES.map(i => i.id));
+  const [points, setPoints] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const start = dateRange.start ? dateRange.start.toISOString() : '';
+  const end = dateRange.end ? dateRange.end.toISOString() : '';
+  const nodes = sensors.join(',');
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const params = new URLSearchParams({ source });
+    if (start) params.set('start', start);
+    if (end) params.set('end', end);
+    if (source !== 'weather_data') {
+      if (windSpeed !== '') params.set('windSpeed', windSpeed);
+      if (source === 'air_quality' && nodes) params.set('nodes', nodes);
+      if (source === 'session_data' && sessionId) params.set('sessionId', sessionId);
+    }
+
+    setIsLoading(true);
+    fetch(`/api/fire-weather?${params}`, { signal: controller.signal })
+      .then(res => res.json())
+      .then(result => {
+        if (result.success) {
+          setPoints(result.points);
+          setError(null);
+        } else {
+          setPoints([]);
+          setError(result.details || result.error);
+        }
+        setIsLoading(false);
+      })
+      .catch(err => {
+        if (err.name !== 'AbortError') {
+          setError(err.message);
+          setIsLoading(false);
+        }
+      });
+
+    return () => controller.abort();
+  }, [source, start, end, nodes, windSpeed, sessionId]);
+
+  const toggleIndex = (id) => {
+    setSelectedIndices(prev => (prev.includes(id) ? prev.filter(i => i !== id) : [...prev, id]));
+  };
+
+  const plotData = useMemo(() => FIRE_WEATHER_INDICES
+    .filter(index => selectedIndices.includes(index.id))
+    .map(index => {
+      const series = points.filter(p => p[index.id] !== null && p[index.id] !== undefined);
+      return {
+        type: 'scatter',
+        mode: 'lines+markers',
+        name: index.label,
+        x: series.map(p => p.time),
+        y: series.map(p => p[index.id]),
+        // Haines runs 2–6, so it gets its own axis
+        yaxis: index.id === 'haines' ? 'y2' : 'y',
+        line: { color: INDEX_COLORS[index.id], width: 2 },
+        marker: { size: 4 }
+      };
+    })
+    .filter(trace => trace.x.length > 0), [points, selectedIndices]);
+
+  const layout = useMemo(() => {
+    const isDarkMode = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+    const textColor = isDarkMode ? '#e5e7eb' : '#1f2937';
+    const gridColor = isDarkMode ? '#374151' : '#e5e7eb';
+
+    return {
+      title: {
+        text: 'Fire Weather Indices',
+        font: { family: 'Inter, system-ui, sans-serif', size: 18, color: textColor }
+      },
+      showlegend: true,
+      legend: { orientation: 'h', x: 0, y: 1.1, font: { color: textColor } },
+      xaxis: { type: 'date', gridcolor: gridColor, color: textColor },
+      yaxis: { title: 'FFWI / HDW / CBI', gridcolor: gridColor, color: textColor, rangemode: 'tozero' },
+      yaxis2: { title: 'Haines', overlaying: 'y', side: 'right', range: [1.5, 6.5], dtick: 1, color: textColor, showgrid: false },
+      margin: { l: 60, r: 60, t: 80, b: 50 },
+      paper_bgcolor: 'rgba(0,0,0,0)',
+      plot_bgcolor: 'rgba(0,0,0,0)',
+      autosize: true
+    };
+  }, []);
+
+  const needsWind = source !== 'weather_data';
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <select value={source} onChange={(e) => setSource(e.target.value)} className={inputClass}>
+          {SOURCES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+        </select>
+        {source === 'session_data' && (
+          <input
+            type="text"
+            value={sessionId}
+            onChange={(e) => setSessionId(e.target.value)}
+            placeholder="Session ID"
+            className={inputClass}
+          />
+        )}
+        {needsWind && (
+          <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+            <span>Assumed wind (mph)</span>
+            <input
+              type="number"
+              min="0"
+              value={windSpeed}
+              onChange={(e) => setWindSpeed(e.target.value)}
+              className={`${inputClass} w-20`}
+            />
+          </label>
+        )}
+        <div className="flex flex-wrap gap-1">
+          {FIRE_WEATHER_INDICES.map(index => (
+            <button
+              key={index.id}
+              onClick={() => toggleIndex(index.id)}
+              className={`px-2 py-1 text-xs rounded-full border ${
+                selectedIndices.includes(index.id)
+                  ? 'bg-blue-100 border-blue-300 text-blue-800 dark:bg-blue-900/40 dark:border-blue-700 dark:text-blue-200'
+                  : 'border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-400'
+              }`}
+            >
+              {index.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {needsWind && windSpeed === '' && (
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          Sensors do not measure wind. Enter an assumed wind speed to chart the Fosberg and Hot-Dry-Windy indices.
+        </p>
+      )}
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="h-[500px]">
+        {isLoading ? (
+          <div className="animate-pulse bg-gray-200 dark:bg-gray-700 h-full w-full rounded"></div>
+        ) : plotData.length > 0 ? (
+          <Plot
+            data={plotData}
+            layout={layout}
+            config={{ responsive: true, displaylogo: false }}
+            useResizeHandler={true}
+            style={{ width: '100%', height: '100%' }}
+            className="w-full h-full"
+          />
+        ) : (
+          <div className="h-full w-full flex items-center justify-center bg-gray-100 dark:bg-gray-800 rounded-lg">
+            <p className="text-gray-500 dark:text-gray-400">No fire weather data for the selected source and dates</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FireWeatherChart;
@@ -0,0 +1,32 @@
+"use client";
+
+import { FUEL_MODELS, FUEL_MODEL_FAMILIES } from '../lib/fuel-models';
+
+/**
+ * Fuel model picker grouped by model family, with suggested models listed first
+ */
+export default function FuelModelSelect({ value, onChange, suggested = [], className = '' }) {
+  const suggestedCodes = suggested.map(m => m.code);
+
+  return (
+    <select value={value || ''} onChange={(e) => onChange(e.target.value)} className={className}>
+      <option value="">Select fuel model</option>
+      {suggested.length > 0 && (
+        <optgroup label="Suggested">
+          {suggested.map(m => (
+            <option key={`suggested-${m.code}`} value={m.code}>{m.code} — {m.name}</option>
+          ))}
+        </optgroup>
+      )}
+      {FUEL_MODEL_FAMILIES.map(family => (
+        <optgroup key={family.value} label={family.label}>
+          {FUEL_MODELS
+            .filter(m => m.family === family.value && !suggestedCodes.includes(m.code))
+            .map(m => (
+              <option key={m.code} value={m.code}>{m.code} — {m.name}</option>
+            ))}
+        </optgroup>
+      ))}
+    </select>
+  );
+}
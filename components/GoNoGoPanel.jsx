@@ -0,0 +1,188 @@
+"use client";
+
+import { useState, useEffect } from 'react';
+import { ClipboardCheck, Lock } from 'lucide-react';
+
+const inputClass = 'w-full border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1 text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+const formatTime = (iso) => new Date(iso).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+const answerClass = (selected, answer) => {
+  if (!selected) return 'border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-300';
+  return answer === 'yes' ? 'bg-green-600 border-green-600 text-white' : 'bg-red-600 border-red-600 text-white';
+};
+
+/**
+ * Prescribed fire go/no-go checklist for a saved burn plan: yes/no answers
+ * with initials, then burn boss and agency administrator sign-off
+ */
+export default function GoNoGoPanel({ planId, signerName = '' }) {
+  const [checklist, setChecklist] = useState(null);
+  const [initials, setInitials] = useState('');
+  const [names, setNames] = useState({});
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (!planId) {
+      setChecklist(null);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+
+    fetch(`/api/burn-plans/go-no-go?id=${planId}`, { signal: controller.signal })
+      .then(res => res.json())
+      .then(result => {
+        if (result.success) {
+          setChecklist(result);
+          setError(null);
+        } else {
+          setChecklist(null);
+          setError(result.details || result.error);
+        }
+      })
+      .catch(err => {
+        if (err.name !== 'AbortError') setError(err.message);
+      });
+
+    return () => controller.abort();
+  }, [planId]);
+
+  const send = async (method, body) => {
+    setIsSaving(true);
+    try {
+      const response = await fetch(`/api/burn-plans/go-no-go?id=${planId}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        setChecklist(result);
+        setError(null);
+      } else {
+        setError(result.validationErrors?.map(e => `${e.path.join('.')}: ${e.message}`).join('; ') || result.details || result.error);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const answer = (questionId, value) => send('PATCH', { questionId, answer: value, initials });
+
+  const sign = (role) => send('POST', { role, name: names[role] ?? signerName });
+
+  const { goNoGo, progress, locked, signed } = checklist || {};
+  const allYes = progress && progress.yes === progress.total;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700">
+      <div className="p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-2">
+            <ClipboardCheck className="h-5 w-5 text-[#8C1515]" />
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+              Go/No-Go Checklist
+            </h2>
+          </div>
+          {checklist && (
+            <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${
+              signed ? 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300' : 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300'
+            }`}>
+              {signed ? 'GO' : `${progress.yes}/${progress.total} yes`}
+            </span>
+          )}
+        </div>
+
+        {!planId ? (
+          <p className="text-sm text-gray-500">Save the burn plan to complete its go/no-go checklist.</p>
+        ) : checklist && (
+          <div className="space-y-4">
+            {locked ? (
+              <p className="flex items-center space-x-1 text-xs text-gray-500">
+                <Lock className="h-3 w-3" />
+                <span>Signed; answers are locked.</span>
+              </p>
+            ) : (
+              <input
+                type="text"
+                value={initials}
+                onChange={(e) => setInitials(e.target.value.toUpperCase())}
+                placeholder="Your initials"
+                maxLength={5}
+                className={inputClass}
+              />
+            )}
+
+            <ul className="space-y-2">
+              {checklist.questions.map(question => {
+                const entry = goNoGo.answers[question.id];
+                return (
+                  <li key={question.id} className="text-sm">
+                    <div className="flex items-start justify-between space-x-2">
+                      <span className="text-gray-700 dark:text-gray-300">{question.question}</span>
+                      <div className="flex space-x-1 flex-shrink-0">
+                        {['yes', 'no'].map(value => (
+                          <button
+                            key={value}
+                            onClick={() => answer(question.id, value)}
+                            disabled={locked || isSaving || !initials}
+                            title={!initials && !locked ? 'Enter your initials to answer' : undefined}
+                            className={`px-2 py-0.5 text-xs border rounded-md uppercase disabled:cursor-not-allowed ${answerClass(entry?.answer === value, value)}`}
+                          >
+                            {value}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                    {entry && (
+                      <p className="text-xs text-gray-500">{entry.initials}, {formatTime(entry.answeredAt)}</p>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+
+            <div className="space-y-2">
+              <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300">Sign-off</h3>
+              {checklist.signoffs.map(signoff => {
+                const signature = goNoGo.signatures[signoff.id];
+                return signature?.signedAt ? (
+                  <p key={signoff.id} className="text-xs text-gray-600 dark:text-gray-400">
+                    {signoff.label}: <span className="font-medium">{signature.name}</span>, {formatTime(signature.signedAt)}
+                  </p>
+                ) : (
+                  <div key={signoff.id} className="flex items-center space-x-2">
+                    <input
+                      type="text"
+                      value={names[signoff.id] ?? signerName}
+                      onChange={(e) => setNames(prev => ({ ...prev, [signoff.id]: e.target.value }))}
+                      placeholder={signoff.label}
+                      className={inputClass}
+                    />
+                    <button
+                      onClick={() => sign(signoff.id)}
+                      disabled={isSaving || !allYes || !(names[signoff.id] ?? signerName)}
+                      className="px-3 py-1 text-xs bg-[#8C1515] hover:bg-[#B83A4B] text-white rounded-md transition-colors disabled:opacity-50 whitespace-nowrap"
+                    >
+                      Sign as {signoff.label}
+                    </button>
+                  </div>
+                );
+              })}
+              {!allYes && (
+                <p className="text-xs text-gray-500">Every question must be answered yes before signing.</p>
+              )}
+            </div>
+          </div>
+        )}
+
+        {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+      </div>
+    </div>
+  );
+}
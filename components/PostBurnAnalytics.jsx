@@ -0,0 +1,159 @@
+"use client";
+
+import { useState, useEffect } from 'react';
+import { TrendingUp } from 'lucide-react';
+
+const display = (value, unit = '') => (value === null || value === undefined ? '—' : `${value}${unit}`);
+
+function OutcomeBar({ outcomes, definitions }) {
+  const total = Object.values(outcomes).reduce((sum, n) => sum + n, 0);
+  if (total === 0) return null;
+
+  return (
+    <div>
+      <div className="flex h-3 rounded overflow-hidden">
+        {definitions.map(outcome => outcomes[outcome.id] > 0 && (
+          <div
+            key={outcome.id}
+            title={`${outcome.label}: ${outcomes[outcome.id]}`}
+            style={{ width: `${(outcomes[outcome.id] / total) * 100}%`, backgroundColor: outcome.color }}
+          />
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-3 mt-1 text-xs text-gray-600 dark:text-gray-400">
+        {definitions.map(outcome => (
+          <span key={outcome.id} className="flex items-center space-x-1">
+            <span className="inline-block w-2 h-2 rounded-full" style={{ backgroundColor: outcome.color }} />
+            <span>{outcome.label} {outcomes[outcome.id]}</span>
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function GroupTable({ title, groups }) {
+  if (groups.length === 0) return null;
+
+  return (
+    <div>
+      <h3 className="text-sm font-medium text-gray-900 dark:text-white mb-1">{title}</h3>
+      <table className="w-full text-xs text-gray-600 dark:text-gray-400">
+        <thead>
+          <tr className="text-left border-b border-gray-200 dark:border-gray-700">
+            <th className="py-1"></th>
+            <th className="py-1">Burns</th>
+            <th className="py-1">Acres</th>
+            <th className="py-1">% burned</th>
+            <th className="py-1">Objectives met</th>
+          </tr>
+        </thead>
+        <tbody>
+          {groups.map(group => (
+            <tr key={group.key} className="border-b border-gray-100 dark:border-gray-700/50">
+              <td className="py-1 font-medium text-gray-900 dark:text-white">{group.key}</td>
+              <td className="py-1">{group.evaluations}</td>
+              <td className="py-1">{group.acresBurned}</td>
+              <td className="py-1">{display(group.meanPercentBurned, '%')}</td>
+              <td className="py-1">{display(group.objectiveSuccessRate, '%')}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * Historical post-burn success across every unit's latest evaluation
+ */
+export default function PostBurnAnalytics({ refreshKey = 0 }) {
+  const [analytics, setAnalytics] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    fetch('/api/burn-evaluations/analytics', { signal: controller.signal })
+      .then(res => res.json())
+      .then(result => {
+        if (result.success) {
+          setAnalytics(result);
+          setError(null);
+        } else {
+          setError(result.details || result.error);
+        }
+      })
+      .catch(err => {
+        if (err.name !== 'AbortError') setError(err.message);
+      });
+
+    return () => controller.abort();
+  }, [refreshKey]);
+
+  const overall = analytics?.overall;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700">
+      <div className="p-6">
+        <div className="flex items-center space-x-2 mb-4">
+          <TrendingUp className="h-5 w-5 text-[#8C1515]" />
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Historical Success
+          </h2>
+        </div>
+
+        {overall && overall.evaluations === 0 && (
+          <p className="text-sm text-gray-500">No post-burn evaluations recorded yet.</p>
+        )}
+
+        {overall && overall.evaluations > 0 && (
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-3 text-sm">
+              <div>
+                <div className="text-xs text-gray-500">Evaluated burns</div>
+                <div className="text-lg font-semibold text-gray-900 dark:text-white">{overall.evaluations}</div>
+              </div>
+              <div>
+                <div className="text-xs text-gray-500">Acres burned</div>
+                <div className="text-lg font-semibold text-gray-900 dark:text-white">{overall.acresBurned}</div>
+              </div>
+              <div>
+                <div className="text-xs text-gray-500">Objectives met</div>
+                <div className="text-lg font-semibold text-gray-900 dark:text-white">
+                  {display(overall.objectiveSuccessRate, '%')}
+                  <span className="ml-1 text-xs font-normal text-gray-500">({overall.objectivesMet}/{overall.objectivesTotal})</span>
+                </div>
+              </div>
+              <div>
+                <div className="text-xs text-gray-500">Mean unit burned</div>
+                <div className="text-lg font-semibold text-gray-900 dark:text-white">{display(overall.meanPercentBurned, '%')}</div>
+              </div>
+            </div>
+
+            <OutcomeBar outcomes={overall.outcomes} definitions={analytics.outcomes} />
+
+            <GroupTable title="By Year" groups={analytics.byYear} />
+            <GroupTable title="By Burn Type" groups={analytics.byBurnType} />
+
+            {analytics.byObjective.length > 0 && (
+              <div>
+                <h3 className="text-sm font-medium text-gray-900 dark:text-white mb-1">Objectives</h3>
+                <ul className="space-y-1 text-xs text-gray-600 dark:text-gray-400">
+                  {analytics.byObjective.slice(0, 8).map(stat => (
+                    <li key={stat.objective} className="flex justify-between space-x-2">
+                      <span>{stat.objective}</span>
+                      <span className="whitespace-nowrap">{stat.met}/{stat.total} met</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+
+        {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,353 @@
+"use client";
+
+import { useState, useEffect } from 'react';
+import { ClipboardList, Plus, Trash2, Camera, MapPin } from 'lucide-react';
+import { CONSUMPTION_CLASSES, acresBurned, evaluationOutcome, splitObjectives, EVALUATION_OUTCOMES } from '../lib/post-burn-evaluation';
+
+const inputClass = 'w-full border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1 text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+const labelClass = 'block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1';
+
+const EMPTY_PLOT = { plotId: '', latitude: '', longitude: '', scorchHeight: '', charHeight: '', crownScorch: '', mortality: '', bareSoil: '', notes: '' };
+
+const PLOT_FIELDS = [
+  { id: 'plotId', label: 'Plot', type: 'text' },
+  { id: 'latitude', label: 'Lat' },
+  { id: 'longitude', label: 'Lon' },
+  { id: 'scorchHeight', label: 'Scorch (ft)' },
+  { id: 'charHeight', label: 'Char (ft)' },
+  { id: 'crownScorch', label: 'Crown scorch %' },
+  { id: 'mortality', label: 'Mortality %' },
+  { id: 'bareSoil', label: 'Bare soil %' }
+];
+
+const toNumber = (value) => (value === '' || value === null || value === undefined ? null : Number(value));
+
+const toLocalInput = (time) => {
+  const date = new Date(time);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const emptyForm = (unit) => ({
+  evaluator: '',
+  burnDate: '',
+  objectives: splitObjectives(unit?.objectives).map(objective => ({ objective, met: false, notes: '' })),
+  percentBurned: '',
+  acresBurned: '',
+  scorchHeightAvg: '',
+  scorchHeightMax: '',
+  consumption: {},
+  effectsPlots: [],
+  photos: [],
+  notes: ''
+});
+
+/**
+ * Post-burn evaluation entry for a burn unit: objectives, area burned, scorch,
+ * consumption, effects plots and photo references with GPS and time
+ */
+export default function PostBurnEvaluationForm({ unit, onSaved }) {
+  const [form, setForm] = useState(() => emptyForm(unit));
+  const [status, setStatus] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    setForm(emptyForm(unit));
+    setStatus(null);
+  }, [unit]);
+
+  const update = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const updateItem = (field, index, changes) => setForm(prev => ({
+    ...prev,
+    [field]: prev[field].map((item, i) => (i === index ? { ...item, ...changes } : item))
+  }));
+
+  const removeItem = (field, index) => setForm(prev => ({ ...prev, [field]: prev[field].filter((_, i) => i !== index) }));
+
+  const addItem = (field, item) => setForm(prev => ({ ...prev, [field]: [...prev[field], item] }));
+
+  // The file itself stays where it is; only its name and capture time are kept
+  const addPhotos = (e) => {
+    [...(e.target.files || [])].forEach(file => addItem('photos', {
+      ref: file.name,
+      caption: '',
+      latitude: '',
+      longitude: '',
+      takenAt: toLocalInput(file.lastModified)
+    }));
+    e.target.value = '';
+  };
+
+  const fillCurrentLocation = (index) => {
+    if (!navigator.geolocation) {
+      setStatus({ type: 'error', message: 'Location is not available in this browser' });
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      position => updateItem('photos', index, {
+        latitude: position.coords.latitude.toFixed(6),
+        longitude: position.coords.longitude.toFixed(6)
+      }),
+      error => setStatus({ type: 'error', message: error.message })
+    );
+  };
+
+  const save = async () => {
+    setIsSaving(true);
+    try {
+      const response = await fetch('/api/burn-evaluations', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          fireDataId: unit.id,
+          evaluator: form.evaluator,
+          burnDate: form.burnDate || null,
+          objectives: form.objectives.filter(o => o.objective.trim()).map(o => ({ ...o, notes: o.notes || null })),
+          percentBurned: toNumber(form.percentBurned),
+          acresBurned: toNumber(form.acresBurned),
+          scorchHeightAvg: toNumber(form.scorchHeightAvg),
+          scorchHeightMax: toNumber(form.scorchHeightMax),
+          consumption: Object.fromEntries(Object.entries(form.consumption).filter(([, v]) => v !== '').map(([k, v]) => [k, Number(v)])),
+          effectsPlots: form.effectsPlots.map(plot => ({
+            ...Object.fromEntries(PLOT_FIELDS.filter(f => f.id !== 'plotId').map(f => [f.id, toNumber(plot[f.id])])),
+            plotId: plot.plotId,
+            notes: plot.notes || null
+          })),
+          photos: form.photos.map(photo => ({
+            ref: photo.ref,
+            caption: photo.caption || null,
+            latitude: toNumber(photo.latitude),
+            longitude: toNumber(photo.longitude),
+            takenAt: photo.takenAt ? new Date(photo.takenAt).toISOString() : null,
+            plotId: photo.plotId || null
+          })),
+          notes: form.notes || null
+        })
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        setForm(emptyForm(unit));
+        setStatus({ type: 'success', message: `Evaluation saved; acres completed set to ${result.evaluation.acres_burned ?? 'unchanged'}` });
+        onSaved?.(result.evaluation);
+      } else {
+        setStatus({
+          type: 'error',
+          message: result.validationErrors?.map(e => `${e.path.join('.')}: ${e.message}`).join('; ') || result.details || result.error
+        });
+      }
+    } catch (error) {
+      setStatus({ type: 'error', message: error.message });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const computedAcres = acresBurned({ acresBurned: toNumber(form.acresBurned), percentBurned: toNumber(form.percentBurned) }, unit?.acres_planned);
+  const outcome = EVALUATION_OUTCOMES.find(o => o.id === evaluationOutcome(form.objectives.filter(o => o.objective.trim())));
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700">
+      <div className="p-6 space-y-6">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-2">
+            <ClipboardList className="h-5 w-5 text-[#8C1515]" />
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+              Post-Burn Evaluation
+            </h2>
+          </div>
+          {outcome && (
+            <span className="px-2 py-0.5 text-xs font-medium text-white rounded-full" style={{ backgroundColor: outcome.color }}>
+              {outcome.label}
+            </span>
+          )}
+        </div>
+
+        {!unit ? (
+          <p className="text-sm text-gray-500">Select a burn unit to evaluate.</p>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className={labelClass}>Evaluator</label>
+                <input type="text" value={form.evaluator} onChange={(e) => update('evaluator', e.target.value)} className={inputClass} />
+              </div>
+              <div>
+                <label className={labelClass}>Burn date</label>
+                <input type="date" value={form.burnDate} onChange={(e) => update('burnDate', e.target.value)} className={inputClass} />
+              </div>
+            </div>
+
+            {/* Objectives */}
+            <div>
+              <h3 className="text-sm font-medium text-gray-900 dark:text-white mb-2">Objectives</h3>
+              <div className="space-y-2">
+                {form.objectives.map((objective, index) => (
+                  <div key={index} className="flex items-center space-x-2">
+                    <select
+                      value={objective.met ? 'met' : 'unmet'}
+                      onChange={(e) => updateItem('objectives', index, { met: e.target.value === 'met' })}
+                      className={`${inputClass} w-24`}
+                    >
+                      <option value="met">Met</option>
+                      <option value="unmet">Not met</option>
+                    </select>
+                    <input type="text" value={objective.objective} onChange={(e) => updateItem('objectives', index, { objective: e.target.value })} placeholder="Objective" className={inputClass} />
+                    <input type="text" value={objective.notes} onChange={(e) => updateItem('objectives', index, { notes: e.target.value })} placeholder="Notes" className={inputClass} />
+                    <button onClick={() => removeItem('objectives', index)} className="text-gray-400 hover:text-red-600" title="Remove objective">
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <button
+                onClick={() => addItem('objectives', { objective: '', met: false, notes: '' })}
+                className="mt-2 flex items-center space-x-1 text-xs text-[#8C1515] hover:underline"
+              >
+                <Plus className="h-3 w-3" />
+                <span>Add objective</span>
+              </button>
+            </div>
+
+            {/* Area and scorch */}
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              <div>
+                <label className={labelClass}>Unit burned (%)</label>
+                <input type="number" min="0" max="100" value={form.percentBurned} onChange={(e) => update('percentBurned', e.target.value)} className={inputClass} />
+              </div>
+              <div>
+                <label className={labelClass}>Acres burned</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={form.acresBurned}
+                  onChange={(e) => update('acresBurned', e.target.value)}
+                  placeholder={computedAcres !== null ? String(computedAcres) : ''}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className={labelClass}>Avg scorch height (ft)</label>
+                <input type="number" min="0" value={form.scorchHeightAvg} onChange={(e) => update('scorchHeightAvg', e.target.value)} className={inputClass} />
+              </div>
+              <div>
+                <label className={labelClass}>Max scorch height (ft)</label>
+                <input type="number" min="0" value={form.scorchHeightMax} onChange={(e) => update('scorchHeightMax', e.target.value)} className={inputClass} />
+              </div>
+            </div>
+            {computedAcres !== null && (
+              <p className="text-xs text-gray-500">
+                Acres completed will be set to {computedAcres}{unit.acres_planned ? ` of ${unit.acres_planned} planned` : ''}.
+              </p>
+            )}
+
+            {/* Consumption */}
+            <div>
+              <h3 className="text-sm font-medium text-gray-900 dark:text-white mb-2">Consumption (% of pre-burn loading)</h3>
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+                {CONSUMPTION_CLASSES.map(fuelClass => (
+                  <div key={fuelClass.id}>
+                    <label className={labelClass}>{fuelClass.label}</label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={form.consumption[fuelClass.id] ?? ''}
+                      onChange={(e) => update('consumption', { ...form.consumption, [fuelClass.id]: e.target.value })}
+                      className={inputClass}
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {/* Effects plots */}
+            <div>
+              <h3 className="text-sm font-medium text-gray-900 dark:text-white mb-2">Effects Plots</h3>
+              {form.effectsPlots.map((plot, index) => (
+                <div key={index} className="grid grid-cols-4 md:grid-cols-9 gap-2 mb-2 items-end">
+                  {PLOT_FIELDS.map(field => (
+                    <div key={field.id}>
+                      <label className={labelClass}>{field.label}</label>
+                      <input
+                        type={field.type || 'number'}
+                        value={plot[field.id]}
+                        onChange={(e) => updateItem('effectsPlots', index, { [field.id]: e.target.value })}
+                        className={inputClass}
+                      />
+                    </div>
+                  ))}
+                  <button onClick={() => removeItem('effectsPlots', index)} className="text-gray-400 hover:text-red-600 mb-1" title="Remove plot">
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+              <button
+                onClick={() => addItem('effectsPlots', { ...EMPTY_PLOT, plotId: `P${form.effectsPlots.length + 1}` })}
+                className="flex items-center space-x-1 text-xs text-[#8C1515] hover:underline"
+              >
+                <Plus className="h-3 w-3" />
+                <span>Add plot</span>
+              </button>
+            </div>
+
+            {/* Photos */}
+            <div>
+              <h3 className="text-sm font-medium text-gray-900 dark:text-white mb-1">Photos</h3>
+              <p className="text-xs text-gray-500 mb-2">Photos are stored as file references with their position and capture time.</p>
+              {form.photos.map((photo, index) => (
+                <div key={index} className="grid grid-cols-2 md:grid-cols-6 gap-2 mb-2 items-center">
+                  <input type="text" value={photo.ref} onChange={(e) => updateItem('photos', index, { ref: e.target.value })} placeholder="File path or URL" className={`${inputClass} md:col-span-2`} />
+                  <input type="text" value={photo.caption} onChange={(e) => updateItem('photos', index, { caption: e.target.value })} placeholder="Caption" className={inputClass} />
+                  <input type="number" value={photo.latitude} onChange={(e) => updateItem('photos', index, { latitude: e.target.value })} placeholder="Lat" className={inputClass} />
+                  <input type="number" value={photo.longitude} onChange={(e) => updateItem('photos', index, { longitude: e.target.value })} placeholder="Lon" className={inputClass} />
+                  <div className="flex items-center space-x-1">
+                    <input type="datetime-local" value={photo.takenAt} onChange={(e) => updateItem('photos', index, { takenAt: e.target.value })} className={inputClass} />
+                    <button onClick={() => fillCurrentLocation(index)} className="text-gray-400 hover:text-[#8C1515]" title="Use current location">
+                      <MapPin className="h-4 w-4" />
+                    </button>
+                    <button onClick={() => removeItem('photos', index)} className="text-gray-400 hover:text-red-600" title="Remove photo">
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+              <div className="flex items-center space-x-3">
+                <label className="flex items-center space-x-1 text-xs text-[#8C1515] hover:underline cursor-pointer">
+                  <Camera className="h-3 w-3" />
+                  <span>Add photo files</span>
+                  <input type="file" accept="image/*" multiple onChange={addPhotos} className="hidden" />
+                </label>
+                <button
+                  onClick={() => addItem('photos', { ref: '', caption: '', latitude: '', longitude: '', takenAt: toLocalInput(Date.now()) })}
+                  className="flex items-center space-x-1 text-xs text-[#8C1515] hover:underline"
+                >
+                  <Plus className="h-3 w-3" />
+                  <span>Add reference</span>
+                </button>
+              </div>
+            </div>
+
+            <div>
+              <label className={labelClass}>Notes</label>
+              <textarea value={form.notes} onChange={(e) => update('notes', e.target.value)} rows={3} className={inputClass} />
+            </div>
+
+            <div className="flex items-center space-x-3">
+              <button
+                onClick={save}
+                disabled={isSaving || !form.evaluator}
+                className="px-4 py-2 text-sm bg-[#8C1515] hover:bg-[#B83A4B] text-white rounded-md transition-colors disabled:opacity-50"
+              >
+                Save Evaluation
+              </button>
+              {status && (
+                <p className={`text-sm ${status.type === 'success' ? 'text-green-600' : 'text-red-600'}`}>{status.message}</p>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,305 @@
+"use client";
+
+import { useState, useEffect } from 'react';
+import Papa from 'papaparse';
+import { Clock, Upload, Save, Play } from 'lucide-react';
+import { PRESCRIPTION_PARAMETERS, DEFAULT_PRESCRIPTION } from '../lib/prescription-window';
+import { COMPASS_SECTORS } from '../lib/geo';
+
+const inputClass = 'w-full border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1 text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+const formatHour = (iso) => new Date(iso).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric' });
+
+/**
+ * Prescription editor and hour-by-hour in/out of prescription timeline for a burn unit
+ */
+export default function PrescriptionTimeline({ fireDataId }) {
+  const [prescription, setPrescription] = useState(DEFAULT_PRESCRIPTION);
+  const [isDefault, setIsDefault] = useState(true);
+  const [forecast, setForecast] = useState(null);
+  const [forecastName, setForecastName] = useState('');
+  const [temperatureUnit, setTemperatureUnit] = useState('F');
+  const [evaluation, setEvaluation] = useState(null);
+  const [selectedHour, setSelectedHour] = useState(null);
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    setEvaluation(null);
+    setSelectedHour(null);
+    fetch(`/api/prescriptions${fireDataId ? `?fireDataId=${fireDataId}` : ''}`)
+      .then(res => res.json())
+      .then(result => {
+        if (result.success) {
+          setPrescription(result.prescription);
+          setIsDefault(result.isDefault);
+        }
+      })
+      .catch(error => console.error('Failed to load prescription:', error));
+  }, [fireDataId]);
+
+  const updateRange = (id, bound, value) => {
+    setPrescription(prev => ({
+      ...prev,
+      [id]: { ...prev[id], [bound]: value === '' ? null : Number(value) }
+    }));
+  };
+
+  const toggleSector = (sector) => {
+    setPrescription(prev => {
+      const current = prev.windDirections || COMPASS_SECTORS;
+      return {
+        ...prev,
+        windDirections: current.includes(sector) ? current.filter(s => s !== sector) : [...current, sector]
+      };
+    });
+  };
+
+  const savePrescription = async () => {
+    try {
+      const response = await fetch(`/api/prescriptions?fireDataId=${fireDataId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(prescription)
+      });
+      const result = await response.json();
+      if (result.success) {
+        setIsDefault(false);
+        setStatus({ type: 'success', message: 'Prescription saved for this burn unit' });
+      } else {
+        setStatus({ type: 'error', message: result.details || result.error });
+      }
+    } catch (error) {
+      setStatus({ type: 'error', message: error.message });
+    }
+  };
+
+  const handleForecastUpload = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    Papa.parse(file, {
+      header: true,
+      dynamicTyping: true,
+      skipEmptyLines: true,
+      complete: (results) => {
+        setForecast(results.data);
+        setForecastName(file.name);
+        setStatus({ type: 'success', message: `Loaded ${results.data.length} forecast rows` });
+      },
+      error: (error) => setStatus({ type: 'error', message: error.message })
+    });
+  };
+
+  const runEvaluation = async () => {
+    try {
+      const response = await fetch('/api/prescriptions/evaluate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          fireDataId: fireDataId ? Number(fireDataId) : null,
+          prescription,
+          ...(forecast ? { forecast, temperatureUnit } : {})
+        })
+      });
+      const result = await response.json();
+      if (result.success) {
+        setEvaluation(result.evaluation);
+        setSelectedHour(null);
+        setStatus(null);
+      } else {
+        setStatus({ type: 'error', message: result.details || result.error });
+      }
+    } catch (error) {
+      setStatus({ type: 'error', message: error.message });
+    }
+  };
+
+  const allowedSectors = prescription.windDirections || COMPASS_SECTORS;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700">
+      <div className="p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-2">
+            <Clock className="h-5 w-5 text-[#8C1515]" />
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+              Prescription Window
+            </h2>
+          </div>
+          {isDefault && (
+            <span className="text-xs text-gray-500">Default limits</span>
+          )}
+        </div>
+
+        {/* Prescription limits */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+          {PRESCRIPTION_PARAMETERS.map(({ id, label, unit }) => (
+            <div key={id}>
+              <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                {label} ({unit})
+              </label>
+              <div className="flex space-x-1">
+                <input
+                  type="number"
+                  value={prescription[id]?.min ?? ''}
+                  onChange={(e) => updateRange(id, 'min', e.target.value)}
+                  placeholder="min"
+                  className={inputClass}
+                />
+                <input
+                  type="number"
+                  value={prescription[id]?.max ?? ''}
+                  onChange={(e) => updateRange(id, 'max', e.target.value)}
+                  placeholder="max"
+                  className={inputClass}
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="mb-4">
+          <span className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Allowed Wind Directions (from)
+          </span>
+          <div className="flex flex-wrap gap-1">
+            {COMPASS_SECTORS.map(sector => (
+              <button
+                key={sector}
+                onClick={() => toggleSector(sector)}
+                className={`px-2 py-1 text-xs rounded border ${
+                  allowedSectors.includes(sector)
+                    ? 'bg-[#8C1515] border-[#8C1515] text-white'
+                    : 'border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-400'
+                }`}
+              >
+                {sector}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          <button
+            onClick={runEvaluation}
+            className="flex items-center space-x-1 px-3 py-1 text-sm bg-[#8C1515] hover:bg-[#B83A4B] text-white rounded-md transition-colors"
+          >
+            <Play className="h-4 w-4" />
+            <span>Evaluate</span>
+          </button>
+          {fireDataId && (
+            <button
+              onClick={savePrescription}
+              className="flex items-center space-x-1 px-3 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+            >
+              <Save className="h-4 w-4" />
+              <span>Save to Unit</span>
+            </button>
+          )}
+          <label className="flex items-center space-x-1 px-3 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 cursor-pointer">
+            <Upload className="h-4 w-4" />
+            <span>{forecastName || 'Upload Forecast CSV'}</span>
+            <input type="file" accept=".csv" onChange={handleForecastUpload} className="hidden" />
+          </label>
+          {forecast && (
+            <>
+              <select
+                value={temperatureUnit}
+                onChange={(e) => setTemperatureUnit(e.target.value)}
+                className="border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1 text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+              >
+                <option value="F">°F</option>
+                <option value="C">°C</option>
+              </select>
+              <button
+                onClick={() => { setForecast(null); setForecastName(''); }}
+                className="text-xs text-gray-500 hover:underline"
+              >
+                Use weather records instead
+              </button>
+            </>
+          )}
+        </div>
+
+        {status && (
+          <p className={`text-sm mb-3 ${status.type === 'success' ? 'text-green-600' : 'text-red-600'}`}>
+            {status.message}
+          </p>
+        )}
+
+        {/* Timeline */}
+        {evaluation && (
+          <div>
+            <div className="text-sm text-gray-600 dark:text-gray-400 mb-2">
+              {evaluation.summary.inPrescriptionHours} of {evaluation.summary.totalHours} hours in prescription
+              {evaluation.source === 'weather_data' && evaluation.station && ` — ${evaluation.station}`}
+              {evaluation.source === 'forecast' && ' — uploaded forecast'}
+              {evaluation.summary.poorVentilationHours > 0 && (
+                <span className="text-amber-600"> · {evaluation.summary.poorVentilationHours} h poor ventilation</span>
+              )}
+            </div>
+
+            {evaluation.hours.length === 0 ? (
+              <p className="text-sm text-gray-500">No weather records available to evaluate.</p>
+            ) : (
+              <div className="flex flex-wrap gap-0.5 mb-3">
+                {evaluation.hours.map(hour => (
+                  <button
+                    key={hour.time}
+                    onClick={() => setSelectedHour(hour)}
+                    title={`${formatHour(hour.time)}: ${hour.inPrescription ? 'in prescription' : hour.failures.map(f => f.message).join('; ')}${hour.poorVentilation ? ' (poor ventilation)' : ''}`}
+                    className={`h-8 w-3 rounded-sm ${hour.inPrescription ? 'bg-green-500' : 'bg-red-500'} ${
+                      hour.poorVentilation ? 'border-t-4 border-amber-400' : ''
+                    } ${
+                      selectedHour?.time === hour.time ? 'ring-2 ring-offset-1 ring-gray-900 dark:ring-white' : ''
+                    }`}
+                  />
+                ))}
+              </div>
+            )}
+
+            {selectedHour && (
+              <div className="p-3 mb-3 rounded-lg bg-gray-50 dark:bg-gray-900/40 text-sm">
+                <div className="font-medium text-gray-900 dark:text-white mb-1">{formatHour(selectedHour.time)}</div>
+                <div className="text-gray-600 dark:text-gray-400">
+                  {selectedHour.values.temperature ?? '—'}°F, {selectedHour.values.humidity ?? '—'}% RH,{' '}
+                  {selectedHour.values.windSpeed ?? '—'} mph {selectedHour.values.windSector || ''}
+                  {selectedHour.values.fuelMoisture != null && `, ${selectedHour.values.fuelMoisture}% fuel moisture`}
+                </div>
+                {selectedHour.ventilation && (
+                  <div className={selectedHour.poorVentilation ? 'text-amber-600' : 'text-gray-600 dark:text-gray-400'}>
+                    Ventilation {selectedHour.ventilation.index.toLocaleString()} kt-ft ({selectedHour.ventilation.category})
+                    {selectedHour.values.mixingHeight != null && `, mixing height ${Math.round(selectedHour.values.mixingHeight).toLocaleString()} ft`}
+                    {selectedHour.values.transportWindSpeed != null && `, transport wind ${selectedHour.values.transportWindSpeed} mph`}
+                  </div>
+                )}
+                {selectedHour.failures.map((f, idx) => (
+                  <p key={idx} className="text-red-600">{f.message}</p>
+                ))}
+                {selectedHour.missing.length > 0 && (
+                  <p className="text-xs text-gray-500">Not evaluated (no reading): {selectedHour.missing.join(', ')}</p>
+                )}
+              </div>
+            )}
+
+            {evaluation.windows.length > 0 && (
+              <div>
+                <h3 className="text-sm font-medium text-gray-900 dark:text-white mb-1">Burn Windows</h3>
+                <ul className="text-sm text-gray-600 dark:text-gray-400 space-y-1">
+                  {evaluation.windows.map(w => (
+                    <li key={w.start}>
+                      {formatHour(w.start)} – {formatHour(w.end)} ({w.hours} h)
+                      {w.poorVentilationHours > 0 && (
+                        <span className="text-amber-600"> — {w.poorVentilationHours} h poor ventilation</span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
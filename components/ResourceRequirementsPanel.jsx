@@ -0,0 +1,288 @@
+"use client";
+
+import { useState, useEffect, useMemo } from 'react';
+import { Truck, Save, AlertTriangle, CheckCircle } from 'lucide-react';
+import { calculateSurfaceFire } from '../lib/fire-behavior';
+import { FIRING_METHODS, HOLDING_DIFFICULTIES } from '../lib/resource-requirements';
+
+const inputClass = 'w-full border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1 text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+// Midflame wind for the predicted behavior; FireBehaviorPanel lets this be tuned
+const WIND_ADJUSTMENT = 0.4;
+
+const PERIMETER_SOURCES = {
+  input: 'entered perimeter',
+  boundary: 'mapped unit boundary',
+  acres: 'acreage (square unit)'
+};
+
+const errorMessage = (result) =>
+  result.validationErrors?.map(e => `${e.path.join('.')}: ${e.message}`).join('; ') || result.details || result.error;
+
+/**
+ * Engines, water tenders, igniters and holding crew for the burn unit from its
+ * perimeter, predicted fire behavior, firing method and holding difficulty,
+ * checked against the unit's recorded crew size and saved to the burn plan
+ */
+export default function ResourceRequirementsPanel({ planId, fireDataId, acreage, fuelModel, windSpeed, fuelMoisture, slope }) {
+  const [inputs, setInputs] = useState({
+    perimeterFt: '',
+    flameLength: '',
+    rateOfSpread: '',
+    firingMethod: 'drip-torch',
+    holdingDifficulty: 'moderate',
+    firingHours: 6
+  });
+  const [result, setResult] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  // Predicted head fire behavior fills flame length and spread unless entered
+  const predicted = useMemo(() => {
+    if (!fuelModel) return null;
+    try {
+      return calculateSurfaceFire({
+        fuelModel,
+        moisture: { oneHour: Math.max(fuelMoisture, 1) },
+        midflameWindSpeed: windSpeed * WIND_ADJUSTMENT,
+        slope
+      });
+    } catch {
+      return null;
+    }
+  }, [fuelModel, windSpeed, fuelMoisture, slope]);
+
+  useEffect(() => {
+    setResult(null);
+    setStatus(null);
+    if (!planId) return undefined;
+
+    const controller = new AbortController();
+
+    fetch(`/api/burn-plans/resources?id=${planId}`, { signal: controller.signal })
+      .then(res => res.json())
+      .then(loaded => {
+        if (loaded.success && loaded.requirements) {
+          setResult({ requirements: loaded.requirements, crewCheck: loaded.crewCheck, saved: true });
+        }
+      })
+      .catch(err => {
+        if (err.name !== 'AbortError') setStatus({ type: 'error', message: err.message });
+      });
+
+    return () => controller.abort();
+  }, [planId]);
+
+  const update = (field, value) => setInputs(prev => ({ ...prev, [field]: value }));
+
+  const requestBody = () => {
+    const number = (value, fallback = null) => (value === '' || value === null || value === undefined ? fallback : Number(value));
+    return {
+      fireDataId: fireDataId ? Number(fireDataId) : null,
+      perimeterFt: number(inputs.perimeterFt),
+      acres: number(acreage),
+      flameLength: number(inputs.flameLength, predicted?.flameLength ?? null),
+      rateOfSpread: number(inputs.rateOfSpread, predicted?.rateOfSpread.chPerHr ?? null),
+      firingMethod: inputs.firingMethod,
+      holdingDifficulty: inputs.holdingDifficulty,
+      firingHours: number(inputs.firingHours, 6)
+    };
+  };
+
+  const submit = async (save) => {
+    setIsWorking(true);
+    try {
+      const response = await fetch(save ? `/api/burn-plans/resources?id=${planId}` : '/api/burn-plans/resources', {
+        method: save ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(requestBody())
+      });
+      const calculated = await response.json();
+
+      if (calculated.success) {
+        setResult({ requirements: calculated.requirements, crewCheck: calculated.crewCheck, saved: save });
+        setStatus(save ? { type: 'success', message: 'Saved to the burn plan' } : null);
+      } else {
+        setStatus({ type: 'error', message: errorMessage(calculated) });
+      }
+    } catch (err) {
+      setStatus({ type: 'error', message: err.message });
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const requirements = result?.requirements;
+  const crewCheck = result?.crewCheck;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700">
+      <div className="p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-2">
+            <Truck className="h-5 w-5 text-[#8C1515]" />
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+              Resource Requirements
+            </h2>
+          </div>
+          {result?.saved && requirements?.calculatedAt && (
+            <span className="text-xs text-gray-500">
+              Saved {new Date(requirements.calculatedAt).toLocaleDateString()}
+            </span>
+          )}
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-3 mb-3">
+          <div>
+            <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Perimeter (ft)
+            </label>
+            <input
+              type="number"
+              min="0"
+              value={inputs.perimeterFt}
+              onChange={(e) => update('perimeterFt', e.target.value)}
+              placeholder={fireDataId ? 'From unit boundary' : 'From acreage'}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Flame length (ft)
+            </label>
+            <input
+              type="number"
+              min="0"
+              step="0.1"
+              value={inputs.flameLength}
+              onChange={(e) => update('flameLength', e.target.value)}
+              placeholder={predicted ? `${predicted.flameLength} predicted` : 'Required'}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Spread rate (ch/h)
+            </label>
+            <input
+              type="number"
+              min="0"
+              step="0.1"
+              value={inputs.rateOfSpread}
+              onChange={(e) => update('rateOfSpread', e.target.value)}
+              placeholder={predicted ? `${predicted.rateOfSpread.chPerHr} predicted` : 'Required'}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Firing method
+            </label>
+            <select value={inputs.firingMethod} onChange={(e) => update('firingMethod', e.target.value)} className={inputClass}>
+              {FIRING_METHODS.map(method => (
+                <option key={method.id} value={method.id}>{method.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Holding difficulty
+            </label>
+            <select value={inputs.holdingDifficulty} onChange={(e) => update('holdingDifficulty', e.target.value)} className={inputClass}>
+              {HOLDING_DIFFICULTIES.map(difficulty => (
+                <option key={difficulty.id} value={difficulty.id}>{difficulty.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Firing period (h)
+            </label>
+            <input
+              type="number"
+              min="1"
+              max="24"
+              value={inputs.firingHours}
+              onChange={(e) => update('firingHours', e.target.value)}
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        <div className="flex items-center space-x-2 mb-4">
+          <button
+            onClick={() => submit(false)}
+            disabled={isWorking}
+            className="px-3 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+          >
+            Calculate
+          </button>
+          <button
+            onClick={() => submit(true)}
+            disabled={isWorking || !planId}
+            title={planId ? undefined : 'Save the burn plan first'}
+            className="flex items-center space-x-1 px-3 py-1 text-sm bg-[#8C1515] hover:bg-[#B83A4B] text-white rounded-md transition-colors disabled:opacity-50"
+          >
+            <Save className="h-4 w-4" />
+            <span>Save to Plan</span>
+          </button>
+          {status && (
+            <span className={`text-sm ${status.type === 'success' ? 'text-green-600' : 'text-red-600'}`}>
+              {status.message}
+            </span>
+          )}
+        </div>
+
+        {requirements && (
+          <div className="space-y-3">
+            <table className="w-full text-sm text-gray-700 dark:text-gray-300">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 border-b border-gray-200 dark:border-gray-700">
+                  <th className="py-1">Position</th>
+                  <th className="py-1">Count</th>
+                  <th className="py-1">Personnel</th>
+                  <th className="py-1">Basis</th>
+                </tr>
+              </thead>
+              <tbody>
+                {requirements.positions.map(position => (
+                  <tr key={position.id} className="border-b border-gray-100 dark:border-gray-700/50">
+                    <td className="py-1 font-medium text-gray-900 dark:text-white">{position.label}</td>
+                    <td className="py-1">{position.count}</td>
+                    <td className="py-1">{position.personnel}</td>
+                    <td className="py-1 text-xs text-gray-500">{position.basis}</td>
+                  </tr>
+                ))}
+                <tr>
+                  <td className="py-1 font-medium text-gray-900 dark:text-white">Total</td>
+                  <td className="py-1"></td>
+                  <td className="py-1 font-medium text-gray-900 dark:text-white">{requirements.totals.personnel}</td>
+                  <td className="py-1"></td>
+                </tr>
+              </tbody>
+            </table>
+
+            <p className="text-xs text-gray-500">
+              {requirements.inputs.perimeterFt.toLocaleString()} ft perimeter from the {PERIMETER_SOURCES[requirements.perimeterSource]};
+              {' '}{requirements.inputs.flameLength} ft flames, {requirements.inputs.rateOfSpread} ch/h spread.
+            </p>
+
+            {crewCheck && (
+              <div className={`flex items-start space-x-2 p-3 rounded-lg text-sm ${crewCheck.adequate === false
+                ? 'bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-300'
+                : crewCheck.adequate
+                  ? 'bg-green-50 dark:bg-green-900/20 text-green-800 dark:text-green-300'
+                  : 'bg-gray-50 dark:bg-gray-900/40 text-gray-700 dark:text-gray-300'}`}
+              >
+                {crewCheck.adequate === false
+                  ? <AlertTriangle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+                  : <CheckCircle className="h-4 w-4 mt-0.5 flex-shrink-0" />}
+                <span>{crewCheck.message}</span>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
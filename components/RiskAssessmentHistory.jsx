@@ -0,0 +1,203 @@
+"use client";
+
+import { useState, useEffect } from 'react';
+import { History, GitCompare, ArrowRight, Upload } from 'lucide-react';
+
+/**
+ * Saved risk assessments for a burn unit with a side-by-side diff of any two
+ */
+export default function RiskAssessmentHistory({ fireDataId, refreshKey = 0, onLoad }) {
+  const [assessments, setAssessments] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    if (!fireDataId) {
+      setAssessments([]);
+      return;
+    }
+
+    setIsLoading(true);
+    setSelected([]);
+    setDiff(null);
+    fetch(`/api/risk-assessments?fireDataId=${fireDataId}`)
+      .then(res => res.json())
+      .then(result => {
+        if (result.success) {
+          setAssessments(result.assessments);
+          setError(null);
+        } else {
+          setError(result.details || result.error);
+        }
+      })
+      .catch(err => setError(err.message))
+      .finally(() => setIsLoading(false));
+  }, [fireDataId, refreshKey]);
+
+  const toggleSelected = (id) => {
+    setDiff(null);
+    setSelected(prev => {
+      if (prev.includes(id)) return prev.filter(v => v !== id);
+      return [...prev, id].slice(-2);
+    });
+  };
+
+  const compareSelected = async () => {
+    try {
+      const res = await fetch(`/api/risk-assessments?compare=${selected.join(',')}`);
+      const result = await res.json();
+      if (result.success) {
+        setDiff(result.diff);
+      } else {
+        setError(result.error);
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const loadAssessment = async (id) => {
+    const res = await fetch(`/api/risk-assessments?id=${id}`);
+    const result = await res.json();
+    if (result.success && onLoad) onLoad(result.assessment, result.inputs);
+  };
+
+  const formatValue = (value) => (value === null || value === undefined || value === '' ? '—' : String(value));
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700">
+      <div className="p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-2">
+            <History className="h-5 w-5 text-[#8C1515]" />
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+              Assessment History
+            </h2>
+          </div>
+          <button
+            onClick={compareSelected}
+            disabled={selected.length !== 2}
+            className="flex items-center space-x-1 px-3 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md text-gray-700 dark:text-gray-300 disabled:opacity-50"
+          >
+            <GitCompare className="h-4 w-4" />
+            <span>Compare</span>
+          </button>
+        </div>
+
+        {!fireDataId && (
+          <p className="text-sm text-gray-500">Select a burn unit to see its saved assessments.</p>
+        )}
+        {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+        {isLoading && <p className="text-sm text-gray-500">Loading history...</p>}
+        {fireDataId && !isLoading && assessments.length === 0 && !error && (
+          <p className="text-sm text-gray-500">No saved assessments for this unit yet.</p>
+        )}
+
+        {assessments.length > 0 && (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 border-b border-gray-200 dark:border-gray-700">
+                <th className="py-2"></th>
+                <th className="py-2">Date</th>
+                <th className="py-2">Level</th>
+                <th className="py-2">Score</th>
+                <th className="py-2">Rule Set</th>
+                <th className="py-2">Assessor</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {assessments.map(a => (
+                <tr key={a.id} className="border-b border-gray-100 dark:border-gray-700 text-gray-700 dark:text-gray-300">
+                  <td className="py-2">
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(a.id)}
+                      onChange={() => toggleSelected(a.id)}
+                      className="h-4 w-4 text-[#8C1515] rounded focus:ring-[#8C1515]"
+                    />
+                  </td>
+                  <td className="py-2">{new Date(a.assessment_date).toLocaleString()}</td>
+                  <td className="py-2 font-medium">{a.risk_level}</td>
+                  <td className="py-2">{a.overall_risk_score}</td>
+                  <td className="py-2">{a.rule_set_key ? `${a.rule_set_key} v${a.rule_set_version}` : '—'}</td>
+                  <td className="py-2">{a.assessor_name || '—'}</td>
+                  <td className="py-2 text-right">
+                    <button onClick={() => loadAssessment(a.id)} title="Load into form" className="text-gray-400 hover:text-[#8C1515]">
+                      <Upload className="h-4 w-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {diff && (
+          <div className="mt-6 space-y-4">
+            <div className="flex items-center space-x-3 text-sm">
+              <span className="font-medium text-gray-900 dark:text-white">
+                {diff.level.before} ({diff.score.before})
+              </span>
+              <ArrowRight className="h-4 w-4 text-gray-400" />
+              <span className="font-medium text-gray-900 dark:text-white">
+                {diff.level.after} ({diff.score.after})
+              </span>
+              <span className={diff.score.delta > 0 ? 'text-red-600' : diff.score.delta < 0 ? 'text-green-600' : 'text-gray-500'}>
+                {diff.score.delta > 0 ? `+${diff.score.delta}` : diff.score.delta}
+              </span>
+              {diff.ruleSetChanged && (
+                <span className="text-xs text-orange-600">
+                  Rule set changed: {diff.before.ruleSetKey} v{diff.before.ruleSetVersion} → {diff.after.ruleSetKey} v{diff.after.ruleSetVersion}
+                </span>
+              )}
+            </div>
+
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 border-b border-gray-200 dark:border-gray-700">
+                  <th className="py-2">Input</th>
+                  <th className="py-2">{new Date(diff.before.date).toLocaleDateString()}</th>
+                  <th className="py-2">{new Date(diff.after.date).toLocaleDateString()}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {diff.inputs.map(row => (
+                  <tr
+                    key={row.field}
+                    className={`border-b border-gray-100 dark:border-gray-700 ${
+                      row.changed ? 'bg-yellow-50 dark:bg-yellow-900/20 font-medium' : 'text-gray-500'
+                    }`}
+                  >
+                    <td className="py-1">{row.label}</td>
+                    <td className="py-1">{formatValue(row.before)}</td>
+                    <td className="py-1">{formatValue(row.after)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+              <div>
+                <h3 className="font-medium text-gray-900 dark:text-white mb-2">Removed Recommendations</h3>
+                {diff.recommendations.removed.length === 0 && <p className="text-gray-500">None</p>}
+                {diff.recommendations.removed.map((rec, idx) => (
+                  <p key={idx} className="p-2 mb-1 rounded bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-200 line-through">{rec}</p>
+                ))}
+              </div>
+              <div>
+                <h3 className="font-medium text-gray-900 dark:text-white mb-2">Added Recommendations</h3>
+                {diff.recommendations.added.length === 0 && <p className="text-gray-500">None</p>}
+                {diff.recommendations.added.map((rec, idx) => (
+                  <p key={idx} className="p-2 mb-1 rounded bg-green-50 dark:bg-green-900/20 text-green-800 dark:text-green-200">{rec}</p>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
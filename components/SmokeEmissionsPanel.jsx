@@ -0,0 +1,110 @@
+"use client";
+
+import { useState, useEffect } from 'react';
+import { CloudFog } from 'lucide-react';
+import { POLLUTANTS } from '../lib/smoke-emissions';
+
+const inputClass = 'w-full border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1 text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+/**
+ * Smoke emissions (tons) for the burn plan: whole burn, per burn day and completed to date
+ * acresCompleted comes from the linked fire_data burn unit
+ */
+export default function SmokeEmissionsPanel({ fuelModel, acresPlanned, acresCompleted, burnDays, onBurnDaysChange }) {
+  const [emissions, setEmissions] = useState(null);
+  const [error, setError] = useState(null);
+
+  const acres = acresPlanned === '' || acresPlanned === null || acresPlanned === undefined ? null : Number(acresPlanned);
+  const completed = acresCompleted === null || acresCompleted === undefined ? null : Number(acresCompleted);
+
+  useEffect(() => {
+    if (!fuelModel || acres === null) {
+      setEmissions(null);
+      setError(null);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+
+    fetch('/api/smoke-emissions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ fuelModel, acresPlanned: acres, acresCompleted: completed, burnDays }),
+      signal: controller.signal
+    })
+      .then(res => res.json())
+      .then(result => {
+        if (result.success) {
+          setEmissions(result.emissions);
+          setError(null);
+        } else {
+          setEmissions(null);
+          setError(result.validationErrors?.map(e => `${e.path.join('.')}: ${e.message}`).join('; ') || result.error);
+        }
+      })
+      .catch(err => {
+        if (err.name !== 'AbortError') setError(err.message);
+      });
+
+    return () => controller.abort();
+  }, [fuelModel, acres, completed, burnDays]);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700">
+      <div className="p-6">
+        <div className="flex items-center space-x-2 mb-4">
+          <CloudFog className="h-5 w-5 text-[#8C1515]" />
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Smoke Emissions
+          </h2>
+        </div>
+
+        <div className="mb-4">
+          <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Burn Days
+          </label>
+          <input
+            type="number"
+            min="1"
+            value={burnDays}
+            onChange={(e) => onBurnDaysChange(Math.max(parseInt(e.target.value) || 1, 1))}
+            className={inputClass}
+          />
+        </div>
+
+        {!fuelModel || acres === null ? (
+          <p className="text-sm text-gray-500">Select a fuel model and enter planned acreage to estimate emissions.</p>
+        ) : error ? (
+          <p className="text-sm text-red-600">{error}</p>
+        ) : emissions && (
+          <div className="space-y-3">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500">
+                  <th className="py-1 font-medium">Tons</th>
+                  <th className="py-1 font-medium text-right">Burn</th>
+                  <th className="py-1 font-medium text-right">Per day</th>
+                  <th className="py-1 font-medium text-right">To date</th>
+                </tr>
+              </thead>
+              <tbody className="text-gray-900 dark:text-white">
+                {POLLUTANTS.map(({ id, label }) => (
+                  <tr key={id} className="border-t border-gray-100 dark:border-gray-700">
+                    <td className="py-1">{label}</td>
+                    <td className="py-1 text-right">{emissions.planned?.emissions[id] ?? '—'}</td>
+                    <td className="py-1 text-right">{emissions.daily?.emissions[id] ?? '—'}</td>
+                    <td className="py-1 text-right">{emissions.completed?.emissions[id] ?? '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-gray-500">
+              {emissions.consumedPerAcre} of {emissions.fuelLoad} tons/acre consumed ({emissions.fuelModel.group} emission factors).
+              {completed === null && ' Link a burn unit to report emissions to date.'}
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
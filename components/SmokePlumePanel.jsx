@@ -0,0 +1,193 @@
+"use client";
+
+import { useState } from 'react';
+import { CloudFog } from 'lucide-react';
+import { STABILITY_CLASSES } from '../lib/smoke-dispersion';
+
+const inputClass = 'w-full border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1 text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+const numberOrUndefined = (value) => (value === '' ? undefined : Number(value));
+
+/**
+ * Gaussian plume inputs for a burn unit on the map, with the sensor comparison
+ * for a past ignition. Results are passed up through onResult for the map overlay.
+ */
+export default function SmokePlumePanel({ units = [], onResult }) {
+  const [form, setForm] = useState({
+    unitId: '',
+    pm25TonsPerDay: '',
+    burnHours: '8',
+    windSpeed: '',
+    windDirection: '',
+    stability: 'D',
+    plumeHeight: '10',
+    ignitionTime: ''
+  });
+  const [comparison, setComparison] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const update = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const runPlume = async () => {
+    const unit = units.find(u => u.unitId === form.unitId);
+    if (!unit) {
+      setError('Select a burn unit');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await fetch('/api/smoke-plume', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          latitude: unit.latitude,
+          longitude: unit.longitude,
+          pm25TonsPerDay: numberOrUndefined(form.pm25TonsPerDay),
+          burnHours: numberOrUndefined(form.burnHours),
+          windSpeed: numberOrUndefined(form.windSpeed),
+          windDirection: form.windDirection,
+          stability: form.stability,
+          plumeHeight: numberOrUndefined(form.plumeHeight),
+          ignitionTime: form.ignitionTime ? new Date(form.ignitionTime).toISOString() : null
+        })
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        setError(null);
+        setComparison(result.comparison);
+        setSummary(result.plume);
+        onResult({ plume: result.plume, sensors: result.comparison?.sensors || [] });
+      } else {
+        setError(result.validationErrors?.map(e => `${e.path.join('.')}: ${e.message}`).join('; ') || result.details || result.error);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const clearPlume = () => {
+    setComparison(null);
+    setSummary(null);
+    onResult(null);
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-4 rounded-lg border border-gray-200 dark:border-gray-700">
+      <div className="flex items-center space-x-2 mb-3">
+        <CloudFog className="h-5 w-5 text-[#8C1515]" />
+        <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300">Smoke Plume (PM2.5)</h3>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <div className="col-span-2">
+          <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Burn Unit</label>
+          <select value={form.unitId} onChange={update('unitId')} className={inputClass}>
+            <option value="">Select unit</option>
+            {units.map(unit => (
+              <option key={unit.unitId} value={unit.unitId}>{unit.unitName}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">PM2.5 (tons/day)</label>
+          <input type="number" min="0" step="0.1" value={form.pm25TonsPerDay} onChange={update('pm25TonsPerDay')} className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Burn Hours</label>
+          <input type="number" min="1" max="24" value={form.burnHours} onChange={update('burnHours')} className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Wind (mph)</label>
+          <input type="number" min="0" value={form.windSpeed} onChange={update('windSpeed')} className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Wind From</label>
+          <input type="text" value={form.windDirection} onChange={update('windDirection')} placeholder="SW or 225" className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Stability</label>
+          <select value={form.stability} onChange={update('stability')} className={inputClass}>
+            {STABILITY_CLASSES.map(c => <option key={c.id} value={c.id}>{c.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Plume Height (m)</label>
+          <input type="number" min="0" value={form.plumeHeight} onChange={update('plumeHeight')} className={inputClass} />
+        </div>
+        <div className="col-span-2">
+          <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Ignition Time (compare with sensors)</label>
+          <input type="datetime-local" value={form.ignitionTime} onChange={update('ignitionTime')} className={inputClass} />
+        </div>
+        <div className="col-span-2 flex items-end space-x-2">
+          <button
+            onClick={runPlume}
+            disabled={isLoading}
+            className="px-3 py-1 text-sm bg-[#8C1515] hover:bg-[#B83A4B] text-white rounded-md transition-colors disabled:opacity-50"
+          >
+            {isLoading ? 'Running...' : 'Run Plume'}
+          </button>
+          {summary && (
+            <button
+              onClick={clearPlume}
+              className="px-3 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+            >
+              Clear
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+
+      {summary && (
+        <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">
+          {summary.emissionRate} g/s toward {summary.downwindBearing}°, stability {summary.stability}; peak {summary.maxConcentration} µg/m³ over {summary.cells.length} cells.
+        </p>
+      )}
+
+      {comparison && (
+        <div className="mt-3">
+          {comparison.sensors.length === 0 ? (
+            <p className="text-sm text-gray-500">No sensor readings within the plume grid during the burn.</p>
+          ) : (
+            <>
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="py-1 font-medium">Sensor</th>
+                    <th className="py-1 font-medium text-right">km</th>
+                    <th className="py-1 font-medium text-right">Background</th>
+                    <th className="py-1 font-medium text-right">Observed smoke</th>
+                    <th className="py-1 font-medium text-right">Predicted</th>
+                    <th className="py-1 font-medium text-right">Pred/Obs</th>
+                  </tr>
+                </thead>
+                <tbody className="text-gray-900 dark:text-white">
+                  {comparison.sensors.map(sensor => (
+                    <tr key={sensor.node} className="border-t border-gray-100 dark:border-gray-700">
+                      <td className="py-1">{sensor.node}</td>
+                      <td className="py-1 text-right">{sensor.distanceKm}</td>
+                      <td className="py-1 text-right">{sensor.background ?? '—'}</td>
+                      <td className="py-1 text-right">{sensor.observedSmoke}</td>
+                      <td className="py-1 text-right">{sensor.predicted}</td>
+                      <td className="py-1 text-right">{sensor.ratio ?? '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                µg/m³. Mean bias {comparison.summary.meanBias ?? '—'}; {comparison.summary.fac2 !== null ? `${Math.round(comparison.summary.fac2 * 100)}%` : '—'} of {comparison.summary.paired} paired sensors within a factor of two.
+              </p>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,177 @@
+"use client";
+
+import { useState, useEffect } from 'react';
+import { MapPin } from 'lucide-react';
+import { RECEPTOR_TYPES, SENSITIVITY_CLASSES } from '../lib/smoke-screening';
+
+const inputClass = 'w-full border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1 text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+const SENSITIVITY_COLORS = {
+  high: 'text-red-600',
+  moderate: 'text-orange-600',
+  low: 'text-gray-600 dark:text-gray-400'
+};
+
+const EMPTY_RECEPTOR = { name: '', receptorType: 'school', sensitivity: 'high', latitude: '', longitude: '' };
+
+/**
+ * Smoke-sensitive receptors in the downwind cone of the linked burn unit and
+ * the sensors to watch, with a form to add receptors to the registry
+ */
+export default function SmokeScreeningPanel({ fireDataId, windDirection }) {
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [newReceptor, setNewReceptor] = useState(EMPTY_RECEPTOR);
+  const [showForm, setShowForm] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    if (!fireDataId) {
+      setReport(null);
+      setError(null);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const params = new URLSearchParams({ fireDataId });
+    if (windDirection) params.set('windDirection', windDirection);
+
+    fetch(`/api/smoke-receptors/screening?${params}`, { signal: controller.signal })
+      .then(res => res.json())
+      .then(result => {
+        if (result.success) {
+          setReport(result.report);
+          setError(null);
+        } else {
+          setReport(null);
+          setError(result.details || result.error);
+        }
+      })
+      .catch(err => {
+        if (err.name !== 'AbortError') setError(err.message);
+      });
+
+    return () => controller.abort();
+  }, [fireDataId, windDirection, refreshKey]);
+
+  const update = (field) => (e) => setNewReceptor(prev => ({ ...prev, [field]: e.target.value }));
+
+  const addReceptor = async () => {
+    try {
+      const response = await fetch('/api/smoke-receptors', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...newReceptor,
+          latitude: newReceptor.latitude === '' ? undefined : Number(newReceptor.latitude),
+          longitude: newReceptor.longitude === '' ? undefined : Number(newReceptor.longitude)
+        })
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        setNewReceptor(EMPTY_RECEPTOR);
+        setShowForm(false);
+        setError(null);
+        setRefreshKey(key => key + 1);
+      } else {
+        setError(result.validationErrors?.map(e => `${e.path.join('.')}: ${e.message}`).join('; ') || result.details || result.error);
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const screening = report?.screening;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow border border-gray-200 dark:border-gray-700">
+      <div className="p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-2">
+            <MapPin className="h-5 w-5 text-[#8C1515]" />
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+              Smoke-Sensitive Receptors
+            </h2>
+          </div>
+          <button
+            onClick={() => setShowForm(show => !show)}
+            className="text-xs text-[#8C1515] hover:underline"
+          >
+            {showForm ? 'Cancel' : 'Add receptor'}
+          </button>
+        </div>
+
+        {showForm && (
+          <div className="grid grid-cols-2 gap-2 mb-4">
+            <div className="col-span-2">
+              <input type="text" value={newReceptor.name} onChange={update('name')} placeholder="Name" className={inputClass} />
+            </div>
+            <select value={newReceptor.receptorType} onChange={update('receptorType')} className={inputClass}>
+              {RECEPTOR_TYPES.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+            </select>
+            <select value={newReceptor.sensitivity} onChange={update('sensitivity')} className={inputClass}>
+              {SENSITIVITY_CLASSES.map(c => <option key={c.id} value={c.id}>{c.label}</option>)}
+            </select>
+            <input type="number" step="any" value={newReceptor.latitude} onChange={update('latitude')} placeholder="Latitude" className={inputClass} />
+            <input type="number" step="any" value={newReceptor.longitude} onChange={update('longitude')} placeholder="Longitude" className={inputClass} />
+            <button
+              onClick={addReceptor}
+              className="col-span-2 px-3 py-1 text-sm bg-[#8C1515] hover:bg-[#B83A4B] text-white rounded-md transition-colors"
+            >
+              Save Receptor
+            </button>
+          </div>
+        )}
+
+        {!fireDataId ? (
+          <p className="text-sm text-gray-500">Link a burn unit to screen downwind receptors.</p>
+        ) : error ? (
+          <p className="text-sm text-red-600">{error}</p>
+        ) : report && !screening ? (
+          <p className="text-sm text-gray-500">{report.message}</p>
+        ) : screening && (
+          <div className="space-y-3">
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Wind from {report.wind.direction} ({report.wind.source === 'request' ? 'plan weather' : report.wind.station}); smoke toward {screening.downwindDirection} ({screening.downwindBearing}° ±{screening.coneHalfAngle}°).
+            </p>
+
+            {screening.receptors.length === 0 ? (
+              <p className="text-sm text-green-600">No registered receptors in the downwind cone or near the unit.</p>
+            ) : (
+              <ul className="space-y-2">
+                {screening.receptors.map(receptor => (
+                  <li key={receptor.id} className="text-sm">
+                    <div className="flex justify-between">
+                      <span className="font-medium text-gray-900 dark:text-white">{receptor.name}</span>
+                      <span className={`text-xs font-medium ${SENSITIVITY_COLORS[receptor.sensitivity] || ''}`}>{receptor.sensitivity}</span>
+                    </div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">
+                      {RECEPTOR_TYPES.find(t => t.id === receptor.receptor_type)?.label} · {receptor.distanceKm} km {receptor.direction}
+                      {receptor.downwind ? ' · downwind' : ' · near field'}
+                      {receptor.nearestSensor ? ` · sensor ${receptor.nearestSensor.node}` : ' · no sensor nearby'}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {screening.sensors.length > 0 && (
+              <div>
+                <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Sensors to Watch</h3>
+                <ul className="space-y-1">
+                  {screening.sensors.map(sensor => (
+                    <li key={sensor.node} className="flex justify-between text-xs text-gray-600 dark:text-gray-400">
+                      <span>{sensor.node} ({sensor.reason})</span>
+                      <span>{sensor.distanceKm} km {sensor.direction}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
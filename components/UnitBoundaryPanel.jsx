@@ -0,0 +1,173 @@
+"use client";
+
+import { useState } from 'react';
+import { Hexagon, Upload, PenTool, Undo2, Save, Trash2 } from 'lucide-react';
+import { polygonFromLatLngs } from '../lib/unit-geometry';
+
+const inputClass = 'border border-gray-300 dark:border-gray-600 rounded-md px-3 py-2 text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+const buttonClass = 'inline-flex items-center px-3 py-1.5 text-sm rounded-md border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50';
+
+const CHECK_STYLES = {
+  match: 'text-green-700 dark:text-green-400',
+  over: 'text-amber-700 dark:text-amber-400',
+  under: 'text-amber-700 dark:text-amber-400',
+  missing: 'text-gray-600 dark:text-gray-400'
+};
+
+/**
+ * Import or draw a burn unit boundary and show its mapped acreage and perimeter
+ * Drawing is controlled by the map wrapper: clicks on the map add to draftPoints.
+ */
+export default function UnitBoundaryPanel({ units = [], draftPoints, isDrawing, onDrawingChange, onDraftChange, onSaved }) {
+  const [fireDataId, setFireDataId] = useState('');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const unit = units.find(u => String(u.fireDataId) === fireDataId);
+
+  const save = async (geojson) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const res = await fetch(`/api/burn-units/boundary?fireDataId=${fireDataId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(geojson)
+      });
+      const data = await res.json();
+      if (!data.success) throw new Error(data.details || data.error);
+
+      setResult(data);
+      onDrawingChange(false);
+      onDraftChange([]);
+      onSaved(Number(fireDataId), data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const importFile = (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    file.text()
+      .then(text => save(JSON.parse(text)))
+      .catch(err => setError(`Could not read ${file.name}: ${err.message}`));
+  };
+
+  const remove = async () => {
+    setError(null);
+    try {
+      const res = await fetch(`/api/burn-units/boundary?fireDataId=${fireDataId}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (!data.success) throw new Error(data.details || data.error);
+
+      setResult(null);
+      onSaved(Number(fireDataId), { boundary: null, metrics: null });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const selectUnit = (id) => {
+    setFireDataId(id);
+    setResult(null);
+    setError(null);
+    onDrawingChange(false);
+    onDraftChange([]);
+    if (!id) return;
+
+    fetch(`/api/burn-units/boundary?fireDataId=${id}`)
+      .then(res => res.json())
+      .then(data => {
+        if (data.success && data.boundary) setResult(data);
+      })
+      .catch(err => setError(err.message));
+  };
+
+  const metrics = result?.metrics;
+  const check = result?.acreageCheck;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-4 rounded-lg border border-gray-200 dark:border-gray-700">
+      <div className="flex items-center space-x-2 mb-3">
+        <Hexagon className="h-5 w-5 text-[#8C1515]" />
+        <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300">Unit Boundary</h3>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <select value={fireDataId} onChange={(e) => selectUnit(e.target.value)} className={inputClass}>
+          <option value="">Select burn unit</option>
+          {units.map(u => (
+            <option key={u.fireDataId} value={u.fireDataId}>
+              {u.unitName}{u.boundary ? ' (mapped)' : ''}
+            </option>
+          ))}
+        </select>
+
+        <label className={`${buttonClass} cursor-pointer ${fireDataId ? '' : 'pointer-events-none opacity-50'}`}>
+          <Upload className="h-4 w-4 mr-1" />
+          Import GeoJSON
+          <input type="file" accept=".geojson,.json,application/geo+json,application/json" onChange={importFile} className="hidden" />
+        </label>
+
+        {!isDrawing ? (
+          <button type="button" onClick={() => { onDraftChange([]); onDrawingChange(true); }} disabled={!fireDataId} className={buttonClass}>
+            <PenTool className="h-4 w-4 mr-1" />
+            Draw on map
+          </button>
+        ) : (
+          <>
+            <button type="button" onClick={() => onDraftChange(draftPoints.slice(0, -1))} disabled={draftPoints.length === 0} className={buttonClass}>
+              <Undo2 className="h-4 w-4 mr-1" />
+              Undo point
+            </button>
+            <button
+              type="button"
+              onClick={() => save(polygonFromLatLngs(draftPoints))}
+              disabled={draftPoints.length < 3 || isSaving}
+              className="inline-flex items-center px-3 py-1.5 text-sm rounded-md bg-[#8C1515] hover:bg-[#B83A4B] text-white disabled:opacity-50"
+            >
+              <Save className="h-4 w-4 mr-1" />
+              Save boundary
+            </button>
+            <button type="button" onClick={() => { onDrawingChange(false); onDraftChange([]); }} className={buttonClass}>
+              Cancel
+            </button>
+          </>
+        )}
+
+        {unit?.boundary && !isDrawing && (
+          <button type="button" onClick={remove} className={buttonClass}>
+            <Trash2 className="h-4 w-4 mr-1" />
+            Remove
+          </button>
+        )}
+      </div>
+
+      {isDrawing && (
+        <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+          Click the map to place each corner of the unit ({draftPoints.length} placed, at least 3 needed).
+        </p>
+      )}
+
+      {metrics && (
+        <div className="mt-3 text-sm text-gray-700 dark:text-gray-300 space-y-1">
+          <div>
+            <strong>Mapped area:</strong> {metrics.acres} acres ({metrics.hectares} ha)
+          </div>
+          <div>
+            <strong>Perimeter:</strong> {metrics.perimeterFt.toLocaleString()} ft · {metrics.perimeterChains} chains · {metrics.perimeterMiles} mi
+          </div>
+          {check && <div className={CHECK_STYLES[check.status]}>{check.message}</div>}
+        </div>
+      )}
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+}
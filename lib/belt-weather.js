@@ -0,0 +1,68 @@
+import { DEFAULT_PRESCRIPTION, evaluateHour } from './prescription-window';
+
+/**
+ * Belt weather kit calculations for on-site burn observations
+ * Sling psychrometer relative humidity and the prescription check for a single
+ * reading. Pure module: used by the observation API and the entry form alike.
+ */
+
+// Psychrometer constant for a ventilated (sling) psychrometer, per °C
+const PSYCHROMETER_CONSTANT = 0.00066;
+
+const fahrenheitToCelsius = (f) => ((f - 32) * 5) / 9;
+
+// Saturation vapour pressure over water in hPa (Magnus form), temperature in °C
+const saturationVaporPressure = (celsius) => 6.112 * Math.exp((17.67 * celsius) / (celsius + 243.5));
+
+/**
+ * Station pressure from elevation, standard atmosphere
+ * @param {number} elevationFt - Elevation in feet (0 when unknown)
+ * @returns {number} Pressure in hPa
+ */
+export function stationPressure(elevationFt = 0) {
+  const meters = (Number(elevationFt) || 0) * 0.3048;
+  return 1013.25 * Math.pow(1 - 2.25577e-5 * meters, 5.25588);
+}
+
+/**
+ * Relative humidity from sling psychrometer dry and wet bulb readings
+ * Replaces the psychrometric tables in the belt weather kit; elevation sets
+ * the station pressure the tables are printed for.
+ * @param {number} dryBulb - Dry bulb temperature (°F)
+ * @param {number} wetBulb - Wet bulb temperature (°F), not above the dry bulb
+ * @param {number} [elevationFt] - Observation elevation in feet
+ * @returns {number|null} RH in whole percent, or null when the readings are missing or inconsistent
+ */
+export function relativeHumidityFromBulbs(dryBulb, wetBulb, elevationFt = 0) {
+  if (dryBulb == null || wetBulb == null || isNaN(dryBulb) || isNaN(wetBulb)) return null;
+  if (wetBulb > dryBulb) return null;
+
+  const dry = fahrenheitToCelsius(Number(dryBulb));
+  const wet = fahrenheitToCelsius(Number(wetBulb));
+  const vaporPressure = saturationVaporPressure(wet) -
+    PSYCHROMETER_CONSTANT * (1 + 0.00115 * wet) * stationPressure(elevationFt) * (dry - wet);
+
+  const rh = (vaporPressure / saturationVaporPressure(dry)) * 100;
+  return Math.round(Math.min(100, Math.max(0, rh)));
+}
+
+/**
+ * Check one belt weather observation against a prescription
+ * Uses the same limits as the hourly weather evaluation: dry bulb as
+ * temperature, RH, eye-level wind speed and direction, and 1-hr fuel moisture.
+ * @param {Object} observation - { dryBulb, relativeHumidity, windSpeed, windDirection, fuelMoisture }
+ * @param {Object} prescription - Prescription limits
+ * @returns {Object} { inPrescription, failures, missing }
+ */
+export function evaluateObservation(observation, prescription = DEFAULT_PRESCRIPTION) {
+  const { inPrescription, failures, missing } = evaluateHour({
+    time: observation.observedAt ?? null,
+    temperature: observation.dryBulb ?? null,
+    humidity: observation.relativeHumidity ?? null,
+    windSpeed: observation.windSpeed ?? null,
+    windDirection: observation.windDirection ?? null,
+    fuelMoisture: observation.fuelMoisture ?? null
+  }, prescription);
+
+  return { inPrescription, failures, missing };
+}
@@ -0,0 +1,265 @@
+import { z } from 'zod';
+import { supabaseAdmin, isSupabaseConfigured } from './supabase';
+import { getBurnUnit } from './burn-units';
+import { CONSUMPTION_CLASSES, acresBurned, evaluationOutcome, summarizeEvaluations } from './post-burn-evaluation';
+
+/**
+ * Post-burn evaluations (burn_evaluations table)
+ * Saving an evaluation updates the unit's fire_data.acres_completed.
+ * Evaluations are archived rather than deleted.
+ */
+
+const ObjectiveSchema = z.object({
+  objective: z.string().min(1, 'Objective text is required'),
+  met: z.boolean(),
+  notes: z.string().nullable().optional()
+});
+
+const percent = z.number().min(0).max(100);
+
+const EffectsPlotSchema = z.object({
+  plotId: z.string().min(1, 'Plot ID is required'),
+  latitude: z.number().min(-90).max(90).nullable().optional(),
+  longitude: z.number().min(-180).max(180).nullable().optional(),
+  scorchHeight: z.number().min(0).nullable().optional(),
+  charHeight: z.number().min(0).nullable().optional(),
+  crownScorch: percent.nullable().optional(),
+  mortality: percent.nullable().optional(),
+  bareSoil: percent.nullable().optional(),
+  notes: z.string().nullable().optional()
+});
+
+// Photos are references to files kept elsewhere (storage path or URL)
+const PhotoSchema = z.object({
+  ref: z.string().min(1, 'Photo file reference is required'),
+  caption: z.string().nullable().optional(),
+  latitude: z.number().min(-90).max(90).nullable().optional(),
+  longitude: z.number().min(-180).max(180).nullable().optional(),
+  takenAt: z.string().datetime({ offset: true }).nullable().optional(),
+  plotId: z.string().nullable().optional()
+});
+
+export const EvaluationSchema = z.object({
+  fireDataId: z.number().int().positive(),
+  evaluator: z.string().min(1, 'Evaluator is required'),
+  burnDate: z.string().nullable().optional(),
+  objectives: z.array(ObjectiveSchema).default([]),
+  percentBurned: percent.nullable().optional(),
+  acresBurned: z.number().min(0).nullable().optional(),
+  scorchHeightAvg: z.number().min(0).nullable().optional(),
+  scorchHeightMax: z.number().min(0).nullable().optional(),
+  consumption: z.object(Object.fromEntries(CONSUMPTION_CLASSES.map(c => [c.id, percent.nullable().optional()]))).default({}),
+  effectsPlots: z.array(EffectsPlotSchema).default([]),
+  photos: z.array(PhotoSchema).default([]),
+  notes: z.string().nullable().optional()
+});
+
+export const EvaluationUpdateSchema = EvaluationSchema.omit({ fireDataId: true }).partial();
+
+// camelCase API field -> burn_evaluations column
+const EVALUATION_COLUMNS = {
+  fireDataId: 'fire_data_id',
+  evaluator: 'evaluator',
+  burnDate: 'burn_date',
+  objectives: 'objectives',
+  percentBurned: 'percent_burned',
+  acresBurned: 'acres_burned',
+  scorchHeightAvg: 'scorch_height_avg',
+  scorchHeightMax: 'scorch_height_max',
+  consumption: 'consumption',
+  effectsPlots: 'effects_plots',
+  photos: 'photos',
+  notes: 'notes'
+};
+
+function requireSupabase() {
+  if (!isSupabaseConfigured()) {
+    throw new Error('Supabase is not configured; post-burn evaluations cannot be stored');
+  }
+}
+
+function toRow(evaluation) {
+  const row = {};
+  Object.entries(EVALUATION_COLUMNS).forEach(([field, column]) => {
+    if (evaluation[field] !== undefined) row[column] = evaluation[field] === '' ? null : evaluation[field];
+  });
+  return row;
+}
+
+async function syncAcresCompleted(fireDataId, acres) {
+  if (acres === null) return;
+
+  const { error } = await supabaseAdmin
+    .from('fire_data')
+    .update({ acres_completed: acres, updated_at: new Date().toISOString() })
+    .eq('id', fireDataId);
+
+  if (error) throw new Error(`Evaluation saved but acres completed failed to update: ${error.message}`);
+}
+
+/**
+ * List evaluations, newest first
+ * @param {Object} options - { fireDataId, includeArchived }
+ * @returns {Promise<Array>} burn_evaluations rows
+ */
+export async function listEvaluations(options = {}) {
+  const { fireDataId = null, includeArchived = false } = options;
+
+  if (!isSupabaseConfigured()) return [];
+
+  let query = supabaseAdmin
+    .from('burn_evaluations')
+    .select('*')
+    .order('evaluated_at', { ascending: false });
+
+  if (fireDataId) query = query.eq('fire_data_id', fireDataId);
+  if (!includeArchived) query = query.is('archived_at', null);
+
+  const { data, error } = await query;
+
+  if (error) throw new Error(`Failed to load post-burn evaluations: ${error.message}`);
+
+  return data || [];
+}
+
+/**
+ * Get an evaluation
+ * @param {number} id - burn_evaluations id
+ * @returns {Promise<Object|null>} Row or null when not found
+ */
+export async function getEvaluation(id) {
+  if (!isSupabaseConfigured()) return null;
+
+  const { data, error } = await supabaseAdmin
+    .from('burn_evaluations')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to load post-burn evaluation: ${error.message}`);
+
+  return data;
+}
+
+/**
+ * Record a post-burn evaluation and update the unit's acres completed
+ * Acres burned are taken as recorded, or from percent burned of acres planned.
+ * @param {Object} evaluation - Validated EvaluationSchema data
+ * @returns {Promise<Object|null>} Inserted row, or null when the burn unit does not exist
+ */
+export async function createEvaluation(evaluation) {
+  requireSupabase();
+
+  const unit = await getBurnUnit(evaluation.fireDataId);
+  if (!unit) return null;
+
+  const acres = acresBurned(evaluation, unit.acres_planned);
+
+  const { data, error } = await supabaseAdmin
+    .from('burn_evaluations')
+    .insert({
+      ...toRow(evaluation),
+      acres_burned: acres,
+      outcome: evaluationOutcome(evaluation.objectives)
+    })
+    .select()
+    .single();
+
+  if (error) throw new Error(`Failed to save post-burn evaluation: ${error.message}`);
+
+  await syncAcresCompleted(unit.id, acres);
+
+  return data;
+}
+
+/**
+ * Update an evaluation; acres completed follow the new acres burned
+ * @param {number} id - burn_evaluations id
+ * @param {Object} updates - Validated EvaluationUpdateSchema data
+ * @returns {Promise<Object|null>} Updated row, or null when the evaluation does not exist
+ */
+export async function updateEvaluation(id, updates) {
+  requireSupabase();
+
+  const existing = await getEvaluation(id);
+  if (!existing) return null;
+
+  const unit = await getBurnUnit(existing.fire_data_id);
+  const row = toRow(updates);
+
+  if (updates.acresBurned !== undefined || updates.percentBurned !== undefined) {
+    row.acres_burned = acresBurned({
+      acresBurned: updates.acresBurned !== undefined ? updates.acresBurned : null,
+      percentBurned: updates.percentBurned !== undefined ? updates.percentBurned : existing.percent_burned
+    }, unit?.acres_planned);
+  }
+  if (updates.objectives) row.outcome = evaluationOutcome(updates.objectives);
+
+  const { data, error } = await supabaseAdmin
+    .from('burn_evaluations')
+    .update({ ...row, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) throw new Error(`Failed to update post-burn evaluation: ${error.message}`);
+
+  if (row.acres_burned !== undefined) await syncAcresCompleted(existing.fire_data_id, row.acres_burned);
+
+  return data;
+}
+
+/**
+ * Archive an evaluation
+ * @param {number} id - burn_evaluations id
+ * @returns {Promise<Object>} Archived row
+ */
+export async function archiveEvaluation(id) {
+  requireSupabase();
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabaseAdmin
+    .from('burn_evaluations')
+    .update({ archived_at: now, updated_at: now })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) throw new Error(`Failed to archive post-burn evaluation: ${error.message}`);
+
+  return data;
+}
+
+/**
+ * Historical success analytics over every unit's latest evaluation
+ * @param {Object} options - { burnType, from, to } with from/to as burn date bounds (YYYY-MM-DD)
+ * @returns {Promise<Object>} summarizeEvaluations output
+ */
+export async function getEvaluationAnalytics(options = {}) {
+  const { burnType = null, from = null, to = null } = options;
+
+  if (!isSupabaseConfigured()) return summarizeEvaluations([]);
+
+  let query = supabaseAdmin
+    .from('burn_evaluations')
+    .select('*, fire_data(burn_unit, burn_type, acres_planned)')
+    .is('archived_at', null)
+    .order('evaluated_at', { ascending: false });
+
+  if (from) query = query.gte('burn_date', from);
+  if (to) query = query.lte('burn_date', to);
+
+  const { data, error } = await query;
+
+  if (error) throw new Error(`Failed to load post-burn evaluations: ${error.message}`);
+
+  const rows = (data || [])
+    .map(({ fire_data: unit, ...row }) => ({
+      ...row,
+      burn_unit: unit?.burn_unit ?? null,
+      burn_type: unit?.burn_type ?? null
+    }))
+    .filter(row => !burnType || row.burn_type === burnType);
+
+  return summarizeEvaluations(rows);
+}
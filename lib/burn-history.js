@@ -0,0 +1,97 @@
+import { supabaseAdmin, isSupabaseConfigured } from './supabase';
+import { burnOutcomeRecord, summarizeOutcomes } from './burn-outcomes';
+
+/**
+ * Burn outcome history from stored fire_data rows and their status history,
+ * belt weather observations, post-burn evaluations and burn plans.
+ * Only real rows are used; nothing is synthesized when tables are empty.
+ */
+
+const HISTORY_FIELDS = `
+  id, datetime, burn_unit, burn_type, status, acres_planned, acres_completed,
+  temperature, humidity, wind_speed, fuel_moisture, risk_level, weather_window_start,
+  burn_plans(ecosystem_type, archived_at)
+`;
+
+const groupByUnit = (rows) => {
+  const groups = new Map();
+  (rows || []).forEach(row => {
+    if (!groups.has(row.fire_data_id)) groups.set(row.fire_data_id, []);
+    groups.get(row.fire_data_id).push(row);
+  });
+  return groups;
+};
+
+async function loadRelated(table, ids, orderColumn, options = {}) {
+  let query = supabaseAdmin
+    .from(table)
+    .select(options.columns || '*')
+    .in('fire_data_id', ids)
+    .order(orderColumn, { ascending: options.ascending ?? true });
+
+  if (options.activeOnly) query = query.is('archived_at', null);
+
+  const { data, error } = await query;
+
+  if (error) throw new Error(`Failed to load ${table}: ${error.message}`);
+
+  return groupByUnit(data);
+}
+
+/**
+ * Outcome records for every burn unit
+ * @param {Object} options - { burnType, from, to } with from/to bounding fire_data.datetime
+ * @returns {Promise<Array>} burnOutcomeRecord output
+ */
+export async function listBurnOutcomes(options = {}) {
+  const { burnType = null, from = null, to = null } = options;
+
+  if (!isSupabaseConfigured()) return [];
+
+  let query = supabaseAdmin
+    .from('fire_data')
+    .select(HISTORY_FIELDS)
+    .order('datetime', { ascending: true });
+
+  if (burnType) query = query.eq('burn_type', burnType);
+  if (from) query = query.gte('datetime', from);
+  if (to) query = query.lte('datetime', to);
+
+  const { data: units, error } = await query;
+
+  if (error) throw new Error(`Failed to load burn units: ${error.message}`);
+  if (!units || units.length === 0) return [];
+
+  const ids = units.map(u => u.id);
+  const [history, observations, evaluations] = await Promise.all([
+    loadRelated('fire_status_history', ids, 'changed_at'),
+    loadRelated('burn_observations', ids, 'observed_at', { activeOnly: true }),
+    loadRelated('burn_evaluations', ids, 'evaluated_at', {
+      columns: 'fire_data_id, outcome, evaluated_at',
+      ascending: false,
+      activeOnly: true
+    })
+  ]);
+
+  return units.map(({ burn_plans: plans, ...unit }) => {
+    const plan = (plans || []).find(p => !p.archived_at && p.ecosystem_type);
+    return burnOutcomeRecord(
+      { ...unit, ecosystem_type: plan?.ecosystem_type ?? null },
+      {
+        history: history.get(unit.id),
+        observations: observations.get(unit.id),
+        evaluationOutcome: evaluations.get(unit.id)?.[0]?.outcome ?? null
+      }
+    );
+  });
+}
+
+/**
+ * Historical outcome analytics across burn units
+ * @param {Object} options - listBurnOutcomes options
+ * @returns {Promise<Object>} summarizeOutcomes output with the unit records
+ */
+export async function getBurnOutcomeAnalytics(options = {}) {
+  const records = await listBurnOutcomes(options);
+  return { ...summarizeOutcomes(records), units: records };
+}
@@ -0,0 +1,208 @@
+import { z } from 'zod';
+import { supabaseAdmin, isSupabaseConfigured } from './supabase';
+import { getBurnUnit } from './burn-units';
+import { listBurnPlans } from './burn-plans';
+import { evaluateUnitPrescription } from './prescriptions';
+import { isGoNoGoSigned } from './burn-plan-checklist';
+import { BURN_STATUSES, normalizeStatus, nextStatuses, requiresReason } from './burn-status';
+
+/**
+ * Burn status transitions for fire_data units
+ * Each step is checked against its preconditions and logged to fire_status_history.
+ */
+
+export const StatusTransitionSchema = z.object({
+  fireDataId: z.number().int().positive(),
+  to: z.enum(BURN_STATUSES.map(s => s.id)),
+  changedBy: z.string().min(1, 'Name of the person changing the status is required'),
+  reason: z.string().nullable().optional()
+});
+
+// Planning checklist categories that must be complete before a unit is Ready
+const READY_CATEGORIES = ['Pre-Planning', 'Prescription Development', 'Safety Planning'];
+
+// Weather older than this does not count as current for the ignition check
+const CURRENT_WEATHER_HOURS = 3;
+
+function requireSupabase() {
+  if (!isSupabaseConfigured()) {
+    throw new Error('Supabase is not configured; burn status cannot be changed');
+  }
+}
+
+const check = (id, label, passed, message, blocking = true) => ({ id, label, passed, blocking, message });
+
+async function prescriptionCheck(unit) {
+  const start = new Date(Date.now() - CURRENT_WEATHER_HOURS * 60 * 60 * 1000).toISOString();
+  const evaluation = await evaluateUnitPrescription({ fireDataId: unit.id, start });
+  const current = evaluation.hours[evaluation.hours.length - 1];
+
+  if (!current) {
+    return check('in-prescription', 'In prescription', false,
+      `No weather recorded in the last ${CURRENT_WEATHER_HOURS} hours; confirm conditions on site`, false);
+  }
+
+  return check('in-prescription', 'In prescription', current.inPrescription,
+    current.inPrescription
+      ? `In prescription at ${evaluation.station || 'the nearest station'}`
+      : current.failures.map(f => f.message).join('; '));
+}
+
+/**
+ * Preconditions for moving a burn unit to a status
+ * Non-blocking checks are reported as warnings.
+ * @param {Object} unit - fire_data row
+ * @param {string} to - Target status
+ * @returns {Promise<Array>} [{ id, label, passed, blocking, message }]
+ */
+export async function checkPreconditions(unit, to) {
+  // Plan checks need the one plan being carried out; with several active
+  // plans it is ambiguous which one was approved and signed
+  const plans = await listBurnPlans({ fireDataId: unit.id });
+  const plan = plans.length === 1 ? plans[0] : null;
+  const noPlan = plans.length === 0
+    ? 'No active burn plan for this unit'
+    : `${plans.length} active burn plans for this unit; archive all but the one being carried out`;
+  const checks = [];
+
+  if (to === 'Approved') {
+    checks.push(check('burn-plan', 'Burn plan', Boolean(plan),
+      plan ? `Plan "${plan.name}"` : noPlan));
+    checks.push(check('prescription', 'Prescription', Boolean(unit.prescription),
+      unit.prescription ? 'Prescription saved for the unit' : 'No prescription saved for the unit'));
+    checks.push(check('burn-boss', 'Burn boss', Boolean(unit.burn_boss),
+      unit.burn_boss ? `Burn boss ${unit.burn_boss}` : 'No burn boss assigned'));
+  }
+
+  if (to === 'Ready') {
+    const open = (plan?.checklist || []).filter(item => READY_CATEGORIES.includes(item.category) && !item.done);
+    checks.push(check('planning-checklist', 'Planning checklist', Boolean(plan) && open.length === 0,
+      !plan
+        ? noPlan
+        : open.length === 0 ? 'Planning and safety items complete' : `${open.length} open: ${open.map(item => item.label).join('; ')}`));
+  }
+
+  if (to === 'Ignition') {
+    const signed = Boolean(plan) && isGoNoGoSigned(plan.go_no_go);
+    checks.push(check('go-no-go', 'Go/no-go checklist', signed,
+      !plan
+        ? noPlan
+        : signed ? `Signed on plan "${plan.name}" by the burn boss and agency administrator` : 'Go/no-go checklist is not answered yes and signed'));
+    checks.push(await prescriptionCheck(unit));
+  }
+
+  if (to === 'Completed') {
+    const acres = Number(unit.acres_completed);
+    checks.push(check('acres-completed', 'Acres completed', acres > 0,
+      acres > 0 ? `${acres} acres recorded` : 'Record acres completed before closing the burn'));
+  }
+
+  return checks;
+}
+
+/**
+ * Status change history for a burn unit, newest first
+ * @param {number} fireDataId - fire_data id
+ * @returns {Promise<Array>} fire_status_history rows
+ */
+export async function getStatusHistory(fireDataId) {
+  if (!isSupabaseConfigured()) return [];
+
+  const { data, error } = await supabaseAdmin
+    .from('fire_status_history')
+    .select('*')
+    .eq('fire_data_id', fireDataId)
+    .order('changed_at', { ascending: false });
+
+  if (error) throw new Error(`Failed to load status history: ${error.message}`);
+
+  return data || [];
+}
+
+/**
+ * Current status, the next statuses with their precondition checks, and history
+ * @param {number} fireDataId - fire_data id
+ * @returns {Promise<Object|null>} Overview, or null when the unit does not exist
+ */
+export async function getStatusOverview(fireDataId) {
+  const unit = await getBurnUnit(fireDataId);
+  if (!unit) return null;
+
+  const transitions = await Promise.all(nextStatuses(unit.status).map(async to => {
+    const checks = await checkPreconditions(unit, to);
+    return {
+      to,
+      requiresReason: requiresReason(unit.status, to),
+      allowed: checks.every(c => c.passed || !c.blocking),
+      checks
+    };
+  }));
+
+  return {
+    fireDataId: unit.id,
+    burnUnit: unit.burn_unit,
+    status: unit.status,
+    lifecycleStatus: normalizeStatus(unit.status),
+    transitions,
+    history: await getStatusHistory(unit.id)
+  };
+}
+
+/**
+ * Move a burn unit to a new status and log the change in one transaction
+ * @param {Object} transition - Validated StatusTransitionSchema data
+ * @returns {Promise<Object|null>} { ok, unit, entry, checks } on success; { ok: false, code, error, checks } when refused;
+ *   null when the unit does not exist
+ */
+export async function transitionBurnStatus(transition) {
+  requireSupabase();
+
+  const { fireDataId, to, changedBy, reason = null } = transition;
+  const unit = await getBurnUnit(fireDataId);
+  if (!unit) return null;
+
+  const from = unit.status;
+  if (!nextStatuses(from).includes(to)) {
+    return {
+      ok: false,
+      code: 'invalid_transition',
+      error: `Cannot move from ${from || 'no status'} to ${to}; allowed: ${nextStatuses(from).join(', ') || 'none'}`,
+      checks: []
+    };
+  }
+
+  if (requiresReason(from, to) && !reason?.trim()) {
+    return { ok: false, code: 'reason_required', error: `A reason is required to move from ${from} to ${to}`, checks: [] };
+  }
+
+  const checks = await checkPreconditions(unit, to);
+  const failed = checks.filter(c => c.blocking && !c.passed);
+  if (failed.length > 0) {
+    return {
+      ok: false,
+      code: 'preconditions_failed',
+      error: `Preconditions for ${to} not met: ${failed.map(c => c.message).join('; ')}`,
+      checks
+    };
+  }
+
+  // Status update and history entry run in one transaction; the status only
+  // moves if nobody changed it since it was read
+  const { data, error } = await supabaseAdmin.rpc('transition_burn_status', {
+    p_fire_data_id: fireDataId,
+    p_from: from,
+    p_to: to,
+    p_changed_by: changedBy,
+    p_reason: reason,
+    p_checks: checks
+  });
+
+  if (error) throw new Error(`Failed to update burn status: ${error.message}`);
+
+  const entry = data?.[0];
+  if (!entry) {
+    return { ok: false, code: 'status_changed', error: 'The status was changed by someone else; reload and try again', checks };
+  }
+
+  return { ok: true, unit: { id: unit.id, burn_unit: unit.burn_unit, status: to }, entry, checks };
+}
@@ -0,0 +1,299 @@
+import { z } from 'zod';
+import { supabaseAdmin, isSupabaseConfigured } from './supabase';
+import { getPrescription } from './prescriptions';
+import { normalizeWeatherRecord, groupByHour } from './prescription-window';
+import { relativeHumidityFromBulbs, evaluateObservation } from './belt-weather';
+import { MAX_SENSOR_DISTANCE_KM } from './fuel-moisture';
+import { distanceKm } from './geo';
+
+/**
+ * Burn-day belt weather observations (burn_observations table) and the burn
+ * timeline that plots them beside nearby air_quality sensors
+ * Each observation is checked against the unit's prescription when it is
+ * recorded; the result is stored with it. Observations are archived rather
+ * than deleted so the burn-day record stays complete.
+ */
+
+export const ObservationSchema = z.object({
+  fireDataId: z.number().int().positive(),
+  observedAt: z.string().datetime({ offset: true }).optional(),
+  observer: z.string().min(1, 'Observer is required'),
+  location: z.string().nullable().optional(),
+  latitude: z.number().min(-90).max(90).nullable().optional(),
+  longitude: z.number().min(-180).max(180).nullable().optional(),
+  elevation: z.number().nullable().optional(),
+  dryBulb: z.number().min(-40).max(130),
+  wetBulb: z.number().min(-40).max(130).nullable().optional(),
+  relativeHumidity: z.number().min(0).max(100).nullable().optional(),
+  windSpeed: z.number().min(0).nullable().optional(),
+  windGust: z.number().min(0).nullable().optional(),
+  windDirection: z.union([z.number().min(0).max(360), z.string()]).nullable().optional(),
+  fuelMoisture: z.number().min(0).max(100).nullable().optional(),
+  flameLength: z.number().min(0).nullable().optional(),
+  spotting: z.boolean().default(false),
+  spotDistance: z.number().min(0).nullable().optional(),
+  notes: z.string().nullable().optional()
+}).refine(o => o.wetBulb == null || o.wetBulb <= o.dryBulb, {
+  message: 'Wet bulb cannot be above the dry bulb',
+  path: ['wetBulb']
+}).refine(o => o.wetBulb != null || o.relativeHumidity != null, {
+  message: 'Record a wet bulb reading or the relative humidity',
+  path: ['wetBulb']
+});
+
+const FT_PER_METER = 3.28084;
+
+// camelCase API field -> burn_observations column
+const OBSERVATION_COLUMNS = {
+  fireDataId: 'fire_data_id',
+  observedAt: 'observed_at',
+  observer: 'observer',
+  location: 'location',
+  latitude: 'latitude',
+  longitude: 'longitude',
+  elevation: 'elevation',
+  dryBulb: 'dry_bulb',
+  wetBulb: 'wet_bulb',
+  relativeHumidity: 'relative_humidity',
+  windSpeed: 'wind_speed',
+  windGust: 'wind_gust',
+  windDirection: 'wind_direction',
+  fuelMoisture: 'fuel_moisture',
+  flameLength: 'flame_length',
+  spotting: 'spotting',
+  spotDistance: 'spot_distance',
+  notes: 'notes'
+};
+
+// Sensor readings this long before the first and after the last observation
+// are included on the timeline
+const TIMELINE_PADDING_HOURS = 2;
+const DEFAULT_TIMELINE_HOURS = 24;
+
+function requireSupabase() {
+  if (!isSupabaseConfigured()) {
+    throw new Error('Supabase is not configured; burn observations cannot be stored');
+  }
+}
+
+function toRow(observation) {
+  const row = {};
+  Object.entries(OBSERVATION_COLUMNS).forEach(([field, column]) => {
+    if (observation[field] !== undefined) row[column] = observation[field] === '' ? null : observation[field];
+  });
+  if (row.wind_direction != null) row.wind_direction = String(row.wind_direction);
+  return row;
+}
+
+/**
+ * List observations for a burn unit, oldest first
+ * @param {Object} options - { fireDataId, start, end, includeArchived }
+ * @returns {Promise<Array>} burn_observations rows
+ */
+export async function listObservations(options = {}) {
+  const { fireDataId, start = null, end = null, includeArchived = false } = options;
+
+  if (!isSupabaseConfigured()) return [];
+
+  let query = supabaseAdmin
+    .from('burn_observations')
+    .select('*')
+    .eq('fire_data_id', fireDataId)
+    .order('observed_at', { ascending: true });
+
+  if (!includeArchived) query = query.is('archived_at', null);
+  if (start) query = query.gte('observed_at', start);
+  if (end) query = query.lte('observed_at', end);
+
+  const { data, error } = await query;
+
+  if (error) throw new Error(`Failed to load burn observations: ${error.message}`);
+
+  return data || [];
+}
+
+/**
+ * Unit elevation in feet: the numeric terrain elevation, else the number in
+ * the free-text elevation column ("1,200 ft", "350 m")
+ */
+function unitElevationFt(unit) {
+  if (unit.elevation_ft != null) return Number(unit.elevation_ft);
+
+  const match = String(unit.elevation ?? '').replace(/,/g, '').match(/(-?\d+(?:\.\d+)?)\s*(m\b|meters?|metres?)?/i);
+  if (!match) return null;
+
+  const value = Number(match[1]);
+  return match[2] ? value * FT_PER_METER : value;
+}
+
+/**
+ * Record an observation
+ * RH is computed from the dry and wet bulb when a wet bulb is given, using the
+ * observation elevation or the unit's (ft). The reading is then checked against
+ * the unit's prescription and the result stored with it.
+ * @param {Object} observation - Validated ObservationSchema data
+ * @returns {Promise<Object|null>} Inserted row, or null when the burn unit does not exist
+ */
+export async function createObservation(observation) {
+  requireSupabase();
+
+  const { prescription, unit } = await getPrescription(observation.fireDataId);
+  if (!unit) return null;
+
+  const elevation = observation.elevation ?? unitElevationFt(unit) ?? 0;
+  const computedRh = relativeHumidityFromBulbs(observation.dryBulb, observation.wetBulb, elevation);
+  const reading = {
+    ...observation,
+    observedAt: observation.observedAt || new Date().toISOString(),
+    relativeHumidity: computedRh ?? observation.relativeHumidity ?? null
+  };
+  const check = evaluateObservation(reading, prescription);
+
+  const { data, error } = await supabaseAdmin
+    .from('burn_observations')
+    .insert({
+      ...toRow(reading),
+      rh_computed: computedRh !== null,
+      in_prescription: check.inPrescription,
+      prescription_failures: check.failures
+    })
+    .select()
+    .single();
+
+  if (error) throw new Error(`Failed to record burn observation: ${error.message}`);
+
+  return data;
+}
+
+/**
+ * Archive an observation entered in error
+ * @param {number} id - burn_observations id
+ * @returns {Promise<Object>} Archived row
+ */
+export async function archiveObservation(id) {
+  requireSupabase();
+
+  const { data, error } = await supabaseAdmin
+    .from('burn_observations')
+    .update({ archived_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) throw new Error(`Failed to archive burn observation: ${error.message}`);
+
+  return data;
+}
+
+const hourKey = (time) => {
+  const hour = new Date(time);
+  hour.setUTCMinutes(0, 0, 0);
+  return hour.toISOString();
+};
+
+// Hourly sensor temperature (°F) and RH, with the hour's mean PM2.5
+function hourlySensorSeries(rows) {
+  const pm25 = new Map();
+  rows.forEach(row => {
+    if (row.pm25standard == null || isNaN(new Date(row.datetime))) return;
+    const key = hourKey(row.datetime);
+    if (!pm25.has(key)) pm25.set(key, []);
+    pm25.get(key).push(Number(row.pm25standard));
+  });
+
+  return groupByHour(rows.map(row => normalizeWeatherRecord(row, { temperatureUnit: 'C' }))).map(hour => {
+    const values = pm25.get(hour.time);
+    return {
+      time: hour.time,
+      temperature: hour.temperature,
+      humidity: hour.humidity,
+      pm25: values ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10 : null
+    };
+  });
+}
+
+async function loadNearbySensors(unit, start, end) {
+  if (unit.latitude == null || unit.longitude == null) return [];
+
+  const { data, error } = await supabaseAdmin
+    .from('air_quality')
+    .select('datetime, from_node, temperature, relativehumidity, pm25standard, latitude, longitude')
+    .gte('datetime', start)
+    .lte('datetime', end)
+    .order('datetime', { ascending: true })
+    .limit(5000);
+
+  if (error) throw new Error(`Failed to load sensor readings: ${error.message}`);
+
+  const byNode = new Map();
+  (data || []).forEach(row => {
+    const node = row.from_node || 'unknown';
+    if (!byNode.has(node)) byNode.set(node, { node, latitude: null, longitude: null, rows: [] });
+    const sensor = byNode.get(node);
+    if (sensor.latitude == null && row.latitude != null && row.longitude != null) {
+      sensor.latitude = Number(row.latitude);
+      sensor.longitude = Number(row.longitude);
+    }
+    sensor.rows.push(row);
+  });
+
+  return [...byNode.values()]
+    .filter(sensor => sensor.latitude != null)
+    .map(sensor => ({
+      ...sensor,
+      distanceKm: distanceKm(Number(unit.latitude), Number(unit.longitude), sensor.latitude, sensor.longitude)
+    }))
+    .filter(sensor => sensor.distanceKm <= MAX_SENSOR_DISTANCE_KM)
+    .sort((a, b) => a.distanceKm - b.distanceKm)
+    .map(({ rows, ...sensor }) => ({
+      ...sensor,
+      distanceKm: Math.round(sensor.distanceKm * 10) / 10,
+      series: hourlySensorSeries(rows)
+    }));
+}
+
+/**
+ * Burn-day timeline for a unit: its observations with prescription flags and
+ * hourly temperature, RH and PM2.5 from air_quality sensors within
+ * MAX_SENSOR_DISTANCE_KM
+ * Without a time range the timeline spans the observations, padded by two
+ * hours, or the last 24 hours when there are none.
+ * @param {Object} options - { fireDataId, start, end }
+ * @returns {Promise<Object|null>} { unit, start, end, observations, sensors, summary }, or null when the unit does not exist
+ */
+export async function getBurnTimeline(options = {}) {
+  const { fireDataId } = options;
+
+  const { prescription, isDefault, unit } = await getPrescription(fireDataId);
+  if (!unit) return null;
+
+  const observations = await listObservations(options);
+  const padding = TIMELINE_PADDING_HOURS * 60 * 60 * 1000;
+  const now = Date.now();
+  const start = options.start || (observations.length
+    ? new Date(new Date(observations[0].observed_at).getTime() - padding).toISOString()
+    : new Date(now - DEFAULT_TIMELINE_HOURS * 60 * 60 * 1000).toISOString());
+  const end = options.end || (observations.length
+    ? new Date(new Date(observations[observations.length - 1].observed_at).getTime() + padding).toISOString()
+    : new Date(now).toISOString());
+
+  const sensors = await loadNearbySensors(unit, start, end);
+  const outOfPrescription = observations.filter(o => o.in_prescription === false);
+
+  return {
+    unit: { id: unit.id, burnUnit: unit.burn_unit, status: unit.status },
+    prescription,
+    isDefaultPrescription: isDefault,
+    start,
+    end,
+    observations,
+    sensors,
+    summary: {
+      observations: observations.length,
+      outOfPrescription: outOfPrescription.length,
+      spotting: observations.filter(o => o.spotting).length,
+      maxFlameLength: observations.reduce((max, o) => (o.flame_length != null ? Math.max(max ?? 0, Number(o.flame_length)) : max), null),
+      latest: observations[observations.length - 1] || null
+    }
+  };
+}
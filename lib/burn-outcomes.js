@@ -0,0 +1,225 @@
+import { normalizeStatus, hasIgnited } from './burn-status';
+
+/**
+ * Historical burn outcomes across fire_data units: success, completion,
+ * postponements and escapes grouped by burn type, ecosystem, month, risk
+ * level and weather at ignition
+ * Pure module: shared by the outcomes API and the analytics page.
+ */
+
+export const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Weather bands at ignition; each band covers values below max (°F, %, mph)
+export const WEATHER_BANDS = {
+  temperature: [
+    { max: 50, label: '< 50 °F' },
+    { max: 65, label: '50–65 °F' },
+    { max: 80, label: '65–80 °F' },
+    { max: Infinity, label: '≥ 80 °F' }
+  ],
+  humidity: [
+    { max: 20, label: '< 20%' },
+    { max: 30, label: '20–30%' },
+    { max: 45, label: '30–45%' },
+    { max: 60, label: '45–60%' },
+    { max: Infinity, label: '≥ 60%' }
+  ],
+  windSpeed: [
+    { max: 5, label: '< 5 mph' },
+    { max: 10, label: '5–10 mph' },
+    { max: 15, label: '10–15 mph' },
+    { max: Infinity, label: '≥ 15 mph' }
+  ]
+};
+
+export const OUTCOME_DIMENSIONS = [
+  { id: 'burnType', label: 'Burn Type' },
+  { id: 'ecosystem', label: 'Ecosystem' },
+  { id: 'month', label: 'Month of Ignition' },
+  { id: 'riskLevel', label: 'Risk Level' },
+  { id: 'temperature', label: 'Temperature at Ignition' },
+  { id: 'humidity', label: 'RH at Ignition' },
+  { id: 'windSpeed', label: 'Wind at Ignition' }
+];
+
+const WEATHER_FIELDS = ['temperature', 'humidity', 'windSpeed', 'fuelMoisture'];
+
+const round = (value, digits = 1) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+const toNumber = (value) => (value === null || value === undefined || value === '' || isNaN(value) ? null : Number(value));
+
+const mean = (values) => {
+  const present = values.filter(v => v !== null);
+  return present.length ? present.reduce((sum, v) => sum + v, 0) / present.length : null;
+};
+
+/**
+ * Band label for a weather value
+ * @param {string} field - temperature | humidity | windSpeed
+ * @param {number|null} value
+ * @returns {string|null}
+ */
+export function weatherBand(field, value) {
+  if (value === null || value === undefined) return null;
+  return WEATHER_BANDS[field].find(band => value < band.max).label;
+}
+
+/**
+ * Weather at ignition: the first belt weather observation at or after the
+ * ignition time (else the last one before it), or the weather recorded on the
+ * unit when none was logged
+ * @param {Object} unit - fire_data row
+ * @param {Array} observations - burn_observations rows for the unit, oldest first
+ * @param {string|null} ignitedAt - Time the unit moved to Ignition
+ * @returns {Object} { temperature, humidity, windSpeed, fuelMoisture, source }
+ */
+export function ignitionWeather(unit, observations, ignitedAt) {
+  const list = observations || [];
+  const start = ignitedAt ? new Date(ignitedAt) : null;
+  const observation = list.find(o => !start || new Date(o.observed_at) >= start) || list[list.length - 1];
+
+  if (observation) {
+    return {
+      temperature: toNumber(observation.dry_bulb),
+      humidity: toNumber(observation.relative_humidity),
+      windSpeed: toNumber(observation.wind_speed),
+      fuelMoisture: toNumber(observation.fuel_moisture),
+      source: 'observation'
+    };
+  }
+
+  return {
+    temperature: toNumber(unit.temperature),
+    humidity: toNumber(unit.humidity),
+    windSpeed: toNumber(unit.wind_speed),
+    fuelMoisture: toNumber(unit.fuel_moisture),
+    source: 'unit'
+  };
+}
+
+/**
+ * Outcome record for one burn unit
+ * A burn succeeds when it was ignited and reached Monitoring or Completed
+ * without escaping, unless its latest post-burn evaluation found no
+ * objectives met. Burns still under way are ignited but undecided.
+ * @param {Object} unit - fire_data row with ecosystem_type attached
+ * @param {Object} related - { history, observations, evaluationOutcome }
+ *   history: fire_status_history rows for the unit, oldest first
+ * @returns {Object} Outcome record
+ */
+export function burnOutcomeRecord(unit, related = {}) {
+  const { history = [], observations = [], evaluationOutcome = null } = related;
+  const status = normalizeStatus(unit.status);
+
+  const ignition = history.find(h => h.to_status === 'Ignition');
+  const ignited = Boolean(ignition) || hasIgnited(status);
+  const escaped = status === 'Escaped' || history.some(h => h.to_status === 'Escaped');
+  const closed = status === 'Monitoring' || status === 'Completed';
+
+  let success = null;
+  if (escaped) success = false;
+  else if (ignited && closed) success = evaluationOutcome !== 'unsuccessful';
+
+  const planned = toNumber(unit.acres_planned);
+  const completed = toNumber(unit.acres_completed);
+  const ignitionDate = new Date(ignition?.changed_at || unit.weather_window_start || unit.datetime);
+  const weather = ignited ? ignitionWeather(unit, observations, ignition?.changed_at) : null;
+
+  return {
+    id: unit.id,
+    burnUnit: unit.burn_unit,
+    status,
+    burnType: unit.burn_type || null,
+    ecosystem: unit.ecosystem_type || null,
+    riskLevel: unit.risk_level || null,
+    month: ignited && !isNaN(ignitionDate) ? MONTHS[ignitionDate.getMonth()] : null,
+    ignited,
+    escaped,
+    cancelled: status === 'Cancelled',
+    success,
+    // Ready stood down to Approved is a burn day called off
+    postponements: history.filter(h => h.from_status === 'Ready' && h.to_status === 'Approved').length,
+    completionRatio: ignited && planned ? Math.min(completed || 0, planned) / planned : null,
+    evaluationOutcome,
+    weather
+  };
+}
+
+function summarizeGroup(records) {
+  const decided = records.filter(r => r.success !== null);
+  const successful = decided.filter(r => r.success);
+  const completion = mean(records.map(r => r.completionRatio));
+
+  return {
+    units: records.length,
+    ignited: records.filter(r => r.ignited).length,
+    successful: successful.length,
+    decided: decided.length,
+    successRate: decided.length ? round((successful.length / decided.length) * 100) : null,
+    completionRatio: completion === null ? null : round(completion * 100),
+    postponements: records.reduce((sum, r) => sum + r.postponements, 0),
+    escapes: records.filter(r => r.escaped).length,
+    cancelled: records.filter(r => r.cancelled).length
+  };
+}
+
+const groupBy = (records, keyOf, order = null) => {
+  const groups = new Map();
+  records.forEach(record => {
+    const key = keyOf(record) ?? 'Unknown';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  });
+
+  const rows = [...groups.entries()].map(([key, group]) => ({ key, ...summarizeGroup(group) }));
+  if (!order) return rows.sort((a, b) => b.units - a.units);
+
+  const rank = (key) => (order.includes(key) ? order.indexOf(key) : order.length);
+  return rows.sort((a, b) => rank(a.key) - rank(b.key));
+};
+
+/**
+ * Range and mean of each weather field across a set of burns
+ * @param {Array} records - Outcome records with weather
+ * @returns {Object} { burns, temperature: { min, mean, max }, humidity, windSpeed, fuelMoisture }
+ */
+export function weatherRanges(records) {
+  const withWeather = records.filter(r => r.weather);
+  const ranges = { burns: withWeather.length };
+
+  WEATHER_FIELDS.forEach(field => {
+    const values = withWeather.map(r => r.weather[field]).filter(v => v !== null);
+    ranges[field] = values.length
+      ? { min: round(Math.min(...values)), mean: round(mean(values)), max: round(Math.max(...values)) }
+      : null;
+  });
+
+  return ranges;
+}
+
+/**
+ * Aggregate outcome records by every dimension
+ * @param {Array} records - burnOutcomeRecord output
+ * @returns {Object} { overall, groups: { burnType, ecosystem, ... }, weather: { successful, unsuccessful } }
+ */
+export function summarizeOutcomes(records) {
+  const weatherKey = (field) => (record) => (record.weather ? weatherBand(field, record.weather[field]) : null);
+  const bandOrder = (field) => WEATHER_BANDS[field].map(band => band.label);
+
+  return {
+    overall: summarizeGroup(records),
+    groups: {
+      burnType: groupBy(records, r => r.burnType),
+      ecosystem: groupBy(records, r => r.ecosystem),
+      month: groupBy(records.filter(r => r.ignited), r => r.month, MONTHS),
+      riskLevel: groupBy(records, r => r.riskLevel, ['Low', 'Moderate', 'High', 'Extreme']),
+      temperature: groupBy(records.filter(r => r.ignited), weatherKey('temperature'), bandOrder('temperature')),
+      humidity: groupBy(records.filter(r => r.ignited), weatherKey('humidity'), bandOrder('humidity')),
+      windSpeed: groupBy(records.filter(r => r.ignited), weatherKey('windSpeed'), bandOrder('windSpeed'))
+    },
+    weather: {
+      successful: weatherRanges(records.filter(r => r.success === true)),
+      unsuccessful: weatherRanges(records.filter(r => r.success === false))
+    }
+  };
+}
@@ -0,0 +1,140 @@
+/**
+ * Burn plan planning checklist
+ * Kept free of server imports so the planning page can build a checklist
+ * before the plan is first saved.
+ */
+
+// Standard planning checklist every new plan starts from
+export const PLANNING_CHECKLIST = [
+  {
+    category: 'Pre-Planning',
+    items: [
+      { id: 'define-objectives', label: 'Define burn objectives and success criteria' },
+      { id: 'site-assessment', label: 'Conduct site assessment and fuel mapping' },
+      { id: 'historical-weather', label: 'Review historical weather patterns' },
+      { id: 'water-access', label: 'Identify water sources and access roads' },
+      { id: 'notifications', label: 'Notify adjacent landowners and authorities' }
+    ]
+  },
+  {
+    category: 'Prescription Development',
+    items: [
+      { id: 'weather-windows', label: 'Set weather parameter windows' },
+      { id: 'fuel-moisture-targets', label: 'Determine fuel moisture targets' },
+      { id: 'ignition-plan', label: 'Plan ignition pattern and timing' },
+      { id: 'resource-requirements', label: 'Calculate resource requirements' },
+      { id: 'contingency-plans', label: 'Develop contingency plans' }
+    ]
+  },
+  {
+    category: 'Safety Planning',
+    items: [
+      { id: 'firebreaks', label: 'Establish firebreaks and safety zones' },
+      { id: 'escape-routes', label: 'Plan crew positioning and escape routes' },
+      { id: 'medical-support', label: 'Arrange medical and emergency support' },
+      { id: 'communications', label: 'Test communication systems' },
+      { id: 'suppression-resources', label: 'Prepare suppression resources' }
+    ]
+  },
+  {
+    category: 'Implementation',
+    items: [
+      { id: 'verify-prescription', label: 'Verify prescription conditions met' },
+      { id: 'briefing', label: 'Brief all personnel on objectives and safety' },
+      { id: 'weather-monitoring', label: 'Monitor weather conditions continuously' },
+      { id: 'ignition', label: 'Execute ignition according to plan' },
+      { id: 'mop-up', label: 'Conduct mop-up and patrol activities' }
+    ]
+  }
+];
+
+/**
+ * Build a fresh checklist with every item open
+ * @returns {Array} Flat checklist items
+ */
+export function createChecklist() {
+  return PLANNING_CHECKLIST.flatMap(({ category, items }) =>
+    items.map(item => ({ ...item, category, done: false, completedBy: null, completedAt: null }))
+  );
+}
+
+/**
+ * Count completed checklist items
+ * @param {Array} checklist - Flat checklist items
+ * @returns {{done: number, total: number}} Progress counts
+ */
+export function checklistProgress(checklist = []) {
+  return {
+    done: checklist.filter(item => item.done).length,
+    total: checklist.length
+  };
+}
+
+// Prescribed fire go/no-go questions (PMS 484 Element 2A)
+export const GO_NO_GO_QUESTIONS = [
+  { id: 'prescription-met', question: 'Are all fire prescription elements met?' },
+  { id: 'smoke-met', question: 'Are all smoke management specifications met?' },
+  { id: 'forecast-favorable', question: 'Has all required current and projected fire weather forecast been obtained and is it favorable?' },
+  { id: 'resources-on-site', question: 'Are all planned operations personnel and equipment on-site, available and operational?' },
+  { id: 'contingency-available', question: 'Has the availability of all contingency resources been checked and are they available?' },
+  { id: 'personnel-briefed', question: 'Have all personnel been briefed on the project objectives, their assignment, safety hazards, escape routes and safety zones?' },
+  { id: 'pre-burn-complete', question: 'Have all the pre-burn considerations identified in the prescribed fire plan been completed or addressed?' },
+  { id: 'notifications-made', question: 'Have all the required notifications been made?' },
+  { id: 'permits-obtained', question: 'Are all permits and clearances obtained?' },
+  { id: 'meets-objectives', question: 'In your opinion, can the burn be carried out according to the plan and will it meet the planned objectives?' }
+];
+
+// Go/no-go sign-off, in signing order
+export const GO_NO_GO_SIGNOFFS = [
+  { id: 'burnBoss', label: 'Burn Boss' },
+  { id: 'agencyAdministrator', label: 'Agency Administrator' }
+];
+
+/**
+ * Build an unanswered, unsigned go/no-go checklist
+ * Stored in burn_plans.go_no_go as
+ * { answers: { [questionId]: { answer: 'yes'|'no', initials, answeredAt } },
+ *   signatures: { burnBoss: { name, signedAt }, agencyAdministrator: { name, signedAt } } }
+ * @returns {Object}
+ */
+export function createGoNoGo() {
+  return {
+    answers: {},
+    signatures: Object.fromEntries(GO_NO_GO_SIGNOFFS.map(s => [s.id, null]))
+  };
+}
+
+/**
+ * Count answered and yes go/no-go questions
+ * @param {Object} goNoGo - burn_plans.go_no_go
+ * @returns {{answered: number, yes: number, total: number}}
+ */
+export function goNoGoProgress(goNoGo) {
+  const answers = GO_NO_GO_QUESTIONS.map(q => goNoGo?.answers?.[q.id]?.answer);
+  return {
+    answered: answers.filter(Boolean).length,
+    yes: answers.filter(a => a === 'yes').length,
+    total: GO_NO_GO_QUESTIONS.length
+  };
+}
+
+/**
+ * Answers are locked once anyone has signed
+ * @param {Object} goNoGo - burn_plans.go_no_go
+ * @returns {boolean}
+ */
+export function isGoNoGoLocked(goNoGo) {
+  return GO_NO_GO_SIGNOFFS.some(s => goNoGo?.signatures?.[s.id]?.signedAt);
+}
+
+/**
+ * Whether a plan's go/no-go checklist clears ignition: every question
+ * answered yes and signed by both the burn boss and the agency administrator
+ * @param {Object} goNoGo - burn_plans.go_no_go
+ * @returns {boolean}
+ */
+export function isGoNoGoSigned(goNoGo) {
+  if (!goNoGo) return false;
+  const { yes, total } = goNoGoProgress(goNoGo);
+  return yes === total && GO_NO_GO_SIGNOFFS.every(s => goNoGo.signatures?.[s.id]?.signedAt);
+}
@@ -0,0 +1,642 @@
+import PDFDocument from 'pdfkit';
+import { format } from 'date-fns';
+import { getBurnPlan } from './burn-plans';
+import { getBurnUnit } from './burn-units';
+import { getLatestAssessment, rowToInputs, ASSESSMENT_FIELDS } from './risk-assessments';
+import { PLANNING_CHECKLIST, GO_NO_GO_QUESTIONS, checklistProgress } from './burn-plan-checklist';
+import { PRESCRIPTION_PARAMETERS } from './prescription-window';
+import { evaluateUnitPrescription } from './prescriptions';
+import { getFuelModel } from './fuel-models';
+import { POLLUTANTS, estimateSmokeEmissions, burnEmissionsInput } from './smoke-emissions';
+import { RESOURCE_KINDS, describeTrigger } from './contingency';
+import { checkCrewSize } from './resource-requirements';
+
+/**
+ * Burn plan export laid out by the NWCG prescribed fire plan elements (PMS 484)
+ * Builds a renderer-neutral document, then writes it as PDF or Markdown.
+ * Everything runs locally; pdfkit uses its bundled standard fonts.
+ */
+
+const NOT_DOCUMENTED = 'Not yet documented in this burn plan.';
+
+// Days of weather after the target burn date searched for prescription windows
+const WINDOW_SEARCH_DAYS = 3;
+
+// Planning checklist items reported under each plan element
+const ELEMENT_CHECKLIST_ITEMS = {
+  briefing: ['briefing'],
+  communication: ['communications'],
+  safety: ['firebreaks', 'escape-routes', 'medical-support'],
+  ignition: ['ignition-plan', 'ignition'],
+  holding: ['firebreaks', 'suppression-resources'],
+  contingency: ['contingency-plans', 'suppression-resources'],
+  monitoring: ['weather-monitoring'],
+  postBurn: ['mop-up']
+};
+
+function formatDate(value, pattern = 'MMM d, yyyy') {
+  if (!value) return null;
+  // Plain dates (YYYY-MM-DD) are local calendar days, not UTC midnight
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value);
+  return isNaN(date) ? null : format(date, pattern);
+}
+
+// Go/no-go sign-off recorded in burn_plans.go_no_go, or a blank line to sign by hand
+function signatureRole(role, signature, fallbackName = '') {
+  return signature?.signedAt
+    ? { role, name: signature.name, signedAt: signature.signedAt }
+    : { role, name: fallbackName || '' };
+}
+
+function display(value, unit = '') {
+  if (value === null || value === undefined || value === '') return '—';
+  return unit ? `${value} ${unit}` : String(value);
+}
+
+function checklistRows(checklist, ids) {
+  return checklist
+    .filter(item => !ids || ids.includes(item.id))
+    .map(item => [
+      item.label,
+      item.done ? 'Complete' : 'Open',
+      item.completedBy || '',
+      formatDate(item.completedAt, 'MMM d, yyyy HH:mm') || ''
+    ]);
+}
+
+// Trigger points and contingency resources from fire_data.contingency_plan
+function contingencyBlocks(contingency) {
+  if (!contingency?.triggers?.length && !contingency?.resources?.length) return [];
+
+  const resourceName = (id) => contingency.resources.find(r => r.id === id)?.name;
+  const blocks = [];
+
+  if (contingency.triggers.length) {
+    blocks.push({ type: 'heading', text: 'Trigger Points' }, {
+      type: 'table',
+      headers: ['Trigger', 'Action', 'Resources'],
+      rows: contingency.triggers.map(t => [describeTrigger(t), t.action, t.resourceIds.map(resourceName).filter(Boolean).join(', ') || '—'])
+    });
+  }
+  if (contingency.resources.length) {
+    blocks.push({ type: 'heading', text: 'Contingency Resources' }, {
+      type: 'table',
+      headers: ['Resource', 'Type', 'Quantity', 'Response Time', 'Contact'],
+      rows: contingency.resources.map(r => [
+        r.name,
+        RESOURCE_KINDS.find(k => k.id === r.kind)?.label || r.kind,
+        String(r.quantity),
+        display(r.responseMinutes, 'min'),
+        display(r.contact)
+      ])
+    });
+  }
+  if (contingency.notes) blocks.push({ type: 'paragraph', text: contingency.notes });
+
+  return blocks;
+}
+
+// Positions from burn_plans.resource_requirements, checked against the unit's crew size
+function resourceBlocks(requirements, unit) {
+  if (!requirements?.positions?.length) return [];
+
+  const blocks = [
+    { type: 'heading', text: 'Resource Requirements' },
+    {
+      type: 'table',
+      headers: ['Position', 'Count', 'Personnel', 'Basis'],
+      rows: [
+        ...requirements.positions.map(p => [p.label, String(p.count), String(p.personnel), p.basis]),
+        ['Total', '', String(requirements.totals.personnel), '']
+      ]
+    }
+  ];
+  if (unit) blocks.push({ type: 'paragraph', text: checkCrewSize(requirements, unit.crew_size).message });
+
+  return blocks;
+}
+
+function checklistTable(checklist, ids) {
+  const rows = checklistRows(checklist, ids);
+  if (rows.length === 0) return { type: 'paragraph', text: NOT_DOCUMENTED };
+  return { type: 'table', headers: ['Item', 'Status', 'Completed By', 'Date'], rows };
+}
+
+/**
+ * Load everything a burn plan export draws from
+ * @param {number} planId - burn_plans id
+ * @returns {Promise<Object|null>} { plan, unit, assessment, windows } or null when the plan does not exist
+ */
+export async function loadBurnPlanExportData(planId) {
+  const plan = await getBurnPlan(planId);
+  if (!plan) return null;
+
+  const [unit, assessment] = plan.fire_data_id
+    ? await Promise.all([getBurnUnit(plan.fire_data_id), getLatestAssessment(plan.fire_data_id)])
+    : [null, null];
+
+  let windows = null;
+  if (plan.fire_data_id && plan.planned_date) {
+    const start = new Date(`${plan.planned_date}T00:00:00Z`);
+    const end = new Date(start.getTime() + WINDOW_SEARCH_DAYS * 24 * 60 * 60 * 1000);
+    const evaluation = await evaluateUnitPrescription({
+      fireDataId: plan.fire_data_id,
+      start: start.toISOString(),
+      end: end.toISOString()
+    });
+    windows = evaluation.windows;
+  }
+
+  return { plan, unit, assessment, windows };
+}
+
+/**
+ * Assemble the plan elements from stored plan, burn unit and assessment data
+ * @param {Object} data - Output of loadBurnPlanExportData
+ * @returns {Object} { title, subtitle, generatedAt, elements: [{ number, title, blocks }] }
+ */
+export function buildBurnPlanDocument({ plan, unit = null, assessment = null, windows = null }) {
+  const checklist = plan.checklist || [];
+  const site = plan.site_conditions || {};
+  const inputs = assessment ? rowToInputs(assessment) : {};
+  const progress = checklistProgress(checklist);
+  const goNoGo = plan.go_no_go || {};
+
+  const complexity = assessment
+    ? [
+      {
+        type: 'fields',
+        rows: [
+          ['Risk Level', assessment.risk_level],
+          ['Risk Score', display(assessment.overall_risk_score)],
+          ['Rule Set', assessment.rule_set_key ? `${assessment.rule_set_key} v${assessment.rule_set_version}` : '—'],
+          ['Assessed', formatDate(assessment.assessment_date, 'MMM d, yyyy HH:mm')],
+          ['Assessor', display(assessment.assessor_name)]
+        ]
+      },
+      {
+        type: 'table',
+        headers: ['Factor', 'Value', 'Points', 'Note'],
+        rows: (assessment.factors || [])
+          .filter(factor => factor.assessed)
+          .map(factor => [
+            factor.label,
+            display(factor.value, factor.unit),
+            factor.points > 0 ? `+${factor.points}` : String(factor.points),
+            factor.message || ''
+          ])
+      },
+      ...(assessment.recommendations?.length
+        ? [{ type: 'list', items: assessment.recommendations }]
+        : [])
+    ]
+    : [{ type: 'paragraph', text: 'No risk assessment has been saved for this burn unit.' }];
+
+  const limits = unit?.prescription || null;
+  const limitRows = limits
+    ? [
+      ...PRESCRIPTION_PARAMETERS
+        .filter(({ id }) => limits[id] && (limits[id].min != null || limits[id].max != null))
+        .map(({ id, label, unit: paramUnit }) => [label, display(limits[id].min, paramUnit), display(limits[id].max, paramUnit)]),
+      ...(limits.windDirections?.length ? [['Wind Direction (from)', limits.windDirections.join(', '), '']] : [])
+    ]
+    : [];
+
+  const emissionsInput = burnEmissionsInput({ plan, unit, assessment });
+  const emissions = emissionsInput && getFuelModel(emissionsInput.fuelModel)
+    ? estimateSmokeEmissions(emissionsInput)
+    : null;
+  const smokeBlocks = emissions
+    ? [
+      {
+        type: 'fields',
+        rows: [
+          ['Fuel Model', `${emissions.fuelModel.code} — ${emissions.fuelModel.name}`],
+          ['Fuel Load', display(emissions.fuelLoad, 'tons/acre')],
+          ['Fuel Consumed', display(emissions.consumedPerAcre, 'tons/acre')],
+          ['Burn Days', String(emissions.burnDays)]
+        ]
+      },
+      {
+        type: 'table',
+        headers: ['Pollutant', 'Planned Burn (tons)', 'Per Day (tons)', 'Completed to Date (tons)'],
+        rows: POLLUTANTS.map(({ id, label }) => [
+          label,
+          display(emissions.planned?.emissions[id]),
+          display(emissions.daily?.emissions[id]),
+          display(emissions.completed?.emissions[id])
+        ])
+      }
+    ]
+    : [{ type: 'paragraph', text: 'Emissions cannot be estimated until a fuel model is selected for this burn plan.' }];
+
+  const prescriptionRows = ASSESSMENT_FIELDS
+    .map(({ input, label }) => [label, display(inputs[input] ?? site[input])])
+    .filter(([, value]) => value !== '—');
+
+  const elements = [
+    {
+      number: '1',
+      title: 'Signature Page',
+      blocks: [
+        {
+          type: 'fields',
+          rows: [
+            ['Plan Name', plan.name],
+            ['Burn Unit', display(unit?.burn_unit)],
+            ['Location', display(plan.location_name || unit?.location_name)],
+            ['Planned Acres', display(plan.acres_planned ?? unit?.acres_planned)],
+            ['Prepared By', display(plan.prepared_by)]
+          ]
+        },
+        {
+          type: 'signatures',
+          roles: [
+            { role: 'Prepared By (Burn Boss)', name: plan.prepared_by || unit?.burn_boss || '' },
+            { role: 'Technical Reviewer', name: '' },
+            { role: 'Agency Administrator Approval', name: '' }
+          ]
+        }
+      ]
+    },
+    {
+      number: '2',
+      title: 'Agency Administrator Ignition Authorization',
+      blocks: [
+        { type: 'paragraph', text: 'Ignition is authorized only when every go/no-go question is answered YES and the plan remains valid.' },
+        { type: 'signatures', roles: [signatureRole('Agency Administrator', goNoGo.signatures?.agencyAdministrator)] },
+        { type: 'heading', text: '2A. Prescribed Fire Go/No-Go Checklist' },
+        {
+          type: 'table',
+          headers: ['Question', 'Yes', 'No', 'Initials', 'Answered'],
+          rows: GO_NO_GO_QUESTIONS.map(q => {
+            const entry = goNoGo.answers?.[q.id];
+            return [
+              q.question,
+              entry?.answer === 'yes' ? 'X' : '',
+              entry?.answer === 'no' ? 'X' : '',
+              entry?.initials || '',
+              formatDate(entry?.answeredAt, 'MMM d, yyyy HH:mm') || ''
+            ];
+          })
+        },
+        { type: 'signatures', roles: [signatureRole('Burn Boss', goNoGo.signatures?.burnBoss, unit?.burn_boss)] }
+      ]
+    },
+    {
+      number: '3',
+      title: 'Complexity Analysis Summary',
+      blocks: complexity
+    },
+    {
+      number: '4',
+      title: 'Description of the Prescribed Fire Area',
+      blocks: [
+        {
+          type: 'fields',
+          rows: [
+            ['Location', display(plan.location_name || unit?.location_name)],
+            ['Coordinates', unit?.latitude != null && unit?.longitude != null ? `${unit.latitude}, ${unit.longitude}` : '—'],
+            ['Elevation', display(unit?.elevation)],
+            ['Size', display(plan.acres_planned ?? unit?.acres_planned, 'acres')],
+            ['Vegetation', display(plan.ecosystem_type)],
+            ['Fuel Type', display(inputs.fuelType)],
+            ['Fuel Model', display(site.fuelModel || inputs.fuelModel)],
+            ['Slope', display(inputs.slope ?? site.slope, '%')],
+            ['Distance to Infrastructure', display(inputs.infrastructureDistance ?? site.infrastructureDistance, 'ft')]
+          ]
+        }
+      ]
+    },
+    {
+      number: '5',
+      title: 'Objectives',
+      blocks: [plan.objective || unit?.objectives
+        ? { type: 'list', items: [plan.objective, unit?.objectives].filter(Boolean) }
+        : { type: 'paragraph', text: NOT_DOCUMENTED }]
+    },
+    {
+      number: '6',
+      title: 'Funding',
+      blocks: [{ type: 'paragraph', text: NOT_DOCUMENTED }]
+    },
+    {
+      number: '7',
+      title: 'Prescription',
+      blocks: [
+        {
+          type: 'fields',
+          rows: [
+            ['Weather Window Start', display(formatDate(unit?.weather_window_start, 'MMM d, yyyy HH:mm'))],
+            ['Weather Window End', display(formatDate(unit?.weather_window_end, 'MMM d, yyyy HH:mm'))]
+          ]
+        },
+        limitRows.length > 0
+          ? { type: 'table', headers: ['Prescription Parameter', 'Minimum', 'Maximum'], rows: limitRows }
+          : { type: 'paragraph', text: 'No prescription limits have been set for this burn unit.' },
+        prescriptionRows.length > 0
+          ? { type: 'table', headers: ['Parameter', 'Assessed Value'], rows: prescriptionRows }
+          : { type: 'paragraph', text: NOT_DOCUMENTED }
+      ]
+    },
+    {
+      number: '8',
+      title: 'Scheduling',
+      blocks: [
+        {
+          type: 'fields',
+          rows: [
+            ['Target Burn Date', display(formatDate(plan.planned_date))],
+            ['Unit Status', display(unit?.status)]
+          ]
+        },
+        ...(windows === null ? [] : [
+          { type: 'heading', text: 'Prescription Windows' },
+          windows.length > 0
+            ? {
+              type: 'table',
+              headers: ['Start', 'End', 'Hours'],
+              rows: windows.map(w => [
+                formatDate(w.start, 'MMM d, yyyy HH:mm'),
+                formatDate(w.end, 'MMM d, yyyy HH:mm'),
+                String(w.hours)
+              ])
+            }
+            : { type: 'paragraph', text: 'No in-prescription hours found in the weather records for the target dates.' }
+        ])
+      ]
+    },
+    {
+      number: '9',
+      title: 'Pre-burn Considerations and Weather',
+      blocks: [
+        { type: 'paragraph', text: `Planning checklist: ${progress.done} of ${progress.total} items complete.` },
+        checklistTable(checklist, PLANNING_CHECKLIST
+          .filter(({ category }) => category === 'Pre-Planning' || category === 'Prescription Development')
+          .flatMap(({ items }) => items.map(item => item.id)))
+      ]
+    },
+    {
+      number: '10',
+      title: 'Briefing',
+      blocks: [checklistTable(checklist, ELEMENT_CHECKLIST_ITEMS.briefing)]
+    },
+    {
+      number: '11',
+      title: 'Organization and Equipment',
+      blocks: [
+        {
+          type: 'fields',
+          rows: [
+            ['Burn Boss', display(unit?.burn_boss)],
+            ['Crew Size', display(unit?.crew_size)]
+          ]
+        },
+        ...resourceBlocks(plan.resource_requirements, unit)
+      ]
+    },
+    {
+      number: '12',
+      title: 'Communication',
+      blocks: [checklistTable(checklist, ELEMENT_CHECKLIST_ITEMS.communication)]
+    },
+    {
+      number: '13',
+      title: 'Public and Personnel Safety, Medical',
+      blocks: [
+        ...(unit?.safety_notes ? [{ type: 'paragraph', text: unit.safety_notes }] : []),
+        checklistTable(checklist, ELEMENT_CHECKLIST_ITEMS.safety)
+      ]
+    },
+    {
+      number: '14',
+      title: 'Test Fire',
+      blocks: [{ type: 'paragraph', text: 'A test fire will be ignited in a representative location before ignition proceeds. Record location, time and observed fire behavior.' }]
+    },
+    {
+      number: '15',
+      title: 'Ignition Plan',
+      blocks: [checklistTable(checklist, ELEMENT_CHECKLIST_ITEMS.ignition)]
+    },
+    {
+      number: '16',
+      title: 'Holding Plan',
+      blocks: [checklistTable(checklist, ELEMENT_CHECKLIST_ITEMS.holding)]
+    },
+    {
+      number: '17',
+      title: 'Contingency Plan',
+      blocks: [...contingencyBlocks(unit?.contingency_plan), checklistTable(checklist, ELEMENT_CHECKLIST_ITEMS.contingency)]
+    },
+    {
+      number: '18',
+      title: 'Wildfire Declaration',
+      blocks: [{ type: 'paragraph', text: 'The prescribed fire will be declared a wildfire if it exceeds prescription and cannot be returned to prescription with on-site and contingency resources.' }]
+    },
+    {
+      number: '19',
+      title: 'Smoke Management and Air Quality',
+      blocks: smokeBlocks
+    },
+    {
+      number: '20',
+      title: 'Monitoring',
+      blocks: [checklistTable(checklist, ELEMENT_CHECKLIST_ITEMS.monitoring)]
+    },
+    {
+      number: '21',
+      title: 'Post-burn Activities',
+      blocks: [checklistTable(checklist, ELEMENT_CHECKLIST_ITEMS.postBurn)]
+    },
+    {
+      number: 'A',
+      title: 'Appendix: Planning Checklist',
+      blocks: [checklistTable(checklist)]
+    }
+  ];
+
+  return {
+    title: `Prescribed Fire Plan: ${plan.name}`,
+    subtitle: [unit?.burn_unit, plan.location_name].filter(Boolean).join(' — '),
+    generatedAt: new Date().toISOString(),
+    planId: plan.id,
+    elements
+  };
+}
+
+function escapeCell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Render a burn plan document as editable Markdown
+ * @param {Object} doc - Output of buildBurnPlanDocument
+ * @returns {string} Markdown text
+ */
+export function renderMarkdown(doc) {
+  const lines = [`# ${doc.title}`, ''];
+  if (doc.subtitle) lines.push(`_${doc.subtitle}_`, '');
+  lines.push(`Generated ${formatDate(doc.generatedAt, 'MMM d, yyyy HH:mm')} from burn plan #${doc.planId}`, '');
+
+  doc.elements.forEach(element => {
+    lines.push(`## ${element.number}. ${element.title}`, '');
+
+    element.blocks.forEach(block => {
+      switch (block.type) {
+        case 'heading':
+          lines.push(`### ${block.text}`, '');
+          break;
+        case 'paragraph':
+          lines.push(block.text, '');
+          break;
+        case 'fields':
+          block.rows.forEach(([label, value]) => lines.push(`- **${label}:** ${value ?? '—'}`));
+          lines.push('');
+          break;
+        case 'list':
+          block.items.forEach(item => lines.push(`- ${item}`));
+          lines.push('');
+          break;
+        case 'table':
+          lines.push(`| ${block.headers.map(escapeCell).join(' | ')} |`);
+          lines.push(`| ${block.headers.map(() => '---').join(' | ')} |`);
+          block.rows.forEach(row => lines.push(`| ${row.map(escapeCell).join(' | ')} |`));
+          lines.push('');
+          break;
+        case 'signatures':
+          lines.push('| Role | Name | Signature | Date |', '| --- | --- | --- | --- |');
+          block.roles.forEach(({ role, name, signedAt }) => lines.push(signedAt
+            ? `| ${escapeCell(role)} | ${escapeCell(name)} | Signed electronically | ${formatDate(signedAt, 'MMM d, yyyy HH:mm')} |`
+            : `| ${escapeCell(role)} | ${escapeCell(name)} | | |`));
+          lines.push('');
+          break;
+        default:
+          break;
+      }
+    });
+  });
+
+  return lines.join('\n');
+}
+
+const PAGE_MARGIN = 54;
+
+function ensureSpace(pdf, height) {
+  if (pdf.y + height > pdf.page.height - PAGE_MARGIN) pdf.addPage();
+}
+
+function drawTable(pdf, headers, rows) {
+  const left = PAGE_MARGIN;
+  const totalWidth = pdf.page.width - PAGE_MARGIN * 2;
+  // First column takes the remaining width; others split a fixed share
+  const otherWidth = headers.length > 1 ? Math.min(110, (totalWidth * 0.5) / (headers.length - 1)) : 0;
+  const widths = headers.map((_, i) => (i === 0 ? totalWidth - otherWidth * (headers.length - 1) : otherWidth));
+  const padding = 3;
+
+  const drawRow = (cells, bold) => {
+    pdf.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    const height = Math.max(...cells.map((cell, i) =>
+      pdf.heightOfString(String(cell ?? ''), { width: widths[i] - padding * 2 })
+    )) + padding * 2;
+
+    ensureSpace(pdf, height);
+    const top = pdf.y;
+    let x = left;
+    cells.forEach((cell, i) => {
+      pdf.rect(x, top, widths[i], height).stroke('#999999');
+      pdf.fillColor('black').text(String(cell ?? ''), x + padding, top + padding, { width: widths[i] - padding * 2 });
+      x += widths[i];
+    });
+    pdf.x = left;
+    pdf.y = top + height;
+  };
+
+  drawRow(headers, true);
+  rows.forEach(row => drawRow(row, false));
+  pdf.moveDown(0.8);
+}
+
+/**
+ * Render a burn plan document as PDF
+ * @param {Object} doc - Output of buildBurnPlanDocument
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+export function renderPdf(doc) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({
+      size: 'LETTER',
+      margin: PAGE_MARGIN,
+      info: { Title: doc.title, Subject: 'Prescribed Fire Plan' }
+    });
+    const chunks = [];
+    pdf.on('data', chunk => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    pdf.font('Helvetica-Bold').fontSize(18).text(doc.title);
+    if (doc.subtitle) pdf.font('Helvetica').fontSize(12).text(doc.subtitle);
+    pdf.font('Helvetica').fontSize(9).fillColor('#555555')
+      .text(`Generated ${formatDate(doc.generatedAt, 'MMM d, yyyy HH:mm')} from burn plan #${doc.planId}`);
+    pdf.fillColor('black').moveDown();
+
+    doc.elements.forEach((element, idx) => {
+      // Signature page stands alone, as agencies file it separately
+      if (idx === 1) pdf.addPage();
+      ensureSpace(pdf, 60);
+      pdf.font('Helvetica-Bold').fontSize(13).text(`${element.number}. ${element.title}`);
+      pdf.moveDown(0.4);
+
+      element.blocks.forEach(block => {
+        switch (block.type) {
+          case 'heading':
+            ensureSpace(pdf, 40);
+            pdf.font('Helvetica-Bold').fontSize(11).text(block.text);
+            pdf.moveDown(0.3);
+            break;
+          case 'paragraph':
+            pdf.font('Helvetica').fontSize(10).text(block.text);
+            pdf.moveDown(0.6);
+            break;
+          case 'fields':
+            block.rows.forEach(([label, value]) => {
+              pdf.font('Helvetica-Bold').fontSize(10).text(`${label}: `, { continued: true });
+              pdf.font('Helvetica').text(String(value ?? '—'));
+            });
+            pdf.moveDown(0.6);
+            break;
+          case 'list':
+            pdf.font('Helvetica').fontSize(10).list(block.items.map(String), { bulletRadius: 1.5 });
+            pdf.moveDown(0.6);
+            break;
+          case 'table':
+            drawTable(pdf, block.headers, block.rows);
+            break;
+          case 'signatures':
+            block.roles.forEach(({ role, name, signedAt }) => {
+              ensureSpace(pdf, 50);
+              pdf.moveDown(1.2);
+              const y = pdf.y;
+              if (signedAt) {
+                pdf.font('Helvetica-Oblique').fontSize(9)
+                  .text(`Signed electronically by ${name}`, PAGE_MARGIN, y - 12, { width: 300 });
+                pdf.text(formatDate(signedAt, 'MMM d, yyyy HH:mm'), PAGE_MARGIN + 330, y - 12, { width: 120 });
+              }
+              pdf.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + 300, y).stroke('#000000');
+              pdf.moveTo(PAGE_MARGIN + 330, y).lineTo(PAGE_MARGIN + 450, y).stroke('#000000');
+              pdf.font('Helvetica').fontSize(9)
+                .text(`${role}${name ? ` — ${name}` : ''}`, PAGE_MARGIN, y + 3, { width: 300 });
+              pdf.text('Date', PAGE_MARGIN + 330, y + 3, { width: 120 });
+              pdf.x = PAGE_MARGIN;
+            });
+            pdf.moveDown(0.8);
+            break;
+          default:
+            break;
+        }
+      });
+      pdf.moveDown(0.6);
+    });
+
+    pdf.end();
+  });
+}
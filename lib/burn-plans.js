@@ -0,0 +1,335 @@
+import { z } from 'zod';
+import { supabaseAdmin, isSupabaseConfigured } from './supabase';
+import {
+  createChecklist,
+  createGoNoGo,
+  goNoGoProgress,
+  isGoNoGoLocked,
+  GO_NO_GO_QUESTIONS,
+  GO_NO_GO_SIGNOFFS
+} from './burn-plan-checklist';
+
+/**
+ * Burn plan documents (burn_plans table)
+ * Plans are archived rather than deleted so past plans stay on record.
+ * The go/no-go checklist and resource requirements are only changed through
+ * their own functions, never through a plan update.
+ */
+
+const ChecklistItemSchema = z.object({
+  id: z.string().min(1),
+  category: z.string(),
+  label: z.string(),
+  done: z.boolean().default(false),
+  completedBy: z.string().nullable().optional(),
+  completedAt: z.string().nullable().optional()
+});
+
+export const BurnPlanSchema = z.object({
+  fireDataId: z.number().int().positive().nullable().optional(),
+  name: z.string().min(1, 'Plan name is required'),
+  locationName: z.string().nullable().optional(),
+  objective: z.string().nullable().optional(),
+  ecosystemType: z.string().nullable().optional(),
+  plannedDate: z.string().nullable().optional(),
+  acresPlanned: z.number().nonnegative().nullable().optional(),
+  siteConditions: z.record(z.any()).optional(),
+  checklist: z.array(ChecklistItemSchema).optional(),
+  preparedBy: z.string().nullable().optional(),
+  notes: z.string().nullable().optional()
+});
+
+export const BurnPlanUpdateSchema = BurnPlanSchema.partial();
+
+export const ChecklistUpdateSchema = z.object({
+  itemId: z.string().min(1),
+  done: z.boolean(),
+  completedBy: z.string().nullable().optional()
+});
+
+export const GoNoGoAnswerSchema = z.object({
+  questionId: z.enum(GO_NO_GO_QUESTIONS.map(q => q.id)),
+  answer: z.enum(['yes', 'no']),
+  initials: z.string().trim().min(1, 'Initials are required').max(5)
+});
+
+export const GoNoGoSignSchema = z.object({
+  role: z.enum(GO_NO_GO_SIGNOFFS.map(s => s.id)),
+  name: z.string().trim().min(1, 'Signer name is required')
+});
+
+// camelCase API field -> burn_plans column
+const PLAN_COLUMNS = {
+  fireDataId: 'fire_data_id',
+  name: 'name',
+  locationName: 'location_name',
+  objective: 'objective',
+  ecosystemType: 'ecosystem_type',
+  plannedDate: 'planned_date',
+  acresPlanned: 'acres_planned',
+  siteConditions: 'site_conditions',
+  checklist: 'checklist',
+  preparedBy: 'prepared_by',
+  notes: 'notes'
+};
+
+function requireSupabase() {
+  if (!isSupabaseConfigured()) {
+    throw new Error('Supabase is not configured; burn plans cannot be stored');
+  }
+}
+
+function toRow(plan) {
+  const row = {};
+  Object.entries(PLAN_COLUMNS).forEach(([field, column]) => {
+    if (plan[field] !== undefined) row[column] = plan[field] === '' ? null : plan[field];
+  });
+  return row;
+}
+
+/**
+ * List burn plans, most recently updated first
+ * @param {Object} options - Query options
+ * @param {number} [options.fireDataId] - Only plans for this burn unit
+ * @param {boolean} [options.includeArchived] - Include archived plans
+ * @returns {Promise<Array>} Burn plan rows
+ */
+export async function listBurnPlans(options = {}) {
+  const { fireDataId = null, includeArchived = false } = options;
+
+  if (!isSupabaseConfigured()) return [];
+
+  let query = supabaseAdmin
+    .from('burn_plans')
+    .select('*')
+    .order('updated_at', { ascending: false });
+
+  if (fireDataId) query = query.eq('fire_data_id', fireDataId);
+  if (!includeArchived) query = query.is('archived_at', null);
+
+  const { data, error } = await query;
+
+  if (error) throw new Error(`Failed to load burn plans: ${error.message}`);
+
+  return data || [];
+}
+
+/**
+ * Get a burn plan
+ * @param {number} id - burn_plans id
+ * @returns {Promise<Object|null>} Row or null when not found
+ */
+export async function getBurnPlan(id) {
+  if (!isSupabaseConfigured()) return null;
+
+  const { data, error } = await supabaseAdmin
+    .from('burn_plans')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to load burn plan: ${error.message}`);
+
+  return data;
+}
+
+/**
+ * Create a burn plan; a new plan gets the standard checklist unless one is given
+ * @param {Object} plan - Validated BurnPlanSchema data
+ * @returns {Promise<Object>} Inserted row
+ */
+export async function createBurnPlan(plan) {
+  requireSupabase();
+
+  const row = toRow(plan);
+  if (!row.checklist) row.checklist = createChecklist();
+  row.go_no_go = createGoNoGo();
+
+  const { data, error } = await supabaseAdmin
+    .from('burn_plans')
+    .insert(row)
+    .select()
+    .single();
+
+  if (error) throw new Error(`Failed to create burn plan: ${error.message}`);
+
+  return data;
+}
+
+/**
+ * Update a burn plan
+ * @param {number} id - burn_plans id
+ * @param {Object} updates - Validated BurnPlanUpdateSchema data
+ * @returns {Promise<Object|null>} Updated row, or null when the plan does not exist
+ */
+export async function updateBurnPlan(id, updates) {
+  requireSupabase();
+
+  const { data, error } = await supabaseAdmin
+    .from('burn_plans')
+    .update({ ...toRow(updates), updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to update burn plan: ${error.message}`);
+
+  return data;
+}
+
+const conflict = (what) => ({
+  ok: false,
+  code: 'conflict',
+  error: `The ${what} changed while saving; reload it and try again`
+});
+
+// Write only if the plan is unchanged since it was read, so concurrent edits
+// cannot overwrite each other; null when it was changed
+async function savePlanIfUnchanged(plan, changes, what) {
+  requireSupabase();
+
+  let query = supabaseAdmin
+    .from('burn_plans')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', plan.id);
+
+  query = plan.updated_at ? query.eq('updated_at', plan.updated_at) : query.is('updated_at', null);
+
+  const { data, error } = await query.select().maybeSingle();
+
+  if (error) throw new Error(`Failed to save ${what}: ${error.message}`);
+
+  return data;
+}
+
+/**
+ * Mark a checklist item done or open, recording who completed it and when
+ * Refused when the plan changed after it was read.
+ * @param {number} id - burn_plans id
+ * @param {Object} update - Validated ChecklistUpdateSchema data
+ * @returns {Promise<Object|null>} { ok, plan } or { ok: false, code, error }; null when the plan does not exist
+ */
+export async function setChecklistItem(id, update) {
+  const plan = await getBurnPlan(id);
+  if (!plan) return null;
+
+  const checklist = plan.checklist || [];
+  if (!checklist.some(item => item.id === update.itemId)) {
+    throw new Error(`Checklist item '${update.itemId}' not found`);
+  }
+
+  const updated = checklist.map(item => {
+    if (item.id !== update.itemId) return item;
+    return update.done
+      ? { ...item, done: true, completedBy: update.completedBy || null, completedAt: new Date().toISOString() }
+      : { ...item, done: false, completedBy: null, completedAt: null };
+  });
+
+  const saved = await savePlanIfUnchanged(plan, { checklist: updated }, 'planning checklist');
+  return saved ? { ok: true, plan: saved } : conflict('planning checklist');
+}
+
+/**
+ * Answer a go/no-go question with the answerer's initials and the time
+ * Refused once the checklist has been signed, or when the plan changed after it was read.
+ * @param {number} id - burn_plans id
+ * @param {Object} update - Validated GoNoGoAnswerSchema data
+ * @returns {Promise<Object|null>} { ok, plan } or { ok: false, code, error }; null when the plan does not exist
+ */
+export async function setGoNoGoAnswer(id, update) {
+  const plan = await getBurnPlan(id);
+  if (!plan) return null;
+
+  const goNoGo = { ...createGoNoGo(), ...plan.go_no_go };
+  if (isGoNoGoLocked(goNoGo)) {
+    return { ok: false, code: 'locked', error: 'The go/no-go checklist has been signed and can no longer be edited' };
+  }
+
+  const answers = {
+    ...goNoGo.answers,
+    [update.questionId]: { answer: update.answer, initials: update.initials, answeredAt: new Date().toISOString() }
+  };
+
+  const saved = await savePlanIfUnchanged(plan, { go_no_go: { ...goNoGo, answers } }, 'go/no-go checklist');
+  return saved ? { ok: true, plan: saved } : conflict('go/no-go checklist');
+}
+
+/**
+ * Sign the go/no-go checklist
+ * The burn boss signs once every question is answered yes; the agency
+ * administrator signs after the burn boss. Signatures cannot be replaced, and
+ * a signature is refused when the plan changed after it was read.
+ * @param {number} id - burn_plans id
+ * @param {Object} signoff - Validated GoNoGoSignSchema data
+ * @returns {Promise<Object|null>} { ok, plan } or { ok: false, code, error }; null when the plan does not exist
+ */
+export async function signGoNoGo(id, signoff) {
+  const plan = await getBurnPlan(id);
+  if (!plan) return null;
+
+  const goNoGo = { ...createGoNoGo(), ...plan.go_no_go };
+  const signatures = { ...createGoNoGo().signatures, ...goNoGo.signatures };
+  const role = GO_NO_GO_SIGNOFFS.find(s => s.id === signoff.role);
+
+  if (signatures[role.id]?.signedAt) {
+    return { ok: false, code: 'locked', error: `${role.label} has already signed` };
+  }
+
+  const { yes, total } = goNoGoProgress(goNoGo);
+  if (yes < total) {
+    return { ok: false, code: 'incomplete', error: `Every question must be answered yes before signing (${yes} of ${total})` };
+  }
+
+  const earlier = GO_NO_GO_SIGNOFFS.slice(0, GO_NO_GO_SIGNOFFS.indexOf(role)).find(s => !signatures[s.id]?.signedAt);
+  if (earlier) {
+    return { ok: false, code: 'incomplete', error: `${earlier.label} must sign before the ${role.label}` };
+  }
+
+  signatures[role.id] = { name: signoff.name, signedAt: new Date().toISOString() };
+
+  const saved = await savePlanIfUnchanged(plan, { go_no_go: { ...goNoGo, signatures } }, 'go/no-go checklist');
+  return saved ? { ok: true, plan: saved } : conflict('go/no-go checklist');
+}
+
+/**
+ * Store calculated resource requirements on a burn plan
+ * @param {number} id - burn_plans id
+ * @param {Object} requirements - Output of estimateUnitResources
+ * @returns {Promise<Object>} Updated row
+ */
+export async function saveResourceRequirements(id, requirements) {
+  requireSupabase();
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabaseAdmin
+    .from('burn_plans')
+    .update({ resource_requirements: { ...requirements, calculatedAt: now }, updated_at: now })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) throw new Error(`Failed to save resource requirements: ${error.message}`);
+
+  return data;
+}
+
+/**
+ * Archive a burn plan so it drops out of the active list
+ * @param {number} id - burn_plans id
+ * @returns {Promise<Object|null>} Archived row, or null when the plan does not exist
+ */
+export async function archiveBurnPlan(id) {
+  requireSupabase();
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabaseAdmin
+    .from('burn_plans')
+    .update({ archived_at: now, updated_at: now })
+    .eq('id', id)
+    .select()
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to archive burn plan: ${error.message}`);
+
+  return data;
+}
@@ -0,0 +1,76 @@
+import { listBurnUnits } from './burn-units';
+import { PLANNING_STATUSES, normalizeStatus } from './burn-status';
+import { DEFAULT_PRESCRIPTION } from './prescription-window';
+import { findWeatherStation, getWeatherSeries } from './prescriptions';
+import { DEFAULT_SCHEDULE_OPTIONS, localDateHour, scheduleDates, buildSchedule } from './burn-scheduler';
+
+/**
+ * Season burn schedule across planned fire_data units, using forecast rows in
+ * weather_data (or an uploaded forecast) for each unit's nearest station
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Forecast rows for each unit from its nearest station
+ * Stations are resolved before loading so the row limit applies to one
+ * station's schedule window at a time; units sharing a station share its rows.
+ * @returns {Promise<Map>} unit id -> { records, station }
+ */
+async function loadForecastSeries(units, dates) {
+  // A day of margin either side covers any time zone offset
+  const start = new Date(new Date(`${dates[0]}T00:00:00Z`).getTime() - DAY_MS).toISOString();
+  const end = new Date(new Date(`${dates[dates.length - 1]}T00:00:00Z`).getTime() + 2 * DAY_MS).toISOString();
+
+  const stations = await Promise.all(units.map(unit => findWeatherStation(unit)));
+  const names = [...new Set(stations.filter(Boolean).map(s => s.name))];
+  const series = new Map(await Promise.all(names.map(async name => (
+    [name, await getWeatherSeries({ locationName: name, start, end, limit: 5000 })]
+  ))));
+
+  return new Map(units.map((unit, i) => [
+    unit.id,
+    stations[i] ? series.get(stations[i].name) : { records: [], station: null }
+  ]));
+}
+
+/**
+ * Propose a burn schedule for the planned units
+ * @param {Object} options - Validated ScheduleOptionsSchema data
+ * @returns {Promise<Object>} buildSchedule output with the options used and the weather source
+ */
+export async function getBurnSchedule(options = {}) {
+  const { forecast = null, fireDataIds = null, ...scheduleOptions } = options;
+  const settings = { ...DEFAULT_SCHEDULE_OPTIONS, ...scheduleOptions };
+  if (!settings.start) settings.start = localDateHour(new Date(), settings.timeZone).date;
+
+  const units = (await listBurnUnits())
+    .filter(unit => PLANNING_STATUSES.includes(normalizeStatus(unit.status)))
+    .filter(unit => !fireDataIds || fireDataIds.includes(unit.id));
+
+  const series = forecast || !units.length ? null : await loadForecastSeries(units, scheduleDates(settings.start, settings.days));
+
+  const entries = units.map(unit => {
+    const { records, station } = forecast ? { records: forecast, station: null } : series.get(unit.id);
+    return {
+      unit,
+      prescription: unit.prescription ? { ...DEFAULT_PRESCRIPTION, ...unit.prescription } : DEFAULT_PRESCRIPTION,
+      records,
+      station
+    };
+  });
+
+  return {
+    ...buildSchedule(entries, settings),
+    options: {
+      start: settings.start,
+      days: settings.days,
+      timeZone: settings.timeZone,
+      operationalHours: settings.operationalHours,
+      minWindowHours: settings.minWindowHours,
+      crewPerDay: settings.crewPerDay,
+      crewByDate: settings.crewByDate || {}
+    },
+    source: forecast ? 'forecast' : 'weather_data'
+  };
+}
@@ -0,0 +1,358 @@
+import { z } from 'zod';
+import { normalizeStatus } from './burn-status';
+import { DEFAULT_PRESCRIPTION, evaluatePrescription } from './prescription-window';
+
+/**
+ * Multi-unit burn scheduler
+ * Ranks the forecast days for each planned unit against its prescription and
+ * weather window, then assigns units to days within the crew available each
+ * day, one burn per burn boss per day. Units that cannot be placed are listed
+ * with the reason. Pure module: the schedule API loads units and weather, the
+ * calendar page renders the result.
+ */
+
+// Statuses the scheduler places; Draft units are listed as excluded until approved
+export const SCHEDULABLE_STATUSES = ['Approved', 'Ready'];
+
+export const DEFAULT_SCHEDULE_OPTIONS = {
+  days: 14,
+  timeZone: 'America/Los_Angeles',
+  operationalHours: { start: 9, end: 17 },
+  minWindowHours: 4,
+  crewPerDay: 20
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const ScheduleOptionsSchema = z.object({
+  start: z.string().regex(DATE_PATTERN, 'start must be YYYY-MM-DD').optional(),
+  days: z.number().int().min(1).max(60).optional(),
+  timeZone: z.string().refine(isTimeZone, 'Unknown time zone').optional(),
+  operationalHours: z.object({
+    start: z.number().int().min(0).max(23),
+    end: z.number().int().min(1).max(24)
+  }).refine(h => h.start < h.end, 'start must be before end').optional(),
+  minWindowHours: z.number().int().min(1).max(24).optional(),
+  crewPerDay: z.number().int().min(0).optional(),
+  crewByDate: z.record(z.string().regex(DATE_PATTERN), z.number().int().min(0)).optional(),
+  fireDataIds: z.array(z.number().int().positive()).optional(),
+  forecast: z.array(z.record(z.any())).max(5000).optional(),
+  temperatureUnit: z.enum(['F', 'C']).optional()
+});
+
+export const EXCLUSION_REASONS = {
+  'not-approved': 'Plan not approved',
+  'no-crew-size': 'No crew size set',
+  'outside-weather-window': 'Weather window outside the schedule',
+  'no-forecast': 'No forecast weather',
+  'out-of-prescription': 'No day in prescription',
+  crew: 'Not enough crew',
+  'burn-boss': 'Burn boss already committed'
+};
+
+/**
+ * Local calendar date and hour of an instant
+ * @param {string|Date} time - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {{date: string, hour: number}} date as YYYY-MM-DD
+ */
+export function localDateHour(time, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(new Date(time)).map(p => [p.type, p.value])
+  );
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour) };
+}
+
+/**
+ * Consecutive calendar dates
+ * @param {string} start - YYYY-MM-DD
+ * @param {number} days - Number of dates
+ * @returns {Array<string>}
+ */
+export function scheduleDates(start, days) {
+  const first = new Date(`${start}T00:00:00Z`);
+  return Array.from({ length: days }, (_, i) => new Date(first.getTime() + i * 86400000).toISOString().slice(0, 10));
+}
+
+const longestRun = (hours) => {
+  let best = null;
+  let current = null;
+  hours.forEach(h => {
+    if (!h.inPrescription) {
+      current = null;
+      return;
+    }
+    current = current && current.endHour === h.localHour ? { ...current, endHour: h.localHour + 1, hours: current.hours + 1 } : { startHour: h.localHour, endHour: h.localHour + 1, hours: 1 };
+    if (!best || current.hours > best.hours) best = current;
+  });
+  return best;
+};
+
+/**
+ * Rate each schedule date for one unit
+ * A date is feasible when the unit's weather window allows it and the forecast
+ * has at least minWindowHours consecutive in-prescription operational hours.
+ * Score (0-100): 70 points for the longest window as a share of the operational
+ * period, 30 for the share of window hours with adequate smoke ventilation.
+ * @param {Object} unit - fire_data row
+ * @param {Array} records - Forecast weather rows for the unit
+ * @param {Object} prescription - Prescription limits
+ * @param {Array<string>} dates - scheduleDates output
+ * @param {Object} options - Schedule options
+ * @returns {Array} [{ date, feasible, reason, score, window, inPrescriptionHours, forecastHours, poorVentilationHours, failureCounts }]
+ */
+export function rateUnitDays(unit, records, prescription, dates, options = {}) {
+  const { timeZone, operationalHours, minWindowHours, temperatureUnit = 'F' } = { ...DEFAULT_SCHEDULE_OPTIONS, ...options };
+  const operationalLength = operationalHours.end - operationalHours.start;
+  const { hours } = evaluatePrescription(records, prescription, { temperatureUnit });
+
+  const byDate = new Map(dates.map(date => [date, []]));
+  hours.forEach(hour => {
+    const { date, hour: localHour } = localDateHour(hour.time, timeZone);
+    if (!byDate.has(date) || localHour < operationalHours.start || localHour >= operationalHours.end) return;
+    byDate.get(date).push({ ...hour, localHour });
+  });
+
+  const windowStart = unit.weather_window_start ? localDateHour(unit.weather_window_start, timeZone).date : null;
+  const windowEnd = unit.weather_window_end ? localDateHour(unit.weather_window_end, timeZone).date : null;
+
+  return dates.map(date => {
+    const dayHours = byDate.get(date).sort((a, b) => a.localHour - b.localHour);
+    const failureCounts = {};
+    dayHours.forEach(h => h.failures.forEach(f => {
+      failureCounts[f.parameter] = (failureCounts[f.parameter] || 0) + 1;
+    }));
+
+    const day = {
+      date,
+      feasible: false,
+      reason: null,
+      score: 0,
+      window: null,
+      inPrescriptionHours: dayHours.filter(h => h.inPrescription).length,
+      forecastHours: dayHours.length,
+      poorVentilationHours: 0,
+      failureCounts
+    };
+
+    if ((windowStart && date < windowStart) || (windowEnd && date > windowEnd)) {
+      return { ...day, reason: 'outside-weather-window' };
+    }
+    if (dayHours.length === 0) return { ...day, reason: 'no-forecast' };
+
+    const run = longestRun(dayHours);
+    if (!run || run.hours < minWindowHours) return { ...day, reason: 'out-of-prescription', window: run };
+
+    const poorVentilationHours = dayHours
+      .filter(h => h.localHour >= run.startHour && h.localHour < run.endHour && h.poorVentilation).length;
+    const score = Math.round(70 * Math.min(1, run.hours / operationalLength) + 30 * (1 - poorVentilationHours / run.hours));
+
+    return { ...day, feasible: true, score, window: run, poorVentilationHours };
+  });
+}
+
+const unitSummary = (unit) => ({
+  fireDataId: unit.id,
+  burnUnit: unit.burn_unit,
+  status: normalizeStatus(unit.status),
+  crewSize: unit.crew_size ?? null,
+  burnBoss: unit.burn_boss || null,
+  acresPlanned: unit.acres_planned ?? null
+});
+
+const hourLabel = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+const PARAMETER_LABELS = {
+  temperature: 'temperature',
+  humidity: 'humidity',
+  windSpeed: 'wind speed',
+  windDirection: 'wind direction',
+  fuelMoisture: 'fuel moisture'
+};
+
+// Explain why a unit has no feasible day, from its day ratings
+function weatherExclusion(days, minWindowHours) {
+  const allowed = days.filter(d => d.reason !== 'outside-weather-window');
+  if (allowed.length === 0) {
+    return { reason: 'outside-weather-window', message: 'The unit\'s weather window does not overlap the schedule dates' };
+  }
+
+  const forecast = allowed.filter(d => d.reason !== 'no-forecast');
+  if (forecast.length === 0) {
+    return { reason: 'no-forecast', message: 'No forecast weather covers the unit\'s allowed dates' };
+  }
+
+  const totals = {};
+  forecast.forEach(d => Object.entries(d.failureCounts).forEach(([parameter, count]) => {
+    totals[parameter] = (totals[parameter] || 0) + count;
+  }));
+  const limiting = Object.entries(totals).sort((a, b) => b[1] - a[1]).slice(0, 2).map(([parameter]) => PARAMETER_LABELS[parameter] || parameter);
+  const best = forecast.reduce((max, d) => Math.max(max, d.window?.hours || 0), 0);
+
+  return {
+    reason: 'out-of-prescription',
+    message: `No forecast day has ${minWindowHours} consecutive hours in prescription (best ${best} h)` +
+      (limiting.length ? `; mostly limited by ${limiting.join(' and ')}` : '')
+  };
+}
+
+/**
+ * Build a burn schedule
+ * Units are placed in priority order: Ready before Approved, then the units
+ * with the fewest feasible days, then the largest crews. Each takes its
+ * best-scoring day that still has crew and whose burn boss is free.
+ * @param {Array} entries - [{ unit, prescription, records, station }] per fire_data unit
+ * @param {Object} options - Schedule options (see DEFAULT_SCHEDULE_OPTIONS), with start and crewByDate
+ * @returns {Object} { dates, calendar, assignments, excluded, conflicts, summary }
+ */
+export function buildSchedule(entries, options = {}) {
+  const settings = { ...DEFAULT_SCHEDULE_OPTIONS, ...options };
+  const dates = scheduleDates(settings.start, settings.days);
+  const crewFor = (date) => settings.crewByDate?.[date] ?? settings.crewPerDay;
+
+  const excluded = [];
+  const candidates = [];
+
+  entries.forEach(({ unit, prescription, records, station }) => {
+    const summary = unitSummary(unit);
+
+    if (!SCHEDULABLE_STATUSES.includes(summary.status)) {
+      excluded.push({ ...summary, reason: 'not-approved', message: `Status is ${summary.status || unit.status}; only approved or ready units are scheduled` });
+      return;
+    }
+    if (!summary.crewSize) {
+      excluded.push({ ...summary, reason: 'no-crew-size', message: 'Set the required crew size before scheduling' });
+      return;
+    }
+
+    const days = rateUnitDays(unit, records, prescription || DEFAULT_PRESCRIPTION, dates, settings);
+    const feasible = days.filter(d => d.feasible).sort((a, b) => b.score - a.score || a.date.localeCompare(b.date));
+
+    if (feasible.length === 0) {
+      excluded.push({ ...summary, ...weatherExclusion(days, settings.minWindowHours), station });
+      return;
+    }
+
+    candidates.push({ summary, feasible, station });
+  });
+
+  candidates.sort((a, b) =>
+    (a.summary.status === 'Ready' ? 0 : 1) - (b.summary.status === 'Ready' ? 0 : 1) ||
+    a.feasible.length - b.feasible.length ||
+    b.summary.crewSize - a.summary.crewSize ||
+    b.feasible[0].score - a.feasible[0].score
+  );
+
+  const crewAssigned = new Map(dates.map(date => [date, 0]));
+  const bosses = new Map(dates.map(date => [date, new Set()]));
+  const burnsByDate = new Map(dates.map(date => [date, []]));
+  const conflicts = new Map();
+  const assignments = [];
+
+  const addConflict = (date, type, summary) => {
+    const key = `${date}|${type}`;
+    if (!conflicts.has(key)) conflicts.set(key, { date, type, units: [] });
+    conflicts.get(key).units.push({ fireDataId: summary.fireDataId, burnUnit: summary.burnUnit, crewSize: summary.crewSize });
+  };
+
+  candidates.forEach(({ summary, feasible, station }) => {
+    const blocked = [];
+    const day = feasible.find(d => {
+      if (crewAssigned.get(d.date) + summary.crewSize > crewFor(d.date)) {
+        blocked.push('crew');
+        addConflict(d.date, 'crew', summary);
+        return false;
+      }
+      if (summary.burnBoss && bosses.get(d.date).has(summary.burnBoss)) {
+        blocked.push('burn-boss');
+        addConflict(d.date, 'burn-boss', summary);
+        return false;
+      }
+      return true;
+    });
+
+    if (!day) {
+      const reason = blocked.includes('crew') ? 'crew' : 'burn-boss';
+      excluded.push({
+        ...summary,
+        reason,
+        message: reason === 'crew'
+          ? `None of its ${feasible.length} in-prescription day(s) has ${summary.crewSize} crew left`
+          : `Burn boss ${summary.burnBoss} is committed to another unit on every in-prescription day`,
+        station
+      });
+      return;
+    }
+
+    crewAssigned.set(day.date, crewAssigned.get(day.date) + summary.crewSize);
+    if (summary.burnBoss) bosses.get(day.date).add(summary.burnBoss);
+
+    const assignment = {
+      ...summary,
+      date: day.date,
+      score: day.score,
+      window: `${hourLabel(day.window.startHour)}–${hourLabel(day.window.endHour)}`,
+      windowHours: day.window.hours,
+      poorVentilationHours: day.poorVentilationHours,
+      firstChoice: day === feasible[0],
+      alternates: feasible.filter(d => d !== day).slice(0, 3).map(d => ({ date: d.date, score: d.score })),
+      station
+    };
+    assignments.push(assignment);
+    burnsByDate.get(day.date).push(assignment);
+  });
+
+  const conflictList = [...conflicts.values()].map(conflict => {
+    const names = conflict.units.map(u => `${u.burnUnit} (${u.crewSize} crew)`).join(', ');
+    return {
+      ...conflict,
+      crewAvailable: crewFor(conflict.date),
+      crewAssigned: crewAssigned.get(conflict.date),
+      message: conflict.type === 'crew'
+        ? `${names}: ${crewAssigned.get(conflict.date)} of ${crewFor(conflict.date)} crew already assigned`
+        : `${names}: burn boss already committed to another unit`
+    };
+  }).sort((a, b) => a.date.localeCompare(b.date));
+
+  const calendar = dates.map(date => ({
+    date,
+    crewAvailable: crewFor(date),
+    crewAssigned: crewAssigned.get(date),
+    burns: burnsByDate.get(date).sort((a, b) => b.score - a.score).map((burn, i) => ({ ...burn, rank: i + 1 })),
+    feasibleUnits: candidates.filter(c => c.feasible.some(d => d.date === date)).length,
+    conflicts: conflictList.filter(c => c.date === date).length
+  }));
+
+  assignments.sort((a, b) => a.date.localeCompare(b.date) || b.score - a.score);
+
+  return {
+    dates,
+    calendar,
+    assignments,
+    excluded,
+    conflicts: conflictList,
+    summary: {
+      units: entries.length,
+      scheduled: assignments.length,
+      excluded: excluded.length,
+      conflicts: conflictList.length,
+      crewDaysAssigned: assignments.reduce((sum, a) => sum + a.crewSize, 0)
+    }
+  };
+}
@@ -0,0 +1,118 @@
+/**
+ * Burn status lifecycle for fire_data.status
+ * Draft → Approved → Ready → Ignition → Holding → Mop-up → Patrol → Monitoring → Completed,
+ * with Cancelled (before ignition) and Escaped (after ignition) as terminal branches.
+ * Pure module: shared by the transition API, the map and the planning page.
+ */
+
+export const BURN_STATUSES = [
+  { id: 'Draft', color: '#94A3B8', description: 'Plan being written' },
+  { id: 'Approved', color: '#2563EB', description: 'Plan approved by the agency administrator' },
+  { id: 'Ready', color: '#0891B2', description: 'Preparations complete, awaiting a burn day' },
+  { id: 'Ignition', color: '#DC2626', description: 'Ignition under way' },
+  { id: 'Holding', color: '#F59E0B', description: 'Ignition complete, holding the perimeter' },
+  { id: 'Mop-up', color: '#D97706', description: 'Extinguishing burning material near control lines' },
+  { id: 'Patrol', color: '#CA8A04', description: 'Patrolling for holdover fire' },
+  { id: 'Monitoring', color: '#7C3AED', description: 'Post-burn effects monitoring' },
+  { id: 'Completed', color: '#059669', description: 'Burn closed out', terminal: true },
+  { id: 'Cancelled', color: '#4B5563', description: 'Burn cancelled before ignition', terminal: true },
+  { id: 'Escaped', color: '#7F1D1D', description: 'Fire escaped and declared a wildfire', terminal: true }
+];
+
+// Planned units: not yet ignited, completed or cancelled
+export const PLANNING_STATUSES = ['Draft', 'Approved', 'Ready'];
+
+// Allowed next statuses; Ready can stand down to Approved on a no-go day
+export const STATUS_TRANSITIONS = {
+  Draft: ['Approved', 'Cancelled'],
+  Approved: ['Ready', 'Draft', 'Cancelled'],
+  Ready: ['Ignition', 'Approved', 'Cancelled'],
+  Ignition: ['Holding', 'Escaped'],
+  Holding: ['Mop-up', 'Escaped'],
+  'Mop-up': ['Patrol', 'Escaped'],
+  Patrol: ['Monitoring', 'Mop-up', 'Escaped'],
+  Monitoring: ['Completed'],
+  Completed: [],
+  Cancelled: [],
+  Escaped: []
+};
+
+// Free-text statuses written before the lifecycle existed
+export const LEGACY_STATUSES = {
+  planned: 'Draft',
+  'in progress': 'Holding',
+  completed: 'Completed',
+  monitoring: 'Monitoring',
+  cancelled: 'Cancelled',
+  canceled: 'Cancelled'
+};
+
+/**
+ * Map a stored status (including legacy free text) to a lifecycle status
+ * @param {string} status - fire_data.status
+ * @returns {string|null} Lifecycle status id, or null when unrecognized
+ */
+export function normalizeStatus(status) {
+  if (!status) return null;
+  const text = String(status).trim();
+  const match = BURN_STATUSES.find(s => s.id.toLowerCase() === text.toLowerCase());
+  return match ? match.id : LEGACY_STATUSES[text.toLowerCase()] || null;
+}
+
+/**
+ * Next statuses reachable from a status
+ * Unrecognized statuses may only move to Draft so they can enter the lifecycle.
+ * @param {string} status - Current status
+ * @returns {Array<string>}
+ */
+export function nextStatuses(status) {
+  const current = normalizeStatus(status);
+  return current ? STATUS_TRANSITIONS[current] : ['Draft'];
+}
+
+const LIFECYCLE_ORDER = BURN_STATUSES.filter(s => !s.terminal || s.id === 'Completed').map(s => s.id);
+
+/**
+ * Whether a transition must be explained in the history log: cancelling,
+ * declaring an escape, or stepping back in the lifecycle
+ * @param {string} from - Current status
+ * @param {string} to - Next status
+ * @returns {boolean}
+ */
+export function requiresReason(from, to) {
+  if (to === 'Cancelled' || to === 'Escaped') return true;
+  const fromIndex = LIFECYCLE_ORDER.indexOf(normalizeStatus(from));
+  return fromIndex !== -1 && LIFECYCLE_ORDER.indexOf(to) < fromIndex;
+}
+
+/**
+ * Map color for a status
+ * @param {string} status - Lifecycle or legacy status
+ * @returns {string|null} Hex color, or null when unrecognized
+ */
+export function statusColor(status) {
+  const current = normalizeStatus(status);
+  return BURN_STATUSES.find(s => s.id === current)?.color || null;
+}
+
+/**
+ * Whether a unit in this status has been ignited
+ * @param {string} status - Lifecycle or legacy status
+ * @returns {boolean}
+ */
+export function hasIgnited(status) {
+  const current = normalizeStatus(status);
+  return current === 'Escaped' || LIFECYCLE_ORDER.indexOf(current) >= LIFECYCLE_ORDER.indexOf('Ignition');
+}
+
+// Statuses with fire on the ground
+const ACTIVE_BURN_STATUSES = ['Ignition', 'Holding', 'Mop-up', 'Patrol'];
+
+/**
+ * Whether a unit in this status has fire on the ground (Ignition through Patrol)
+ * @param {string} status - Lifecycle or legacy status
+ * @returns {boolean}
+ */
+export function isBurnActive(status) {
+  return ACTIVE_BURN_STATUSES.includes(normalizeStatus(status));
+}
@@ -0,0 +1,66 @@
+import { supabaseAdmin, isSupabaseConfigured } from './supabase';
+
+/**
+ * Burn unit lookups against the fire_data table
+ */
+
+const UNIT_FIELDS = `
+  id, burn_unit, location_name, burn_type, status, acres_planned, acres_completed,
+  latitude, longitude, elevation, crew_size, burn_boss, risk_level, risk_rule_set_key,
+  objectives, safety_notes, weather_window_start, weather_window_end, prescription,
+  boundary, boundary_acres, boundary_perimeter_ft, elevation_ft, slope_percent, aspect, terrain,
+  contingency_plan
+`;
+
+/**
+ * List burn units for pickers and planning tools
+ * @param {Object} options - Query options
+ * @param {string} [options.status] - Only units with this status
+ * @returns {Promise<Array>} Burn units ordered by name
+ */
+export async function listBurnUnits(options = {}) {
+  const { status = null } = options;
+
+  if (!isSupabaseConfigured()) return [];
+
+  try {
+    let query = supabaseAdmin
+      .from('fire_data')
+      .select(UNIT_FIELDS)
+      .order('burn_unit', { ascending: true });
+
+    if (status) query = query.eq('status', status);
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Error listing burn units:', error);
+      return [];
+    }
+
+    return data || [];
+
+  } catch (error) {
+    console.error('Error in listBurnUnits:', error);
+    return [];
+  }
+}
+
+/**
+ * Get a single burn unit
+ * @param {number} id - fire_data id
+ * @returns {Promise<Object|null>} Burn unit or null when not found
+ */
+export async function getBurnUnit(id) {
+  if (!id || !isSupabaseConfigured()) return null;
+
+  const { data, error } = await supabaseAdmin
+    .from('fire_data')
+    .select(UNIT_FIELDS)
+    .eq('id', id)
+    .single();
+
+  if (error) return null;
+
+  return data;
+}
@@ -0,0 +1,160 @@
+import { supabaseAdmin, isSupabaseConfigured } from './supabase';
+import { getBurnUnit } from './burn-units';
+import { isBurnActive } from './burn-status';
+import { getStatusHistory } from './burn-lifecycle';
+import { getBurnTimeline } from './burn-observations';
+import { EMPTY_CONTINGENCY_PLAN, normalizeContingencyPlan, evaluateTriggers } from './contingency';
+
+/**
+ * Burn unit contingency plans (fire_data.contingency_plan) and the alerts
+ * raised when a trigger is crossed (contingency_alerts table)
+ * Triggers are only checked while the unit has fire on the ground, against
+ * readings since ignition. Alerts are acknowledged, never deleted.
+ */
+
+function requireSupabase() {
+  if (!isSupabaseConfigured()) {
+    throw new Error('Supabase is not configured; contingency plans cannot be stored');
+  }
+}
+
+/**
+ * Get the contingency plan for a burn unit
+ * @param {number} fireDataId - fire_data id
+ * @returns {Promise<Object|null>} { plan, unit }, or null when the unit does not exist
+ */
+export async function getContingencyPlan(fireDataId) {
+  const unit = await getBurnUnit(fireDataId);
+  if (!unit) return null;
+
+  return { plan: unit.contingency_plan || EMPTY_CONTINGENCY_PLAN, unit };
+}
+
+/**
+ * Save the contingency plan for a burn unit
+ * @param {number} fireDataId - fire_data id
+ * @param {Object} plan - Validated ContingencyPlanSchema data
+ * @returns {Promise<Object|null>} Saved plan, or null when the unit does not exist
+ */
+export async function saveContingencyPlan(fireDataId, plan) {
+  requireSupabase();
+
+  const unit = await getBurnUnit(fireDataId);
+  if (!unit) return null;
+
+  const now = new Date().toISOString();
+  const stored = { ...normalizeContingencyPlan(plan, unit.contingency_plan), updatedBy: plan.updatedBy || null, updatedAt: now };
+
+  const { data, error } = await supabaseAdmin
+    .from('fire_data')
+    .update({ contingency_plan: stored, updated_at: now })
+    .eq('id', fireDataId)
+    .select('contingency_plan')
+    .single();
+
+  if (error) throw new Error(`Failed to save contingency plan: ${error.message}`);
+
+  return data.contingency_plan;
+}
+
+/**
+ * Alerts raised for a burn unit, newest first
+ * @param {number} fireDataId - fire_data id
+ * @param {Object} options - { includeAcknowledged }
+ * @returns {Promise<Array>} contingency_alerts rows
+ */
+export async function listContingencyAlerts(fireDataId, options = {}) {
+  const { includeAcknowledged = true } = options;
+
+  if (!isSupabaseConfigured()) return [];
+
+  let query = supabaseAdmin
+    .from('contingency_alerts')
+    .select('*')
+    .eq('fire_data_id', fireDataId)
+    .order('observed_at', { ascending: false });
+
+  if (!includeAcknowledged) query = query.is('acknowledged_at', null);
+
+  const { data, error } = await query;
+
+  if (error) throw new Error(`Failed to load contingency alerts: ${error.message}`);
+
+  return data || [];
+}
+
+/**
+ * Check a burn unit's observations and nearby sensor readings against its
+ * triggers and raise an alert for each new crossing
+ * @param {number} fireDataId - fire_data id
+ * @returns {Promise<Object|null>} { checked, reason, raised, alerts }, or null when the unit does not exist
+ */
+export async function checkContingencyTriggers(fireDataId) {
+  const unit = await getBurnUnit(fireDataId);
+  if (!unit) return null;
+
+  const plan = unit.contingency_plan;
+  if (!plan?.triggers?.length) {
+    return { checked: false, reason: 'No contingency triggers are set for this unit', raised: 0, alerts: await listContingencyAlerts(fireDataId) };
+  }
+  if (!isBurnActive(unit.status)) {
+    return { checked: false, reason: `Triggers are checked from ignition through patrol; the unit is ${unit.status}`, raised: 0, alerts: await listContingencyAlerts(fireDataId) };
+  }
+
+  requireSupabase();
+
+  const ignition = (await getStatusHistory(fireDataId)).find(h => h.to_status === 'Ignition');
+  const timeline = await getBurnTimeline({
+    fireDataId,
+    start: ignition?.changed_at || null,
+    end: ignition ? new Date().toISOString() : null
+  });
+
+  const crossings = evaluateTriggers(plan, timeline);
+  let raised = 0;
+
+  if (crossings.length > 0) {
+    const { data, error } = await supabaseAdmin
+      .from('contingency_alerts')
+      .upsert(crossings.map(c => ({
+        fire_data_id: fireDataId,
+        trigger_id: c.triggerId,
+        parameter: c.parameter,
+        condition: c.condition,
+        source: c.source,
+        source_key: c.sourceKey,
+        observed_at: c.observedAt,
+        value: c.value === null ? null : String(c.value),
+        message: c.message,
+        action: c.action,
+        resources: c.resources
+      })), { onConflict: 'fire_data_id,trigger_id,source_key', ignoreDuplicates: true })
+      .select('id');
+
+    if (error) throw new Error(`Failed to raise contingency alerts: ${error.message}`);
+    raised = (data || []).length;
+  }
+
+  return { checked: true, reason: null, raised, alerts: await listContingencyAlerts(fireDataId) };
+}
+
+/**
+ * Acknowledge an alert
+ * @param {number} id - contingency_alerts id
+ * @param {string} acknowledgedBy - Name of the person acknowledging
+ * @returns {Promise<Object|null>} Updated row, or null when the alert does not exist
+ */
+export async function acknowledgeContingencyAlert(id, acknowledgedBy) {
+  requireSupabase();
+
+  const { data, error } = await supabaseAdmin
+    .from('contingency_alerts')
+    .update({ acknowledged_at: new Date().toISOString(), acknowledged_by: acknowledgedBy })
+    .eq('id', id)
+    .select()
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to acknowledge contingency alert: ${error.message}`);
+
+  return data;
+}
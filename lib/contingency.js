@@ -0,0 +1,246 @@
+import { z } from 'zod';
+import { COMPASS_SECTORS, directionToSector } from './geo';
+
+/**
+ * Contingency plans for a burn unit: trigger points, the action tied to each,
+ * and the contingency resources with their response times
+ * Triggers are checked against belt weather observations (°F, mph, ft) and
+ * hourly readings from nearby air_quality sensors (temperature already in °F).
+ * Pure module: used by the contingency API, the observation route and the
+ * plan editor alike.
+ */
+
+// observation / sensor: the field each trigger parameter is read from
+export const TRIGGER_PARAMETERS = [
+  { id: 'windSpeed', label: 'Wind speed', unit: 'mph', observation: true },
+  { id: 'windGust', label: 'Wind gusts', unit: 'mph', observation: true },
+  { id: 'windDirection', label: 'Wind direction', unit: null, observation: true, sectors: true },
+  { id: 'humidity', label: 'Relative humidity', unit: '%', observation: true, sensor: true },
+  { id: 'temperature', label: 'Temperature', unit: '°F', observation: true, sensor: true },
+  { id: 'fuelMoisture', label: '1-hr fuel moisture', unit: '%', observation: true },
+  { id: 'flameLength', label: 'Flame length', unit: 'ft', observation: true },
+  { id: 'spotFire', label: 'Spot fire outside line', unit: 'ft', observation: true, event: true },
+  { id: 'pm25', label: 'Smoke PM2.5', unit: 'µg/m³', sensor: true }
+];
+
+export const RESOURCE_KINDS = [
+  { id: 'engine', label: 'Engine' },
+  { id: 'crew', label: 'Hand crew' },
+  { id: 'water-tender', label: 'Water tender' },
+  { id: 'dozer', label: 'Dozer' },
+  { id: 'aircraft', label: 'Aircraft' },
+  { id: 'overhead', label: 'Overhead' },
+  { id: 'other', label: 'Other' }
+];
+
+const parameterIds = TRIGGER_PARAMETERS.map(p => p.id);
+const parameterFor = (id) => TRIGGER_PARAMETERS.find(p => p.id === id);
+
+export const TriggerSchema = z.object({
+  id: z.string().min(1).optional(),
+  parameter: z.enum(parameterIds),
+  operator: z.enum(['above', 'below']).optional(),
+  threshold: z.number().nullable().optional(),
+  sectors: z.array(z.enum(COMPASS_SECTORS)).optional(),
+  action: z.string().trim().min(1, 'Each trigger needs an action'),
+  resourceIds: z.array(z.string()).optional()
+}).superRefine((trigger, ctx) => {
+  const parameter = parameterFor(trigger.parameter);
+  if (parameter.sectors) {
+    if (!trigger.sectors?.length) ctx.addIssue({ code: 'custom', path: ['sectors'], message: 'Choose the wind directions that trigger the action' });
+  } else if (!parameter.event && (!trigger.operator || trigger.threshold == null)) {
+    ctx.addIssue({ code: 'custom', path: ['threshold'], message: `${parameter.label} triggers need an operator and threshold` });
+  }
+});
+
+export const ResourceSchema = z.object({
+  id: z.string().min(1).optional(),
+  name: z.string().trim().min(1, 'Resource name is required'),
+  kind: z.enum(RESOURCE_KINDS.map(k => k.id)).default('other'),
+  quantity: z.number().int().positive().default(1),
+  responseMinutes: z.number().nonnegative().nullable().optional(),
+  contact: z.string().nullable().optional()
+});
+
+export const ContingencyPlanSchema = z.object({
+  triggers: z.array(TriggerSchema).max(50).default([]),
+  resources: z.array(ResourceSchema).max(50).default([]),
+  notes: z.string().nullable().optional(),
+  updatedBy: z.string().nullable().optional(),
+  lastId: z.number().int().nonnegative().optional()
+});
+
+export const EMPTY_CONTINGENCY_PLAN = { triggers: [], resources: [], notes: null, lastId: 0 };
+
+// Highest id number issued for the plan: its counter, or any larger id suffix in it
+function lastIssuedId(plan) {
+  const suffixes = [...(plan?.triggers || []), ...(plan?.resources || [])]
+    .map(item => parseInt(String(item.id || '').replace(/^\D+/, ''), 10))
+    .filter(n => !isNaN(n));
+  return Math.max(plan?.lastId || 0, ...suffixes);
+}
+
+/**
+ * Next id such as t3 or r4
+ * Ids are never reused, even after the item holding one is deleted, because
+ * alerts raised for a trigger are stored against its id. Keep the returned
+ * lastId on the plan.
+ * @param {Object} plan - Contingency plan with its lastId counter
+ * @param {string} prefix - 't' for triggers, 'r' for resources
+ * @returns {Object} { id, lastId }
+ */
+export function nextId(plan, prefix) {
+  const lastId = lastIssuedId(plan) + 1;
+  return { id: `${prefix}${lastId}`, lastId };
+}
+
+/**
+ * Give triggers and resources stable ids and drop links to missing resources
+ * New ids continue from the stored plan's counter so a deleted item's id is not reissued.
+ * @param {Object} plan - Validated ContingencyPlanSchema data
+ * @param {Object} [stored] - Plan currently saved for the unit
+ * @returns {Object} { triggers, resources, notes, lastId }
+ */
+export function normalizeContingencyPlan(plan, stored = null) {
+  let lastId = Math.max(lastIssuedId(plan), lastIssuedId(stored));
+  const issue = (prefix) => `${prefix}${++lastId}`;
+
+  const resources = [];
+  (plan.resources || []).forEach(resource => {
+    resources.push({ ...resource, id: resource.id || issue('r') });
+  });
+  const resourceIds = new Set(resources.map(r => r.id));
+
+  const triggers = [];
+  (plan.triggers || []).forEach(trigger => {
+    const parameter = parameterFor(trigger.parameter);
+    triggers.push({
+      ...trigger,
+      id: trigger.id || issue('t'),
+      operator: parameter.sectors || parameter.event ? null : trigger.operator,
+      threshold: parameter.sectors ? null : trigger.threshold ?? (parameter.event ? 0 : null),
+      sectors: parameter.sectors ? trigger.sectors : [],
+      resourceIds: (trigger.resourceIds || []).filter(id => resourceIds.has(id))
+    });
+  });
+
+  return { triggers, resources, notes: plan.notes ?? null, lastId };
+}
+
+const withUnit = (value, unit) => (unit === '%' || unit === '°F' ? `${value}${unit}` : `${value} ${unit}`);
+
+/**
+ * Readable trigger condition, e.g. "Wind speed above 15 mph"
+ * @param {Object} trigger - Normalized trigger
+ * @returns {string}
+ */
+export function describeTrigger(trigger) {
+  const parameter = parameterFor(trigger.parameter);
+  if (parameter.sectors) return `Wind from ${trigger.sectors.join(', ')}`;
+  if (parameter.event) {
+    return trigger.threshold ? `${parameter.label} ${withUnit(trigger.threshold, parameter.unit)} or more` : parameter.label;
+  }
+  return `${parameter.label} ${trigger.operator} ${withUnit(trigger.threshold, parameter.unit)}`;
+}
+
+const toNumber = (value) => (value === null || value === undefined || value === '' || isNaN(Number(value)) ? null : Number(value));
+
+/**
+ * Trigger parameter values from a burn_observations row
+ * @param {Object} row - burn_observations row
+ * @returns {Object} Values keyed by trigger parameter; spotFire is the spot distance
+ *   (0 when unmeasured) when spotting was recorded, else null
+ */
+export function observationValues(row) {
+  return {
+    windSpeed: toNumber(row.wind_speed),
+    windGust: toNumber(row.wind_gust),
+    windDirection: row.wind_direction ?? null,
+    humidity: toNumber(row.relative_humidity),
+    temperature: toNumber(row.dry_bulb),
+    fuelMoisture: toNumber(row.fuel_moisture),
+    flameLength: toNumber(row.flame_length),
+    spotFire: row.spotting ? toNumber(row.spot_distance) ?? 0 : null
+  };
+}
+
+/**
+ * Trigger parameter values from an hourly sensor reading on the burn timeline
+ * @param {Object} hour - { temperature (°F), humidity, pm25 }
+ * @returns {Object}
+ */
+export function sensorValues(hour) {
+  return { temperature: hour.temperature ?? null, humidity: hour.humidity ?? null, pm25: hour.pm25 ?? null };
+}
+
+/**
+ * Whether a reading crosses a trigger
+ * @param {Object} trigger - Normalized trigger
+ * @param {Object} values - observationValues or sensorValues output
+ * @returns {{crossed: boolean, value: (number|string|null)}}
+ */
+export function checkTrigger(trigger, values) {
+  const parameter = parameterFor(trigger.parameter);
+  const value = values[trigger.parameter];
+  if (value === null || value === undefined) return { crossed: false, value: null };
+
+  if (parameter.sectors) {
+    const sector = directionToSector(value);
+    return { crossed: sector !== null && trigger.sectors.includes(sector), value: sector };
+  }
+  if (parameter.event) return { crossed: value >= (trigger.threshold || 0), value };
+
+  return { crossed: trigger.operator === 'above' ? value > trigger.threshold : value < trigger.threshold, value };
+}
+
+function readingText(parameter, value) {
+  if (parameter.sectors) return `wind from ${value}`;
+  if (parameter.event) return value ? `spot ${withUnit(value, parameter.unit)} out` : 'spot reported';
+  return withUnit(Math.round(value * 10) / 10, parameter.unit);
+}
+
+/**
+ * Check observations and sensor readings against every trigger
+ * @param {Object} plan - Normalized contingency plan
+ * @param {Object} readings - { observations: burn_observations rows, sensors: [{ node, distanceKm, series }] }
+ * @returns {Array} Crossings, oldest first:
+ *   [{ triggerId, parameter, condition, source, sourceKey, observedAt, value, message, action, resources }]
+ */
+export function evaluateTriggers(plan, { observations = [], sensors = [] }) {
+  const crossings = [];
+
+  plan.triggers.forEach(trigger => {
+    const parameter = parameterFor(trigger.parameter);
+    const condition = describeTrigger(trigger);
+    const resources = plan.resources.filter(r => trigger.resourceIds.includes(r.id));
+
+    const record = (source, sourceKey, observedAt, value, where) => crossings.push({
+      triggerId: trigger.id,
+      parameter: trigger.parameter,
+      condition,
+      source,
+      sourceKey,
+      observedAt,
+      value: typeof value === 'number' ? Math.round(value * 10) / 10 : value,
+      message: `${condition}: ${readingText(parameter, value)} ${where}`,
+      action: trigger.action,
+      resources
+    });
+
+    if (parameter.observation) {
+      observations.forEach(row => {
+        const { crossed, value } = checkTrigger(trigger, observationValues(row));
+        if (crossed) record('observation', `observation:${row.id}`, row.observed_at, value, `observed by ${row.observer}`);
+      });
+    }
+
+    if (parameter.sensor) {
+      sensors.forEach(sensor => sensor.series.forEach(hour => {
+        const { crossed, value } = checkTrigger(trigger, sensorValues(hour));
+        if (crossed) record('sensor', `sensor:${sensor.node}:${hour.time}`, hour.time, value, `at sensor ${sensor.node} (${sensor.distanceKm} km)`);
+      }));
+    }
+  });
+
+  return crossings.sort((a, b) => new Date(a.observedAt) - new Date(b.observedAt));
+}
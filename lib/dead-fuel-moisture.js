@@ -0,0 +1,267 @@
+import { equilibriumMoistureContent } from './fire-weather-indices';
+import { normalizeWeatherRecord } from './prescription-window';
+
+/**
+ * Dead fuel moisture from temperature and relative humidity
+ * - 'fosberg': NWCG fine dead fuel moisture tables (Fosberg & Deeming 1971,
+ *   Incident Response Pocket Guide tables A–D) with corrections for month,
+ *   shading, aspect, slope, time of day and elevation relative to the sensor.
+ * - 'nelson': Nelson-style time-lag model; moisture relaxes toward the
+ *   equilibrium moisture content with 1-hr and 10-hr time constants, using
+ *   NFDRS fuel-level temperature/RH adjustments for sunlit fuels.
+ * Pure module: temperature °F, RH %, moisture %.
+ */
+
+export const FUEL_MOISTURE_MODELS = ['fosberg', 'nelson'];
+
+export const DEFAULT_SITE = {
+  shaded: false,
+  aspect: 'S',
+  slope: 0,                  // %
+  elevationPosition: 'level' // site relative to the sensor: below, level (within 1000 ft) or above
+};
+
+export const DEFAULT_TIME_ZONE = 'America/Los_Angeles';
+
+// Table A: reference fuel moisture by dry bulb (°F) and RH (%) band
+const TEMPERATURE_BANDS = [29, 49, 69, 89, 109, Infinity];
+const HUMIDITY_BANDS = [4, 9, 14, 19, 24, 29, 34, 39, 44, 49, 54, 59, 64, 69, 74, 79, 84, 89, 94, 99, Infinity];
+export const REFERENCE_FUEL_MOISTURE = [
+  [1, 2, 2, 3, 4, 5, 5, 6, 7, 8, 8, 8, 9, 9, 10, 11, 12, 12, 13, 13, 14],
+  [1, 2, 2, 3, 4, 5, 5, 6, 7, 7, 7, 8, 9, 9, 10, 10, 11, 12, 13, 13, 13],
+  [1, 2, 2, 3, 4, 5, 5, 5, 6, 7, 7, 8, 8, 8, 9, 10, 10, 11, 12, 12, 13],
+  [1, 1, 2, 2, 3, 4, 5, 5, 6, 7, 7, 8, 8, 8, 9, 10, 10, 11, 12, 12, 13],
+  [1, 1, 2, 2, 3, 4, 4, 5, 6, 7, 7, 8, 8, 8, 9, 10, 10, 11, 12, 12, 13],
+  [1, 1, 2, 2, 3, 4, 4, 5, 6, 7, 7, 8, 8, 8, 9, 10, 10, 11, 12, 12, 13]
+];
+
+// Tables B–D: corrections for the 0800, 1000, 1200, 1400, 1600 and 1800 local
+// time blocks, each as [below, level, above]
+const row = (...values) => [0, 3, 6, 9, 12, 15].map(i => values.slice(i, i + 3));
+export const FUEL_MOISTURE_CORRECTIONS = [
+  {
+    season: 'May–July',
+    months: [5, 6, 7],
+    unshaded: {
+      N: { gentle: row(2, 3, 4, 1, 1, 1, 0, 0, 1, 0, 0, 1, 1, 1, 1, 2, 3, 4), steep: row(3, 4, 4, 1, 2, 2, 1, 1, 2, 1, 1, 2, 1, 2, 2, 3, 4, 4) },
+      E: { gentle: row(2, 2, 3, 1, 1, 1, 0, 0, 1, 0, 0, 1, 1, 1, 2, 3, 4, 4), steep: row(1, 2, 2, 0, 0, 1, 0, 0, 1, 1, 1, 2, 2, 3, 4, 4, 5, 6) },
+      S: { gentle: row(2, 3, 3, 1, 1, 1, 0, 0, 1, 0, 0, 1, 1, 1, 1, 2, 3, 3), steep: row(2, 3, 3, 1, 1, 2, 0, 0, 1, 0, 0, 1, 1, 1, 2, 2, 3, 3) },
+      W: { gentle: row(2, 3, 4, 1, 1, 2, 0, 0, 1, 0, 0, 1, 0, 1, 1, 2, 3, 3), steep: row(4, 5, 6, 2, 3, 4, 1, 1, 2, 0, 0, 1, 0, 0, 1, 1, 2, 3) }
+    },
+    shaded: {
+      N: row(4, 5, 5, 3, 4, 5, 3, 3, 4, 3, 3, 4, 3, 4, 5, 4, 5, 5),
+      E: row(4, 4, 5, 3, 4, 5, 3, 3, 4, 3, 4, 4, 3, 4, 5, 4, 5, 6),
+      S: row(4, 4, 5, 3, 4, 5, 3, 3, 4, 3, 3, 4, 3, 4, 5, 4, 5, 5),
+      W: row(4, 5, 6, 3, 4, 5, 3, 3, 4, 3, 3, 4, 3, 4, 5, 4, 4, 5)
+    }
+  },
+  {
+    season: 'Feb–Apr, Aug–Oct',
+    months: [2, 3, 4, 8, 9, 10],
+    unshaded: {
+      N: { gentle: row(3, 4, 5, 2, 3, 4, 1, 2, 3, 1, 2, 3, 2, 3, 4, 3, 4, 5), steep: row(3, 4, 5, 3, 3, 4, 2, 3, 4, 2, 3, 4, 3, 3, 4, 3, 4, 5) },
+      E: { gentle: row(3, 4, 5, 2, 3, 4, 1, 2, 3, 1, 2, 3, 2, 3, 4, 3, 4, 5), steep: row(3, 3, 4, 1, 2, 3, 1, 1, 1, 1, 1, 2, 2, 3, 4, 3, 4, 5) },
+      S: { gentle: row(3, 4, 5, 2, 3, 4, 1, 2, 3, 1, 2, 3, 2, 3, 4, 3, 4, 5), steep: row(3, 4, 5, 1, 2, 2, 0, 1, 1, 0, 1, 1, 1, 2, 2, 3, 4, 5) },
+      W: { gentle: row(3, 4, 5, 2, 3, 4, 1, 2, 3, 1, 2, 3, 2, 3, 4, 3, 4, 5), steep: row(4, 5, 6, 3, 4, 5, 2, 3, 4, 1, 1, 2, 1, 1, 2, 3, 3, 4) }
+    },
+    shaded: {
+      N: row(4, 5, 6, 4, 5, 6, 3, 4, 5, 3, 4, 5, 4, 5, 6, 4, 5, 6),
+      E: row(4, 5, 6, 3, 4, 5, 3, 4, 5, 3, 4, 5, 4, 5, 6, 4, 5, 6),
+      S: row(4, 5, 6, 3, 4, 5, 3, 4, 5, 3, 4, 5, 4, 5, 6, 4, 5, 6),
+      W: row(4, 5, 6, 4, 5, 6, 3, 4, 5, 3, 4, 5, 3, 4, 5, 4, 5, 6)
+    }
+  },
+  {
+    season: 'Nov–Jan',
+    months: [11, 12, 1],
+    unshaded: {
+      N: { gentle: row(4, 5, 6, 3, 4, 5, 2, 3, 4, 2, 3, 4, 3, 4, 5, 4, 5, 6), steep: row(4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6) },
+      E: { gentle: row(4, 5, 6, 3, 4, 4, 2, 3, 3, 2, 3, 3, 3, 4, 5, 4, 5, 6), steep: row(4, 5, 6, 2, 3, 4, 2, 2, 3, 3, 4, 4, 4, 5, 6, 4, 5, 6) },
+      S: { gentle: row(4, 5, 6, 3, 4, 5, 2, 3, 3, 2, 2, 3, 3, 4, 4, 4, 5, 6), steep: row(3, 4, 5, 2, 3, 3, 1, 1, 2, 1, 1, 2, 2, 3, 3, 3, 4, 5) },
+      W: { gentle: row(4, 5, 6, 3, 4, 5, 2, 3, 3, 2, 3, 3, 3, 4, 4, 4, 5, 6), steep: row(4, 5, 6, 4, 5, 6, 3, 4, 5, 2, 3, 3, 2, 3, 3, 4, 5, 6) }
+    },
+    shaded: {
+      N: row(4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6),
+      E: row(4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6),
+      S: row(4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6),
+      W: row(4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6, 4, 5, 6)
+    }
+  }
+];
+
+const ELEVATION_COLUMNS = { below: 0, level: 1, above: 2 };
+
+// 10-hr fuels run about 1% wetter than 1-hr fuels in the table method
+const TEN_HOUR_OFFSET = 1;
+
+// Nelson-style time constants (hours) and NFDRS fuel-level adjustment for sunlit fuels
+const TIME_LAG_HOURS = { oneHour: 1, tenHour: 10 };
+const SUNLIT_TEMPERATURE_INCREASE = 25;  // °F
+const SUNLIT_HUMIDITY_FACTOR = 0.75;
+const MAX_STEP_HOURS = 24;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const bandIndex = (value, bands) => bands.findIndex(upper => value <= upper);
+
+/**
+ * Local month (1–12) and hour (0–23) for a timestamp
+ * @param {string|Date} time - Timestamp
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { month, hour }
+ */
+export function localTimeParts(time, timeZone = DEFAULT_TIME_ZONE) {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, month: 'numeric', hour: 'numeric', hourCycle: 'h23' })
+    .formatToParts(new Date(time));
+  const part = (type) => Number(parts.find(p => p.type === type).value);
+  return { month: part('month'), hour: part('hour') };
+}
+
+const isDaytime = (hour) => hour >= 8 && hour < 20;
+
+/**
+ * Table A reference fuel moisture
+ * @param {number} temperature - Dry bulb °F
+ * @param {number} humidity - RH %
+ * @returns {number} %
+ */
+export function referenceFuelMoisture(temperature, humidity) {
+  const t = Math.max(bandIndex(temperature, TEMPERATURE_BANDS), 0);
+  const h = bandIndex(Math.min(Math.max(humidity, 0), 100), HUMIDITY_BANDS);
+  return REFERENCE_FUEL_MOISTURE[t][h];
+}
+
+/**
+ * Tables B–D fuel moisture correction
+ * Outside 0800–1959 the nearest daytime block is used (0800 in the early
+ * morning, 1800 in the evening and overnight).
+ * @param {Object} options - { month, hour, shaded, aspect, slope, elevationPosition }
+ * @returns {number} % to add to the reference fuel moisture
+ */
+export function fuelMoistureCorrection({ month, hour, shaded, aspect, slope, elevationPosition }) {
+  const table = FUEL_MOISTURE_CORRECTIONS.find(t => t.months.includes(month));
+  const block = Math.min(Math.max(Math.floor((hour - 8) / 2), 0), 5);
+  const sector = ['N', 'E', 'S', 'W'].includes(aspect) ? aspect : DEFAULT_SITE.aspect;
+  const column = ELEVATION_COLUMNS[elevationPosition] ?? ELEVATION_COLUMNS.level;
+
+  const rows = shaded
+    ? table.shaded[sector]
+    : table.unshaded[sector][slope > 30 ? 'steep' : 'gentle'];
+
+  return rows[block][column];
+}
+
+/**
+ * 1-hr and 10-hr dead fuel moisture for one reading from the NWCG tables
+ * @param {Object} reading - { time, temperature (°F), humidity }
+ * @param {Object} site - Shading, aspect, slope and elevation position
+ * @param {string} timeZone - IANA time zone for the time-of-day correction
+ * @returns {Object|null} { oneHour, tenHour, reference, correction } or null without temperature/RH
+ */
+export function fosbergDeadFuelMoisture(reading, site = DEFAULT_SITE, timeZone = DEFAULT_TIME_ZONE) {
+  if (reading.temperature == null || reading.humidity == null) return null;
+
+  const { month, hour } = localTimeParts(reading.time, timeZone);
+  const reference = referenceFuelMoisture(reading.temperature, reading.humidity);
+  const correction = fuelMoistureCorrection({ ...DEFAULT_SITE, ...site, month, hour });
+  const oneHour = reference + correction;
+
+  return {
+    oneHour,
+    tenHour: oneHour + TEN_HOUR_OFFSET,
+    reference,
+    correction,
+    daytime: isDaytime(hour)
+  };
+}
+
+/**
+ * Nelson-style time-lag series; readings must be in time order
+ * @param {Array} readings - [{ time, temperature (°F), humidity }]
+ * @param {Object} site - { shaded }
+ * @param {string} timeZone - IANA time zone used to decide when fuels are sunlit
+ * @returns {Array} Aligned with readings: { oneHour, tenHour, equilibrium } or null
+ */
+export function nelsonDeadFuelMoisture(readings, site = DEFAULT_SITE, timeZone = DEFAULT_TIME_ZONE) {
+  let previous = null;
+
+  return readings.map(reading => {
+    if (reading.temperature == null || reading.humidity == null) return null;
+
+    const { hour } = localTimeParts(reading.time, timeZone);
+    const sunlit = !site.shaded && isDaytime(hour);
+    const temperature = sunlit ? reading.temperature + SUNLIT_TEMPERATURE_INCREASE : reading.temperature;
+    const humidity = sunlit ? reading.humidity * SUNLIT_HUMIDITY_FACTOR : reading.humidity;
+    const equilibrium = Math.max(equilibriumMoistureContent(temperature, humidity), 0);
+
+    const time = new Date(reading.time).getTime();
+    const state = { time, oneHour: equilibrium, tenHour: equilibrium };
+
+    if (previous) {
+      const hours = Math.min(Math.max((time - previous.time) / 3600000, 0), MAX_STEP_HOURS);
+      Object.entries(TIME_LAG_HOURS).forEach(([size, lag]) => {
+        state[size] = equilibrium + (previous[size] - equilibrium) * Math.exp(-hours / lag);
+      });
+    }
+    previous = state;
+
+    return { oneHour: round(state.oneHour), tenHour: round(state.tenHour), equilibrium: round(equilibrium) };
+  });
+}
+
+/**
+ * Estimate dead fuel moisture along a temperature/RH series
+ * @param {Array} readings - [{ time, temperature (°F), humidity }]
+ * @param {Object} options - { model: 'fosberg' | 'nelson', site, timeZone }
+ * @returns {Array} Readings in time order with oneHour/tenHour estimates (null when not estimable)
+ */
+export function estimateDeadFuelMoisture(readings, options = {}) {
+  const { model = 'fosberg', site = {}, timeZone = DEFAULT_TIME_ZONE } = options;
+  const siteConditions = { ...DEFAULT_SITE, ...site };
+
+  const ordered = readings
+    .filter(r => r && r.time && !isNaN(new Date(r.time)))
+    .sort((a, b) => new Date(a.time) - new Date(b.time));
+
+  const estimates = model === 'nelson'
+    ? nelsonDeadFuelMoisture(ordered, siteConditions, timeZone)
+    : ordered.map(r => fosbergDeadFuelMoisture(r, siteConditions, timeZone));
+
+  return ordered.map((reading, i) => ({
+    ...reading,
+    model,
+    oneHour: estimates[i]?.oneHour ?? null,
+    tenHour: estimates[i]?.tenHour ?? null
+  }));
+}
+
+/**
+ * Estimate dead fuel moisture for raw rows from several sensors, running each
+ * sensor's readings as its own series
+ * @param {Array} rows - Raw rows with datetime, temperature and humidity/relativehumidity
+ * @param {Object} options - { model, site, timeZone, temperatureUnit, key: row => sensor id }
+ * @returns {Array} Estimates aligned with rows: { oneHour, tenHour, model } or null
+ */
+export function estimateRowsByNode(rows, options = {}) {
+  const { temperatureUnit = 'F', key = row => row.from_node || 'unknown' } = options;
+  const groups = new Map();
+
+  rows.forEach((row, index) => {
+    const reading = normalizeWeatherRecord(row, { temperatureUnit });
+    if (!reading) return;
+    const id = key(row);
+    if (!groups.has(id)) groups.set(id, []);
+    groups.get(id).push({ ...reading, index });
+  });
+
+  const results = new Array(rows.length).fill(null);
+  groups.forEach(readings => {
+    estimateDeadFuelMoisture(readings, options).forEach(estimate => {
+      if (estimate.oneHour !== null) {
+        results[estimate.index] = { oneHour: estimate.oneHour, tenHour: estimate.tenHour, model: estimate.model };
+      }
+    });
+  });
+
+  return results;
+}
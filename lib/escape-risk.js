@@ -0,0 +1,45 @@
+import { getPrescription, getWeatherSeries, findWeatherStation } from './prescriptions';
+import { estimateWeatherVariability, runEscapeSimulation } from './escape-simulation';
+
+/**
+ * Escape-risk simulation for a burn unit, using its prescription and the
+ * weather_data history of the station nearest the unit
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Simulate escape risk around a forecast
+ * @param {Object} input - Validated EscapeRiskInputSchema data
+ * @returns {Promise<Object|null>} runEscapeSimulation output with the prescription and station used,
+ *   or null when fireDataId names a unit that does not exist
+ */
+export async function simulateEscapeRisk(input) {
+  const stored = await getPrescription(input.fireDataId || null);
+  if (input.fireDataId && !stored.unit) return null;
+
+  // Resolve the unit's station first so the row limit applies to its history
+  // alone; end now so future forecast rows do not crowd out observations
+  const nearest = await findWeatherStation(stored.unit);
+  const now = Date.now();
+  const { records, station } = nearest
+    ? await getWeatherSeries({
+      locationName: nearest.name,
+      start: new Date(now - input.historyDays * DAY_MS).toISOString(),
+      end: new Date(now).toISOString(),
+      limit: 5000
+    })
+    : { records: [], station: null };
+
+  const prescription = input.prescription || stored.prescription;
+  const slope = input.slope ?? stored.unit?.slope_percent ?? 0;
+
+  return {
+    ...runEscapeSimulation({ ...input, prescription, slope }, estimateWeatherVariability(records)),
+    slope,
+    prescription,
+    isDefaultPrescription: !input.prescription && stored.isDefault,
+    station,
+    historyDays: input.historyDays
+  };
+}
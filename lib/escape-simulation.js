@@ -0,0 +1,266 @@
+import { z } from 'zod';
+import { calculateSurfaceFire } from './fire-behavior';
+import { referenceFuelMoisture } from './dead-fuel-moisture';
+import { PrescriptionSchema, DEFAULT_PRESCRIPTION, normalizeWeatherRecord, groupByHour, evaluateHour } from './prescription-window';
+
+/**
+ * Monte Carlo escape-risk simulation
+ * Burn-day weather is sampled around the forecast using the day-to-day
+ * variability seen in weather_data, the Rothermel model is run for each sample,
+ * and the share of samples that leave prescription or outrun the holding
+ * resources is reported.
+ * Pure module: °F, RH %, 20-ft wind mph, flame length ft, spread ch/h.
+ */
+
+const WEATHER_VARIABLES = ['temperature', 'humidity', 'windSpeed'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Used when weather_data has too few day-to-day pairs to estimate variability
+export const DEFAULT_WEATHER_VARIABILITY = {
+  stdDev: { temperature: 4, humidity: 8, windSpeed: 3 },
+  correlation: [
+    [1, -0.6, 0.2],
+    [-0.6, 1, -0.1],
+    [0.2, -0.1, 1]
+  ]
+};
+
+const MIN_VARIABILITY_PAIRS = 24;
+
+// Hand line is expected to hold below 4 ft flame length (FLAME_LENGTH_INTERPRETATIONS)
+export const DEFAULT_HOLDING = { maxFlameLength: 4, maxRateOfSpread: null };
+
+// Probability (%) that a sample exceeds the prescription or holding capability
+export const ESCAPE_PROBABILITY_LEVELS = [
+  { maxProbability: 5, level: 'Low', message: 'Few plausible burn-day conditions exceed the prescription or holding capability.' },
+  { maxProbability: 15, level: 'Moderate', message: 'Some plausible conditions exceed limits; confirm contingency resources and trigger points.' },
+  { maxProbability: 30, level: 'High', message: 'Exceedance is likely on some burn days; add holding resources or narrow the ignition window.' },
+  { maxProbability: Infinity, level: 'Very High', message: 'Exceedance is common across plausible conditions; treat as a high-complexity burn or reschedule.' }
+];
+
+export const EscapeRiskInputSchema = z.object({
+  fireDataId: z.number().int().positive().optional(),
+  fuelModel: z.union([z.string(), z.number()]),
+  forecast: z.object({
+    temperature: z.number().min(-40).max(130),
+    humidity: z.number().min(1).max(100),
+    windSpeed: z.number().min(0).max(80)
+  }),
+  moisture: z.object({
+    oneHour: z.number().min(1).max(60).optional(),
+    tenHour: z.number().min(1).max(60).optional(),
+    hundredHour: z.number().min(1).max(60).optional(),
+    liveHerb: z.number().min(30).max(300).optional(),
+    liveWoody: z.number().min(30).max(300).optional()
+  }).optional(),
+  windAdjustment: z.number().min(0.05).max(1).default(0.4),
+  slope: z.number().min(0).max(200).optional(),
+  prescription: PrescriptionSchema.optional(),
+  holding: z.object({
+    maxFlameLength: z.number().positive().default(DEFAULT_HOLDING.maxFlameLength),
+    maxRateOfSpread: z.number().positive().nullable().optional()
+  }).optional(),
+  samples: z.number().int().min(100).max(5000).default(1000),
+  seed: z.number().int().default(1),
+  historyDays: z.number().int().min(7).max(365).default(90)
+});
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Estimate burn-day weather variability from a weather history
+ * Each hour is paired with the same hour on the next day; half the variance of
+ * those changes is the spread of one day around the forecast.
+ * @param {Array} records - weather_data rows for one station
+ * @returns {Object} { stdDev, correlation, pairs, basis: 'weather_data' | 'default' }
+ */
+export function estimateWeatherVariability(records) {
+  const hours = groupByHour((records || []).map(r => normalizeWeatherRecord(r)));
+  const byTime = new Map(hours.map(h => [new Date(h.time).getTime(), h]));
+
+  const complete = (hour) => hour && WEATHER_VARIABLES.every(v => hour[v] !== null && hour[v] !== undefined);
+  const changes = [];
+  hours.forEach(hour => {
+    const next = byTime.get(new Date(hour.time).getTime() + DAY_MS);
+    if (complete(hour) && complete(next)) changes.push(WEATHER_VARIABLES.map(v => next[v] - hour[v]));
+  });
+
+  if (changes.length < MIN_VARIABILITY_PAIRS) {
+    return { ...DEFAULT_WEATHER_VARIABILITY, pairs: changes.length, basis: 'default' };
+  }
+
+  const sumOfProducts = (i, j) => changes.reduce((sum, c) => sum + c[i] * c[j], 0);
+  const squares = WEATHER_VARIABLES.map((_, i) => sumOfProducts(i, i));
+
+  const stdDev = Object.fromEntries(WEATHER_VARIABLES.map((v, i) => [v, round(Math.sqrt(squares[i] / changes.length / 2), 2)]));
+  const correlation = WEATHER_VARIABLES.map((_, i) => WEATHER_VARIABLES.map((__, j) => {
+    if (i === j) return 1;
+    const denominator = Math.sqrt(squares[i] * squares[j]);
+    // Capped short of ±1 so the correlation matrix stays positive definite
+    return denominator > 0 ? round(Math.min(Math.max(sumOfProducts(i, j) / denominator, -0.95), 0.95), 3) : 0;
+  }));
+
+  return { stdDev, correlation, pairs: changes.length, basis: 'weather_data' };
+}
+
+// Lower-triangular Cholesky factor; null when the matrix is not positive definite
+function cholesky(matrix) {
+  const n = matrix.length;
+  const lower = matrix.map(() => new Array(n).fill(0));
+
+  for (let i = 0; i < n; i += 1) {
+    for (let j = 0; j <= i; j += 1) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k += 1) sum -= lower[i][k] * lower[j][k];
+      if (i === j) {
+        if (sum <= 0) return null;
+        lower[i][j] = Math.sqrt(sum);
+      } else {
+        lower[i][j] = sum / lower[j][j];
+      }
+    }
+  }
+
+  return lower;
+}
+
+// Seeded uniform generator (mulberry32) so a run can be reproduced
+function uniformGenerator(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal draws by the Box-Muller transform
+function normalGenerator(seed) {
+  const uniform = uniformGenerator(seed);
+  return () => Math.sqrt(-2 * Math.log(1 - uniform())) * Math.cos(2 * Math.PI * uniform());
+}
+
+/**
+ * Mean, percentiles and maximum of a list of values
+ * @param {Array<number>} values
+ * @returns {Object} { mean, p10, p50, p90, max }
+ */
+export function summarizeDistribution(values) {
+  if (values.length === 0) return { mean: null, p10: null, p50: null, p90: null, max: null };
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const percentile = (p) => sorted[Math.min(Math.floor(p * sorted.length), sorted.length - 1)];
+
+  return {
+    mean: round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length),
+    p10: round(percentile(0.1)),
+    p50: round(percentile(0.5)),
+    p90: round(percentile(0.9)),
+    max: round(sorted[sorted.length - 1])
+  };
+}
+
+/**
+ * Complexity level for an escape probability
+ * @param {number} probability - % of samples exceeding the prescription or holding capability
+ * @returns {Object} { level, message }
+ */
+export function escapeProbabilityLevel(probability) {
+  const match = ESCAPE_PROBABILITY_LEVELS.find(l => probability < l.maxProbability);
+  return { level: match.level, message: match.message };
+}
+
+/**
+ * Run the Monte Carlo simulation
+ * Without a measured 1-hr fuel moisture each sample uses the reference fuel
+ * moisture for its temperature and RH (no site correction, so a dry estimate);
+ * with one, the sample shifts it by the change in reference moisture.
+ * Wind direction is not sampled, so direction limits in the prescription are not checked.
+ * @param {Object} input - Validated EscapeRiskInputSchema data with a prescription
+ * @param {Object} variability - estimateWeatherVariability output
+ * @returns {Object} Probabilities, per-limit exceedance, fire behavior distributions and the samples
+ */
+export function runEscapeSimulation(input, variability = DEFAULT_WEATHER_VARIABILITY) {
+  const { forecast, fuelModel, windAdjustment = 0.4, slope = 0, samples = 1000, seed = 1 } = input;
+  const moisture = input.moisture || {};
+  const prescription = { ...(input.prescription || DEFAULT_PRESCRIPTION), windDirections: [] };
+  const holding = { ...DEFAULT_HOLDING, ...input.holding };
+
+  const lower = cholesky(variability.correlation) || cholesky(DEFAULT_WEATHER_VARIABILITY.correlation);
+  const normal = normalGenerator(seed);
+  const forecastReference = referenceFuelMoisture(forecast.temperature, forecast.humidity);
+
+  const behaveAt = (weather, oneHour) => calculateSurfaceFire({
+    fuelModel,
+    moisture: { ...moisture, oneHour },
+    midflameWindSpeed: weather.windSpeed * windAdjustment,
+    slope
+  });
+
+  const oneHourAt = (weather) => {
+    const reference = referenceFuelMoisture(weather.temperature, weather.humidity);
+    const oneHour = moisture.oneHour != null ? moisture.oneHour + reference - forecastReference : reference;
+    return Math.max(oneHour, 1);
+  };
+
+  const failureCounts = { temperature: 0, humidity: 0, windSpeed: 0, fuelMoisture: 0 };
+  const flameLengths = [];
+  const spreadRates = [];
+  let outOfPrescription = 0;
+  let exceedsHolding = 0;
+  let either = 0;
+
+  for (let n = 0; n < samples; n += 1) {
+    const z = WEATHER_VARIABLES.map(() => normal());
+    const shock = WEATHER_VARIABLES.map((_, i) => lower[i].reduce((sum, l, k) => sum + l * z[k], 0));
+    const weather = {
+      temperature: round(forecast.temperature + shock[0] * variability.stdDev.temperature),
+      humidity: round(Math.min(Math.max(forecast.humidity + shock[1] * variability.stdDev.humidity, 1), 100)),
+      windSpeed: round(Math.max(forecast.windSpeed + shock[2] * variability.stdDev.windSpeed, 0))
+    };
+    const fuelMoisture = round(oneHourAt(weather));
+    const behavior = behaveAt(weather, fuelMoisture);
+
+    const check = evaluateHour({ ...weather, fuelMoisture, windDirection: null }, prescription);
+    check.failures.forEach(f => { failureCounts[f.parameter] += 1; });
+
+    const overHolding = behavior.flameLength > holding.maxFlameLength ||
+      (holding.maxRateOfSpread != null && behavior.rateOfSpread.chPerHr > holding.maxRateOfSpread);
+
+    if (!check.inPrescription) outOfPrescription += 1;
+    if (overHolding) exceedsHolding += 1;
+    if (!check.inPrescription || overHolding) either += 1;
+
+    flameLengths.push(behavior.flameLength);
+    spreadRates.push(behavior.rateOfSpread.chPerHr);
+  }
+
+  const percent = (count) => round((count / samples) * 100);
+  const forecastBehavior = behaveAt(forecast, moisture.oneHour ?? Math.max(forecastReference, 1));
+
+  return {
+    samples,
+    seed,
+    forecast,
+    variability,
+    holding,
+    probabilities: {
+      outOfPrescription: percent(outOfPrescription),
+      exceedsHolding: percent(exceedsHolding),
+      either: percent(either)
+    },
+    prescriptionExceedance: Object.fromEntries(Object.entries(failureCounts).map(([id, count]) => [id, percent(count)])),
+    complexity: escapeProbabilityLevel(percent(either)),
+    deterministic: {
+      flameLength: forecastBehavior.flameLength,
+      rateOfSpread: forecastBehavior.rateOfSpread.chPerHr,
+      interpretation: forecastBehavior.interpretation
+    },
+    flameLength: summarizeDistribution(flameLengths),
+    rateOfSpread: summarizeDistribution(spreadRates),
+    distribution: { flameLength: flameLengths, rateOfSpread: spreadRates }
+  };
+}
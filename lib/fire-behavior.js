@@ -0,0 +1,242 @@
+import { z } from 'zod';
+import { getFuelModel, TEN_HOUR_SAV, HUNDRED_HOUR_SAV } from './fuel-models';
+
+/**
+ * Rothermel (1972) surface fire spread model with the Albini (1976) live fuel
+ * moisture of extinction, in English units as used by BehavePlus.
+ * Pure module: fuel moistures %, midflame wind mph, slope %.
+ */
+
+const TONS_PER_ACRE_TO_LB_PER_FT2 = 2000 / 43560;
+const PARTICLE_DENSITY = 32;          // lb/ft³
+const TOTAL_MINERAL = 0.0555;
+const EFFECTIVE_MINERAL = 0.010;
+const FT_PER_MIN_TO_CH_PER_HR = 60 / 66;
+const MPH_TO_FT_PER_MIN = 88;
+
+export const DEFAULT_FUEL_MOISTURE = {
+  oneHour: 6,
+  tenHour: 7,
+  hundredHour: 8,
+  liveHerb: 60,
+  liveWoody: 90
+};
+
+export const FireBehaviorInputSchema = z.object({
+  fuelModel: z.union([z.string(), z.number()]),
+  moisture: z.object({
+    oneHour: z.number().min(1).max(60),
+    tenHour: z.number().min(1).max(60).optional(),
+    hundredHour: z.number().min(1).max(60).optional(),
+    liveHerb: z.number().min(30).max(300).optional(),
+    liveWoody: z.number().min(30).max(300).optional()
+  }),
+  midflameWindSpeed: z.number().min(0).max(60),
+  slope: z.number().min(0).max(200)
+});
+
+// Fireline handling by flame length (NWCG fireline handbook hauling chart)
+export const FLAME_LENGTH_INTERPRETATIONS = [
+  { maxFlameLength: 4, level: 'low', message: 'Direct attack at the head and flanks with hand tools; handline should hold.' },
+  { maxFlameLength: 8, level: 'moderate', message: 'Too intense for direct hand attack at the head; use equipment, engines and retardant. Handline may not hold.' },
+  { maxFlameLength: 11, level: 'high', message: 'Control efforts at the head will probably be ineffective; expect torching, crowning and spotting.' },
+  { maxFlameLength: Infinity, level: 'extreme', message: 'Crowning, spotting and major runs are likely; control efforts at the head are ineffective.' }
+];
+
+/**
+ * Interpret a flame length for holding resources
+ * @param {number} flameLength - Flame length in feet
+ * @returns {Object} { level, message }
+ */
+export function interpretFlameLength(flameLength) {
+  const match = FLAME_LENGTH_INTERPRETATIONS.find(i => flameLength < i.maxFlameLength);
+  return { level: match.level, message: match.message };
+}
+
+/**
+ * Build the dead and live fuel particle classes, moving cured herbaceous load
+ * into the dead category for dynamic fuel models
+ */
+function buildParticles(fuelModel, moisture) {
+  const { loads, sav } = fuelModel;
+  const toLoad = (tons) => (tons || 0) * TONS_PER_ACRE_TO_LB_PER_FT2;
+
+  let liveHerbLoad = toLoad(loads.liveHerb);
+  let curedHerbLoad = 0;
+  if (fuelModel.dynamic && liveHerbLoad > 0) {
+    // Fully cured at 30% herbaceous moisture, fully green at 120%
+    const cured = Math.min(Math.max((120 - moisture.liveHerb) / 90, 0), 1);
+    curedHerbLoad = liveHerbLoad * cured;
+    liveHerbLoad -= curedHerbLoad;
+  }
+
+  const dead = [
+    { load: toLoad(loads.oneHour), sav: sav.oneHour, moisture: moisture.oneHour, heat: fuelModel.heatContent.dead },
+    { load: toLoad(loads.tenHour), sav: TEN_HOUR_SAV, moisture: moisture.tenHour, heat: fuelModel.heatContent.dead },
+    { load: toLoad(loads.hundredHour), sav: HUNDRED_HOUR_SAV, moisture: moisture.hundredHour, heat: fuelModel.heatContent.dead },
+    { load: curedHerbLoad, sav: sav.liveHerb, moisture: moisture.oneHour, heat: fuelModel.heatContent.dead }
+  ].filter(p => p.load > 0 && p.sav > 0);
+
+  const live = [
+    { load: liveHerbLoad, sav: sav.liveHerb, moisture: moisture.liveHerb, heat: fuelModel.heatContent.live },
+    { load: toLoad(loads.liveWoody), sav: sav.liveWoody, moisture: moisture.liveWoody, heat: fuelModel.heatContent.live }
+  ].filter(p => p.load > 0 && p.sav > 0);
+
+  return { dead, live };
+}
+
+/**
+ * Surface-area weighted properties of one fuel category (dead or live)
+ */
+function categoryProperties(particles) {
+  const areas = particles.map(p => (p.sav * p.load) / PARTICLE_DENSITY);
+  const totalArea = areas.reduce((sum, a) => sum + a, 0);
+  if (totalArea === 0) return null;
+
+  const weights = areas.map(a => a / totalArea);
+  const weighted = (fn) => particles.reduce((sum, p, i) => sum + weights[i] * fn(p), 0);
+
+  return {
+    area: totalArea,
+    sav: weighted(p => p.sav),
+    heat: weighted(p => p.heat),
+    moisture: weighted(p => p.moisture / 100),
+    netLoad: weighted(p => p.load * (1 - TOTAL_MINERAL)),
+    // Heat sink term: effective heating number × heat of preignition
+    heatSink: weighted(p => Math.exp(-138 / p.sav) * (250 + 1116 * (p.moisture / 100)))
+  };
+}
+
+function moistureDamping(moisture, extinction) {
+  if (extinction <= 0 || moisture >= extinction) return 0;
+  const ratio = moisture / extinction;
+  return Math.max(1 - 2.59 * ratio + 5.11 * ratio ** 2 - 3.52 * ratio ** 3, 0);
+}
+
+/**
+ * Live fuel moisture of extinction (Albini 1976)
+ * @returns {number} Fraction (not %)
+ */
+function liveMoistureOfExtinction(dead, live, deadExtinction) {
+  const fineDead = dead.reduce((sum, p) => sum + p.load * Math.exp(-138 / p.sav), 0);
+  const fineLive = live.reduce((sum, p) => sum + p.load * Math.exp(-500 / p.sav), 0);
+  if (fineLive === 0) return deadExtinction;
+
+  const fineDeadMoisture = fineDead > 0
+    ? dead.reduce((sum, p) => sum + p.load * Math.exp(-138 / p.sav) * (p.moisture / 100), 0) / fineDead
+    : 0;
+
+  const extinction = 2.9 * (fineDead / fineLive) * (1 - fineDeadMoisture / deadExtinction) - 0.226;
+  return Math.max(extinction, deadExtinction);
+}
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Predict surface fire behavior at the head of a fire
+ * @param {Object} inputs - { fuelModel (code or model object), moisture, midflameWindSpeed, slope }
+ * @returns {Object} Rate of spread, flame length, fireline intensity, heat per unit area and intermediates
+ */
+export function calculateSurfaceFire(inputs) {
+  const fuelModel = typeof inputs.fuelModel === 'object' ? inputs.fuelModel : getFuelModel(inputs.fuelModel);
+  if (!fuelModel) throw new Error(`Unknown fuel model '${inputs.fuelModel}'`);
+
+  const moisture = { ...DEFAULT_FUEL_MOISTURE, ...inputs.moisture };
+  const midflameWind = Math.max(inputs.midflameWindSpeed || 0, 0);
+  const slope = Math.max(inputs.slope || 0, 0);
+
+  const { dead, live } = buildParticles(fuelModel, moisture);
+  const deadProps = categoryProperties(dead);
+  const liveProps = categoryProperties(live);
+  if (!deadProps && !liveProps) throw new Error(`Fuel model '${fuelModel.code}' has no fuel load`);
+
+  const totalArea = (deadProps?.area || 0) + (liveProps?.area || 0);
+  const deadWeight = deadProps ? deadProps.area / totalArea : 0;
+  const liveWeight = liveProps ? liveProps.area / totalArea : 0;
+
+  // Characteristic fuel bed properties
+  const sigma = deadWeight * (deadProps?.sav || 0) + liveWeight * (liveProps?.sav || 0);
+  const totalLoad = [...dead, ...live].reduce((sum, p) => sum + p.load, 0);
+  const bulkDensity = totalLoad / fuelModel.depth;
+  const packingRatio = bulkDensity / PARTICLE_DENSITY;
+  const optimumPackingRatio = 3.348 * sigma ** -0.8189;
+  const relativePacking = packingRatio / optimumPackingRatio;
+
+  // Reaction intensity
+  const maxReactionVelocity = sigma ** 1.5 / (495 + 0.0594 * sigma ** 1.5);
+  const exponentA = 133 * sigma ** -0.7913;
+  const reactionVelocity = maxReactionVelocity * relativePacking ** exponentA * Math.exp(exponentA * (1 - relativePacking));
+  const mineralDamping = Math.min(0.174 * EFFECTIVE_MINERAL ** -0.19, 1);
+
+  const deadExtinction = fuelModel.deadMoistureOfExtinction / 100;
+  const liveExtinction = liveProps ? liveMoistureOfExtinction(dead, live, deadExtinction) : deadExtinction;
+
+  const deadReaction = deadProps
+    ? deadProps.netLoad * deadProps.heat * moistureDamping(deadProps.moisture, deadExtinction) * mineralDamping
+    : 0;
+  const liveReaction = liveProps
+    ? liveProps.netLoad * liveProps.heat * moistureDamping(liveProps.moisture, liveExtinction) * mineralDamping
+    : 0;
+  const reactionIntensity = reactionVelocity * (deadReaction + liveReaction);
+
+  // Propagating flux ratio
+  const propagatingFlux = Math.exp((0.792 + 0.681 * Math.sqrt(sigma)) * (packingRatio + 0.1)) / (192 + 0.2595 * sigma);
+
+  // Wind factor, capped at the Rothermel wind limit
+  const windC = 7.47 * Math.exp(-0.133 * sigma ** 0.55);
+  const windB = 0.02526 * sigma ** 0.54;
+  const windE = 0.715 * Math.exp(-3.59e-4 * sigma);
+  const windLimit = 0.9 * reactionIntensity;
+  let windFtMin = midflameWind * MPH_TO_FT_PER_MIN;
+  const windLimitExceeded = reactionIntensity > 0 && windFtMin > windLimit;
+  if (windLimitExceeded) windFtMin = windLimit;
+  const windFactor = windFtMin > 0 ? windC * windFtMin ** windB * relativePacking ** -windE : 0;
+
+  // Slope factor
+  const slopeFactor = 5.275 * packingRatio ** -0.3 * (slope / 100) ** 2;
+
+  // Heat sink
+  const heatSink = bulkDensity * (
+    deadWeight * (deadProps?.heatSink || 0) + liveWeight * (liveProps?.heatSink || 0)
+  );
+
+  const rateOfSpread = heatSink > 0
+    ? (reactionIntensity * propagatingFlux * (1 + windFactor + slopeFactor)) / heatSink
+    : 0;
+
+  const residenceTime = 384 / sigma;
+  const heatPerUnitArea = reactionIntensity * residenceTime;
+  const firelineIntensity = (heatPerUnitArea * rateOfSpread) / 60;
+  const flameLength = firelineIntensity > 0 ? 0.45 * firelineIntensity ** 0.46 : 0;
+
+  // Effective wind: the wind that alone would give the combined wind and slope factor
+  const combined = windFactor + slopeFactor;
+  const effectiveWindSpeed = combined > 0
+    ? ((combined * relativePacking ** windE) / windC) ** (1 / windB) / MPH_TO_FT_PER_MIN
+    : 0;
+
+  return {
+    fuelModel: { code: fuelModel.code, name: fuelModel.name },
+    inputs: { moisture, midflameWindSpeed: midflameWind, slope },
+    rateOfSpread: {
+      ftPerMin: round(rateOfSpread),
+      chPerHr: round(rateOfSpread * FT_PER_MIN_TO_CH_PER_HR)
+    },
+    flameLength: round(flameLength),                    // ft
+    firelineIntensity: round(firelineIntensity, 0),     // BTU/ft/s
+    heatPerUnitArea: round(heatPerUnitArea, 0),         // BTU/ft²
+    reactionIntensity: round(reactionIntensity, 0),     // BTU/ft²/min
+    effectiveWindSpeed: round(effectiveWindSpeed),      // mph
+    windLimitExceeded,
+    interpretation: interpretFlameLength(flameLength),
+    intermediates: {
+      characteristicSav: round(sigma, 0),
+      packingRatio: round(packingRatio, 5),
+      relativePackingRatio: round(relativePacking, 3),
+      liveMoistureOfExtinction: round(liveExtinction * 100, 0),
+      residenceTime: round(residenceTime, 3),
+      windFactor: round(windFactor, 3),
+      slopeFactor: round(slopeFactor, 3)
+    }
+  };
+}
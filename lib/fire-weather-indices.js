@@ -0,0 +1,225 @@
+import { z } from 'zod';
+
+/**
+ * Fire weather indices from surface weather: Fosberg Fire Weather Index,
+ * Hot-Dry-Windy Index and Chandler Burning Index, plus the Haines Index when
+ * upper-air soundings are supplied and the ventilation index when mixing
+ * height and transport wind are.
+ * Pure module: temperature °F, RH %, wind mph; upper-air temperatures °C;
+ * mixing height ft AGL.
+ */
+
+export const FIRE_WEATHER_INDICES = [
+  { id: 'fosberg', label: 'Fosberg FFWI', column: 'fosberg_index', needsWind: true },
+  { id: 'hotDryWindy', label: 'Hot-Dry-Windy', column: 'hot_dry_windy_index', needsWind: true },
+  { id: 'chandler', label: 'Chandler Burning Index', column: 'chandler_burning_index', needsWind: false },
+  { id: 'haines', label: 'Haines', column: 'haines_index', needsWind: false }
+];
+
+// Haines stability (A) and moisture (B) breakpoints by elevation variant (Haines 1988)
+export const HAINES_VARIANTS = {
+  low: { levels: [950, 850], stability: [4, 8], moisture: [6, 10] },
+  mid: { levels: [850, 700], stability: [6, 11], moisture: [6, 13] },
+  high: { levels: [700, 500], stability: [18, 22], moisture: [15, 21] }
+};
+
+export const UpperAirSchema = z.object({
+  variant: z.enum(['low', 'mid', 'high']).default('mid'),
+  lowerTemperature: z.number(),    // °C at the lower pressure level
+  upperTemperature: z.number(),    // °C at the upper pressure level
+  lowerDewpoint: z.number()        // °C at the lower pressure level
+});
+
+export const FireWeatherInputSchema = z.object({
+  temperature: z.number(),
+  temperatureUnit: z.enum(['F', 'C']).default('F'),
+  humidity: z.number().min(0).max(100),
+  windSpeed: z.number().min(0).nullable().optional(),
+  upperAir: UpperAirSchema.nullable().optional(),
+  mixingHeight: z.number().min(0).nullable().optional(),        // ft AGL
+  transportWindSpeed: z.number().min(0).nullable().optional()   // mph, mean wind through the mixed layer
+});
+
+const CHANDLER_CATEGORIES = [
+  { below: 50, level: 'Low' },
+  { below: 75, level: 'Moderate' },
+  { below: 90, level: 'High' },
+  { below: 97.5, level: 'Very High' },
+  { below: Infinity, level: 'Extreme' }
+];
+
+// Ventilation index (knot-ft) categories; adjust to the state smoke management program
+export const VENTILATION_CATEGORIES = [
+  { below: 20000, level: 'Poor' },
+  { below: 40000, level: 'Fair' },
+  { below: 100000, level: 'Good' },
+  { below: Infinity, level: 'Excellent' }
+];
+
+const HAINES_CATEGORIES = {
+  2: 'Very Low', 3: 'Very Low', 4: 'Low', 5: 'Moderate', 6: 'High'
+};
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+export const fahrenheitToCelsius = (fahrenheit) => ((fahrenheit - 32) * 5) / 9;
+
+/**
+ * Equilibrium moisture content of fine dead fuel (Simard 1968)
+ * @param {number} temperature - °F
+ * @param {number} humidity - RH %
+ * @returns {number} EMC %
+ */
+export function equilibriumMoistureContent(temperature, humidity) {
+  if (humidity < 10) return 0.03229 + 0.281073 * humidity - 0.000578 * humidity * temperature;
+  if (humidity < 50) return 2.22749 + 0.160107 * humidity - 0.01478 * temperature;
+  return 21.0606 + 0.005565 * humidity ** 2 - 0.00035 * humidity * temperature - 0.483199 * humidity;
+}
+
+/**
+ * Fosberg Fire Weather Index (Fosberg 1978), 0–100
+ * @param {number} temperature - °F
+ * @param {number} humidity - RH %
+ * @param {number} windSpeed - 20-ft wind, mph
+ * @returns {number}
+ */
+export function fosbergIndex(temperature, humidity, windSpeed) {
+  const m = Math.max(equilibriumMoistureContent(temperature, humidity), 0) / 30;
+  const eta = Math.max(1 - 2 * m + 1.5 * m ** 2 - 0.5 * m ** 3, 0);
+  return round(Math.min((eta * Math.sqrt(1 + windSpeed ** 2)) / 0.3002, 100));
+}
+
+/**
+ * Saturation vapor pressure over water (Bolton 1980)
+ * @param {number} celsius - Temperature °C
+ * @returns {number} hPa
+ */
+function saturationVaporPressure(celsius) {
+  return 6.112 * Math.exp((17.67 * celsius) / (celsius + 243.5));
+}
+
+/**
+ * Hot-Dry-Windy Index (Srock et al. 2018) from surface observations
+ * The index is defined over the lowest 500 m; a single surface reading gives
+ * the near-surface value.
+ * @param {number} temperature - °F
+ * @param {number} humidity - RH %
+ * @param {number} windSpeed - mph
+ * @returns {number} Vapor pressure deficit (hPa) × wind speed (m/s)
+ */
+export function hotDryWindyIndex(temperature, humidity, windSpeed) {
+  const vaporPressureDeficit = saturationVaporPressure(fahrenheitToCelsius(temperature)) * (1 - humidity / 100);
+  return round(vaporPressureDeficit * windSpeed * 0.44704);
+}
+
+/**
+ * Chandler Burning Index (Chandler et al. 1983)
+ * @param {number} temperature - °F
+ * @param {number} humidity - RH %
+ * @returns {number}
+ */
+export function chandlerBurningIndex(temperature, humidity) {
+  const celsius = fahrenheitToCelsius(temperature);
+  const index = (((110 - 1.373 * humidity) - 0.54 * (10.20 - celsius)) * (124 * 10 ** (-0.0142 * humidity))) / 60;
+  return round(Math.max(index, 0));
+}
+
+/**
+ * Chandler Burning Index category
+ * @param {number} index - CBI
+ * @returns {string}
+ */
+export function chandlerCategory(index) {
+  return CHANDLER_CATEGORIES.find(c => index < c.below).level;
+}
+
+/**
+ * Haines Index category
+ * @param {number} index - Haines Index, 2–6
+ * @returns {string|null}
+ */
+export function hainesCategory(index) {
+  return HAINES_CATEGORIES[index] || null;
+}
+
+const MPH_TO_KNOTS = 0.868976;
+
+/**
+ * Ventilation index: mixing height × transport wind speed
+ * @param {number} mixingHeight - ft above ground level
+ * @param {number} transportWindSpeed - mph
+ * @returns {number} knot-ft
+ */
+export function ventilationIndex(mixingHeight, transportWindSpeed) {
+  return Math.round(mixingHeight * transportWindSpeed * MPH_TO_KNOTS);
+}
+
+/**
+ * Ventilation index category
+ * @param {number} index - knot-ft
+ * @returns {string}
+ */
+export function ventilationCategory(index) {
+  return VENTILATION_CATEGORIES.find(c => index < c.below).level;
+}
+
+/**
+ * Whether smoke is likely to stay trapped near the surface
+ * @param {string|null} category - Output of ventilationCategory
+ * @returns {boolean}
+ */
+export const isPoorVentilation = (category) => category === VENTILATION_CATEGORIES[0].level;
+
+const hainesTerm = (value, [moderate, high]) => (value < moderate ? 1 : value < high ? 2 : 3);
+
+/**
+ * Haines Index (Haines 1988), 2–6
+ * @param {Object} upperAir - { variant, lowerTemperature, upperTemperature, lowerDewpoint } in °C
+ * @returns {Object} { index, stability, moisture, variant, levels }
+ */
+export function hainesIndex(upperAir) {
+  const variant = HAINES_VARIANTS[upperAir.variant || 'mid'];
+  if (!variant) throw new Error(`Unknown Haines variant '${upperAir.variant}'`);
+
+  const stability = hainesTerm(upperAir.lowerTemperature - upperAir.upperTemperature, variant.stability);
+  const moisture = hainesTerm(upperAir.lowerTemperature - upperAir.lowerDewpoint, variant.moisture);
+
+  return {
+    index: stability + moisture,
+    stability,
+    moisture,
+    variant: upperAir.variant || 'mid',
+    levels: variant.levels
+  };
+}
+
+/**
+ * Compute every index the reading supports
+ * Wind-dependent indices are null without a wind speed; Haines is null
+ * without upper-air data; ventilation is null without mixing height and
+ * transport wind.
+ * @param {Object} reading - { temperature (°F), humidity, windSpeed, upperAir, mixingHeight, transportWindSpeed }
+ * @returns {Object} { fosberg, hotDryWindy, chandler, chandlerCategory, haines, hainesCategory, ventilation, ventilationCategory }
+ */
+export function computeFireWeatherIndices(reading) {
+  const { temperature, humidity, windSpeed = null, upperAir = null, mixingHeight = null, transportWindSpeed = null } = reading;
+  const hasSurface = temperature !== null && temperature !== undefined && humidity !== null && humidity !== undefined;
+  const hasWind = hasSurface && windSpeed !== null && windSpeed !== undefined;
+
+  const chandler = hasSurface ? chandlerBurningIndex(temperature, humidity) : null;
+  const haines = upperAir ? hainesIndex(upperAir).index : null;
+  const ventilation = mixingHeight !== null && transportWindSpeed !== null
+    ? ventilationIndex(mixingHeight, transportWindSpeed)
+    : null;
+
+  return {
+    fosberg: hasWind ? fosbergIndex(temperature, humidity, windSpeed) : null,
+    hotDryWindy: hasWind ? hotDryWindyIndex(temperature, humidity, windSpeed) : null,
+    chandler,
+    chandlerCategory: chandler !== null ? chandlerCategory(chandler) : null,
+    haines,
+    hainesCategory: haines !== null ? hainesCategory(haines) : null,
+    ventilation,
+    ventilationCategory: ventilation !== null ? ventilationCategory(ventilation) : null
+  };
+}
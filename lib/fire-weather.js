@@ -0,0 +1,178 @@
+import { supabaseAdmin, isSupabaseConfigured } from './supabase';
+import { normalizeWeatherRecord, groupByHour } from './prescription-window';
+import { computeFireWeatherIndices, hainesCategory, ventilationCategory, FIRE_WEATHER_INDICES, UpperAirSchema } from './fire-weather-indices';
+
+/**
+ * Fire weather index series from weather_data (stored per record) and from
+ * air_quality / session_data sensor temperature and humidity (computed hourly)
+ */
+
+export const FIRE_WEATHER_SOURCES = ['weather_data', 'air_quality', 'session_data'];
+
+const WEATHER_COLUMNS = 'id, location_name, datetime, temperature, humidity, wind_speed, wind_direction, haines_index, upper_air, fosberg_index, hot_dry_windy_index, chandler_burning_index, mixing_height, transport_wind_speed, transport_wind_direction, ventilation_index';
+
+// Sensors report °C; weather_data is stored in °F
+const SENSOR_TEMPERATURE_UNIT = 'C';
+
+function requireSupabase() {
+  if (!isSupabaseConfigured()) {
+    throw new Error('Supabase is not configured; fire weather indices cannot be stored');
+  }
+}
+
+const parseUpperAir = (value) => {
+  if (!value) return null;
+  const parsed = UpperAirSchema.safeParse(value);
+  return parsed.success ? parsed.data : null;
+};
+
+/**
+ * Compute indices for one weather_data row
+ * Stored Haines and ventilation values are kept when the row carries no
+ * sounding or no mixing height and transport wind.
+ * @param {Object} row - weather_data row
+ * @returns {Object} Indices
+ */
+export function indicesForWeatherRow(row) {
+  const reading = normalizeWeatherRecord(row);
+  let indices = computeFireWeatherIndices({
+    temperature: reading?.temperature ?? null,
+    humidity: reading?.humidity ?? null,
+    windSpeed: reading?.windSpeed ?? null,
+    upperAir: parseUpperAir(row.upper_air),
+    mixingHeight: reading?.mixingHeight ?? null,
+    transportWindSpeed: reading?.transportWindSpeed ?? null
+  });
+
+  if (indices.haines === null && row.haines_index != null) {
+    const haines = Number(row.haines_index);
+    indices = { ...indices, haines, hainesCategory: hainesCategory(haines) };
+  }
+  if (indices.ventilation === null && row.ventilation_index != null) {
+    const ventilation = Number(row.ventilation_index);
+    indices = { ...indices, ventilation, ventilationCategory: ventilationCategory(ventilation) };
+  }
+
+  return indices;
+}
+
+async function loadWeatherRows({ locationName, start, end, limit }) {
+  let query = supabaseAdmin
+    .from('weather_data')
+    .select(WEATHER_COLUMNS)
+    .order('datetime', { ascending: false })
+    .limit(Math.min(limit, 5000));
+
+  if (locationName) query = query.eq('location_name', locationName);
+  if (start) query = query.gte('datetime', start);
+  if (end) query = query.lte('datetime', end);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Failed to load weather data: ${error.message}`);
+
+  // Most recent rows, returned oldest first
+  return (data || []).reverse();
+}
+
+async function loadSensorRows(table, { nodes, sessionId, start, end, limit }) {
+  let query = supabaseAdmin
+    .from(table)
+    .select('datetime, from_node, temperature, relativehumidity')
+    .order('datetime', { ascending: false })
+    .limit(Math.min(limit, 5000));
+
+  if (nodes?.length) query = query.in('from_node', nodes);
+  if (table === 'session_data' && sessionId) query = query.eq('session_id', sessionId);
+  if (start) query = query.gte('datetime', start);
+  if (end) query = query.lte('datetime', end);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Failed to load ${table} readings: ${error.message}`);
+
+  return (data || []).reverse();
+}
+
+/**
+ * Load the most recent fire weather index series, oldest point first
+ * @param {Object} options - { source, locationName, nodes, sessionId, start, end, limit, windSpeed }
+ * windSpeed (mph) is assumed for sensor sources, which do not measure wind.
+ * @returns {Promise<Object>} { source, points: [{ time, temperature, humidity, windSpeed, ...indices }] }
+ */
+export async function getFireWeatherSeries(options = {}) {
+  const { source = 'weather_data', limit = 1000, windSpeed = null } = options;
+
+  if (!FIRE_WEATHER_SOURCES.includes(source)) {
+    throw new Error(`Unknown fire weather source '${source}'`);
+  }
+  if (!isSupabaseConfigured()) return { source, points: [] };
+
+  if (source === 'weather_data') {
+    const rows = await loadWeatherRows({ ...options, limit });
+    return {
+      source,
+      points: rows.map(row => {
+        const reading = normalizeWeatherRecord(row);
+        return {
+          id: row.id,
+          time: reading?.time ?? row.datetime,
+          station: row.location_name,
+          temperature: reading?.temperature ?? null,
+          humidity: reading?.humidity ?? null,
+          windSpeed: reading?.windSpeed ?? null,
+          windDirection: reading?.windDirection ?? null,
+          mixingHeight: reading?.mixingHeight ?? null,
+          transportWindSpeed: reading?.transportWindSpeed ?? null,
+          transportWindDirection: row.transport_wind_direction ?? null,
+          ...indicesForWeatherRow(row)
+        };
+      })
+    };
+  }
+
+  const rows = await loadSensorRows(source, { ...options, limit });
+  const hours = groupByHour(rows.map(row => normalizeWeatherRecord(row, { temperatureUnit: SENSOR_TEMPERATURE_UNIT })));
+
+  return {
+    source,
+    points: hours.map(hour => ({
+      time: hour.time,
+      samples: hour.samples,
+      temperature: hour.temperature,
+      humidity: hour.humidity,
+      windSpeed,
+      ...computeFireWeatherIndices({ ...hour, windSpeed })
+    }))
+  };
+}
+
+/**
+ * Recompute fire weather indices and store them on weather_data rows
+ * @param {Object} options - { locationName, start, end, limit }
+ * @returns {Promise<number>} Number of rows updated
+ */
+export async function storeWeatherDataIndices(options = {}) {
+  requireSupabase();
+
+  const rows = await loadWeatherRows({ limit: 5000, ...options });
+  const computedAt = new Date().toISOString();
+
+  const updates = rows.map(row => {
+    const indices = indicesForWeatherRow(row);
+    const update = { id: row.id, datetime: row.datetime, indices_computed_at: computedAt };
+    FIRE_WEATHER_INDICES.forEach(({ id, column }) => { update[column] = indices[id]; });
+    update.ventilation_index = indices.ventilation;
+    update.ventilation_category = indices.ventilationCategory;
+    return update;
+  });
+
+  const batchSize = 500;
+  for (let i = 0; i < updates.length; i += batchSize) {
+    const { error } = await supabaseAdmin
+      .from('weather_data')
+      .upsert(updates.slice(i, i + batchSize), { onConflict: 'id' });
+
+    if (error) throw new Error(`Failed to store fire weather indices: ${error.message}`);
+  }
+
+  return updates.length;
+}
@@ -0,0 +1,142 @@
+/**
+ * Standard surface fuel models for the Rothermel spread model: the Anderson
+ * (1982) 13 and the Scott & Burgan (2005) 40.
+ * Loads are tons/acre, surface-area-to-volume (SAV) ratios 1/ft, depth ft,
+ * dead fuel moisture of extinction %, heat content BTU/lb.
+ * 10-hr and 100-hr SAV ratios are fixed at 109 and 30 1/ft for every model.
+ * Dynamic models transfer live herbaceous load to dead as it cures.
+ */
+
+export const TEN_HOUR_SAV = 109;
+export const HUNDRED_HOUR_SAV = 30;
+const HEAT_CONTENT = 8000;
+
+const model = (code, name, group, [oneHour, tenHour, hundredHour, liveHerb, liveWoody], [savOneHour, savLiveHerb, savLiveWoody], depth, deadMoistureOfExtinction, options = {}) => ({
+  code,
+  name,
+  group,
+  family: options.family || 'anderson',
+  dynamic: Boolean(options.dynamic),
+  loads: { oneHour, tenHour, hundredHour, liveHerb, liveWoody },
+  sav: { oneHour: savOneHour, liveHerb: savLiveHerb, liveWoody: savLiveWoody },
+  depth,
+  deadMoistureOfExtinction,
+  heatContent: { dead: options.heatContent || HEAT_CONTENT, live: options.heatContent || HEAT_CONTENT }
+});
+
+// Anderson (1982) 13 fire behavior fuel models
+export const ANDERSON_FUEL_MODELS = [
+  model('1', 'Short grass (1 ft)', 'Grass', [0.74, 0, 0, 0, 0], [3500, 0, 0], 1.0, 12),
+  model('2', 'Timber (grass and understory)', 'Grass', [2.0, 1.0, 0.5, 0.5, 0], [3000, 1500, 0], 1.0, 15),
+  model('3', 'Tall grass (2.5 ft)', 'Grass', [3.01, 0, 0, 0, 0], [1500, 0, 0], 2.5, 25),
+  model('4', 'Chaparral (6 ft)', 'Shrub', [5.01, 4.01, 2.0, 0, 5.01], [2000, 0, 1500], 6.0, 20),
+  model('5', 'Brush (2 ft)', 'Shrub', [1.0, 0.5, 0, 0, 2.0], [2000, 0, 1500], 2.0, 20),
+  model('6', 'Dormant brush, hardwood slash', 'Shrub', [1.5, 2.5, 2.0, 0, 0], [1750, 0, 0], 2.5, 25),
+  model('7', 'Southern rough', 'Shrub', [1.13, 1.87, 1.5, 0, 0.37], [1750, 0, 1550], 2.5, 40),
+  model('8', 'Closed timber litter', 'Timber litter', [1.5, 1.0, 2.5, 0, 0], [2000, 0, 0], 0.2, 30),
+  model('9', 'Hardwood litter', 'Timber litter', [2.92, 0.41, 0.15, 0, 0], [2500, 0, 0], 0.2, 25),
+  model('10', 'Timber (litter and understory)', 'Timber litter', [3.01, 2.0, 5.01, 0, 2.0], [2000, 0, 1500], 1.0, 25),
+  model('11', 'Light logging slash', 'Slash', [1.5, 4.51, 5.51, 0, 0], [1500, 0, 0], 1.0, 15),
+  model('12', 'Medium logging slash', 'Slash', [4.01, 14.03, 16.53, 0, 0], [1500, 0, 0], 2.3, 20),
+  model('13', 'Heavy logging slash', 'Slash', [7.01, 23.04, 28.05, 0, 0], [1500, 0, 0], 3.0, 25)
+];
+
+// Scott & Burgan (2005) 40 standard fire behavior fuel models
+const sb = (code, name, group, loads, sav, depth, extinction, heatContent) => model(code, name, group, loads, sav, depth, extinction, {
+  family: 'scott-burgan',
+  // Every Scott & Burgan model with a live herbaceous load is dynamic
+  dynamic: loads[3] > 0,
+  heatContent
+});
+
+export const SCOTT_BURGAN_FUEL_MODELS = [
+  sb('GR1', 'Short, sparse dry climate grass', 'Grass', [0.10, 0, 0, 0.30, 0], [2200, 2000, 0], 0.4, 15),
+  sb('GR2', 'Low load, dry climate grass', 'Grass', [0.10, 0, 0, 1.00, 0], [2000, 1800, 0], 1.0, 15),
+  sb('GR3', 'Low load, very coarse, humid climate grass', 'Grass', [0.10, 0.40, 0, 1.50, 0], [1500, 1300, 0], 2.0, 30),
+  sb('GR4', 'Moderate load, dry climate grass', 'Grass', [0.25, 0, 0, 1.90, 0], [2000, 1800, 0], 2.0, 15),
+  sb('GR5', 'Low load, humid climate grass', 'Grass', [0.40, 0, 0, 2.50, 0], [1800, 1600, 0], 1.5, 40),
+  sb('GR6', 'Moderate load, humid climate grass', 'Grass', [0.10, 0, 0, 3.40, 0], [2200, 2000, 0], 1.5, 40, 9000),
+  sb('GR7', 'High load, dry climate grass', 'Grass', [1.00, 0, 0, 5.40, 0], [2000, 1800, 0], 3.0, 15),
+  sb('GR8', 'High load, very coarse, humid climate grass', 'Grass', [0.50, 1.00, 0, 7.30, 0], [1500, 1300, 0], 4.0, 30),
+  sb('GR9', 'Very high load, humid climate grass', 'Grass', [1.00, 1.00, 0, 9.00, 0], [1800, 1600, 0], 5.0, 40),
+  sb('GS1', 'Low load, dry climate grass-shrub', 'Grass-Shrub', [0.20, 0, 0, 0.50, 0.65], [2000, 1800, 1800], 0.9, 15),
+  sb('GS2', 'Moderate load, dry climate grass-shrub', 'Grass-Shrub', [0.50, 0.50, 0, 0.60, 1.00], [2000, 1800, 1800], 1.5, 15),
+  sb('GS3', 'Moderate load, humid climate grass-shrub', 'Grass-Shrub', [0.30, 0.25, 0, 1.45, 1.25], [1800, 1600, 1600], 1.8, 40),
+  sb('GS4', 'High load, humid climate grass-shrub', 'Grass-Shrub', [1.90, 0.30, 0.10, 3.40, 7.10], [1800, 1600, 1600], 2.1, 40),
+  sb('SH1', 'Low load, dry climate shrub', 'Shrub', [0.25, 0.25, 0, 0.15, 1.30], [2000, 1800, 1600], 1.0, 15),
+  sb('SH2', 'Moderate load, dry climate shrub', 'Shrub', [1.35, 2.40, 0.75, 0, 3.85], [2000, 0, 1600], 1.0, 15),
+  sb('SH3', 'Moderate load, humid climate shrub', 'Shrub', [0.45, 3.00, 0, 0, 6.20], [1600, 0, 1400], 2.4, 40),
+  sb('SH4', 'Low load, humid climate timber-shrub', 'Shrub', [0.85, 1.15, 0.20, 0, 2.55], [2000, 1800, 1600], 3.0, 30),
+  sb('SH5', 'High load, dry climate shrub', 'Shrub', [3.60, 2.10, 0, 0, 2.90], [750, 0, 1600], 6.0, 15),
+  sb('SH6', 'Low load, humid climate shrub', 'Shrub', [2.90, 1.45, 0, 0, 1.40], [750, 0, 1600], 2.0, 30),
+  sb('SH7', 'Very high load, dry climate shrub', 'Shrub', [3.50, 5.30, 2.20, 0, 3.40], [750, 0, 1600], 6.0, 15),
+  sb('SH8', 'High load, humid climate shrub', 'Shrub', [2.05, 3.40, 0.85, 0, 4.35], [750, 0, 1600], 3.0, 40),
+  sb('SH9', 'Very high load, humid climate shrub', 'Shrub', [4.50, 2.45, 0, 1.55, 7.00], [750, 1800, 1500], 4.4, 40),
+  sb('TU1', 'Low load, dry climate timber-grass-shrub', 'Timber-Understory', [0.20, 0.90, 1.50, 0.20, 0.90], [2000, 1800, 1600], 0.6, 20),
+  sb('TU2', 'Moderate load, humid climate timber-shrub', 'Timber-Understory', [0.95, 1.80, 1.25, 0, 0.20], [2000, 0, 1600], 1.0, 30),
+  sb('TU3', 'Moderate load, humid climate timber-grass-shrub', 'Timber-Understory', [1.10, 0.15, 0.25, 0.65, 1.10], [1800, 1600, 1400], 1.3, 30),
+  sb('TU4', 'Dwarf conifer with understory', 'Timber-Understory', [4.50, 0, 0, 0, 2.00], [2300, 0, 2000], 0.5, 12),
+  sb('TU5', 'Very high load, dry climate timber-shrub', 'Timber-Understory', [4.00, 4.00, 3.00, 0, 3.00], [1500, 0, 750], 1.0, 25),
+  sb('TL1', 'Low load compact conifer litter', 'Timber litter', [1.00, 2.20, 3.60, 0, 0], [2000, 0, 0], 0.2, 30),
+  sb('TL2', 'Low load broadleaf litter', 'Timber litter', [1.40, 2.30, 2.20, 0, 0], [2000, 0, 0], 0.2, 25),
+  sb('TL3', 'Moderate load conifer litter', 'Timber litter', [0.50, 2.20, 2.80, 0, 0], [2000, 0, 0], 0.3, 20),
+  sb('TL4', 'Small downed logs', 'Timber litter', [0.50, 1.50, 4.20, 0, 0], [2000, 0, 0], 0.4, 25),
+  sb('TL5', 'High load conifer litter', 'Timber litter', [1.15, 2.50, 4.40, 0, 0], [2000, 0, 0], 0.6, 25),
+  sb('TL6', 'Moderate load broadleaf litter', 'Timber litter', [2.40, 1.20, 1.20, 0, 0], [2000, 0, 0], 0.3, 25),
+  sb('TL7', 'Large downed logs', 'Timber litter', [0.30, 1.40, 8.10, 0, 0], [2000, 0, 0], 0.4, 25),
+  sb('TL8', 'Long-needle litter', 'Timber litter', [5.80, 1.40, 1.10, 0, 0], [1800, 0, 0], 0.3, 35),
+  sb('TL9', 'Very high load broadleaf litter', 'Timber litter', [6.65, 3.30, 4.15, 0, 0], [1800, 0, 0], 0.6, 35),
+  sb('SB1', 'Low load activity fuel', 'Slash-Blowdown', [1.50, 3.00, 11.00, 0, 0], [2000, 0, 0], 1.0, 25),
+  sb('SB2', 'Moderate load activity fuel or low load blowdown', 'Slash-Blowdown', [4.50, 4.25, 4.00, 0, 0], [2000, 0, 0], 1.0, 25),
+  sb('SB3', 'High load activity fuel or moderate load blowdown', 'Slash-Blowdown', [5.50, 2.75, 3.00, 0, 0], [2000, 0, 0], 1.2, 25),
+  sb('SB4', 'High load blowdown', 'Slash-Blowdown', [5.25, 3.50, 5.25, 0, 0], [2000, 0, 0], 2.7, 25)
+];
+
+export const FUEL_MODELS = [...ANDERSON_FUEL_MODELS, ...SCOTT_BURGAN_FUEL_MODELS];
+
+export const FUEL_MODEL_FAMILIES = [
+  { value: 'anderson', label: 'Anderson 13' },
+  { value: 'scott-burgan', label: 'Scott & Burgan 40' }
+];
+
+// Fire planning ecosystem types -> suggested fuel models, best match first
+export const ECOSYSTEM_FUEL_MODELS = {
+  'Oak Woodland': ['GS2', 'TL6', 'TU1', '9'],
+  'Chaparral': ['SH7', 'SH5', '4'],
+  'Grassland': ['GR2', 'GR1', 'GR4', '1'],
+  'Pine Forest': ['TL8', 'TU1', 'TL3', '9'],
+  'Mixed Conifer': ['TL3', 'TU5', 'TL5', '10'],
+  'Riparian': ['TU2', 'TL6', 'GS3', '8'],
+  'Coastal Sage': ['SH5', 'SH2', 'GS2', '5']
+};
+
+// Risk engine fuel types -> suggested fuel models, best match first
+export const FUEL_TYPE_FUEL_MODELS = {
+  grass: ['GR2', 'GR4', 'GR1', '1', '3'],
+  brush: ['SH5', 'SH7', 'SH2', '4', '5'],
+  oak: ['GS2', 'TL6', 'TL2', '9'],
+  pine: ['TL8', 'TU1', 'TL3', '9'],
+  mixed: ['TL3', 'TU5', 'TL5', '10'],
+  dead: ['SB2', 'SB3', 'TL7', '12', '13']
+};
+
+/**
+ * Look up a fuel model by code
+ * @param {string|number} code - Fuel model code ("4", "GR2", ...)
+ * @returns {Object|null} Fuel model or null when unknown
+ */
+export function getFuelModel(code) {
+  if (code === null || code === undefined) return null;
+  const key = String(code).trim().toUpperCase();
+  return FUEL_MODELS.find(m => m.code.toUpperCase() === key) || null;
+}
+
+/**
+ * Suggested fuel models for an ecosystem type or risk engine fuel type
+ * @param {Object} options - { ecosystemType, fuelType }
+ * @returns {Array} Fuel models, best match first
+ */
+export function suggestFuelModels({ ecosystemType = null, fuelType = null } = {}) {
+  const codes = ECOSYSTEM_FUEL_MODELS[ecosystemType] || FUEL_TYPE_FUEL_MODELS[fuelType] || [];
+  return codes.map(getFuelModel).filter(Boolean);
+}
@@ -0,0 +1,131 @@
+import { supabaseAdmin, isSupabaseConfigured } from './supabase';
+import { normalizeWeatherRecord, groupByHour } from './prescription-window';
+import { distanceKm } from './geo';
+import { estimateDeadFuelMoisture } from './dead-fuel-moisture';
+
+/**
+ * Dead fuel moisture derived from air_quality sensor temperature and RH,
+ * attached to fire_data burn units by nearest sensor
+ */
+
+// Sensors report °C
+const SENSOR_TEMPERATURE_UNIT = 'C';
+
+// A sensor estimate is used for a burn unit when the sensor is within this
+// distance and has an hourly estimate within MAX_TIME_OFFSET_HOURS of the row
+export const MAX_SENSOR_DISTANCE_KM = 25;
+const MAX_TIME_OFFSET_HOURS = 3;
+
+/**
+ * Hourly dead fuel moisture series for each sensor
+ * @param {Object} options - { nodes, start, end, limit, model, site, timeZone }
+ * @returns {Promise<Array>} [{ node, latitude, longitude, series: [{ time, temperature, humidity, oneHour, tenHour, model }] }]
+ */
+export async function getSensorFuelMoisture(options = {}) {
+  const { nodes = null, start = null, end = null, limit = 5000 } = options;
+
+  if (!isSupabaseConfigured()) return [];
+
+  let query = supabaseAdmin
+    .from('air_quality')
+    .select('datetime, from_node, temperature, relativehumidity, latitude, longitude')
+    .order('datetime', { ascending: false })
+    .limit(Math.min(limit, 5000));
+
+  if (nodes?.length) query = query.in('from_node', nodes);
+  if (start) query = query.gte('datetime', start);
+  if (end) query = query.lte('datetime', end);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Failed to load sensor readings: ${error.message}`);
+
+  const byNode = new Map();
+  (data || []).forEach(row => {
+    const node = row.from_node || 'unknown';
+    if (!byNode.has(node)) byNode.set(node, { node, latitude: null, longitude: null, rows: [] });
+    const sensor = byNode.get(node);
+    if (sensor.latitude == null && row.latitude != null && row.longitude != null) {
+      sensor.latitude = Number(row.latitude);
+      sensor.longitude = Number(row.longitude);
+    }
+    sensor.rows.push(normalizeWeatherRecord(row, { temperatureUnit: SENSOR_TEMPERATURE_UNIT }));
+  });
+
+  return [...byNode.values()].map(({ rows, ...sensor }) => ({
+    ...sensor,
+    series: estimateDeadFuelMoisture(
+      groupByHour(rows).map(({ time, temperature, humidity }) => ({ time, temperature, humidity })),
+      options
+    ).filter(point => point.oneHour !== null)
+  }));
+}
+
+const closestInTime = (series, time) => {
+  const target = new Date(time).getTime();
+  if (isNaN(target)) return series[series.length - 1] || null;
+
+  const closest = series.reduce((best, point) => {
+    const offset = Math.abs(new Date(point.time).getTime() - target);
+    return !best || offset < best.offset ? { point, offset } : best;
+  }, null);
+
+  return closest && closest.offset <= MAX_TIME_OFFSET_HOURS * 3600000 ? closest.point : null;
+};
+
+/**
+ * Attach estimated 1-hr/10-hr dead fuel moisture to fire_data rows
+ * The nearest sensor with a reading close to the row's datetime is used; rows
+ * without one fall back to their own temperature (°F) and humidity. The
+ * hand-entered fuel_moisture column is left untouched.
+ * @param {Array} rows - fire_data rows
+ * @param {Object} options - { model, site, timeZone, sensors } (sensors from getSensorFuelMoisture)
+ * @returns {Promise<Array>} Rows with estimated_fuel_moisture_1hr, estimated_fuel_moisture_10hr,
+ * fuel_moisture_model, fuel_moisture_source ('sensor' | 'fire_data' | null) and fuel_moisture_sensor
+ */
+export async function withEstimatedFuelMoisture(rows, options = {}) {
+  if (!rows?.length) return rows || [];
+
+  const times = rows.map(r => new Date(r.datetime).getTime()).filter(t => !isNaN(t));
+  const padding = MAX_TIME_OFFSET_HOURS * 3600000;
+  const sensors = options.sensors || await getSensorFuelMoisture({
+    ...options,
+    start: times.length ? new Date(Math.min(...times) - padding).toISOString() : null,
+    end: times.length ? new Date(Math.max(...times) + padding).toISOString() : null
+  });
+  const locatedSensors = sensors.filter(s => s.latitude != null && s.longitude != null && s.series.length > 0);
+
+  return rows.map(row => {
+    const hasLocation = row.latitude != null && row.longitude != null;
+    const sensorEstimate = hasLocation
+      ? locatedSensors
+        .map(s => ({ sensor: s, distanceKm: distanceKm(Number(row.latitude), Number(row.longitude), s.latitude, s.longitude) }))
+        .filter(s => s.distanceKm <= MAX_SENSOR_DISTANCE_KM)
+        .sort((a, b) => a.distanceKm - b.distanceKm)
+        .map(s => ({ ...s, point: closestInTime(s.sensor.series, row.datetime) }))
+        .find(s => s.point)
+      : null;
+
+    if (sensorEstimate) {
+      return {
+        ...row,
+        estimated_fuel_moisture_1hr: sensorEstimate.point.oneHour,
+        estimated_fuel_moisture_10hr: sensorEstimate.point.tenHour,
+        fuel_moisture_model: sensorEstimate.point.model,
+        fuel_moisture_source: 'sensor',
+        fuel_moisture_sensor: sensorEstimate.sensor.node
+      };
+    }
+
+    const reading = normalizeWeatherRecord(row);
+    const [own] = reading ? estimateDeadFuelMoisture([reading], options) : [];
+
+    return {
+      ...row,
+      estimated_fuel_moisture_1hr: own?.oneHour ?? null,
+      estimated_fuel_moisture_10hr: own?.tenHour ?? null,
+      fuel_moisture_model: own?.oneHour != null ? own.model : null,
+      fuel_moisture_source: own?.oneHour != null ? 'fire_data' : null,
+      fuel_moisture_sensor: null
+    };
+  });
+}
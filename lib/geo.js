@@ -0,0 +1,80 @@
+/**
+ * Small geographic helpers shared by the planning tools
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} Distance in kilometres
+ */
+export function distanceKm(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Initial compass bearing from the first point to the second
+ * @returns {number} Bearing in degrees clockwise from north (0-360)
+ */
+export function bearingDegrees(lat1, lon1, lat2, lon2) {
+  const y = Math.sin(toRadians(lon2 - lon1)) * Math.cos(toRadians(lat2));
+  const x = Math.cos(toRadians(lat1)) * Math.sin(toRadians(lat2)) -
+    Math.sin(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.cos(toRadians(lon2 - lon1));
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+// 8-point compass sectors, each 45° wide and centred on its heading
+export const COMPASS_SECTORS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+const COMPASS_16 = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+/**
+ * Convert a wind direction to degrees
+ * @param {number|string} direction - Degrees or a 16-point compass label ("SW", "WSW")
+ * @returns {number|null} Degrees clockwise from north, or null when unreadable
+ */
+export function directionToDegrees(direction) {
+  if (direction === null || direction === undefined || direction === '') return null;
+  const numeric = Number(direction);
+  if (!isNaN(numeric)) return ((numeric % 360) + 360) % 360;
+
+  const index = COMPASS_16.indexOf(String(direction).trim().toUpperCase());
+  return index === -1 ? null : index * 22.5;
+}
+
+/**
+ * 8-point compass sector for a direction
+ * @param {number|string} direction - Degrees or compass label
+ * @returns {string|null} Sector label ("N", "NE", ...) or null
+ */
+export function directionToSector(direction) {
+  const degrees = directionToDegrees(direction);
+  if (degrees === null) return null;
+  return COMPASS_SECTORS[Math.round(degrees / 45) % 8];
+}
+
+/**
+ * Point offset from an origin by east/north distances (flat-earth, fine for tens of km)
+ * @param {number} lat - Origin latitude
+ * @param {number} lon - Origin longitude
+ * @param {number} eastKm - Distance east in km (negative for west)
+ * @param {number} northKm - Distance north in km (negative for south)
+ * @returns {Array} [latitude, longitude]
+ */
+export function offsetKm(lat, lon, eastKm, northKm) {
+  const kmPerDegree = (Math.PI / 180) * EARTH_RADIUS_KM;
+  return [
+    lat + northKm / kmPerDegree,
+    lon + eastKm / (kmPerDegree * Math.cos(toRadians(lat)))
+  ];
+}
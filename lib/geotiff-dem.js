@@ -0,0 +1,448 @@
+import { inflateSync } from 'zlib';
+
+/**
+ * Minimal GeoTIFF reader for single-band elevation rasters (DEMs)
+ * Reads classic TIFF, stripped or tiled, uncompressed, LZW or Deflate, with
+ * horizontal or floating-point predictors. Georeferencing comes from the
+ * model tiepoint and pixel scale tags; geographic (EPSG 4326/4269), UTM
+ * (WGS84 326xx/327xx, NAD83 269xx), CONUS Albers (EPSG 5070, used by
+ * LANDFIRE) and Web Mercator (EPSG 3857) rasters are supported.
+ * Server-only: decompression uses Node's zlib. Works fully offline.
+ */
+
+const TAGS = {
+  width: 256,
+  height: 257,
+  bitsPerSample: 258,
+  compression: 259,
+  stripOffsets: 273,
+  samplesPerPixel: 277,
+  rowsPerStrip: 278,
+  stripByteCounts: 279,
+  predictor: 317,
+  tileWidth: 322,
+  tileLength: 323,
+  tileOffsets: 324,
+  tileByteCounts: 325,
+  sampleFormat: 339,
+  pixelScale: 33550,
+  tiepoint: 33922,
+  geoKeys: 34735,
+  noData: 42113
+};
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+const GEO_KEYS = {
+  modelType: 1024,
+  rasterType: 1025,
+  geographicType: 2048,
+  projectedType: 3072,
+  verticalUnits: 4099
+};
+
+const FEET_PER_VERTICAL_UNIT = { 9001: 1 / 0.3048, 9002: 1, 9003: 1200 / 3937 / 0.3048 };
+
+const SAMPLE_TYPES = {
+  '1-8': { array: Uint8Array, read: 'getUint8' },
+  '2-8': { array: Int8Array, read: 'getInt8' },
+  '1-16': { array: Uint16Array, read: 'getUint16' },
+  '2-16': { array: Int16Array, read: 'getInt16' },
+  '1-32': { array: Uint32Array, read: 'getUint32' },
+  '2-32': { array: Int32Array, read: 'getInt32' },
+  '3-32': { array: Float32Array, read: 'getFloat32' },
+  '3-64': { array: Float64Array, read: 'getFloat64' }
+};
+
+function readIfd(view, offset, littleEndian) {
+  const count = view.getUint16(offset, littleEndian);
+  const tags = {};
+
+  for (let i = 0; i < count; i += 1) {
+    const entry = offset + 2 + i * 12;
+    const tag = view.getUint16(entry, littleEndian);
+    const type = view.getUint16(entry + 2, littleEndian);
+    const valueCount = view.getUint32(entry + 4, littleEndian);
+    const size = TYPE_SIZES[type];
+    if (!size) continue;
+
+    const dataOffset = size * valueCount <= 4 ? entry + 8 : view.getUint32(entry + 8, littleEndian);
+
+    if (type === 2) {
+      const bytes = new Uint8Array(view.buffer, view.byteOffset + dataOffset, valueCount);
+      tags[tag] = String.fromCharCode(...bytes).replace(/\0+$/, '');
+      continue;
+    }
+
+    const values = [];
+    for (let v = 0; v < valueCount; v += 1) {
+      const at = dataOffset + v * size;
+      switch (type) {
+        case 1: case 7: values.push(view.getUint8(at)); break;
+        case 6: values.push(view.getInt8(at)); break;
+        case 3: values.push(view.getUint16(at, littleEndian)); break;
+        case 8: values.push(view.getInt16(at, littleEndian)); break;
+        case 4: values.push(view.getUint32(at, littleEndian)); break;
+        case 9: values.push(view.getInt32(at, littleEndian)); break;
+        case 5: values.push(view.getUint32(at, littleEndian) / view.getUint32(at + 4, littleEndian)); break;
+        case 10: values.push(view.getInt32(at, littleEndian) / view.getInt32(at + 4, littleEndian)); break;
+        case 11: values.push(view.getFloat32(at, littleEndian)); break;
+        case 12: values.push(view.getFloat64(at, littleEndian)); break;
+        default: break;
+      }
+    }
+    tags[tag] = values;
+  }
+
+  return tags;
+}
+
+// TIFF LZW: MSB-first codes, 256 clear, 257 end, code width grows one code early
+function decodeLzw(input) {
+  let output = new Uint8Array(Math.max(input.length * 4, 1024));
+  let length = 0;
+  let table = [];
+  let codeLength = 9;
+  let bitPosition = 0;
+  let previous = null;
+
+  const resetTable = () => {
+    table = Array.from({ length: 258 }, (_, i) => Uint8Array.of(i));
+    codeLength = 9;
+    previous = null;
+  };
+
+  const append = (bytes) => {
+    if (length + bytes.length > output.length) {
+      const grown = new Uint8Array(Math.max(output.length * 2, length + bytes.length));
+      grown.set(output);
+      output = grown;
+    }
+    output.set(bytes, length);
+    length += bytes.length;
+  };
+
+  const concat = (bytes, byte) => {
+    const joined = new Uint8Array(bytes.length + 1);
+    joined.set(bytes);
+    joined[bytes.length] = byte;
+    return joined;
+  };
+
+  resetTable();
+
+  while (bitPosition + codeLength <= input.length * 8) {
+    let code = 0;
+    for (let b = 0; b < codeLength; b += 1) {
+      const bit = (input[(bitPosition + b) >> 3] >> (7 - ((bitPosition + b) & 7))) & 1;
+      code = (code << 1) | bit;
+    }
+    bitPosition += codeLength;
+
+    if (code === 257) break;
+    if (code === 256) {
+      resetTable();
+      continue;
+    }
+
+    let entry;
+    if (code < table.length) entry = table[code];
+    else if (code === table.length && previous) entry = concat(previous, previous[0]);
+    else throw new Error('Corrupt LZW data in DEM');
+
+    append(entry);
+    if (previous) table.push(concat(previous, entry[0]));
+    previous = entry;
+
+    if (table.length + 1 >= 1 << codeLength && codeLength < 12) codeLength += 1;
+  }
+
+  return output.subarray(0, length);
+}
+
+// Floating-point predictor (Adobe TIFF Technical Note 3): undo byte differencing,
+// then regroup the byte planes into little-endian samples
+function undoFloatPredictor(bytes, width, rows, bytesPerSample) {
+  const rowBytes = width * bytesPerSample;
+  const out = new Uint8Array(bytes.length);
+
+  for (let r = 0; r < rows; r += 1) {
+    const row = bytes.subarray(r * rowBytes, (r + 1) * rowBytes);
+    for (let i = 1; i < rowBytes; i += 1) row[i] = (row[i] + row[i - 1]) & 0xff;
+    for (let i = 0; i < width; i += 1) {
+      for (let b = 0; b < bytesPerSample; b += 1) {
+        out[r * rowBytes + i * bytesPerSample + b] = row[(bytesPerSample - b - 1) * width + i];
+      }
+    }
+  }
+
+  return out;
+}
+
+function decodeBlock(buffer, offset, byteCount, compression) {
+  const raw = new Uint8Array(buffer.buffer, buffer.byteOffset + offset, byteCount);
+  if (compression === 1) return new Uint8Array(raw);
+  if (compression === 5) return decodeLzw(raw);
+  if (compression === 8 || compression === 32946) return new Uint8Array(inflateSync(raw));
+  throw new Error(`DEM compression ${compression} is not supported; use uncompressed, LZW or Deflate`);
+}
+
+function blockValues(bytes, width, rows, options) {
+  const { sampleType, predictor, littleEndian, bytesPerSample } = options;
+  const count = width * rows;
+  const values = new sampleType.array(count);
+
+  if (predictor === 3) {
+    const regrouped = undoFloatPredictor(bytes, width, rows, bytesPerSample);
+    const view = new DataView(regrouped.buffer, regrouped.byteOffset, regrouped.byteLength);
+    for (let i = 0; i < count; i += 1) values[i] = view[sampleType.read](i * bytesPerSample, true);
+    return values;
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const available = Math.min(count, Math.floor(bytes.length / bytesPerSample));
+  for (let i = 0; i < available; i += 1) values[i] = view[sampleType.read](i * bytesPerSample, littleEndian);
+
+  // Horizontal differencing; typed arrays wrap integer overflow like the encoder did
+  if (predictor === 2) {
+    for (let r = 0; r < rows; r += 1) {
+      for (let c = 1; c < width; c += 1) values[r * width + c] += values[r * width + c - 1];
+    }
+  }
+
+  return values;
+}
+
+function readGeoKeys(directory) {
+  const keys = {};
+  if (!directory) return keys;
+  const [, , , count] = directory;
+  for (let i = 0; i < count; i += 1) {
+    const [id, location, , value] = directory.slice(4 + i * 4, 8 + i * 4);
+    if (location === 0) keys[id] = value;
+  }
+  return keys;
+}
+
+// --- Projections (forward only: latitude/longitude to raster coordinates) ---
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+const WGS84 = { a: 6378137, f: 1 / 298.257223563 };
+const GRS80 = { a: 6378137, f: 1 / 298.257222101 };
+
+// Transverse Mercator (Krüger series), as used for UTM
+function transverseMercator(lat, lon, lon0, ellipsoid, k0 = 0.9996, falseEasting = 500000, falseNorthing = 0) {
+  const { a, f } = ellipsoid;
+  const n = f / (2 - f);
+  const A = (a / (1 + n)) * (1 + n ** 2 / 4 + n ** 4 / 64);
+  const alpha = [n / 2 - (2 / 3) * n ** 2 + (5 / 16) * n ** 3, (13 / 48) * n ** 2 - (3 / 5) * n ** 3, (61 / 240) * n ** 3];
+  const e = Math.sqrt(f * (2 - f));
+
+  const phi = toRadians(lat);
+  const lambda = toRadians(lon - lon0);
+  const t = Math.sinh(Math.atanh(Math.sin(phi)) - e * Math.atanh(e * Math.sin(phi)));
+  const xiPrime = Math.atan2(t, Math.cos(lambda));
+  const etaPrime = Math.atanh(Math.sin(lambda) / Math.sqrt(1 + t * t));
+
+  let xi = xiPrime;
+  let eta = etaPrime;
+  alpha.forEach((coefficient, j) => {
+    const k = 2 * (j + 1);
+    xi += coefficient * Math.sin(k * xiPrime) * Math.cosh(k * etaPrime);
+    eta += coefficient * Math.cos(k * xiPrime) * Math.sinh(k * etaPrime);
+  });
+
+  return [falseEasting + k0 * A * eta, falseNorthing + k0 * A * xi];
+}
+
+// Albers equal-area conic (Snyder 1987, eqs. 14-3 to 14-6)
+function albers(lat, lon, params, ellipsoid) {
+  const { a, f } = ellipsoid;
+  const e2 = f * (2 - f);
+  const e = Math.sqrt(e2);
+  const q = (phi) => {
+    const s = Math.sin(phi);
+    return (1 - e2) * (s / (1 - e2 * s * s) - (1 / (2 * e)) * Math.log((1 - e * s) / (1 + e * s)));
+  };
+  const m = (phi) => Math.cos(phi) / Math.sqrt(1 - e2 * Math.sin(phi) ** 2);
+
+  const [phi1, phi2, phi0] = [params.lat1, params.lat2, params.lat0].map(toRadians);
+  const n = (m(phi1) ** 2 - m(phi2) ** 2) / (q(phi2) - q(phi1));
+  const C = m(phi1) ** 2 + n * q(phi1);
+  const rho = (phi) => (a * Math.sqrt(C - n * q(phi))) / n;
+
+  const theta = n * toRadians(lon - params.lon0);
+  const r = rho(toRadians(lat));
+  return [r * Math.sin(theta), rho(phi0) - r * Math.cos(theta)];
+}
+
+/**
+ * Forward projection for a raster's EPSG code
+ * @param {number} epsg - EPSG code from the GeoKey directory
+ * @returns {{project: Function, geographic: boolean, name: string}|null} null when unsupported
+ */
+export function projectionFor(epsg) {
+  if (epsg === 4326 || epsg === 4269) {
+    return { project: (lat, lon) => [lon, lat], geographic: true, name: `EPSG:${epsg} (geographic)` };
+  }
+  if ((epsg >= 32601 && epsg <= 32660) || (epsg >= 32701 && epsg <= 32760) || (epsg >= 26901 && epsg <= 26923)) {
+    const south = epsg >= 32701 && epsg <= 32760;
+    const zone = epsg >= 26901 ? epsg - 26900 : epsg % 100;
+    const ellipsoid = epsg >= 26901 ? GRS80 : WGS84;
+    return {
+      project: (lat, lon) => transverseMercator(lat, lon, zone * 6 - 183, ellipsoid, 0.9996, 500000, south ? 10000000 : 0),
+      geographic: false,
+      name: `EPSG:${epsg} (UTM zone ${zone}${south ? 'S' : 'N'})`
+    };
+  }
+  if (epsg === 5070) {
+    const params = { lat1: 29.5, lat2: 45.5, lat0: 23, lon0: -96 };
+    return { project: (lat, lon) => albers(lat, lon, params, GRS80), geographic: false, name: 'EPSG:5070 (CONUS Albers)' };
+  }
+  if (epsg === 3857) {
+    return {
+      project: (lat, lon) => [WGS84.a * toRadians(lon), WGS84.a * Math.log(Math.tan(Math.PI / 4 + toRadians(lat) / 2))],
+      geographic: false,
+      mercator: true,
+      name: 'EPSG:3857 (Web Mercator)'
+    };
+  }
+  return null;
+}
+
+/**
+ * Parse a GeoTIFF DEM
+ * @param {Buffer|Uint8Array} buffer - File contents
+ * @returns {Object} { width, height, raw, noData, toFeet, originX, originY, scaleX, scaleY,
+ *   epsg, projection, bounds }; read elevations with demElevationFt
+ */
+export function readDem(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  const order = String.fromCharCode(bytes[0], bytes[1]);
+  if (order !== 'II' && order !== 'MM') throw new Error('Not a TIFF file');
+  const littleEndian = order === 'II';
+  const version = view.getUint16(2, littleEndian);
+  if (version === 43) throw new Error('BigTIFF DEMs are not supported; export a classic GeoTIFF');
+  if (version !== 42) throw new Error('Not a TIFF file');
+
+  const tags = readIfd(view, view.getUint32(4, littleEndian), littleEndian);
+  const first = (tag, fallback = null) => (tags[tag] ? tags[tag][0] : fallback);
+
+  const width = first(TAGS.width);
+  const height = first(TAGS.height);
+  if (first(TAGS.samplesPerPixel, 1) !== 1) throw new Error('DEM must be a single-band raster');
+
+  const bits = first(TAGS.bitsPerSample, 1);
+  const format = first(TAGS.sampleFormat, 1);
+  const sampleType = SAMPLE_TYPES[`${format}-${bits}`];
+  if (!sampleType) throw new Error(`DEM sample type (format ${format}, ${bits}-bit) is not supported`);
+
+  const scale = tags[TAGS.pixelScale];
+  const tiepoint = tags[TAGS.tiepoint];
+  if (!scale || !tiepoint) throw new Error('DEM has no georeferencing (model tiepoint and pixel scale)');
+
+  const geoKeys = readGeoKeys(tags[TAGS.geoKeys]);
+  const geographic = geoKeys[GEO_KEYS.modelType] === 2;
+  const epsg = geographic ? (geoKeys[GEO_KEYS.geographicType] || 4326) : geoKeys[GEO_KEYS.projectedType];
+  const projection = projectionFor(epsg);
+  if (!projection) throw new Error(`DEM projection EPSG:${epsg ?? 'unknown'} is not supported`);
+
+  const options = {
+    sampleType,
+    predictor: first(TAGS.predictor, 1),
+    littleEndian,
+    bytesPerSample: bits / 8
+  };
+  const compression = first(TAGS.compression, 1);
+  const raw = new sampleType.array(width * height);
+
+  if (tags[TAGS.tileOffsets]) {
+    const tileWidth = first(TAGS.tileWidth);
+    const tileLength = first(TAGS.tileLength);
+    const across = Math.ceil(width / tileWidth);
+    tags[TAGS.tileOffsets].forEach((offset, t) => {
+      const block = blockValues(decodeBlock(bytes, offset, tags[TAGS.tileByteCounts][t], compression), tileWidth, tileLength, options);
+      const col0 = (t % across) * tileWidth;
+      const row0 = Math.floor(t / across) * tileLength;
+      for (let r = 0; r < tileLength && row0 + r < height; r += 1) {
+        for (let c = 0; c < tileWidth && col0 + c < width; c += 1) {
+          raw[(row0 + r) * width + col0 + c] = block[r * tileWidth + c];
+        }
+      }
+    });
+  } else {
+    const rowsPerStrip = Math.min(first(TAGS.rowsPerStrip, height), height);
+    tags[TAGS.stripOffsets].forEach((offset, s) => {
+      const rows = Math.min(rowsPerStrip, height - s * rowsPerStrip);
+      const block = blockValues(decodeBlock(bytes, offset, tags[TAGS.stripByteCounts][s], compression), width, rows, options);
+      raw.set(block.subarray(0, rows * width), s * rowsPerStrip * width);
+    });
+  }
+
+  const noData = tags[TAGS.noData] !== undefined ? Number(tags[TAGS.noData]) : null;
+  const toFeet = FEET_PER_VERTICAL_UNIT[geoKeys[GEO_KEYS.verticalUnits]] ?? FEET_PER_VERTICAL_UNIT[9001];
+
+  // Tiepoints reference pixel corners; PixelIsPoint rasters are shifted half a cell
+  const [scaleX, scaleY] = scale;
+  const [i, j, , x, y] = tiepoint;
+  const pointShift = geoKeys[GEO_KEYS.rasterType] === 2 ? 0.5 : 0;
+  const originX = x - (i + pointShift) * scaleX;
+  const originY = y + (j + pointShift) * scaleY;
+
+  return {
+    width,
+    height,
+    raw,
+    noData,
+    toFeet,
+    originX,
+    originY,
+    scaleX,
+    scaleY,
+    epsg,
+    projection,
+    bounds: { minX: originX, maxX: originX + width * scaleX, minY: originY - height * scaleY, maxY: originY }
+  };
+}
+
+/**
+ * Elevation of a cell
+ * @param {Object} dem - readDem output
+ * @param {number} col - Column
+ * @param {number} row - Row
+ * @returns {number|null} Feet, or null outside the raster or for no data
+ */
+export function demElevationFt(dem, col, row) {
+  if (col < 0 || row < 0 || col >= dem.width || row >= dem.height) return null;
+  const value = dem.raw[row * dem.width + col];
+  if ((dem.noData !== null && value === dem.noData) || !Number.isFinite(value)) return null;
+  return value * dem.toFeet;
+}
+
+/**
+ * Raster column and row (fractional) for a latitude/longitude
+ * @param {Object} dem - readDem output
+ * @returns {Array} [col, row]
+ */
+export function demPixel(dem, lat, lon) {
+  const [x, y] = dem.projection.project(lat, lon);
+  return [(x - dem.originX) / dem.scaleX, (dem.originY - y) / dem.scaleY];
+}
+
+/**
+ * Ground size of a cell near a latitude
+ * @param {Object} dem - readDem output
+ * @param {number} lat - Latitude
+ * @returns {Array} [cellWidthFt, cellHeightFt]
+ */
+export function demCellSizeFt(dem, lat) {
+  const feetPerMeter = 1 / 0.3048;
+  if (dem.projection.geographic) {
+    return [dem.scaleX * 111320 * Math.cos(toRadians(lat)) * feetPerMeter, dem.scaleY * 110574 * feetPerMeter];
+  }
+  const mercatorScale = dem.projection.mercator ? Math.cos(toRadians(lat)) : 1;
+  return [dem.scaleX * mercatorScale * feetPerMeter, dem.scaleY * mercatorScale * feetPerMeter];
+}
@@ -1,3 +1,5 @@
+import { statusColor } from './burn-status';
+
 /**
  * Utility functions for map data processing - Fire Management and Air Quality
  */
@@ -31,6 +33,7 @@ export function normalizeFireData(dataPoints) {
         latitude: Number(point.latitude),
         longitude: Number(point.longitude),
         unitId: String(point.burn_unit || point.id || ''),
+        fireDataId: point.id ?? null,
         unitName: point.burn_unit || point.location_name || `Unit ${point.id || ''}`,
         locationName: point.location_name || 'Unknown Location',
         datetime: point.datetime || point.timestamp,
@@ -47,12 +50,22 @@ export function normalizeFireData(dataPoints) {
         humidity: normalizeMetric(point.humidity),
         windSpeed: normalizeMetric(point.wind_speed),
         windDirection: point.wind_direction || '',
-        fuelMoisture: normalizeMetric(point.fuel_moisture),
+        // 1-hr dead fuel moisture: the sensor/weather estimate when there is one, else the hand-entered value
+        fuelMoisture: normalizeMetric(point.estimated_fuel_moisture_1hr ?? point.fuel_moisture),
+        fuelMoisture10hr: normalizeMetric(point.estimated_fuel_moisture_10hr),
+        fuelMoistureMeasured: normalizeMetric(point.fuel_moisture),
+        fuelMoistureSource: point.estimated_fuel_moisture_1hr != null ? point.fuel_moisture_source : 'manual',
+        fuelMoistureSensor: point.fuel_moisture_sensor || null,
         
         // Crew and management
         crewSize: normalizeMetric(point.crew_size),
         burnBoss: point.burn_boss || '',
         objectives: point.objectives || '',
+
+        // Mapped boundary (GeoJSON MultiPolygon) with its computed size
+        boundary: point.boundary || null,
+        boundaryAcres: normalizeMetric(point.boundary_acres),
+        boundaryPerimeterFt: normalizeMetric(point.boundary_perimeter_ft),
         
         // Keep reference to original data
         _original: point
@@ -128,14 +141,8 @@ export function getColorForValue(value, metricType) {
   
   // Handle categorical fire management metrics
   if (metricType === 'status') {
-    switch (String(value).toLowerCase()) {
-      case 'planned': return '#2563EB'; // Blue
-      case 'in progress': return '#F59E0B'; // Orange
-      case 'completed': return '#059669'; // Green
-      case 'monitoring': return '#7C3AED'; // Purple
-      case 'cancelled': return '#DC2626'; // Red
-      default: return '#6B7280'; // Gray
-    }
+    // Lifecycle colors; legacy free-text statuses map onto the lifecycle
+    return statusColor(value) || '#6B7280';
   }
   
   if (metricType === 'risklevel') {
@@ -239,7 +246,7 @@ export function getMetricInfo(metric) {
     humidity: { name: "Humidity", unit: "%", description: "Relative humidity" },
     windSpeed: { name: "Wind Speed", unit: "mph", description: "Wind speed" },
     windDirection: { name: "Wind Direction", unit: "", description: "Wind direction" },
-    fuelMoisture: { name: "Fuel Moisture", unit: "%", description: "Vegetation moisture content" },
+    fuelMoisture: { name: "Fuel Moisture", unit: "%", description: "1-hr dead fuel moisture estimated from nearby sensor temperature and humidity" },
     crewSize: { name: "Crew Size", unit: "people", description: "Number of crew members" },
     burnBoss: { name: "Burn Boss", unit: "", description: "Lead fire manager" },
     locationName: { name: "Location", unit: "", description: "Fire management area" },
@@ -0,0 +1,148 @@
+/**
+ * Post-burn evaluation helpers: objective outcomes, acres burned and the
+ * historical success summary across evaluations
+ * Pure module: shared by the evaluation API, the analytics view and the form.
+ */
+
+// Fuel consumption is estimated as percent of the pre-burn loading consumed
+export const CONSUMPTION_CLASSES = [
+  { id: 'litter', label: 'Litter' },
+  { id: 'duff', label: 'Duff' },
+  { id: 'fineWoody', label: 'Fine woody (1–100 hr)' },
+  { id: 'coarseWoody', label: 'Coarse woody (1000 hr)' },
+  { id: 'herbaceous', label: 'Herbaceous' },
+  { id: 'shrubs', label: 'Shrubs' }
+];
+
+export const EVALUATION_OUTCOMES = [
+  { id: 'successful', label: 'Successful', color: '#059669', description: 'Every objective met' },
+  { id: 'partial', label: 'Partially successful', color: '#F59E0B', description: 'Some objectives met' },
+  { id: 'unsuccessful', label: 'Unsuccessful', color: '#DC2626', description: 'No objectives met' }
+];
+
+const round = (value, digits = 1) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+const mean = (values) => {
+  const present = values.filter(v => v !== null && v !== undefined && !isNaN(v)).map(Number);
+  return present.length ? present.reduce((sum, v) => sum + v, 0) / present.length : null;
+};
+
+/**
+ * Split a burn unit's free-text objectives into a starting objectives list
+ * @param {string} text - fire_data.objectives or a plan objective
+ * @returns {Array<string>}
+ */
+export function splitObjectives(text) {
+  if (!text) return [];
+  return String(text).split(/\r?\n|;|•/).map(s => s.replace(/^\s*[-*\d.)]+\s*/, '').trim()).filter(Boolean);
+}
+
+/**
+ * Count met objectives
+ * @param {Array} objectives - [{ objective, met }]
+ * @returns {{met: number, total: number, rate: number|null}} rate as a 0-1 fraction
+ */
+export function objectivesSummary(objectives) {
+  const list = objectives || [];
+  const met = list.filter(o => o.met).length;
+  return { met, total: list.length, rate: list.length ? met / list.length : null };
+}
+
+/**
+ * Overall outcome of an evaluation from its objectives
+ * @param {Array} objectives - [{ objective, met }]
+ * @returns {string|null} EVALUATION_OUTCOMES id, or null with no objectives recorded
+ */
+export function evaluationOutcome(objectives) {
+  const { met, total } = objectivesSummary(objectives);
+  if (total === 0) return null;
+  if (met === total) return 'successful';
+  return met > 0 ? 'partial' : 'unsuccessful';
+}
+
+/**
+ * Acres burned, as recorded or from percent of the unit burned
+ * @param {Object} evaluation - { acresBurned, percentBurned }
+ * @param {number} acresPlanned - fire_data.acres_planned
+ * @returns {number|null}
+ */
+export function acresBurned({ acresBurned: recorded = null, percentBurned = null }, acresPlanned) {
+  if (recorded !== null && recorded !== undefined) return Number(recorded);
+  if (percentBurned === null || percentBurned === undefined || !acresPlanned) return null;
+  return round((Number(percentBurned) / 100) * Number(acresPlanned));
+}
+
+function summarizeGroup(rows) {
+  const outcomes = Object.fromEntries(EVALUATION_OUTCOMES.map(o => [o.id, 0]));
+  rows.forEach(row => {
+    if (row.outcome) outcomes[row.outcome] += 1;
+  });
+
+  const objectives = rows.reduce((sum, row) => {
+    const { met, total } = objectivesSummary(row.objectives);
+    return { met: sum.met + met, total: sum.total + total };
+  }, { met: 0, total: 0 });
+
+  return {
+    evaluations: rows.length,
+    units: new Set(rows.map(row => row.fire_data_id)).size,
+    acresBurned: round(rows.reduce((sum, row) => sum + (Number(row.acres_burned) || 0), 0)),
+    meanPercentBurned: round(mean(rows.map(row => row.percent_burned))),
+    meanScorchHeight: round(mean(rows.map(row => row.scorch_height_avg))),
+    objectivesMet: objectives.met,
+    objectivesTotal: objectives.total,
+    objectiveSuccessRate: objectives.total ? round((objectives.met / objectives.total) * 100) : null,
+    outcomes
+  };
+}
+
+const groupBy = (rows, keyOf) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = keyOf(row) ?? 'Unknown';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  return [...groups.entries()].map(([key, group]) => ({ key, ...summarizeGroup(group) }));
+};
+
+/**
+ * Historical success across post-burn evaluations
+ * Only the latest evaluation of each unit counts toward the totals.
+ * @param {Array} evaluations - burn_evaluations rows, newest first, with burn_type attached
+ * @returns {Object} { overall, byYear, byBurnType, byObjective }
+ */
+export function summarizeEvaluations(evaluations) {
+  const latest = [];
+  const seen = new Set();
+  (evaluations || []).forEach(row => {
+    if (seen.has(row.fire_data_id)) return;
+    seen.add(row.fire_data_id);
+    latest.push({ ...row, outcome: evaluationOutcome(row.objectives) });
+  });
+
+  const yearOf = (row) => {
+    const date = new Date(row.burn_date || row.evaluated_at);
+    return isNaN(date) ? null : String(date.getFullYear());
+  };
+
+  // Objectives are free text; identical wording is grouped case-insensitively
+  const objectiveStats = new Map();
+  latest.forEach(row => (row.objectives || []).forEach(o => {
+    const key = String(o.objective || '').trim().toLowerCase();
+    if (!key) return;
+    if (!objectiveStats.has(key)) objectiveStats.set(key, { objective: o.objective.trim(), met: 0, total: 0 });
+    const stat = objectiveStats.get(key);
+    stat.total += 1;
+    if (o.met) stat.met += 1;
+  }));
+
+  return {
+    overall: summarizeGroup(latest),
+    byYear: groupBy(latest, yearOf).sort((a, b) => a.key.localeCompare(b.key)),
+    byBurnType: groupBy(latest, row => row.burn_type).sort((a, b) => b.evaluations - a.evaluations),
+    byObjective: [...objectiveStats.values()]
+      .map(stat => ({ ...stat, rate: round((stat.met / stat.total) * 100) }))
+      .sort((a, b) => b.total - a.total)
+  };
+}
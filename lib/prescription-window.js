@@ -0,0 +1,272 @@
+import { z } from 'zod';
+import { COMPASS_SECTORS, directionToDegrees, directionToSector } from './geo';
+import { celsiusToFahrenheit } from './risk-engine';
+import { ventilationIndex, ventilationCategory, isPoorVentilation } from './fire-weather-indices';
+
+/**
+ * Prescription window evaluator
+ * Checks a weather time series hour by hour against a burn unit's prescription
+ * (temperature °F, RH %, wind speed mph, wind direction sectors, 1-hr fuel moisture %).
+ * Hours with poor smoke ventilation are flagged without failing the prescription.
+ * Pure module: used by the API routes and the planning page alike.
+ */
+
+export const PRESCRIPTION_PARAMETERS = [
+  { id: 'temperature', label: 'Temperature', unit: '°F' },
+  { id: 'humidity', label: 'Relative Humidity', unit: '%' },
+  { id: 'windSpeed', label: 'Wind Speed', unit: 'mph' },
+  { id: 'fuelMoisture', label: '1-hr Fuel Moisture', unit: '%' }
+];
+
+export const DEFAULT_PRESCRIPTION = {
+  temperature: { min: 40, max: 80 },
+  humidity: { min: 25, max: 60 },
+  windSpeed: { min: 2, max: 15 },
+  windDirections: [...COMPASS_SECTORS],
+  fuelMoisture: { min: 6, max: 20 }
+};
+
+const RangeSchema = z.object({
+  min: z.number().nullable().optional(),
+  max: z.number().nullable().optional()
+}).refine(r => r.min == null || r.max == null || r.min <= r.max, 'min must not exceed max');
+
+export const PrescriptionSchema = z.object({
+  temperature: RangeSchema.optional(),
+  humidity: RangeSchema.optional(),
+  windSpeed: RangeSchema.optional(),
+  windDirections: z.array(z.enum(COMPASS_SECTORS)).optional(),
+  fuelMoisture: RangeSchema.optional()
+});
+
+const firstDefined = (...values) => values.find(v => v !== undefined && v !== null && v !== '');
+
+const toNumber = (value) => {
+  const n = Number(value);
+  return value === null || value === undefined || value === '' || isNaN(n) ? null : n;
+};
+
+/**
+ * Map a weather_data row, sensor reading or uploaded forecast row to evaluator fields
+ * @param {Object} record - Row with datetime/timestamp and weather columns
+ * @param {Object} options - { temperatureUnit: 'F' | 'C' }
+ * @returns {Object|null} { time, temperature, humidity, windSpeed, windDirection, fuelMoisture, mixingHeight, transportWindSpeed, ventilationIndex } or null without a valid time
+ */
+export function normalizeWeatherRecord(record, options = {}) {
+  const { temperatureUnit = 'F' } = options;
+  const time = new Date(firstDefined(record.datetime, record.timestamp, record.time, record.date));
+  if (isNaN(time)) return null;
+
+  const temperature = toNumber(record.temperature);
+
+  return {
+    time: time.toISOString(),
+    temperature: temperature !== null && temperatureUnit === 'C' ? celsiusToFahrenheit(temperature) : temperature,
+    humidity: toNumber(firstDefined(record.humidity, record.relativehumidity, record.rh)),
+    windSpeed: toNumber(firstDefined(record.wind_speed, record.windSpeed)),
+    windDirection: firstDefined(record.wind_direction, record.windDirection) ?? null,
+    fuelMoisture: toNumber(firstDefined(record.fuel_moisture, record.fuelMoisture)),
+    mixingHeight: toNumber(firstDefined(record.mixing_height, record.mixingHeight)),
+    transportWindSpeed: toNumber(firstDefined(record.transport_wind_speed, record.transportWindSpeed)),
+    ventilationIndex: toNumber(firstDefined(record.ventilation_index, record.ventilationIndex))
+  };
+}
+
+const mean = (values) => {
+  const present = values.filter(v => v !== null);
+  if (present.length === 0) return null;
+  return Math.round((present.reduce((sum, v) => sum + v, 0) / present.length) * 10) / 10;
+};
+
+// Wind directions are averaged as vectors so 350° and 10° average to north
+const meanDirection = (directions) => {
+  const degrees = directions.map(directionToDegrees).filter(d => d !== null);
+  if (degrees.length === 0) return null;
+  const x = degrees.reduce((sum, d) => sum + Math.sin((d * Math.PI) / 180), 0);
+  const y = degrees.reduce((sum, d) => sum + Math.cos((d * Math.PI) / 180), 0);
+  return Math.round(((Math.atan2(x, y) * 180) / Math.PI + 360) % 360);
+};
+
+/**
+ * Average normalized records into clock hours (UTC)
+ * @param {Array} records - Output of normalizeWeatherRecord
+ * @returns {Array} One record per hour, oldest first
+ */
+export function groupByHour(records) {
+  const buckets = new Map();
+
+  records.filter(Boolean).forEach(record => {
+    const hour = new Date(record.time);
+    hour.setUTCMinutes(0, 0, 0);
+    const key = hour.toISOString();
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(record);
+  });
+
+  return [...buckets.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([time, rows]) => ({
+      time,
+      samples: rows.length,
+      temperature: mean(rows.map(r => r.temperature)),
+      humidity: mean(rows.map(r => r.humidity)),
+      windSpeed: mean(rows.map(r => r.windSpeed)),
+      windDirection: meanDirection(rows.map(r => r.windDirection)),
+      fuelMoisture: mean(rows.map(r => r.fuelMoisture)),
+      mixingHeight: mean(rows.map(r => r.mixingHeight ?? null)),
+      transportWindSpeed: mean(rows.map(r => r.transportWindSpeed ?? null)),
+      ventilationIndex: mean(rows.map(r => r.ventilationIndex ?? null))
+    }));
+}
+
+/**
+ * Ventilation for an hour, computed from mixing height and transport wind when
+ * both are present, else taken from a stored index
+ * @param {Object} hour - Hourly record from groupByHour
+ * @returns {Object|null} { index, category, poor } or null without ventilation data
+ */
+export function hourVentilation(hour) {
+  const index = hour.mixingHeight != null && hour.transportWindSpeed != null
+    ? ventilationIndex(hour.mixingHeight, hour.transportWindSpeed)
+    : hour.ventilationIndex ?? null;
+  if (index === null) return null;
+
+  const category = ventilationCategory(index);
+  return { index: Math.round(index), category, poor: isPoorVentilation(category) };
+}
+
+const withUnit = (value, unit) => (unit === 'mph' ? `${value} mph` : `${value}${unit}`);
+
+/**
+ * Check one hour against a prescription
+ * Parameters with no reading are listed in `missing` and do not fail the hour.
+ * @param {Object} hour - Hourly record from groupByHour
+ * @param {Object} prescription - Prescription limits
+ * @returns {Object} { time, inPrescription, failures, missing, values, ventilation, poorVentilation }
+ */
+export function evaluateHour(hour, prescription = DEFAULT_PRESCRIPTION) {
+  const failures = [];
+  const missing = [];
+
+  PRESCRIPTION_PARAMETERS.forEach(({ id, label, unit }) => {
+    const range = prescription[id];
+    if (!range || (range.min == null && range.max == null)) return;
+
+    const value = hour[id];
+    if (value === null || value === undefined) {
+      missing.push(id);
+      return;
+    }
+
+    if (range.min != null && value < range.min) {
+      failures.push({
+        parameter: id,
+        value,
+        limit: range.min,
+        reason: 'below',
+        message: `${label} ${withUnit(value, unit)} is below the prescription minimum of ${range.min}`
+      });
+    } else if (range.max != null && value > range.max) {
+      failures.push({
+        parameter: id,
+        value,
+        limit: range.max,
+        reason: 'above',
+        message: `${label} ${withUnit(value, unit)} is above the prescription maximum of ${range.max}`
+      });
+    }
+  });
+
+  const allowed = prescription.windDirections;
+  if (allowed && allowed.length > 0 && allowed.length < COMPASS_SECTORS.length) {
+    const sector = directionToSector(hour.windDirection);
+    if (sector === null) {
+      missing.push('windDirection');
+    } else if (!allowed.includes(sector)) {
+      failures.push({
+        parameter: 'windDirection',
+        value: sector,
+        limit: allowed,
+        reason: 'sector',
+        message: `Wind from ${sector} is outside the allowed sectors (${allowed.join(', ')})`
+      });
+    }
+  }
+
+  const ventilation = hourVentilation(hour);
+
+  return {
+    time: hour.time,
+    inPrescription: failures.length === 0,
+    failures,
+    missing,
+    ventilation,
+    poorVentilation: Boolean(ventilation?.poor),
+    values: {
+      temperature: hour.temperature,
+      humidity: hour.humidity,
+      windSpeed: hour.windSpeed,
+      windDirection: hour.windDirection,
+      windSector: directionToSector(hour.windDirection),
+      fuelMoisture: hour.fuelMoisture,
+      mixingHeight: hour.mixingHeight ?? null,
+      transportWindSpeed: hour.transportWindSpeed ?? null
+    }
+  };
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Evaluate a weather time series against a prescription hour by hour
+ * @param {Array} records - weather_data rows, sensor readings or forecast rows
+ * @param {Object} prescription - Prescription limits
+ * @param {Object} options - { temperatureUnit: 'F' | 'C' } for the raw records
+ * @returns {Object} { hours, windows, failureCounts, summary }
+ * Windows and the summary count poor-ventilation hours; they do not split windows.
+ */
+export function evaluatePrescription(records, prescription = DEFAULT_PRESCRIPTION, options = {}) {
+  const hourly = groupByHour((records || []).map(r => normalizeWeatherRecord(r, options)));
+  const hours = hourly.map(hour => evaluateHour(hour, prescription));
+
+  // Consecutive in-prescription hours form a burn window
+  const windows = [];
+  hours.forEach(hour => {
+    if (!hour.inPrescription) return;
+    const start = new Date(hour.time).getTime();
+    const last = windows[windows.length - 1];
+    if (last && new Date(last.end).getTime() === start) {
+      last.end = new Date(start + HOUR_MS).toISOString();
+      last.hours += 1;
+      if (hour.poorVentilation) last.poorVentilationHours += 1;
+    } else {
+      windows.push({
+        start: hour.time,
+        end: new Date(start + HOUR_MS).toISOString(),
+        hours: 1,
+        poorVentilationHours: hour.poorVentilation ? 1 : 0
+      });
+    }
+  });
+
+  const failureCounts = {};
+  hours.forEach(hour => hour.failures.forEach(f => {
+    failureCounts[f.parameter] = (failureCounts[f.parameter] || 0) + 1;
+  }));
+
+  const inPrescriptionHours = hours.filter(h => h.inPrescription).length;
+
+  return {
+    hours,
+    windows,
+    failureCounts,
+    summary: {
+      totalHours: hours.length,
+      inPrescriptionHours,
+      percentInPrescription: hours.length ? Math.round((inPrescriptionHours / hours.length) * 100) : 0,
+      longestWindowHours: windows.reduce((max, w) => Math.max(max, w.hours), 0),
+      poorVentilationHours: hours.filter(h => h.poorVentilation).length,
+      ventilationHours: hours.filter(h => h.ventilation).length
+    }
+  };
+}
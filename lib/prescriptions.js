@@ -0,0 +1,149 @@
+import { supabaseAdmin, isSupabaseConfigured } from './supabase';
+import { getBurnUnit } from './burn-units';
+import { distanceKm } from './geo';
+import { DEFAULT_PRESCRIPTION, evaluatePrescription } from './prescription-window';
+
+/**
+ * Burn unit prescriptions (fire_data.prescription) and the weather series they
+ * are evaluated against (weather_data)
+ */
+
+/**
+ * Get the prescription for a burn unit, falling back to the default limits
+ * @param {number} fireDataId - fire_data id
+ * @returns {Promise<Object>} { prescription, isDefault, unit }
+ */
+export async function getPrescription(fireDataId) {
+  const unit = fireDataId ? await getBurnUnit(fireDataId) : null;
+
+  if (unit?.prescription) {
+    return { prescription: { ...DEFAULT_PRESCRIPTION, ...unit.prescription }, isDefault: false, unit };
+  }
+
+  return { prescription: DEFAULT_PRESCRIPTION, isDefault: true, unit };
+}
+
+/**
+ * Save the prescription for a burn unit
+ * @param {number} fireDataId - fire_data id
+ * @param {Object} prescription - Validated PrescriptionSchema data
+ * @returns {Promise<Object>} Saved prescription
+ */
+export async function savePrescription(fireDataId, prescription) {
+  if (!isSupabaseConfigured()) {
+    throw new Error('Supabase is not configured; prescriptions cannot be stored');
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('fire_data')
+    .update({ prescription, updated_at: new Date().toISOString() })
+    .eq('id', fireDataId)
+    .select('prescription')
+    .single();
+
+  if (error) throw new Error(`Failed to save prescription: ${error.message}`);
+
+  return data.prescription;
+}
+
+/**
+ * Load a weather series from weather_data, oldest reading first
+ * With no station name, the station nearest the burn unit is used. The station
+ * is chosen before the query so the limit applies to that station's rows only,
+ * and the most recent rows within the limit are kept.
+ * @param {Object} options - Query options
+ * @param {string} [options.locationName] - weather_data station name
+ * @param {Object} [options.unit] - Burn unit with latitude/longitude
+ * @param {string} [options.start] - ISO start time (inclusive)
+ * @param {string} [options.end] - ISO end time (inclusive)
+ * @param {number} [options.limit] - Maximum rows
+ * @returns {Promise<Object>} { records, station }
+ */
+export async function getWeatherSeries(options = {}) {
+  const { locationName = null, unit = null, start = null, end = null, limit = 500 } = options;
+
+  if (!isSupabaseConfigured()) return { records: [], station: null };
+
+  const station = locationName || (await findWeatherStation(unit))?.name;
+  if (!station) return { records: [], station: null };
+
+  let query = supabaseAdmin
+    .from('weather_data')
+    .select('location_name, datetime, temperature, humidity, wind_speed, wind_direction, mixing_height, transport_wind_speed, ventilation_index, latitude, longitude')
+    .eq('location_name', station)
+    .order('datetime', { ascending: false })
+    .limit(Math.min(limit, 5000));
+
+  if (start) query = query.gte('datetime', start);
+  if (end) query = query.lte('datetime', end);
+
+  const { data, error } = await query;
+
+  if (error) throw new Error(`Failed to load weather data: ${error.message}`);
+
+  return { records: (data || []).reverse(), station };
+}
+
+/**
+ * Find the weather_data station for a burn unit: the one closest to it, else
+ * the one with the most readings
+ * @param {Object} [unit] - Burn unit with latitude/longitude
+ * @returns {Promise<Object|null>} { name, latitude, longitude, count, distanceKm? }, null with no stations
+ */
+export async function findWeatherStation(unit = null) {
+  if (!isSupabaseConfigured()) return null;
+
+  const { data, error } = await supabaseAdmin.rpc('weather_stations');
+
+  if (error) throw new Error(`Failed to list weather stations: ${error.message}`);
+
+  return pickStation((data || []).map(s => ({
+    name: s.location_name,
+    latitude: s.latitude,
+    longitude: s.longitude,
+    count: Number(s.readings)
+  })), unit);
+}
+
+function pickStation(candidates, unit) {
+  if (candidates.length === 0) return null;
+
+  const hasUnitLocation = unit?.latitude != null && unit?.longitude != null;
+  if (!hasUnitLocation) return [...candidates].sort((a, b) => b.count - a.count)[0];
+
+  return candidates
+    .filter(s => s.latitude != null && s.longitude != null)
+    .map(s => ({ ...s, distanceKm: distanceKm(unit.latitude, unit.longitude, s.latitude, s.longitude) }))
+    .sort((a, b) => a.distanceKm - b.distanceKm)[0] || candidates[0];
+}
+
+/**
+ * Evaluate a burn unit's prescription against weather_data or a supplied forecast
+ * @param {Object} options - { fireDataId, prescription, forecast, temperatureUnit, locationName, start, end }
+ * @returns {Promise<Object>} Evaluation with the prescription, data source and station used
+ */
+export async function evaluateUnitPrescription(options = {}) {
+  const { fireDataId = null, forecast = null, temperatureUnit = 'F', locationName = null, start = null, end = null } = options;
+
+  const stored = await getPrescription(fireDataId);
+  const prescription = options.prescription || stored.prescription;
+
+  let records = forecast;
+  let station = null;
+  let source = 'forecast';
+
+  if (!forecast) {
+    const series = await getWeatherSeries({ locationName, unit: stored.unit, start, end });
+    records = series.records;
+    station = series.station;
+    source = 'weather_data';
+  }
+
+  return {
+    ...evaluatePrescription(records, prescription, { temperatureUnit }),
+    prescription,
+    isDefaultPrescription: !options.prescription && stored.isDefault,
+    source,
+    station
+  };
+}
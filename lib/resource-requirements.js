@@ -0,0 +1,163 @@
+import { z } from 'zod';
+
+/**
+ * Holding and ignition resource requirements for a burn unit
+ * Planning rules of thumb: holders and engines per length of control line by
+ * flame length band, igniters by firing method and the time allowed to fire the
+ * unit, and tenders to supply the engines. Inputs are the unit perimeter (ft),
+ * predicted flame length (ft) and spread rate (ch/h).
+ * Pure module: used by the resources API and the planning page alike.
+ */
+
+// Control line each holder and each engine can cover, by flame length (FLAME_LENGTH_INTERPRETATIONS bands)
+export const HOLDING_COVERAGE = [
+  { maxFlameLength: 4, level: 'low', holderFt: 1320, engineFt: 5280 },
+  { maxFlameLength: 8, level: 'moderate', holderFt: 660, engineFt: 2640 },
+  { maxFlameLength: 11, level: 'high', holderFt: 330, engineFt: 1320 },
+  { maxFlameLength: Infinity, level: 'extreme', holderFt: 165, engineFt: 660 }
+];
+
+// Faster spread means more line to catch slopovers along
+export const SPREAD_FACTORS = [
+  { maxRateOfSpread: 10, factor: 1 },
+  { maxRateOfSpread: 30, factor: 1.25 },
+  { maxRateOfSpread: Infinity, factor: 1.5 }
+];
+
+export const HOLDING_DIFFICULTIES = [
+  { id: 'low', label: 'Low — strong natural or constructed barriers', factor: 0.75 },
+  { id: 'moderate', label: 'Moderate — typical line, some receptive fuels outside', factor: 1 },
+  { id: 'high', label: 'High — weak line, receptive fuels or values at risk outside', factor: 1.5 }
+];
+
+// Line each igniter fires per hour, and the smallest firing team for the method
+export const FIRING_METHODS = [
+  { id: 'drip-torch', label: 'Hand (drip torch)', ftPerHour: 1500, minIgniters: 2 },
+  { id: 'atv', label: 'ATV/UTV torch', ftPerHour: 5000, minIgniters: 1 },
+  { id: 'aerial', label: 'Aerial (PSD or helitorch)', ftPerHour: 20000, minIgniters: 1 }
+];
+
+export const ENGINE_CREW = 3;
+export const ENGINES_PER_TENDER = 3;
+
+const FT_PER_ACRE = 43560;
+
+export const ResourceRequirementInputSchema = z.object({
+  fireDataId: z.number().int().positive().nullable().optional(),
+  perimeterFt: z.number().positive().nullable().optional(),
+  acres: z.number().positive().nullable().optional(),
+  flameLength: z.number().min(0).max(100),
+  rateOfSpread: z.number().min(0).max(1000),
+  firingMethod: z.enum(FIRING_METHODS.map(m => m.id)).default('drip-torch'),
+  holdingDifficulty: z.enum(HOLDING_DIFFICULTIES.map(d => d.id)).default('moderate'),
+  firingHours: z.number().positive().max(24).default(6)
+});
+
+/**
+ * Perimeter from acreage for a unit without a mapped boundary, taking the unit as a square
+ * @param {number} acres
+ * @returns {number} ft
+ */
+export function perimeterFromAcres(acres) {
+  return Math.round(4 * Math.sqrt(acres * FT_PER_ACRE));
+}
+
+/**
+ * Recommend resources by position
+ * @param {Object} input - Validated ResourceRequirementInputSchema data with perimeterFt set
+ * @returns {Object} { positions: [{ id, label, count, personnel, basis }], totals, inputs }
+ */
+export function calculateResourceRequirements(input) {
+  const { perimeterFt, flameLength, rateOfSpread, firingHours = 6 } = input;
+  const coverage = HOLDING_COVERAGE.find(c => flameLength < c.maxFlameLength);
+  const spread = SPREAD_FACTORS.find(s => rateOfSpread < s.maxRateOfSpread);
+  const difficulty = HOLDING_DIFFICULTIES.find(d => d.id === (input.holdingDifficulty || 'moderate'));
+  const method = FIRING_METHODS.find(m => m.id === (input.firingMethod || 'drip-torch'));
+
+  const lineFactor = difficulty.factor * spread.factor;
+  const engines = Math.max(Math.ceil((perimeterFt / coverage.engineFt) * lineFactor), 1);
+  const waterTenders = Math.ceil(engines / ENGINES_PER_TENDER);
+  const holders = Math.ceil((perimeterFt / coverage.holderFt) * lineFactor);
+  const igniters = Math.max(Math.ceil(perimeterFt / (method.ftPerHour * firingHours)), method.minIgniters);
+
+  const positions = [
+    {
+      id: 'engines',
+      label: 'Engines',
+      count: engines,
+      personnel: engines * ENGINE_CREW,
+      basis: `1 per ${Math.round(coverage.engineFt / lineFactor).toLocaleString()} ft of line, ${ENGINE_CREW} crew each`
+    },
+    {
+      id: 'water-tenders',
+      label: 'Water tenders',
+      count: waterTenders,
+      personnel: waterTenders,
+      basis: `1 per ${ENGINES_PER_TENDER} engines`
+    },
+    {
+      id: 'igniters',
+      label: 'Igniters',
+      count: igniters,
+      personnel: igniters,
+      basis: `${method.label} at ${method.ftPerHour.toLocaleString()} ft/h each over ${firingHours} h`
+    },
+    {
+      id: 'holding',
+      label: 'Holding crew',
+      count: holders,
+      personnel: holders,
+      basis: `1 per ${Math.round(coverage.holderFt / lineFactor).toLocaleString()} ft of line (${coverage.level} flame length, ${difficulty.id} holding difficulty)`
+    },
+    { id: 'burn-boss', label: 'Burn boss', count: 1, personnel: 1, basis: 'Every burn' }
+  ];
+
+  // Supervisors once a group outgrows the burn boss's span of control
+  if (igniters >= 3) positions.push({ id: 'firing-boss', label: 'Firing boss', count: 1, personnel: 1, basis: '3 or more igniters' });
+  if (holders + engines >= 6) positions.push({ id: 'holding-boss', label: 'Holding boss', count: 1, personnel: 1, basis: '6 or more holding resources' });
+  if (coverage.level !== 'low' || difficulty.id === 'high') {
+    positions.push({ id: 'lookout', label: 'Lookout', count: 1, personnel: 1, basis: 'Flame length of 4 ft or more, or high holding difficulty' });
+  }
+
+  return {
+    positions,
+    totals: {
+      personnel: positions.reduce((sum, p) => sum + p.personnel, 0),
+      engines,
+      waterTenders
+    },
+    inputs: {
+      perimeterFt: Math.round(perimeterFt),
+      flameLength,
+      rateOfSpread,
+      firingMethod: method.id,
+      holdingDifficulty: difficulty.id,
+      firingHours
+    }
+  };
+}
+
+/**
+ * Compare the required personnel with the crew size recorded for the unit
+ * @param {Object} requirements - calculateResourceRequirements output
+ * @param {number|null} crewSize - fire_data.crew_size
+ * @returns {Object} { crewSize, required, shortfall, adequate, message }
+ */
+export function checkCrewSize(requirements, crewSize) {
+  const required = requirements.totals.personnel;
+
+  if (crewSize === null || crewSize === undefined) {
+    return { crewSize: null, required, shortfall: null, adequate: null, message: `No crew size is recorded for the unit; ${required} personnel are recommended` };
+  }
+
+  const shortfall = Math.max(required - crewSize, 0);
+  return {
+    crewSize,
+    required,
+    shortfall,
+    adequate: shortfall === 0,
+    message: shortfall === 0
+      ? `Recorded crew of ${crewSize} covers the ${required} personnel recommended`
+      : `Recorded crew of ${crewSize} is ${shortfall} short of the ${required} personnel recommended`
+  };
+}
@@ -0,0 +1,236 @@
+import { z } from 'zod';
+import { supabaseAdmin, isSupabaseConfigured } from './supabase';
+import { assessRisk, RiskInputSchema } from './risk-engine';
+import { getRuleSet, getRuleSetForUnit } from './risk-rule-sets';
+
+/**
+ * Saved risk assessments (risk_assessments table)
+ * Scores are always recomputed on the server so the stored result matches the
+ * rule set version recorded with it. The history is append-only: assessor name
+ * and notes can be corrected, but assessments are never deleted.
+ */
+
+// Risk engine input -> risk_assessments column
+export const ASSESSMENT_FIELDS = [
+  { input: 'fuelType', column: 'fuel_type', label: 'Fuel Type' },
+  { input: 'fuelModel', column: 'fuel_model', label: 'Fuel Model' },
+  { input: 'fuelMoisture', column: 'fuel_moisture', label: 'Fuel Moisture (%)' },
+  { input: 'slope', column: 'slope_percentage', label: 'Slope (%)' },
+  { input: 'windSpeed', column: 'wind_speed', label: 'Wind Speed (mph)' },
+  { input: 'temperature', column: 'temperature', label: 'Temperature (°F)' },
+  { input: 'humidity', column: 'humidity', label: 'Relative Humidity (%)' },
+  { input: 'infrastructureDistance', column: 'infrastructure_distance', label: 'Distance to Infrastructure (ft)' },
+  { input: 'crewExperience', column: 'crew_experience', label: 'Crew Experience' },
+  { input: 'weatherStability', column: 'weather_stability', label: 'Weather Stability' },
+  { input: 'seasonalTiming', column: 'seasonal_timing', label: 'Seasonal Timing' }
+];
+
+export const AssessmentInputSchema = z.object({
+  fireDataId: z.number().int().positive(),
+  inputs: RiskInputSchema,
+  ruleSet: z.string().optional(),
+  ruleSetVersion: z.number().int().positive().optional(),
+  assessmentDate: z.string().optional(),
+  assessorName: z.string().optional().nullable(),
+  locationName: z.string().optional().nullable(),
+  notes: z.string().optional().nullable()
+});
+
+export const AssessmentUpdateSchema = z.object({
+  assessorName: z.string().optional().nullable(),
+  notes: z.string().optional().nullable()
+});
+
+function requireSupabase() {
+  if (!isSupabaseConfigured()) {
+    throw new Error('Supabase is not configured; risk assessments cannot be stored');
+  }
+}
+
+/**
+ * Rebuild risk engine inputs from a stored row
+ * @param {Object} row - risk_assessments row
+ * @returns {Object} Risk engine inputs
+ */
+export function rowToInputs(row) {
+  const inputs = {};
+  ASSESSMENT_FIELDS.forEach(({ input, column }) => {
+    const value = row[column];
+    // DECIMAL columns can come back as strings
+    inputs[input] = typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))
+      ? Number(value)
+      : value;
+  });
+  return inputs;
+}
+
+/**
+ * Score and save a risk assessment for a burn unit
+ * @param {Object} input - Validated AssessmentInputSchema data
+ * @returns {Promise<Object|null>} Inserted row, or null when the rule set does not exist
+ */
+export async function createAssessment(input) {
+  requireSupabase();
+
+  const ruleSet = input.ruleSet
+    ? await getRuleSet(input.ruleSet, input.ruleSetVersion || null)
+    : await getRuleSetForUnit(input.fireDataId);
+
+  if (!ruleSet) return null;
+
+  const result = assessRisk(input.inputs, ruleSet.rules);
+
+  const row = {
+    fire_data_id: input.fireDataId,
+    assessment_date: input.assessmentDate || new Date().toISOString(),
+    overall_risk_score: result.score,
+    risk_level: result.level,
+    recommendations: result.recommendations,
+    factors: result.factors,
+    rule_set_key: ruleSet.key,
+    rule_set_version: ruleSet.version,
+    assessor_name: input.assessorName || null,
+    location_name: input.locationName || null,
+    notes: input.notes || null
+  };
+
+  ASSESSMENT_FIELDS.forEach(({ input: field, column }) => {
+    const value = input.inputs[field];
+    row[column] = value === undefined || value === '' ? null : value;
+  });
+
+  const { data, error } = await supabaseAdmin
+    .from('risk_assessments')
+    .insert(row)
+    .select()
+    .single();
+
+  if (error) throw new Error(`Failed to save risk assessment: ${error.message}`);
+
+  return data;
+}
+
+/**
+ * List saved assessments for a burn unit, newest first
+ * @param {number} fireDataId - fire_data id
+ * @param {Object} options - Query options
+ * @returns {Promise<Array>} Assessment rows
+ */
+export async function listAssessments(fireDataId, options = {}) {
+  const { limit = 50 } = options;
+
+  if (!isSupabaseConfigured()) return [];
+
+  const { data, error } = await supabaseAdmin
+    .from('risk_assessments')
+    .select('*')
+    .eq('fire_data_id', fireDataId)
+    .order('assessment_date', { ascending: false })
+    .limit(Math.min(limit, 500));
+
+  if (error) throw new Error(`Failed to load risk assessments: ${error.message}`);
+
+  return data || [];
+}
+
+/**
+ * Get a saved assessment
+ * @param {number} id - risk_assessments id
+ * @returns {Promise<Object|null>} Row or null when not found
+ */
+export async function getAssessment(id) {
+  if (!isSupabaseConfigured()) return null;
+
+  const { data, error } = await supabaseAdmin
+    .from('risk_assessments')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to load risk assessment: ${error.message}`);
+
+  return data;
+}
+
+/**
+ * Get the most recent assessment for a burn unit
+ * @param {number} fireDataId - fire_data id
+ * @returns {Promise<Object|null>} Latest row or null
+ */
+export async function getLatestAssessment(fireDataId) {
+  const rows = await listAssessments(fireDataId, { limit: 1 });
+  return rows[0] || null;
+}
+
+/**
+ * Update assessment metadata. Scores and inputs are never edited in place;
+ * save a new assessment instead so the audit trail stays intact.
+ * @param {number} id - risk_assessments id
+ * @param {Object} updates - Validated AssessmentUpdateSchema data
+ * @returns {Promise<Object|null>} Updated row, or null when the assessment does not exist
+ */
+export async function updateAssessment(id, updates) {
+  requireSupabase();
+
+  const changes = {};
+  if (updates.assessorName !== undefined) changes.assessor_name = updates.assessorName;
+  if (updates.notes !== undefined) changes.notes = updates.notes;
+
+  const { data, error } = await supabaseAdmin
+    .from('risk_assessments')
+    .update(changes)
+    .eq('id', id)
+    .select()
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to update risk assessment: ${error.message}`);
+
+  return data;
+}
+
+/**
+ * Compare two saved assessments
+ * @param {Object} before - Older risk_assessments row
+ * @param {Object} after - Newer risk_assessments row
+ * @returns {Object} Changed inputs, recommendation changes and score delta
+ */
+export function diffAssessments(before, after) {
+  const beforeInputs = rowToInputs(before);
+  const afterInputs = rowToInputs(after);
+
+  const inputs = ASSESSMENT_FIELDS.map(({ input, label }) => ({
+    field: input,
+    label,
+    before: beforeInputs[input] ?? null,
+    after: afterInputs[input] ?? null,
+    changed: (beforeInputs[input] ?? null) !== (afterInputs[input] ?? null)
+  }));
+
+  const beforeRecs = before.recommendations || [];
+  const afterRecs = after.recommendations || [];
+
+  const beforeScore = Number(before.overall_risk_score) || 0;
+  const afterScore = Number(after.overall_risk_score) || 0;
+
+  return {
+    before: { id: before.id, date: before.assessment_date, ruleSetKey: before.rule_set_key, ruleSetVersion: before.rule_set_version },
+    after: { id: after.id, date: after.assessment_date, ruleSetKey: after.rule_set_key, ruleSetVersion: after.rule_set_version },
+    score: {
+      before: beforeScore,
+      after: afterScore,
+      delta: Math.round((afterScore - beforeScore) * 10) / 10
+    },
+    level: {
+      before: before.risk_level,
+      after: after.risk_level,
+      changed: before.risk_level !== after.risk_level
+    },
+    ruleSetChanged: before.rule_set_key !== after.rule_set_key || before.rule_set_version !== after.rule_set_version,
+    inputs,
+    recommendations: {
+      added: afterRecs.filter(r => !beforeRecs.includes(r)),
+      removed: beforeRecs.filter(r => !afterRecs.includes(r)),
+      unchanged: afterRecs.filter(r => beforeRecs.includes(r))
+    }
+  };
+}
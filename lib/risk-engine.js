@@ -0,0 +1,302 @@
+/**
+ * Prescribed fire risk scoring engine
+ * Single source of truth for risk scores used by the planning pages and API routes.
+ *
+ * All inputs use field units: °F, mph, percent and feet.
+ */
+
+import { z } from 'zod';
+
+// Ecosystem names used on the fire planning page mapped to a fuel type
+export const ECOSYSTEM_FUEL_TYPES = {
+  'Oak Woodland': 'oak',
+  'Chaparral': 'brush',
+  'Grassland': 'grass',
+  'Pine Forest': 'pine',
+  'Mixed Conifer': 'mixed',
+  'Riparian': 'oak',
+  'Coastal Sage': 'brush'
+};
+
+/**
+ * Built-in scoring rules, used when no agency rule set is selected.
+ * Factor bands are evaluated top to bottom and the first band whose condition
+ * matches the input contributes its points. Levels are checked in order and the
+ * last level (without a threshold) is the fallback.
+ */
+export const DEFAULT_RISK_RULES = {
+  maxScore: 12,
+  // Dominant fuel types and the base risk each one contributes
+  fuelTypes: [
+    { value: 'grass', label: 'Grassland', baseRisk: 1 },
+    { value: 'brush', label: 'Brush/Chaparral', baseRisk: 2 },
+    { value: 'oak', label: 'Oak Woodland', baseRisk: 1.5 },
+    { value: 'pine', label: 'Pine Forest', baseRisk: 2.5 },
+    { value: 'mixed', label: 'Mixed Conifer', baseRisk: 3 },
+    { value: 'dead', label: 'Heavy Dead/Down', baseRisk: 4 }
+  ],
+  levels: [
+    { level: 'Very High', above: 8, summary: 'STOP: Conditions not suitable for prescribed burning. Postpone operation.' },
+    { level: 'High', above: 6, summary: 'Proceed with extreme caution. Consider additional resources and contingencies.' },
+    { level: 'Moderate', above: 4, summary: 'Acceptable conditions with proper precautions and monitoring.' },
+    { level: 'Moderate-Low', above: 2, summary: 'Favorable conditions for prescribed burning operations.' },
+    { level: 'Low', summary: 'Favorable conditions for prescribed burning operations.' }
+  ],
+  factors: [
+    {
+      id: 'fuelMoisture',
+      label: 'Fuel Moisture (1-hr)',
+      unit: '%',
+      bands: [
+        { lt: 8, points: 3, severity: 'critical', message: 'Critical: Fuel moisture below safe threshold (8%). Consider postponing burn.' },
+        { lt: 12, points: 2, severity: 'caution', message: 'Caution: Low fuel moisture. Increase crew readiness and water resources.' },
+        { gt: 20, points: -1, severity: 'favorable', message: 'Good: High fuel moisture provides safety buffer.' }
+      ]
+    },
+    {
+      id: 'slope',
+      label: 'Slope',
+      unit: '%',
+      bands: [
+        { gt: 30, points: 2, severity: 'caution', message: 'High slope (>30%) increases fire spread rate. Use indirect attack methods.' },
+        { gt: 15, points: 1, severity: 'advisory', message: 'Moderate slope requires careful ignition pattern planning.' }
+      ]
+    },
+    {
+      id: 'windSpeed',
+      label: 'Wind Speed',
+      unit: 'mph',
+      bands: [
+        { gt: 15, points: 3, severity: 'critical', message: 'High winds (>15 mph) pose significant risk. Consider postponing.' },
+        { gt: 10, points: 1, severity: 'advisory', message: 'Moderate winds require close monitoring and downwind crew positioning.' },
+        { lt: 3, points: 1, severity: 'advisory', message: 'Light winds may cause poor smoke dispersal. Monitor for inversions.' }
+      ]
+    },
+    {
+      id: 'temperature',
+      label: 'Temperature',
+      unit: '°F',
+      bands: [
+        { gt: 85, points: 2, severity: 'caution', message: 'High temperature increases fire behavior intensity.' },
+        { lt: 45, points: 1, severity: 'advisory', message: 'Low temperature may affect ignition success and crew comfort.' }
+      ]
+    },
+    {
+      id: 'humidity',
+      label: 'Relative Humidity',
+      unit: '%',
+      bands: [
+        { lt: 25, points: 2, severity: 'caution', message: 'Low humidity (<25%) increases fire intensity and ember production.' },
+        { gt: 50, points: -1, severity: 'favorable', message: 'High humidity provides favorable burning conditions.' }
+      ]
+    },
+    {
+      id: 'infrastructureDistance',
+      label: 'Distance to Infrastructure',
+      unit: 'ft',
+      bands: [
+        { lt: 100, points: 3, severity: 'critical', message: 'Critical: Infrastructure within 100 feet. Requires extensive protection measures.' },
+        { lt: 300, points: 2, severity: 'caution', message: 'Infrastructure proximity requires additional safety precautions.' }
+      ]
+    },
+    {
+      id: 'crewExperience',
+      label: 'Crew Experience',
+      unit: '',
+      bands: [
+        { equals: 'novice', points: 2, severity: 'caution', message: 'Novice crew requires experienced supervision and simplified burn plan.' },
+        { equals: 'mixed', points: 1, severity: 'advisory', message: 'Mixed experience crew - ensure proper task assignment and supervision.' }
+      ]
+    },
+    {
+      id: 'weatherStability',
+      label: 'Weather Stability',
+      unit: '',
+      bands: [
+        { equals: 'unstable', points: 2, severity: 'caution', message: 'Unstable weather conditions increase unpredictability. Monitor closely.' }
+      ]
+    },
+    {
+      id: 'seasonalTiming',
+      label: 'Seasonal Timing',
+      unit: '',
+      bands: [
+        { equals: 'marginal', points: 1, severity: 'advisory', message: 'Marginal seasonal timing - verify ecological windows are appropriate.' },
+        { equals: 'poor', points: 2, severity: 'caution', message: 'Poor seasonal timing may compromise burn objectives or safety.' }
+      ]
+    }
+  ]
+};
+
+const optionalNumber = (min, max) => z.number().min(min).max(max).nullable().optional();
+const optionalText = z.string().nullable().optional();
+
+/**
+ * Assessment inputs accepted by assessRisk
+ * Any input may be left out; other keys are kept for factors an agency rule set adds.
+ */
+export const RiskInputSchema = z.object({
+  fuelType: optionalText,
+  fuelModel: optionalText,
+  fuelMoisture: optionalNumber(0, 100),
+  slope: optionalNumber(0, 1000),
+  windSpeed: optionalNumber(0, 200),
+  temperature: optionalNumber(-60, 150),
+  humidity: optionalNumber(0, 100),
+  infrastructureDistance: z.number().min(0).nullable().optional(),
+  crewExperience: optionalText,
+  weatherStability: optionalText,
+  seasonalTiming: optionalText
+}).catchall(z.union([z.number(), z.string()]).nullable());
+
+/**
+ * Convert a Celsius reading (sensor data) to Fahrenheit
+ * @param {number} celsius - Temperature in °C
+ * @returns {number} Temperature in °F
+ */
+export function celsiusToFahrenheit(celsius) {
+  return celsius * 9 / 5 + 32;
+}
+
+/**
+ * Check whether a rule band applies to an input value
+ * @param {Object} band - Rule band with one of lt, gt or equals
+ * @param {*} value - Input value
+ * @returns {boolean} True when the band matches
+ */
+function bandMatches(band, value) {
+  if (band.equals !== undefined) return value === band.equals;
+  const num = Number(value);
+  if (band.lt !== undefined && !(num < band.lt)) return false;
+  if (band.gt !== undefined && !(num > band.gt)) return false;
+  return true;
+}
+
+/**
+ * Treat undefined, null, empty strings and NaN as "not provided"
+ */
+function isMissing(value) {
+  return value === undefined || value === null || value === '' ||
+    (typeof value === 'number' && isNaN(value));
+}
+
+/**
+ * Score a single factor against its rule bands
+ * @param {Object} factor - Factor definition from the rules
+ * @param {*} value - Input value for the factor
+ * @returns {Object} Factor breakdown entry
+ */
+function scoreFactor(factor, value) {
+  const entry = {
+    id: factor.id,
+    label: factor.label,
+    unit: factor.unit,
+    value: isMissing(value) ? null : value,
+    points: 0,
+    severity: 'none',
+    message: null,
+    assessed: !isMissing(value)
+  };
+
+  if (!entry.assessed) return entry;
+
+  const band = factor.bands.find(b => bandMatches(b, value));
+  if (band) {
+    entry.points = band.points;
+    entry.severity = band.severity;
+    entry.message = band.message;
+  }
+
+  return entry;
+}
+
+/**
+ * Highest score the assessed factors of an assessment can reach
+ * A partial input set (e.g. sensor temperature and RH only) can never reach the
+ * full-scale levels, so its score is rated against this instead.
+ * @param {Object} assessment - assessRisk output
+ * @param {Object} rules - Rules body the assessment was scored with
+ * @returns {number} Sum of the worst band of each assessed factor
+ */
+export function attainableScore(assessment, rules = DEFAULT_RISK_RULES) {
+  return assessment.factors
+    .filter(f => f.assessed)
+    .reduce((sum, f) => {
+      if (f.id === 'fuelType') return sum + f.points;
+      const factor = rules.factors.find(r => r.id === f.id);
+      return sum + Math.max(0, ...(factor?.bands || []).map(b => b.points));
+    }, 0);
+}
+
+/**
+ * Determine the risk level for a score
+ * @param {number} score - Total risk score
+ * @param {Object} rules - Rule set with ordered levels
+ * @returns {Object} Matching level definition
+ */
+export function getRiskLevel(score, rules = DEFAULT_RISK_RULES) {
+  return rules.levels.find(l => l.above === undefined || l.above === null || score > l.above) ||
+    rules.levels[rules.levels.length - 1];
+}
+
+/**
+ * Get the display color for a risk level
+ * @param {string} level - Risk level name
+ * @returns {string} Color name (green, yellow, orange, red or gray)
+ */
+export function getRiskColor(level) {
+  switch (level) {
+    case 'Low': return 'green';
+    case 'Moderate-Low': return 'green';
+    case 'Moderate': return 'yellow';
+    case 'High': return 'orange';
+    case 'Very High': return 'red';
+    default: return 'gray';
+  }
+}
+
+/**
+ * Assess prescribed fire risk for a set of site, weather and operational inputs
+ * @param {Object} inputs - Assessment inputs (fuelType, fuelMoisture, slope, windSpeed,
+ *   temperature, humidity, infrastructureDistance, crewExperience, weatherStability, seasonalTiming)
+ * @param {Object} rules - Rules body of the selected rule set
+ * @returns {Object} Score, level, per-factor breakdown and recommendations
+ */
+export function assessRisk(inputs = {}, rules = DEFAULT_RISK_RULES) {
+  const factors = [];
+
+  // Base fuel type risk
+  const fuelType = (rules.fuelTypes || []).find(f => f.value === inputs.fuelType);
+  factors.push({
+    id: 'fuelType',
+    label: 'Fuel Type',
+    unit: '',
+    value: fuelType ? fuelType.label : null,
+    points: fuelType ? fuelType.baseRisk : 0,
+    severity: fuelType ? 'base' : 'none',
+    message: null,
+    assessed: Boolean(fuelType)
+  });
+
+  rules.factors.forEach(factor => {
+    factors.push(scoreFactor(factor, inputs[factor.id]));
+  });
+
+  const score = factors.reduce((sum, f) => sum + f.points, 0);
+  const level = getRiskLevel(score, rules);
+
+  const recommendations = [
+    level.summary,
+    ...factors.filter(f => f.message).map(f => f.message)
+  ];
+
+  return {
+    score: Math.round(score * 10) / 10,
+    maxScore: rules.maxScore,
+    level: level.level,
+    color: level.color || getRiskColor(level.level),
+    factors,
+    missing: factors.filter(f => !f.assessed).map(f => f.id),
+    recommendations
+  };
+}
@@ -0,0 +1,243 @@
+import { z } from 'zod';
+import { supabaseAdmin, isSupabaseConfigured } from './supabase';
+import { DEFAULT_RISK_RULES } from './risk-engine';
+
+/**
+ * Versioned, agency-configurable rule sets for the risk engine
+ * Rule sets are stored in risk_rule_sets; every save creates a new version.
+ */
+
+// Built-in rule set, always available even without a database
+export const DEFAULT_RULE_SET = {
+  id: null,
+  key: 'default',
+  name: 'Default Prescription Limits',
+  agency: null,
+  version: 1,
+  rules: DEFAULT_RISK_RULES,
+  notes: 'Built-in thresholds',
+  created_by: null,
+  created_at: null
+};
+
+const BandSchema = z.object({
+  lt: z.number().optional(),
+  gt: z.number().optional(),
+  equals: z.string().optional(),
+  points: z.number(),
+  severity: z.enum(['critical', 'caution', 'advisory', 'favorable']),
+  message: z.string().min(1)
+}).refine(band => band.lt !== undefined || band.gt !== undefined || band.equals !== undefined, {
+  message: 'Each band needs an lt, gt or equals condition'
+});
+
+// Schema for the rules body stored in risk_rule_sets.rules
+export const RiskRulesSchema = z.object({
+  maxScore: z.number().positive(),
+  fuelTypes: z.array(z.object({
+    value: z.string().min(1),
+    label: z.string().min(1),
+    baseRisk: z.number()
+  })).min(1),
+  levels: z.array(z.object({
+    level: z.string().min(1),
+    above: z.number().nullable().optional(),
+    summary: z.string().min(1),
+    color: z.string().optional()
+  })).min(1),
+  factors: z.array(z.object({
+    id: z.string().min(1),
+    label: z.string().min(1),
+    unit: z.string().optional().default(''),
+    bands: z.array(BandSchema)
+  }))
+});
+
+// Schema for saving a new rule set version
+export const RuleSetAssignmentSchema = z.object({
+  fireDataId: z.number().int().positive(),
+  key: z.string().min(1)
+});
+
+export const RuleSetInputSchema = z.object({
+  key: z.string().regex(/^[a-z0-9-]+$/, 'Key must be lowercase letters, numbers and dashes'),
+  name: z.string().min(1),
+  agency: z.string().optional().nullable(),
+  rules: RiskRulesSchema,
+  notes: z.string().optional().nullable(),
+  createdBy: z.string().optional().nullable()
+});
+
+/**
+ * List the latest version of every rule set
+ * @returns {Promise<Array>} Rule sets, built-in default first
+ */
+export async function listRuleSets() {
+  if (!isSupabaseConfigured()) return [DEFAULT_RULE_SET];
+
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('risk_rule_sets')
+      .select('*')
+      .order('key', { ascending: true })
+      .order('version', { ascending: false });
+
+    if (error) {
+      console.error('Error listing risk rule sets:', error);
+      return [DEFAULT_RULE_SET];
+    }
+
+    // Rows are ordered newest first per key, so keep the first one seen
+    const latest = new Map();
+    (data || []).forEach(row => {
+      if (!latest.has(row.key)) latest.set(row.key, row);
+    });
+
+    return latest.has('default')
+      ? Array.from(latest.values())
+      : [DEFAULT_RULE_SET, ...latest.values()];
+
+  } catch (error) {
+    console.error('Error in listRuleSets:', error);
+    return [DEFAULT_RULE_SET];
+  }
+}
+
+/**
+ * Get all stored versions of a rule set
+ * @param {string} key - Rule set key
+ * @returns {Promise<Array>} Versions, newest first
+ */
+export async function getRuleSetHistory(key) {
+  if (!isSupabaseConfigured()) return key === 'default' ? [DEFAULT_RULE_SET] : [];
+
+  const { data, error } = await supabaseAdmin
+    .from('risk_rule_sets')
+    .select('*')
+    .eq('key', key)
+    .order('version', { ascending: false });
+
+  if (error) throw new Error(`Failed to load rule set history: ${error.message}`);
+
+  if ((!data || data.length === 0) && key === 'default') return [DEFAULT_RULE_SET];
+  return data || [];
+}
+
+/**
+ * Get a rule set by key, at a specific version or the latest one
+ * @param {string} key - Rule set key (defaults to the built-in set)
+ * @param {number} [version] - Version number; latest when omitted
+ * @returns {Promise<Object|null>} Rule set row or null when not found
+ */
+export async function getRuleSet(key = 'default', version = null) {
+  if (!isSupabaseConfigured()) return key === 'default' ? DEFAULT_RULE_SET : null;
+
+  let query = supabaseAdmin
+    .from('risk_rule_sets')
+    .select('*')
+    .eq('key', key);
+
+  query = version
+    ? query.eq('version', version)
+    : query.order('version', { ascending: false });
+
+  const { data, error } = await query.limit(1);
+
+  if (error) throw new Error(`Failed to load rule set: ${error.message}`);
+
+  if (data && data.length > 0) return data[0];
+  return key === 'default' && (!version || version === DEFAULT_RULE_SET.version)
+    ? DEFAULT_RULE_SET
+    : null;
+}
+
+/**
+ * Resolve the rule set selected for a burn unit
+ * @param {number} fireDataId - fire_data id
+ * @returns {Promise<Object>} Latest version of the unit's rule set, or the default
+ */
+export async function getRuleSetForUnit(fireDataId) {
+  if (!fireDataId || !isSupabaseConfigured()) return DEFAULT_RULE_SET;
+
+  const { data, error } = await supabaseAdmin
+    .from('fire_data')
+    .select('risk_rule_set_key')
+    .eq('id', fireDataId)
+    .single();
+
+  if (error || !data) return DEFAULT_RULE_SET;
+
+  return (await getRuleSet(data.risk_rule_set_key || 'default')) || DEFAULT_RULE_SET;
+}
+
+/**
+ * Save a rule set as a new version
+ * @param {Object} input - Validated RuleSetInputSchema data
+ * @returns {Promise<Object>} The inserted rule set row
+ */
+export async function saveRuleSet(input) {
+  if (!isSupabaseConfigured()) {
+    throw new Error('Supabase is not configured; rule sets cannot be saved');
+  }
+
+  const history = await getRuleSetHistory(input.key);
+  const nextVersion = history.length > 0 ? Math.max(...history.map(r => r.version)) + 1 : 1;
+
+  const { data, error } = await supabaseAdmin
+    .from('risk_rule_sets')
+    .insert({
+      key: input.key,
+      name: input.name,
+      agency: input.agency || null,
+      version: nextVersion,
+      rules: input.rules,
+      notes: input.notes || null,
+      created_by: input.createdBy || null
+    })
+    .select()
+    .single();
+
+  if (error) throw new Error(`Failed to save rule set: ${error.message}`);
+
+  return data;
+}
+
+/**
+ * Select the rule set used to assess a burn unit
+ * @param {number} fireDataId - fire_data id
+ * @param {string} key - Rule set key
+ * @returns {Promise<Object>} { ok, unit } with the updated fire_data row, or
+ *   { ok: false, code, error } when the rule set or the unit does not exist
+ */
+export async function assignRuleSetToUnit(fireDataId, key) {
+  if (!isSupabaseConfigured()) {
+    throw new Error('Supabase is not configured; rule sets cannot be assigned');
+  }
+
+  const ruleSet = await getRuleSet(key);
+  if (!ruleSet) return { ok: false, code: 'rule_set_not_found', error: `Rule set '${key}' not found` };
+
+  const { data, error } = await supabaseAdmin
+    .from('fire_data')
+    .update({ risk_rule_set_key: key, updated_at: new Date().toISOString() })
+    .eq('id', fireDataId)
+    .select('id, burn_unit, risk_rule_set_key')
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to assign rule set: ${error.message}`);
+  if (!data) return { ok: false, code: 'unit_not_found', error: `Burn unit ${fireDataId} not found` };
+
+  return { ok: true, unit: data };
+}
+
+/**
+ * Short description of a rule set for API responses and saved assessments
+ */
+export function summarizeRuleSet(ruleSet) {
+  return {
+    key: ruleSet.key,
+    name: ruleSet.name,
+    agency: ruleSet.agency,
+    version: ruleSet.version
+  };
+}
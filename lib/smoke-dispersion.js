@@ -0,0 +1,220 @@
+import { z } from 'zod';
+import { distanceKm, bearingDegrees, directionToDegrees, offsetKm } from './geo';
+
+/**
+ * Gaussian plume smoke dispersion
+ * Steady-state ground-level concentration downwind of a continuous point
+ * source with total ground reflection, using Briggs (1973) open-country
+ * dispersion coefficients for Pasquill–Gifford stability classes A–F.
+ * Pure module: emission rate g/s, wind mph (converted to m/s), distances km,
+ * concentrations µg/m³.
+ */
+
+export const STABILITY_CLASSES = [
+  { id: 'A', label: 'A — very unstable' },
+  { id: 'B', label: 'B — unstable' },
+  { id: 'C', label: 'C — slightly unstable' },
+  { id: 'D', label: 'D — neutral' },
+  { id: 'E', label: 'E — slightly stable' },
+  { id: 'F', label: 'F — stable' }
+];
+
+// Briggs open-country σy and σz (m) as functions of downwind distance x (m)
+const BRIGGS_RURAL = {
+  A: { sigmaY: x => 0.22 * x / Math.sqrt(1 + 0.0001 * x), sigmaZ: x => 0.20 * x },
+  B: { sigmaY: x => 0.16 * x / Math.sqrt(1 + 0.0001 * x), sigmaZ: x => 0.12 * x },
+  C: { sigmaY: x => 0.11 * x / Math.sqrt(1 + 0.0001 * x), sigmaZ: x => 0.08 * x / Math.sqrt(1 + 0.0002 * x) },
+  D: { sigmaY: x => 0.08 * x / Math.sqrt(1 + 0.0001 * x), sigmaZ: x => 0.06 * x / Math.sqrt(1 + 0.0015 * x) },
+  E: { sigmaY: x => 0.06 * x / Math.sqrt(1 + 0.0001 * x), sigmaZ: x => 0.03 * x / (1 + 0.0003 * x) },
+  F: { sigmaY: x => 0.04 * x / Math.sqrt(1 + 0.0001 * x), sigmaZ: x => 0.016 * x / (1 + 0.0003 * x) }
+};
+
+// Pasquill stability by surface wind (m/s): daytime insolation and night cloud cover
+const PASQUILL_TABLE = [
+  { below: 2, strong: 'A', moderate: 'A', slight: 'B', nightCloudy: 'E', nightClear: 'F' },
+  { below: 3, strong: 'A', moderate: 'B', slight: 'C', nightCloudy: 'E', nightClear: 'F' },
+  { below: 5, strong: 'B', moderate: 'B', slight: 'C', nightCloudy: 'D', nightClear: 'E' },
+  { below: 6, strong: 'C', moderate: 'C', slight: 'D', nightCloudy: 'D', nightClear: 'D' },
+  { below: Infinity, strong: 'C', moderate: 'D', slight: 'D', nightCloudy: 'D', nightClear: 'D' }
+];
+
+export const INSOLATION_CLASSES = ['strong', 'moderate', 'slight', 'nightCloudy', 'nightClear'];
+
+const MPH_TO_MS = 0.44704;
+const GRAMS_PER_TON = 907184.74;
+// Below about 1 m/s the plume equation breaks down
+const MIN_WIND_MS = 1;
+const MAX_GRID_CELLS = 10000;
+
+// Downwind steps and cells either side of the axis, as computePlumeGrid lays them out
+function gridLayout(gridKm, cellKm) {
+  const steps = Math.round(gridKm / cellKm);
+  const halfWidth = Math.round(steps / 2);
+  return { steps, halfWidth, cellCount: steps * (2 * halfWidth + 1) };
+}
+
+export const PlumeInputSchema = z.object({
+  latitude: z.number().min(-90).max(90),
+  longitude: z.number().min(-180).max(180),
+  emissionRate: z.number().positive().optional(),           // PM2.5 g/s
+  pm25TonsPerDay: z.number().positive().optional(),         // alternative: daily tonnage from the emissions estimator
+  burnHours: z.number().positive().max(24).default(8),      // active burning hours the daily tonnage is spread over
+  windSpeed: z.number().min(0),                             // mph
+  windDirection: z.union([z.number(), z.string()]),         // direction the wind blows from
+  stability: z.enum(['A', 'B', 'C', 'D', 'E', 'F']),
+  plumeHeight: z.number().min(0).default(10),               // effective plume height, m
+  gridKm: z.number().positive().max(100).default(20),
+  cellKm: z.number().min(0.1).default(0.5),
+  minConcentration: z.number().min(0).default(1),           // µg/m³; cells below are dropped
+  ignitionTime: z.string().nullable().optional()
+}).refine(input => input.emissionRate !== undefined || input.pm25TonsPerDay !== undefined, {
+  message: 'Provide emissionRate (g/s) or pm25TonsPerDay',
+  path: ['emissionRate']
+}).refine(input => directionToDegrees(input.windDirection) !== null, {
+  message: 'Wind direction must be degrees or a compass point',
+  path: ['windDirection']
+}).refine(input => gridLayout(input.gridKm, input.cellKm).cellCount <= MAX_GRID_CELLS, {
+  message: `Grid is too fine; use at most ${MAX_GRID_CELLS} cells`,
+  path: ['cellKm']
+});
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Pasquill stability class for surface wind and sky conditions
+ * @param {number} windSpeed - Surface wind, mph
+ * @param {string} insolation - One of INSOLATION_CLASSES
+ * @returns {string} Stability class A–F
+ */
+export function suggestStabilityClass(windSpeed, insolation) {
+  const row = PASQUILL_TABLE.find(r => windSpeed * MPH_TO_MS < r.below);
+  return row[insolation] || 'D';
+}
+
+/**
+ * Emission rate (g/s) from daily tonnage spread over the active burning hours
+ * @param {number} tonsPerDay - PM2.5 tons per burn day
+ * @param {number} burnHours - Hours of active burning
+ * @returns {number} g/s
+ */
+export function tonsPerDayToGramsPerSecond(tonsPerDay, burnHours) {
+  return (tonsPerDay * GRAMS_PER_TON) / (burnHours * 3600);
+}
+
+/**
+ * Ground-level concentration at a point relative to the plume axis
+ * @param {Object} params - { emissionRate (g/s), windSpeed (m/s), downwind (m), crosswind (m), plumeHeight (m), stability }
+ * @returns {number} µg/m³ (0 upwind of the source)
+ */
+export function plumeConcentration({ emissionRate, windSpeed, downwind, crosswind, plumeHeight, stability }) {
+  if (downwind <= 0) return 0;
+
+  const { sigmaY, sigmaZ } = BRIGGS_RURAL[stability];
+  const sy = sigmaY(downwind);
+  const sz = sigmaZ(downwind);
+  const u = Math.max(windSpeed, MIN_WIND_MS);
+
+  const grams = (emissionRate / (Math.PI * u * sy * sz)) *
+    Math.exp(-(crosswind ** 2) / (2 * sy ** 2)) *
+    Math.exp(-(plumeHeight ** 2) / (2 * sz ** 2));
+
+  return grams * 1e6;
+}
+
+function plumeFrame(input) {
+  const emissionRate = input.emissionRate ?? tonsPerDayToGramsPerSecond(input.pm25TonsPerDay, input.burnHours);
+  // Smoke travels toward the opposite of the direction the wind blows from
+  const downwindBearing = (directionToDegrees(input.windDirection) + 180) % 360;
+  const b = (downwindBearing * Math.PI) / 180;
+
+  return {
+    emissionRate,
+    downwindBearing,
+    windSpeed: input.windSpeed * MPH_TO_MS,
+    // Plume axis coordinates (km) -> east/north offsets (km)
+    toEastNorth: (x, y) => [x * Math.sin(b) + y * Math.cos(b), x * Math.cos(b) - y * Math.sin(b)],
+    // East/north offsets (km) -> plume axis coordinates (km)
+    toPlumeAxis: (east, north) => [east * Math.sin(b) + north * Math.cos(b), east * Math.cos(b) - north * Math.sin(b)]
+  };
+}
+
+/**
+ * Predicted ground-level concentration at a location
+ * @param {Object} input - Validated PlumeInputSchema input
+ * @param {number} latitude - Receptor latitude
+ * @param {number} longitude - Receptor longitude
+ * @returns {number} µg/m³
+ */
+export function concentrationAt(input, latitude, longitude) {
+  const frame = plumeFrame(input);
+  const distance = distanceKm(input.latitude, input.longitude, latitude, longitude);
+  const bearing = (bearingDegrees(input.latitude, input.longitude, latitude, longitude) * Math.PI) / 180;
+  const [downwind, crosswind] = frame.toPlumeAxis(distance * Math.sin(bearing), distance * Math.cos(bearing));
+
+  return round(plumeConcentration({
+    emissionRate: frame.emissionRate,
+    windSpeed: frame.windSpeed,
+    downwind: downwind * 1000,
+    crosswind: crosswind * 1000,
+    plumeHeight: input.plumeHeight,
+    stability: input.stability
+  }), 2);
+}
+
+/**
+ * Concentration grid aligned with the plume axis
+ * Cells run gridKm downwind and gridKm/2 either side of the axis; each cell is
+ * returned as a polygon so the grid can be drawn rotated on a map.
+ * @param {Object} input - Validated PlumeInputSchema input
+ * @returns {Object} { source, emissionRate, downwindBearing, cells: [{ center, corners, concentration }], maxConcentration }
+ */
+export function computePlumeGrid(input) {
+  const frame = plumeFrame(input);
+  const { latitude, longitude, gridKm, cellKm, minConcentration } = input;
+  const toLatLon = (x, y) => {
+    const [east, north] = frame.toEastNorth(x, y);
+    return offsetKm(latitude, longitude, east, north).map(v => round(v, 5));
+  };
+
+  const cells = [];
+  const { steps, halfWidth } = gridLayout(gridKm, cellKm);
+
+  // One column of cells is centred on the plume axis
+  for (let i = 0; i < steps; i++) {
+    for (let j = -halfWidth; j <= halfWidth; j++) {
+      const x = (i + 0.5) * cellKm;
+      const y = j * cellKm;
+      const concentration = plumeConcentration({
+        emissionRate: frame.emissionRate,
+        windSpeed: frame.windSpeed,
+        downwind: x * 1000,
+        crosswind: y * 1000,
+        plumeHeight: input.plumeHeight,
+        stability: input.stability
+      });
+
+      if (concentration >= minConcentration) {
+        cells.push({
+          center: toLatLon(x, y),
+          corners: [
+            toLatLon(x - cellKm / 2, y - cellKm / 2),
+            toLatLon(x + cellKm / 2, y - cellKm / 2),
+            toLatLon(x + cellKm / 2, y + cellKm / 2),
+            toLatLon(x - cellKm / 2, y + cellKm / 2)
+          ],
+          concentration: round(concentration)
+        });
+      }
+    }
+  }
+
+  return {
+    source: { latitude, longitude },
+    emissionRate: round(frame.emissionRate, 2),
+    downwindBearing: round(frame.downwindBearing),
+    stability: input.stability,
+    cellKm,
+    cells,
+    maxConcentration: cells.reduce((max, cell) => Math.max(max, cell.concentration), 0)
+  };
+}
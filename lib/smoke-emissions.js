@@ -0,0 +1,130 @@
+import { z } from 'zod';
+import { getFuelModel } from './fuel-models';
+
+/**
+ * Smoke emissions estimator
+ * Emissions = fuel load × fraction consumed × emission factor, summed over the
+ * fuel model's size classes and scaled by acres.
+ * Loads are the fuel model's surface fuels (tons/acre); duff and large woody
+ * fuels are not part of a fire behavior fuel model and are not counted.
+ * Emission factors are lb per ton of fuel consumed; results are tons.
+ */
+
+export const POLLUTANTS = [
+  { id: 'pm25', label: 'PM2.5' },
+  { id: 'pm10', label: 'PM10' },
+  { id: 'co', label: 'CO' },
+  { id: 'co2', label: 'CO2' }
+];
+
+// Representative emission factors (lb/ton consumed) by fuel model group, after
+// AP-42 §13.1 and Prichard et al. (2020); PM10 is taken as 1.18 × PM2.5
+export const EMISSION_FACTORS = {
+  'Grass': { pm25: 15.7, pm10: 18.5, co: 123, co2: 3270 },
+  'Grass-Shrub': { pm25: 17.0, pm10: 20.1, co: 138, co2: 3240 },
+  'Shrub': { pm25: 19.0, pm10: 22.4, co: 150, co2: 3220 },
+  'Timber-Understory': { pm25: 24.0, pm10: 28.3, co: 200, co2: 3150 },
+  'Timber litter': { pm25: 26.0, pm10: 30.7, co: 224, co2: 3110 },
+  'Slash': { pm25: 22.0, pm10: 26.0, co: 180, co2: 3170 },
+  'Slash-Blowdown': { pm25: 22.0, pm10: 26.0, co: 180, co2: 3170 }
+};
+
+// Fraction of each size class consumed in a typical prescribed burn
+export const DEFAULT_CONSUMPTION = {
+  oneHour: 0.95,
+  tenHour: 0.85,
+  hundredHour: 0.6,
+  liveHerb: 0.9,
+  liveWoody: 0.7
+};
+
+const fraction = z.number().min(0).max(1);
+
+export const SmokeEmissionsInputSchema = z.object({
+  fuelModel: z.string().min(1, 'Fuel model is required'),
+  acresPlanned: z.number().nonnegative().nullable().optional(),
+  acresCompleted: z.number().nonnegative().nullable().optional(),
+  burnDays: z.number().int().positive().default(1),
+  consumption: z.object({
+    oneHour: fraction,
+    tenHour: fraction,
+    hundredHour: fraction,
+    liveHerb: fraction,
+    liveWoody: fraction
+  }).partial().optional()
+});
+
+const LB_PER_TON = 2000;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+function emissionsFor(acres, consumedPerAcre, factors) {
+  if (acres === null || acres === undefined) return null;
+
+  const fuelConsumed = consumedPerAcre * acres;
+  const emissions = {};
+  POLLUTANTS.forEach(({ id }) => {
+    emissions[id] = round((fuelConsumed * factors[id]) / LB_PER_TON);
+  });
+
+  return { acres: round(acres, 1), fuelConsumed: round(fuelConsumed, 1), emissions };
+}
+
+/**
+ * Estimate smoke emissions for a burn
+ * @param {Object} input - Validated SmokeEmissionsInputSchema input
+ * @returns {Object} { fuelModel, fuelLoad, consumedPerAcre, factors, burnDays, planned, completed, remaining, daily }
+ * planned/completed/remaining/daily are { acres, fuelConsumed (tons), emissions (tons) } or null
+ */
+export function estimateSmokeEmissions(input) {
+  const { acresPlanned = null, acresCompleted = null, burnDays = 1 } = input;
+  const fuelModel = getFuelModel(input.fuelModel);
+  if (!fuelModel) throw new Error(`Unknown fuel model '${input.fuelModel}'`);
+
+  const consumption = { ...DEFAULT_CONSUMPTION, ...input.consumption };
+  const factors = EMISSION_FACTORS[fuelModel.group];
+
+  const fuelLoad = Object.values(fuelModel.loads).reduce((sum, load) => sum + load, 0);
+  const consumedPerAcre = Object.entries(fuelModel.loads)
+    .reduce((sum, [size, load]) => sum + load * consumption[size], 0);
+
+  const remainingAcres = acresPlanned !== null && acresCompleted !== null
+    ? Math.max(acresPlanned - acresCompleted, 0)
+    : acresPlanned;
+
+  return {
+    fuelModel: { code: fuelModel.code, name: fuelModel.name, group: fuelModel.group },
+    fuelLoad: round(fuelLoad),
+    consumedPerAcre: round(consumedPerAcre),
+    consumption,
+    factors,
+    burnDays,
+    planned: emissionsFor(acresPlanned, consumedPerAcre, factors),
+    completed: emissionsFor(acresCompleted, consumedPerAcre, factors),
+    remaining: emissionsFor(remainingAcres, consumedPerAcre, factors),
+    // Permit tonnage assumes the planned acres are burned evenly over burnDays
+    daily: acresPlanned === null ? null : emissionsFor(acresPlanned / burnDays, consumedPerAcre, factors)
+  };
+}
+
+const toNumber = (value) => (value === null || value === undefined || value === '' || isNaN(Number(value)) ? null : Number(value));
+
+/**
+ * Emissions inputs for a burn plan and its burn unit
+ * The fuel model comes from the plan's site conditions, else the unit's latest
+ * risk assessment; acres completed come from fire_data.
+ * @param {Object} data - { plan, unit, assessment } (plan may be null for a unit on its own)
+ * @returns {Object|null} SmokeEmissionsInputSchema input, or null when no fuel model is recorded
+ */
+export function burnEmissionsInput({ plan = null, unit = null, assessment = null, fuelModel = null }) {
+  const site = plan?.site_conditions || {};
+  const code = fuelModel || site.fuelModel || assessment?.fuel_model;
+  if (!code) return null;
+
+  return {
+    fuelModel: code,
+    acresPlanned: toNumber(plan?.acres_planned ?? unit?.acres_planned),
+    acresCompleted: toNumber(unit?.acres_completed),
+    burnDays: Math.max(parseInt(site.burnDays) || 1, 1)
+  };
+}
@@ -0,0 +1,102 @@
+import { supabaseAdmin, isSupabaseConfigured } from './supabase';
+import { distanceKm } from './geo';
+import { concentrationAt } from './smoke-dispersion';
+
+/**
+ * Compare Gaussian plume predictions with air_quality PM2.5 readings from
+ * nearby sensors after a burn
+ */
+
+// Hours before ignition averaged as each sensor's background PM2.5
+const BACKGROUND_HOURS = 6;
+
+const mean = (values) => (values.length
+  ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10
+  : null);
+
+/**
+ * Observed vs predicted PM2.5 at sensors within the plume grid
+ * Observed smoke is the mean reading during active burning minus the sensor's
+ * background mean over the hours before ignition.
+ * @param {Object} input - Validated PlumeInputSchema input with ignitionTime
+ * @returns {Promise<Object>} { period, sensors: [{ node, latitude, longitude, distanceKm, background, observed, observedSmoke, predicted, ratio }], summary }
+ */
+export async function compareWithSensors(input) {
+  const ignition = new Date(input.ignitionTime);
+  if (isNaN(ignition)) throw new Error(`Invalid ignition time '${input.ignitionTime}'`);
+
+  const period = {
+    backgroundStart: new Date(ignition.getTime() - BACKGROUND_HOURS * 3600000).toISOString(),
+    start: ignition.toISOString(),
+    end: new Date(ignition.getTime() + input.burnHours * 3600000).toISOString()
+  };
+
+  if (!isSupabaseConfigured()) return { period, sensors: [], summary: summarize([]) };
+
+  const { data, error } = await supabaseAdmin
+    .from('air_quality')
+    .select('datetime, from_node, pm25standard, latitude, longitude')
+    .gte('datetime', period.backgroundStart)
+    .lte('datetime', period.end)
+    .order('datetime', { ascending: true })
+    .limit(5000);
+
+  if (error) throw new Error(`Failed to load sensor readings: ${error.message}`);
+
+  const nodes = new Map();
+  (data || []).forEach(row => {
+    const pm25 = row.pm25standard === null || row.pm25standard === undefined ? NaN : Number(row.pm25standard);
+    if (isNaN(pm25)) return;
+
+    const node = row.from_node || 'unknown';
+    if (!nodes.has(node)) nodes.set(node, { node, latitude: null, longitude: null, background: [], during: [] });
+    const sensor = nodes.get(node);
+    if (sensor.latitude == null && row.latitude != null && row.longitude != null) {
+      sensor.latitude = Number(row.latitude);
+      sensor.longitude = Number(row.longitude);
+    }
+    (new Date(row.datetime) < ignition ? sensor.background : sensor.during).push(pm25);
+  });
+
+  const sensors = [...nodes.values()]
+    .filter(s => s.latitude != null && s.during.length > 0)
+    .map(s => ({ ...s, distanceKm: distanceKm(input.latitude, input.longitude, s.latitude, s.longitude) }))
+    .filter(s => s.distanceKm <= input.gridKm)
+    .map(({ background, during, ...s }) => {
+      const backgroundMean = mean(background);
+      const observed = mean(during);
+      const observedSmoke = Math.max(observed - (backgroundMean ?? 0), 0);
+      const predicted = concentrationAt(input, s.latitude, s.longitude);
+
+      return {
+        ...s,
+        distanceKm: Math.round(s.distanceKm * 10) / 10,
+        samples: during.length,
+        background: backgroundMean,
+        observed,
+        observedSmoke: Math.round(observedSmoke * 10) / 10,
+        predicted,
+        ratio: observedSmoke > 0 ? Math.round((predicted / observedSmoke) * 100) / 100 : null
+      };
+    })
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+
+  return { period, sensors, summary: summarize(sensors) };
+}
+
+/**
+ * Model performance over sensor pairs: mean bias and the fraction of
+ * predictions within a factor of two of observed smoke (FAC2)
+ */
+function summarize(sensors) {
+  const paired = sensors.filter(s => s.ratio !== null);
+
+  return {
+    sensors: sensors.length,
+    paired: paired.length,
+    meanBias: sensors.length ? mean(sensors.map(s => s.predicted - s.observedSmoke)) : null,
+    fac2: paired.length
+      ? Math.round((paired.filter(s => s.ratio >= 0.5 && s.ratio <= 2).length / paired.length) * 100) / 100
+      : null
+  };
+}
@@ -0,0 +1,224 @@
+import { z } from 'zod';
+import { supabaseAdmin, isSupabaseConfigured } from './supabase';
+import { getBurnUnit } from './burn-units';
+import { getFireWeatherSeries } from './fire-weather';
+import { findWeatherStation } from './prescriptions';
+import { RECEPTOR_TYPES, SENSITIVITY_CLASSES, DEFAULT_CONE_HALF_ANGLE, screenReceptors } from './smoke-screening';
+
+/**
+ * Smoke-sensitive receptor registry (smoke_receptors table) and the downwind
+ * screening report for a burn unit
+ * Receptors are archived rather than deleted.
+ */
+
+export const ReceptorSchema = z.object({
+  name: z.string().min(1, 'Receptor name is required'),
+  receptorType: z.enum(RECEPTOR_TYPES.map(t => t.id)).default('other'),
+  sensitivity: z.enum(SENSITIVITY_CLASSES.map(c => c.id)).default('moderate'),
+  latitude: z.number().min(-90).max(90),
+  longitude: z.number().min(-180).max(180),
+  contact: z.string().nullable().optional(),
+  notes: z.string().nullable().optional()
+});
+
+export const ReceptorUpdateSchema = ReceptorSchema.partial();
+
+// camelCase API field -> smoke_receptors column
+const RECEPTOR_COLUMNS = {
+  name: 'name',
+  receptorType: 'receptor_type',
+  sensitivity: 'sensitivity',
+  latitude: 'latitude',
+  longitude: 'longitude',
+  contact: 'contact',
+  notes: 'notes'
+};
+
+// Recent air_quality rows scanned for sensor positions
+const SENSOR_POSITION_ROWS = 2000;
+
+function requireSupabase() {
+  if (!isSupabaseConfigured()) {
+    throw new Error('Supabase is not configured; smoke receptors cannot be stored');
+  }
+}
+
+function toRow(receptor) {
+  const row = {};
+  Object.entries(RECEPTOR_COLUMNS).forEach(([field, column]) => {
+    if (receptor[field] !== undefined) row[column] = receptor[field] === '' ? null : receptor[field];
+  });
+  return row;
+}
+
+/**
+ * List smoke-sensitive receptors by name
+ * @param {Object} options - { includeArchived }
+ * @returns {Promise<Array>} smoke_receptors rows
+ */
+export async function listReceptors(options = {}) {
+  const { includeArchived = false } = options;
+
+  if (!isSupabaseConfigured()) return [];
+
+  let query = supabaseAdmin
+    .from('smoke_receptors')
+    .select('*')
+    .order('name', { ascending: true });
+
+  if (!includeArchived) query = query.is('archived_at', null);
+
+  const { data, error } = await query;
+
+  if (error) throw new Error(`Failed to load smoke receptors: ${error.message}`);
+
+  return data || [];
+}
+
+/**
+ * Add a receptor to the registry
+ * @param {Object} receptor - Validated ReceptorSchema data
+ * @returns {Promise<Object>} Inserted row
+ */
+export async function createReceptor(receptor) {
+  requireSupabase();
+
+  const { data, error } = await supabaseAdmin
+    .from('smoke_receptors')
+    .insert(toRow(receptor))
+    .select()
+    .single();
+
+  if (error) throw new Error(`Failed to create smoke receptor: ${error.message}`);
+
+  return data;
+}
+
+/**
+ * Update a receptor
+ * @param {number} id - smoke_receptors id
+ * @param {Object} updates - Validated ReceptorUpdateSchema data
+ * @returns {Promise<Object>} Updated row
+ */
+export async function updateReceptor(id, updates) {
+  requireSupabase();
+
+  const { data, error } = await supabaseAdmin
+    .from('smoke_receptors')
+    .update({ ...toRow(updates), updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) throw new Error(`Failed to update smoke receptor: ${error.message}`);
+
+  return data;
+}
+
+/**
+ * Archive a receptor so it is no longer screened
+ * @param {number} id - smoke_receptors id
+ * @returns {Promise<Object>} Archived row
+ */
+export async function archiveReceptor(id) {
+  requireSupabase();
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabaseAdmin
+    .from('smoke_receptors')
+    .update({ archived_at: now, updated_at: now })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) throw new Error(`Failed to archive smoke receptor: ${error.message}`);
+
+  return data;
+}
+
+/**
+ * Latest known position of each air_quality sensor
+ * @returns {Promise<Array>} [{ node, latitude, longitude, lastSeen }]
+ */
+export async function listSensorPositions() {
+  if (!isSupabaseConfigured()) return [];
+
+  const { data, error } = await supabaseAdmin
+    .from('air_quality')
+    .select('from_node, latitude, longitude, datetime')
+    .not('latitude', 'is', null)
+    .order('datetime', { ascending: false })
+    .limit(SENSOR_POSITION_ROWS);
+
+  if (error) throw new Error(`Failed to load sensor positions: ${error.message}`);
+
+  const nodes = new Map();
+  (data || []).forEach(row => {
+    if (!row.from_node || nodes.has(row.from_node)) return;
+    nodes.set(row.from_node, {
+      node: row.from_node,
+      latitude: Number(row.latitude),
+      longitude: Number(row.longitude),
+      lastSeen: row.datetime
+    });
+  });
+
+  return [...nodes.values()];
+}
+
+/**
+ * Downwind screening report for a burn unit
+ * Without a wind direction the latest weather_data reading at the station
+ * nearest the unit is used.
+ * @param {Object} options - { fireDataId, windDirection, coneHalfAngle, maxDistanceKm }
+ * @returns {Promise<Object|null>} Report, or null when the burn unit does not exist
+ */
+export async function getSmokeScreeningReport(options = {}) {
+  const { fireDataId, coneHalfAngle = DEFAULT_CONE_HALF_ANGLE, maxDistanceKm = Infinity } = options;
+
+  const unit = await getBurnUnit(fireDataId);
+  if (!unit) return null;
+
+  const header = {
+    unit: { id: unit.id, burnUnit: unit.burn_unit, locationName: unit.location_name, latitude: unit.latitude, longitude: unit.longitude },
+    generatedAt: new Date().toISOString()
+  };
+
+  if (unit.latitude == null || unit.longitude == null) {
+    return { ...header, wind: null, screening: null, message: 'The burn unit has no coordinates to screen from.' };
+  }
+
+  let wind = options.windDirection != null && options.windDirection !== ''
+    ? { direction: options.windDirection, source: 'request' }
+    : null;
+
+  if (!wind) {
+    const station = await findWeatherStation(unit);
+    const { points } = station
+      ? await getFireWeatherSeries({ source: 'weather_data', locationName: station.name, end: new Date().toISOString(), limit: 1 })
+      : { points: [] };
+    const latest = points[points.length - 1];
+    if (latest?.windDirection != null) {
+      wind = { direction: latest.windDirection, speed: latest.windSpeed, source: 'weather_data', station: latest.station, time: latest.time };
+    }
+  }
+
+  if (!wind) {
+    return { ...header, wind: null, screening: null, message: 'No wind direction given and none recorded in weather_data.' };
+  }
+
+  const [receptors, sensors] = await Promise.all([listReceptors(), listSensorPositions()]);
+
+  return {
+    ...header,
+    wind,
+    screening: screenReceptors({
+      source: { latitude: Number(unit.latitude), longitude: Number(unit.longitude) },
+      windDirection: wind.direction,
+      receptors,
+      sensors,
+      coneHalfAngle,
+      maxDistanceKm
+    })
+  };
+}
@@ -0,0 +1,150 @@
+import { distanceKm, bearingDegrees, directionToDegrees, directionToSector } from './geo';
+
+/**
+ * Downwind smoke screening
+ * Lists smoke-sensitive receptors and sensors inside the downwind cone of a
+ * burn, plus anything close enough to take smoke in any wind.
+ * Pure module shared by the screening API and the prescribed-fire AI route.
+ */
+
+export const RECEPTOR_TYPES = [
+  { id: 'school', label: 'School' },
+  { id: 'hospital', label: 'Hospital' },
+  { id: 'care_facility', label: 'Care Facility' },
+  { id: 'highway', label: 'Highway' },
+  { id: 'town', label: 'Town' },
+  { id: 'residence', label: 'Residence' },
+  { id: 'airport', label: 'Airport' },
+  { id: 'other', label: 'Other' }
+];
+
+// Screening distance (km) down the cone by sensitivity class
+export const SENSITIVITY_CLASSES = [
+  { id: 'high', label: 'High', screeningKm: 30 },
+  { id: 'moderate', label: 'Moderate', screeningKm: 15 },
+  { id: 'low', label: 'Low', screeningKm: 8 }
+];
+
+export const DEFAULT_CONE_HALF_ANGLE = 30;
+
+// Receptors this close are listed whatever the wind (drift, nighttime drainage)
+export const NEAR_FIELD_KM = 3;
+
+const SENSITIVITY_ORDER = { high: 0, moderate: 1, low: 2 };
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Smallest angle between two bearings, 0–180
+const angleBetween = (a, b) => {
+  const diff = Math.abs(a - b) % 360;
+  return diff > 180 ? 360 - diff : diff;
+};
+
+function locate(source, downwindBearing, point) {
+  const distance = distanceKm(source.latitude, source.longitude, point.latitude, point.longitude);
+  const bearing = bearingDegrees(source.latitude, source.longitude, point.latitude, point.longitude);
+
+  return {
+    distanceKm: round(distance),
+    bearing: Math.round(bearing),
+    direction: directionToSector(bearing),
+    offCenterline: Math.round(angleBetween(bearing, downwindBearing))
+  };
+}
+
+/**
+ * Screen receptors and sensors against a burn's downwind cone
+ * @param {Object} options
+ * @param {Object} options.source - { latitude, longitude } of the burn unit
+ * @param {number|string} options.windDirection - Direction the wind blows from
+ * @param {Array} options.receptors - smoke_receptors rows
+ * @param {Array} [options.sensors] - [{ node, latitude, longitude }]
+ * @param {number} [options.coneHalfAngle] - Degrees either side of the downwind bearing
+ * @param {number} [options.maxDistanceKm] - Cap on every screening distance
+ * @returns {Object} { downwindBearing, downwindDirection, coneHalfAngle, receptors, sensors, summary }
+ */
+export function screenReceptors(options) {
+  const {
+    source,
+    windDirection,
+    receptors = [],
+    sensors = [],
+    coneHalfAngle = DEFAULT_CONE_HALF_ANGLE,
+    maxDistanceKm = Infinity
+  } = options;
+
+  const windFrom = directionToDegrees(windDirection);
+  if (windFrom === null) throw new Error(`Unreadable wind direction '${windDirection}'`);
+  const downwindBearing = (windFrom + 180) % 360;
+
+  const screeningKm = (sensitivity) => Math.min(
+    (SENSITIVITY_CLASSES.find(c => c.id === sensitivity) || SENSITIVITY_CLASSES[1]).screeningKm,
+    maxDistanceKm
+  );
+  const maxScreeningKm = Math.min(Math.max(...SENSITIVITY_CLASSES.map(c => c.screeningKm)), maxDistanceKm);
+
+  const affected = receptors
+    .filter(r => r.latitude != null && r.longitude != null)
+    .map(r => {
+      const position = locate(source, downwindBearing, { latitude: Number(r.latitude), longitude: Number(r.longitude) });
+      const downwind = position.offCenterline <= coneHalfAngle && position.distanceKm <= screeningKm(r.sensitivity);
+      return { ...r, ...position, downwind, nearField: position.distanceKm <= NEAR_FIELD_KM };
+    })
+    .filter(r => r.downwind || r.nearField);
+
+  // Sensors in the cone or near the unit, then the nearest sensor to each affected receptor
+  const located = sensors
+    .filter(s => s.latitude != null && s.longitude != null)
+    .map(s => ({ ...s, ...locate(source, downwindBearing, s) }));
+
+  const watch = new Map();
+  located
+    .filter(s => s.distanceKm <= NEAR_FIELD_KM || (s.offCenterline <= coneHalfAngle && s.distanceKm <= maxScreeningKm))
+    .forEach(s => watch.set(s.node, { ...s, reason: s.distanceKm <= NEAR_FIELD_KM ? 'near unit' : 'downwind' }));
+
+  affected.forEach(r => {
+    const nearest = located
+      .map(s => ({ sensor: s, km: distanceKm(r.latitude, r.longitude, s.latitude, s.longitude) }))
+      .sort((a, b) => a.km - b.km)[0];
+
+    if (nearest && nearest.km <= NEAR_FIELD_KM * 2) {
+      r.nearestSensor = { node: nearest.sensor.node, distanceKm: round(nearest.km) };
+      if (!watch.has(nearest.sensor.node)) {
+        watch.set(nearest.sensor.node, { ...nearest.sensor, reason: `near ${r.name}` });
+      }
+    } else {
+      r.nearestSensor = null;
+    }
+  });
+
+  affected.sort((a, b) => (SENSITIVITY_ORDER[a.sensitivity] ?? 1) - (SENSITIVITY_ORDER[b.sensitivity] ?? 1) || a.distanceKm - b.distanceKm);
+
+  return {
+    downwindBearing: Math.round(downwindBearing),
+    downwindDirection: directionToSector(downwindBearing),
+    coneHalfAngle,
+    receptors: affected,
+    sensors: [...watch.values()].sort((a, b) => a.distanceKm - b.distanceKm),
+    summary: {
+      receptors: affected.length,
+      highSensitivity: affected.filter(r => r.sensitivity === 'high').length,
+      downwind: affected.filter(r => r.downwind).length,
+      unmonitored: affected.filter(r => !r.nearestSensor).length
+    }
+  };
+}
+
+/**
+ * One line per affected receptor for reports and AI prompts
+ * @param {Object} screening - Output of screenReceptors
+ * @returns {Array<string>}
+ */
+export function describeScreening(screening) {
+  return screening.receptors.map(r => {
+    const type = RECEPTOR_TYPES.find(t => t.id === r.receptor_type)?.label || r.receptor_type;
+    const where = `${r.distanceKm} km ${r.direction}`;
+    const why = r.downwind ? 'downwind' : 'near field';
+    const sensor = r.nearestSensor ? `, watch sensor ${r.nearestSensor.node}` : ', no sensor nearby';
+    return `${r.name} (${type}, ${r.sensitivity} sensitivity): ${where}, ${why}${sensor}`;
+  });
+}
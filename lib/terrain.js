@@ -0,0 +1,156 @@
+import { demPixel, demElevationFt, demCellSizeFt } from './geotiff-dem';
+import { COMPASS_SECTORS, directionToSector } from './geo';
+
+/**
+ * Elevation, slope and aspect statistics for a burn unit point or boundary
+ * from a DEM read by geotiff-dem. Slope and aspect use Horn's (1981) 3×3
+ * finite difference, the method used by most GIS slope tools.
+ */
+
+// Cells flatter than this have no meaningful aspect
+export const FLAT_SLOPE_PERCENT = 2;
+
+// Boundaries covering more cells than this are sampled on an even grid
+const MAX_SAMPLES = 200000;
+
+const round = (value, digits = 1) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+/**
+ * Slope and aspect at a cell
+ * @param {Object} dem - readDem output
+ * @param {number} col - Column
+ * @param {number} row - Row
+ * @param {Array} cellSize - [widthFt, heightFt]
+ * @returns {{slopePercent: number, aspect: number|null}|null} null at edges or next to no-data cells;
+ *   aspect is the downslope direction in degrees clockwise from north, null on flat ground
+ */
+export function slopeAspectAt(dem, col, row, [cellWidth, cellHeight]) {
+  const z = (dc, dr) => demElevationFt(dem, col + dc, row + dr);
+  const [a, b, c, d, f, g, h, i] = [z(-1, -1), z(0, -1), z(1, -1), z(-1, 0), z(1, 0), z(-1, 1), z(0, 1), z(1, 1)];
+  if ([a, b, c, d, f, g, h, i].some(v => v === null)) return null;
+
+  // Row 0 is the north edge, so "north minus south" uses the top row first
+  const dzEast = ((c + 2 * f + i) - (a + 2 * d + g)) / (8 * cellWidth);
+  const dzNorth = ((a + 2 * b + c) - (g + 2 * h + i)) / (8 * cellHeight);
+  const slopePercent = 100 * Math.sqrt(dzEast ** 2 + dzNorth ** 2);
+
+  const aspect = slopePercent < FLAT_SLOPE_PERCENT
+    ? null
+    : ((Math.atan2(-dzEast, -dzNorth) * 180) / Math.PI + 360) % 360;
+
+  return { slopePercent, aspect };
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+/**
+ * Statistics over sampled cells
+ * @param {Array} samples - [{ elevation, slopePercent, aspect }]
+ * @returns {Object} { cells, elevationFt: {min, mean, max}, slopePercent: {mean, p90, max},
+ *   aspect: { degrees, sector, distribution, flatPercent } }
+ */
+export function summarizeTerrain(samples) {
+  const elevations = samples.map(s => s.elevation).filter(v => v !== null);
+  const slopes = samples.map(s => s.slopePercent).filter(v => v !== null && v !== undefined).sort((x, y) => x - y);
+  const aspects = samples.map(s => s.aspect).filter(v => v !== null && v !== undefined);
+
+  const sectorCounts = Object.fromEntries(COMPASS_SECTORS.map(s => [s, 0]));
+  let east = 0;
+  let north = 0;
+  aspects.forEach(aspect => {
+    sectorCounts[directionToSector(aspect)] += 1;
+    east += Math.sin((aspect * Math.PI) / 180);
+    north += Math.cos((aspect * Math.PI) / 180);
+  });
+
+  const dominant = aspects.length
+    ? COMPASS_SECTORS.reduce((best, s) => (sectorCounts[s] > sectorCounts[best] ? s : best), COMPASS_SECTORS[0])
+    : null;
+
+  return {
+    cells: samples.length,
+    elevationFt: elevations.length ? {
+      min: Math.round(Math.min(...elevations)),
+      mean: Math.round(elevations.reduce((sum, v) => sum + v, 0) / elevations.length),
+      max: Math.round(Math.max(...elevations))
+    } : null,
+    slopePercent: slopes.length ? {
+      mean: round(slopes.reduce((sum, v) => sum + v, 0) / slopes.length),
+      p90: round(percentile(slopes, 0.9)),
+      max: round(slopes[slopes.length - 1])
+    } : null,
+    aspect: {
+      degrees: aspects.length ? Math.round(((Math.atan2(east, north) * 180) / Math.PI + 360) % 360) : null,
+      sector: dominant,
+      distribution: Object.fromEntries(COMPASS_SECTORS.map(s => [s, aspects.length ? round((sectorCounts[s] / aspects.length) * 100) : 0])),
+      flatPercent: slopes.length ? round(((slopes.length - aspects.length) / slopes.length) * 100) : null
+    }
+  };
+}
+
+function sampleCell(dem, col, row, cellSize) {
+  const elevation = demElevationFt(dem, col, row);
+  if (elevation === null) return null;
+  const slope = slopeAspectAt(dem, col, row, cellSize);
+  return { elevation, slopePercent: slope?.slopePercent ?? null, aspect: slope?.aspect ?? null };
+}
+
+/**
+ * Terrain at a point (the DEM cell containing it)
+ * @param {Object} dem - readDem output
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Object|null} summarizeTerrain output, or null outside the DEM
+ */
+export function terrainAtPoint(dem, lat, lon) {
+  const [col, row] = demPixel(dem, lat, lon).map(Math.floor);
+  const sample = sampleCell(dem, col, row, demCellSizeFt(dem, lat));
+  return sample ? summarizeTerrain([sample]) : null;
+}
+
+// Even-odd test against every ring, so holes are excluded
+function insideRings(x, y, rings) {
+  let inside = false;
+  rings.forEach(ring => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+  });
+  return inside;
+}
+
+/**
+ * Terrain over a boundary (DEM cells whose centers fall inside it)
+ * @param {Object} dem - readDem output
+ * @param {Object} geometry - MultiPolygon from unit-geometry parseBoundary
+ * @returns {Object|null} summarizeTerrain output, or null when the boundary misses the DEM
+ */
+export function terrainInBoundary(dem, geometry) {
+  const polygons = geometry.coordinates.map(rings => rings.map(ring => ring.map(([lon, lat]) => demPixel(dem, lat, lon))));
+  const all = polygons.flat(2);
+  const minCol = Math.max(0, Math.floor(Math.min(...all.map(p => p[0]))));
+  const maxCol = Math.min(dem.width - 1, Math.ceil(Math.max(...all.map(p => p[0]))));
+  const minRow = Math.max(0, Math.floor(Math.min(...all.map(p => p[1]))));
+  const maxRow = Math.min(dem.height - 1, Math.ceil(Math.max(...all.map(p => p[1]))));
+  if (minCol > maxCol || minRow > maxRow) return null;
+
+  const latitude = geometry.coordinates[0][0][0][1];
+  const cellSize = demCellSizeFt(dem, latitude);
+  const step = Math.max(1, Math.ceil(Math.sqrt(((maxCol - minCol + 1) * (maxRow - minRow + 1)) / MAX_SAMPLES)));
+  const samples = [];
+
+  for (let row = minRow; row <= maxRow; row += step) {
+    for (let col = minCol; col <= maxCol; col += step) {
+      if (!polygons.some(rings => insideRings(col + 0.5, row + 0.5, rings))) continue;
+      const sample = sampleCell(dem, col, row, cellSize);
+      if (sample) samples.push(sample);
+    }
+  }
+
+  return samples.length ? { ...summarizeTerrain(samples), sampleStep: step } : null;
+}
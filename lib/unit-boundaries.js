@@ -0,0 +1,98 @@
+import { supabaseAdmin, isSupabaseConfigured } from './supabase';
+import { getBurnUnit } from './burn-units';
+import { parseBoundary, boundaryMetrics, checkAcreage } from './unit-geometry';
+
+/**
+ * Burn unit boundaries (fire_data.boundary) with their computed acreage and
+ * perimeter. A unit without a location takes the boundary centroid.
+ */
+
+function describe(unit) {
+  if (!unit.boundary) return { boundary: null, metrics: null, acreageCheck: null };
+
+  const metrics = boundaryMetrics(unit.boundary);
+  return { boundary: unit.boundary, metrics, acreageCheck: checkAcreage(unit.acres_planned, metrics.acres) };
+}
+
+/**
+ * Boundary of a burn unit with acreage, perimeter and the acres_planned check
+ * @param {number} fireDataId - fire_data id
+ * @returns {Promise<Object|null>} { boundary, metrics, acreageCheck, unit }, or null when the unit does not exist
+ */
+export async function getUnitBoundary(fireDataId) {
+  const unit = await getBurnUnit(fireDataId);
+  if (!unit) return null;
+
+  return { ...describe(unit), unit };
+}
+
+/**
+ * Save a burn unit boundary
+ * @param {number} fireDataId - fire_data id
+ * @param {Object} input - GeoJSON Polygon/MultiPolygon, Feature or FeatureCollection
+ * @returns {Promise<Object|null>} { ok: true, boundary, metrics, acreageCheck, unit },
+ *   { ok: false, code: 'invalid', error }, or null when the unit does not exist
+ */
+export async function saveUnitBoundary(fireDataId, input) {
+  if (!isSupabaseConfigured()) {
+    throw new Error('Supabase is not configured; burn unit boundaries cannot be stored');
+  }
+
+  const parsed = parseBoundary(input);
+  if (!parsed.ok) return { ok: false, code: 'invalid', error: parsed.error };
+
+  const unit = await getBurnUnit(fireDataId);
+  if (!unit) return null;
+
+  const metrics = boundaryMetrics(parsed.geometry);
+  const now = new Date().toISOString();
+  const updates = {
+    boundary: parsed.geometry,
+    boundary_acres: metrics.acres,
+    boundary_perimeter_ft: metrics.perimeterFt,
+    boundary_updated_at: now,
+    updated_at: now
+  };
+
+  if (unit.latitude === null || unit.longitude === null) {
+    [updates.latitude, updates.longitude] = metrics.centroid;
+  }
+
+  const { error } = await supabaseAdmin
+    .from('fire_data')
+    .update(updates)
+    .eq('id', fireDataId);
+
+  if (error) throw new Error(`Failed to save boundary: ${error.message}`);
+
+  const saved = { ...unit, ...updates };
+  return { ok: true, ...describe(saved), unit: saved };
+}
+
+/**
+ * Remove a burn unit boundary
+ * @param {number} fireDataId - fire_data id
+ * @returns {Promise<boolean>} false when the unit does not exist
+ */
+export async function clearUnitBoundary(fireDataId) {
+  if (!isSupabaseConfigured()) {
+    throw new Error('Supabase is not configured; burn unit boundaries cannot be stored');
+  }
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabaseAdmin
+    .from('fire_data')
+    .update({
+      boundary: null,
+      boundary_acres: null,
+      boundary_perimeter_ft: null,
+      boundary_updated_at: now,
+      updated_at: now
+    })
+    .eq('id', fireDataId)
+    .select('id');
+
+  if (error) throw new Error(`Failed to clear boundary: ${error.message}`);
+
+  return data.length > 0;
+}
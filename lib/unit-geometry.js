@@ -0,0 +1,228 @@
+/**
+ * Burn unit boundary geometry: GeoJSON polygon parsing, acreage, perimeter
+ * (holding line length) and the check of acres_planned against the mapped area
+ * Pure module: shared by the boundary API, the map and the boundary editor.
+ */
+
+const EARTH_RADIUS_M = 6371008.8;
+const SQ_METERS_PER_ACRE = 4046.8564224;
+const FEET_PER_METER = 1 / 0.3048;
+const FEET_PER_CHAIN = 66;
+const FEET_PER_MILE = 5280;
+
+// acres_planned within this percent of the mapped area is treated as matching
+export const ACREAGE_TOLERANCE_PERCENT = 10;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+/**
+ * Area enclosed by a ring on the sphere (Chamberlain & Duquette 2007)
+ * @param {Array} ring - [[lon, lat], ...] closed ring
+ * @returns {number} Square metres
+ */
+function ringAreaM2(ring) {
+  let total = 0;
+  for (let i = 0; i < ring.length - 1; i += 1) {
+    const [lon1, lat1] = ring[i];
+    const [lon2, lat2] = ring[i + 1];
+    total += toRadians(lon2 - lon1) * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)));
+  }
+  return Math.abs((total * EARTH_RADIUS_M * EARTH_RADIUS_M) / 2);
+}
+
+function ringLengthM(ring) {
+  let total = 0;
+  for (let i = 0; i < ring.length - 1; i += 1) {
+    const [lon1, lat1] = ring[i];
+    const [lon2, lat2] = ring[i + 1];
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+    total += 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+  }
+  return total;
+}
+
+const orientation = (p, q, r) => Math.sign((q[1] - p[1]) * (r[0] - q[0]) - (q[0] - p[0]) * (r[1] - q[1]));
+
+function segmentsCross(a, b, c, d) {
+  return orientation(a, b, c) !== orientation(a, b, d) && orientation(c, d, a) !== orientation(c, d, b);
+}
+
+// Non-adjacent edges of the ring that cross each other
+function ringSelfIntersects(ring) {
+  const edges = ring.length - 1;
+  for (let i = 0; i < edges; i += 1) {
+    for (let j = i + 2; j < edges; j += 1) {
+      if (i === 0 && j === edges - 1) continue;
+      if (segmentsCross(ring[i], ring[i + 1], ring[j], ring[j + 1])) return true;
+    }
+  }
+  return false;
+}
+
+// GeoJSON geometry from a Feature, a single-feature FeatureCollection or a bare geometry
+function extractGeometry(input) {
+  if (!input || typeof input !== 'object') return null;
+  if (input.type === 'Feature') return input.geometry;
+  if (input.type === 'FeatureCollection') {
+    const polygons = (input.features || []).filter(f => ['Polygon', 'MultiPolygon'].includes(f.geometry?.type));
+    if (polygons.length === 1) return polygons[0].geometry;
+    if (polygons.length > 1) {
+      return {
+        type: 'MultiPolygon',
+        coordinates: polygons.flatMap(f => (f.geometry.type === 'Polygon' ? [f.geometry.coordinates] : f.geometry.coordinates))
+      };
+    }
+    return null;
+  }
+  return input;
+}
+
+function cleanRing(ring, label) {
+  if (!Array.isArray(ring)) throw new Error(`${label} is not a list of positions`);
+
+  const positions = ring.map((position, i) => {
+    const [lon, lat] = Array.isArray(position) ? position.map(Number) : [];
+    if (!Number.isFinite(lon) || !Number.isFinite(lat) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      throw new Error(`${label} position ${i + 1} is not a valid [longitude, latitude]`);
+    }
+    return [lon, lat];
+  }).filter((position, i, all) => i === 0 || !samePosition(position, all[i - 1]));
+
+  if (positions.length > 0 && !samePosition(positions[0], positions[positions.length - 1])) {
+    positions.push([...positions[0]]);
+  }
+  if (positions.length < 4) throw new Error(`${label} needs at least three corners`);
+  if (ringSelfIntersects(positions)) throw new Error(`${label} crosses itself`);
+
+  return positions;
+}
+
+/**
+ * Validate and normalize a boundary to a GeoJSON MultiPolygon
+ * Open rings are closed; rings that cross themselves are rejected.
+ * @param {Object} input - GeoJSON Polygon/MultiPolygon, Feature or FeatureCollection
+ * @returns {{ok: boolean, geometry?: Object, error?: string}}
+ */
+export function parseBoundary(input) {
+  const geometry = extractGeometry(input);
+
+  if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+    return { ok: false, error: 'Boundary must be a GeoJSON Polygon or MultiPolygon' };
+  }
+
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+
+  try {
+    if (!Array.isArray(polygons) || polygons.length === 0) throw new Error('Boundary has no polygons');
+    const coordinates = polygons.map((rings, p) => {
+      if (!Array.isArray(rings) || rings.length === 0) throw new Error(`Polygon ${p + 1} has no rings`);
+      return rings.map((ring, r) => cleanRing(ring, r === 0 ? `Polygon ${p + 1} outline` : `Polygon ${p + 1} hole ${r}`));
+    });
+    return { ok: true, geometry: { type: 'MultiPolygon', coordinates } };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+}
+
+/**
+ * Acreage, perimeter and centroid of a normalized boundary
+ * Holes are subtracted from the area. The perimeter includes hole outlines,
+ * since unburned islands inside the unit need holding too.
+ * @param {Object} geometry - MultiPolygon from parseBoundary
+ * @returns {Object} { acres, hectares, perimeterFt, perimeterChains, perimeterMiles, centroid: [lat, lon], polygons, vertices }
+ */
+export function boundaryMetrics(geometry) {
+  let areaM2 = 0;
+  let perimeterM = 0;
+  let vertices = 0;
+  let latSum = 0;
+  let lonSum = 0;
+  let outlinePoints = 0;
+
+  geometry.coordinates.forEach(rings => rings.forEach((ring, r) => {
+    const area = ringAreaM2(ring);
+    areaM2 += r === 0 ? area : -area;
+    perimeterM += ringLengthM(ring);
+    vertices += ring.length - 1;
+
+    if (r === 0) {
+      ring.slice(0, -1).forEach(([lon, lat]) => {
+        lonSum += lon;
+        latSum += lat;
+        outlinePoints += 1;
+      });
+    }
+  }));
+
+  const perimeterFt = perimeterM * FEET_PER_METER;
+
+  return {
+    acres: round(areaM2 / SQ_METERS_PER_ACRE),
+    hectares: round(areaM2 / 10000),
+    perimeterFt: Math.round(perimeterFt),
+    perimeterChains: round(perimeterFt / FEET_PER_CHAIN),
+    perimeterMiles: round(perimeterFt / FEET_PER_MILE, 2),
+    centroid: [round(latSum / outlinePoints, 6), round(lonSum / outlinePoints, 6)],
+    polygons: geometry.coordinates.length,
+    vertices
+  };
+}
+
+/**
+ * Compare planned acres with the mapped area
+ * @param {number|null} acresPlanned - fire_data.acres_planned
+ * @param {number} mappedAcres - boundaryMetrics acres
+ * @param {number} [tolerancePercent]
+ * @returns {Object} { status: 'match'|'over'|'under'|'missing', differenceAcres, differencePercent, message }
+ */
+export function checkAcreage(acresPlanned, mappedAcres, tolerancePercent = ACREAGE_TOLERANCE_PERCENT) {
+  const planned = acresPlanned === null || acresPlanned === undefined || acresPlanned === '' ? null : Number(acresPlanned);
+
+  if (planned === null || isNaN(planned) || planned <= 0) {
+    return {
+      status: 'missing',
+      differenceAcres: null,
+      differencePercent: null,
+      message: `No acres planned recorded; the boundary maps ${mappedAcres} acres`
+    };
+  }
+
+  const differenceAcres = round(planned - mappedAcres);
+  const differencePercent = mappedAcres > 0 ? round((differenceAcres / mappedAcres) * 100) : null;
+
+  if (differencePercent !== null && Math.abs(differencePercent) <= tolerancePercent) {
+    return { status: 'match', differenceAcres, differencePercent, message: `Planned ${planned} acres matches the mapped ${mappedAcres} acres` };
+  }
+
+  return {
+    status: differenceAcres > 0 ? 'over' : 'under',
+    differenceAcres,
+    differencePercent,
+    message: `Planned ${planned} acres is ${Math.abs(differenceAcres)} acres ${differenceAcres > 0 ? 'more' : 'less'} than the mapped ${mappedAcres} acres`
+  };
+}
+
+/**
+ * Leaflet positions for a boundary ([lat, lng] nesting matching the MultiPolygon)
+ * @param {Object} geometry - MultiPolygon
+ * @returns {Array}
+ */
+export function boundaryLatLngs(geometry) {
+  return geometry.coordinates.map(rings => rings.map(ring => ring.map(([lon, lat]) => [lat, lon])));
+}
+
+/**
+ * Polygon from points clicked on the map
+ * @param {Array} points - [[lat, lng], ...]
+ * @returns {Object} GeoJSON Polygon
+ */
+export function polygonFromLatLngs(points) {
+  return { type: 'Polygon', coordinates: [points.map(([lat, lng]) => [lng, lat])] };
+}
@@ -0,0 +1,59 @@
+import { getBurnUnit } from './burn-units';
+import { calculateResourceRequirements, checkCrewSize, perimeterFromAcres } from './resource-requirements';
+
+/**
+ * Resource requirements for a burn unit, using its mapped boundary perimeter
+ * and checked against the crew size recorded in fire_data
+ */
+
+/**
+ * Calculate resource requirements, taking the perimeter from the input, else the
+ * unit's boundary, else its acreage
+ * @param {Object} input - Validated ResourceRequirementInputSchema data
+ * @returns {Promise<Object|null>} { ok, requirements, crewCheck } or { ok: false, code, error };
+ *   null when fireDataId names a unit that does not exist
+ */
+export async function estimateUnitResources(input) {
+  const unit = input.fireDataId ? await getBurnUnit(input.fireDataId) : null;
+  if (input.fireDataId && !unit) return null;
+
+  const acres = input.acres ?? unit?.boundary_acres ?? unit?.acres_planned ?? null;
+  let perimeterFt = null;
+  let perimeterSource = null;
+
+  if (input.perimeterFt) {
+    perimeterFt = input.perimeterFt;
+    perimeterSource = 'input';
+  } else if (unit?.boundary_perimeter_ft) {
+    perimeterFt = Number(unit.boundary_perimeter_ft);
+    perimeterSource = 'boundary';
+  } else if (acres) {
+    perimeterFt = perimeterFromAcres(Number(acres));
+    perimeterSource = 'acres';
+  }
+
+  if (!perimeterFt) {
+    return { ok: false, code: 'no-perimeter', error: 'Give a perimeter or acreage, or draw the unit boundary' };
+  }
+
+  const requirements = { ...calculateResourceRequirements({ ...input, perimeterFt }), perimeterSource };
+
+  return {
+    ok: true,
+    requirements,
+    crewCheck: unit ? checkCrewSize(requirements, unit.crew_size) : null
+  };
+}
+
+/**
+ * Check stored requirements against the unit's current crew size
+ * @param {Object} requirements - burn_plans.resource_requirements
+ * @param {number} [fireDataId] - fire_data id of the plan's unit
+ * @returns {Promise<Object|null>} checkCrewSize output, or null without a unit
+ */
+export async function checkStoredRequirements(requirements, fireDataId) {
+  if (!requirements || !fireDataId) return null;
+
+  const unit = await getBurnUnit(fireDataId);
+  return unit ? checkCrewSize(requirements, unit.crew_size) : null;
+}
@@ -0,0 +1,159 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { supabaseAdmin, isSupabaseConfigured } from './supabase';
+import { getBurnUnit } from './burn-units';
+import { readDem, demPixel } from './geotiff-dem';
+import { terrainAtPoint, terrainInBoundary } from './terrain';
+import { boundaryMetrics } from './unit-geometry';
+
+/**
+ * Burn unit terrain from local GeoTIFF DEMs
+ * DEMs are read from DEM_DIRECTORY (default data/dem). No network access is
+ * needed. Parsed rasters are cached until the file changes.
+ */
+
+const DEM_EXTENSIONS = ['.tif', '.tiff'];
+
+const demCache = new Map();
+
+/**
+ * Directory the DEM GeoTIFFs are read from
+ * @returns {string}
+ */
+export function demDirectory() {
+  return process.env.DEM_DIRECTORY || path.join(process.cwd(), 'data', 'dem');
+}
+
+/**
+ * DEM files available to the terrain tools
+ * @returns {Promise<Array>} [{ file, sizeBytes, modifiedAt }]
+ */
+export async function listDemFiles() {
+  let names;
+  try {
+    names = await fs.readdir(demDirectory());
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const files = names.filter(name => DEM_EXTENSIONS.includes(path.extname(name).toLowerCase())).sort();
+  return Promise.all(files.map(async file => {
+    const stats = await fs.stat(path.join(demDirectory(), file));
+    return { file, sizeBytes: stats.size, modifiedAt: stats.mtime.toISOString() };
+  }));
+}
+
+async function loadDem(file, modifiedAt) {
+  const cached = demCache.get(file);
+  if (cached && cached.modifiedAt === modifiedAt) return cached.dem;
+
+  const dem = readDem(await fs.readFile(path.join(demDirectory(), file)));
+  demCache.set(file, { dem, modifiedAt });
+  return dem;
+}
+
+/**
+ * First DEM whose extent contains a location
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<{file: string, dem: Object}|null>}
+ */
+export async function findDem(lat, lon) {
+  const files = await listDemFiles();
+
+  for (const { file, modifiedAt } of files) {
+    try {
+      const dem = await loadDem(file, modifiedAt);
+      const [col, row] = demPixel(dem, lat, lon);
+      if (col >= 0 && row >= 0 && col < dem.width && row < dem.height) return { file, dem };
+    } catch (error) {
+      console.error(`Skipping DEM ${file}:`, error.message);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Terrain statistics for a location or boundary
+ * A boundary too small to contain a cell center falls back to its centroid.
+ * @param {Object} options - { latitude, longitude, boundary }
+ * @returns {Promise<Object>} { ok: true, terrain, basis: 'boundary'|'point', source: { file, projection } }
+ *   or { ok: false, code: 'no-dem', error }
+ */
+export async function terrainForLocation({ latitude, longitude, boundary = null }) {
+  const [lat, lon] = boundary ? boundaryMetrics(boundary).centroid : [Number(latitude), Number(longitude)];
+  const found = await findDem(lat, lon);
+
+  if (!found) {
+    return {
+      ok: false,
+      code: 'no-dem',
+      error: `No DEM in ${demDirectory()} covers ${lat.toFixed(4)}, ${lon.toFixed(4)}`
+    };
+  }
+
+  let terrain = boundary ? terrainInBoundary(found.dem, boundary) : null;
+  const basis = terrain ? 'boundary' : 'point';
+  if (!terrain) terrain = terrainAtPoint(found.dem, lat, lon);
+
+  if (!terrain) {
+    return { ok: false, code: 'no-dem', error: `${found.file} has no elevation data at this location` };
+  }
+
+  return { ok: true, terrain, basis, source: { file: found.file, projection: found.dem.projection.name } };
+}
+
+/**
+ * Terrain for a burn unit, from its boundary when mapped, else its point
+ * @param {number} fireDataId - fire_data id
+ * @returns {Promise<Object|null>} terrainForLocation result with the unit,
+ *   { ok: false, code: 'no-location', error }, or null when the unit does not exist
+ */
+export async function getUnitTerrain(fireDataId) {
+  const unit = await getBurnUnit(fireDataId);
+  if (!unit) return null;
+
+  if (!unit.boundary && (unit.latitude === null || unit.longitude === null)) {
+    return { ok: false, code: 'no-location', error: `Burn unit ${unit.burn_unit} has no location or boundary` };
+  }
+
+  const result = await terrainForLocation(unit);
+  return { ...result, unit };
+}
+
+/**
+ * Compute terrain for a burn unit and store it on fire_data
+ * elevation keeps its "<feet> ft" text form; the numeric columns hold the same values.
+ * @param {number} fireDataId - fire_data id
+ * @returns {Promise<Object|null>} getUnitTerrain result after saving, or null when the unit does not exist
+ */
+export async function saveUnitTerrain(fireDataId) {
+  if (!isSupabaseConfigured()) {
+    throw new Error('Supabase is not configured; burn unit terrain cannot be stored');
+  }
+
+  const result = await getUnitTerrain(fireDataId);
+  if (!result || !result.ok) return result;
+
+  const { terrain, basis, source } = result;
+  const now = new Date().toISOString();
+  const updates = {
+    elevation: terrain.elevationFt ? `${terrain.elevationFt.mean} ft` : result.unit.elevation,
+    elevation_ft: terrain.elevationFt?.mean ?? null,
+    slope_percent: terrain.slopePercent?.mean ?? null,
+    aspect: terrain.aspect.sector,
+    terrain: { ...terrain, basis, source, computedAt: now },
+    updated_at: now
+  };
+
+  const { error } = await supabaseAdmin
+    .from('fire_data')
+    .update(updates)
+    .eq('id', fireDataId);
+
+  if (error) throw new Error(`Failed to save terrain: ${error.message}`);
+
+  return { ...result, unit: { ...result.unit, ...updates } };
+}
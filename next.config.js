@@ -4,6 +4,8 @@ const nextConfig = {
   images: {
     domains: ['images.unsplash.com'],
   },
+  // pdfkit reads its font metrics from disk, so load it from node_modules
+  serverExternalPackages: ['pdfkit'],
   // Handle Leaflet CSS natively with Next.js
   webpack: (config) => {
     return config;
@@ -2,7 +2,7 @@ import { useState, useEffect, useCallback } from 'react';
 import Head from 'next/head';
 import dynamic from 'next/dynamic';
 import { createClient } from '@supabase/supabase-js';
-import { RefreshCw, Calendar, Filter, BarChart2, Table, Database, AlertTriangle, Info, List, Grid, ChevronDown, ChevronUp, TrendingUp, PieChart, Wind, CloudRain, ThermometerSun, Droplets, Globe } from 'lucide-react';
+import { RefreshCw, Calendar, Filter, BarChart2, Table, Database, AlertTriangle, Info, List, Grid, ChevronDown, ChevronUp, TrendingUp, PieChart, Wind, CloudRain, ThermometerSun, Droplets, Globe, Flame } from 'lucide-react';
 
 // Initialize Supabase client
 const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
@@ -38,6 +38,10 @@ const ScatterPlotMatrix = dynamic(() => import('../components/ScatterPlotMatrix'
   ssr: false,
   loading: ChartLoadingFallback
 });
+const FireWeatherChart = dynamic(() => import('../components/FireWeatherChart'), {
+  ssr: false,
+  loading: ChartLoadingFallback
+});
 const AirQualityMap = dynamic(() => import('../components/AirQualityLeafletMap'), { 
   ssr: false,
   loading: () => (
@@ -79,6 +83,7 @@ export default function DataExplorerPage() {
     { id: 'time-series', label: 'Time Series', icon: <BarChart2 className="w-4 h-4" /> },
     { id: 'distribution', label: 'Distribution', icon: <PieChart className="w-4 h-4" /> },
     { id: 'correlation', label: 'Correlation', icon: <TrendingUp className="w-4 h-4" /> },
+    { id: 'fire-weather', label: 'Fire Weather', icon: <Flame className="w-4 h-4" /> },
     { id: 'table', label: 'Data Table', icon: <Table className="w-4 h-4" /> },
     { id: 'map', label: 'Map', icon: <Globe className="w-4 h-4" /> },
   ];
@@ -719,6 +724,13 @@ export default function DataExplorerPage() {
                       </div>
                     )}
                     
+                    {activeTab === 'fire-weather' && (
+                      <div>
+                        <h3 className="text-lg font-medium text-gray-800 dark:text-gray-200 mb-4">Fire Weather Indices</h3>
+                        <FireWeatherChart sensors={selectedSensors} dateRange={dateRange} />
+                      </div>
+                    )}
+                    
                     {activeTab === 'table' && (
                       <div>
                         <h3 className="text-lg font-medium text-gray-800 dark:text-gray-200 mb-4">Data Table</h3>
@@ -178,7 +178,7 @@ async function populateSampleData() {
         burn_unit: 'Unit-Demo-1',
         location_name: 'Demo Fire Management Area',
         burn_type: 'Fuel Reduction',
-        status: 'Planned',
+        status: 'Draft',
         acres_planned: 150,
         acres_completed: 0,
         temperature: 72,
@@ -199,7 +199,7 @@ async function populateSampleData() {
         burn_unit: 'Unit-Demo-2',
         location_name: 'Demo Ecosystem Restoration Area',
         burn_type: 'Ecosystem Restoration',
-        status: 'In Progress',
+        status: 'Holding',
         acres_planned: 200,
         acres_completed: 85,
         temperature: 68,
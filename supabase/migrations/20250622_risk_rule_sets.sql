@@ -0,0 +1,38 @@
+-- Agency-configurable risk rule sets for the shared risk engine
+-- Every save inserts a new version; existing versions are never modified
+
+CREATE TABLE IF NOT EXISTS risk_rule_sets (
+  id SERIAL PRIMARY KEY,
+  key TEXT NOT NULL,
+  name TEXT NOT NULL,
+  agency TEXT,
+  version INTEGER NOT NULL,
+  rules JSONB NOT NULL,
+  notes TEXT,
+  created_by TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (key, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_risk_rule_sets_key ON risk_rule_sets(key);
+
+-- Rule set selected for each burn unit (latest version is used when assessing)
+ALTER TABLE fire_data ADD COLUMN IF NOT EXISTS risk_rule_set_key TEXT DEFAULT 'default';
+
+-- Record which rule set version produced each assessment
+ALTER TABLE risk_assessments ADD COLUMN IF NOT EXISTS rule_set_key TEXT;
+ALTER TABLE risk_assessments ADD COLUMN IF NOT EXISTS rule_set_version INTEGER;
+
+COMMENT ON TABLE risk_rule_sets IS 'Stores versioned risk scoring thresholds and fuel type tables per agency';
+
+-- Enable Row Level Security
+ALTER TABLE risk_rule_sets ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public read access on risk_rule_sets"
+ON risk_rule_sets FOR SELECT
+USING (true);
+
+CREATE POLICY "Allow authenticated insert on risk_rule_sets"
+ON risk_rule_sets FOR INSERT
+TO authenticated
+WITH CHECK (auth.uid() IS NOT NULL);
@@ -0,0 +1,15 @@
+-- Store the full input set and factor breakdown of each saved risk assessment
+-- so past go/no-go decisions can be reviewed and compared
+
+ALTER TABLE risk_assessments ADD COLUMN IF NOT EXISTS fuel_moisture DECIMAL;
+ALTER TABLE risk_assessments ADD COLUMN IF NOT EXISTS wind_speed DECIMAL;
+ALTER TABLE risk_assessments ADD COLUMN IF NOT EXISTS temperature DECIMAL;
+ALTER TABLE risk_assessments ADD COLUMN IF NOT EXISTS humidity DECIMAL;
+ALTER TABLE risk_assessments ADD COLUMN IF NOT EXISTS location_name TEXT;
+ALTER TABLE risk_assessments ADD COLUMN IF NOT EXISTS factors JSONB;
+ALTER TABLE risk_assessments ADD COLUMN IF NOT EXISTS notes TEXT;
+
+CREATE POLICY "Allow authenticated delete on risk_assessments"
+ON risk_assessments FOR DELETE
+TO authenticated
+USING (auth.uid() IS NOT NULL);
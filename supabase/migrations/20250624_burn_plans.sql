@@ -0,0 +1,42 @@
+-- Persistent burn plan documents linked to fire_data burn units
+-- Checklist progress is stored per item with who completed it and when
+
+CREATE TABLE IF NOT EXISTS burn_plans (
+  id SERIAL PRIMARY KEY,
+  fire_data_id INTEGER REFERENCES fire_data(id),
+  name TEXT NOT NULL,
+  location_name TEXT,
+  objective TEXT,
+  ecosystem_type TEXT,
+  planned_date DATE,
+  acres_planned DECIMAL,
+  site_conditions JSONB DEFAULT '{}'::jsonb,
+  checklist JSONB DEFAULT '[]'::jsonb,
+  prepared_by TEXT,
+  notes TEXT,
+  archived_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_burn_plans_fire_id ON burn_plans(fire_data_id);
+CREATE INDEX IF NOT EXISTS idx_burn_plans_planned_date ON burn_plans(planned_date);
+
+COMMENT ON TABLE burn_plans IS 'Stores prescribed burn plan documents and planning checklist progress';
+
+-- Enable Row Level Security
+ALTER TABLE burn_plans ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public read access on burn_plans"
+ON burn_plans FOR SELECT
+USING (true);
+
+CREATE POLICY "Allow authenticated insert on burn_plans"
+ON burn_plans FOR INSERT
+TO authenticated
+WITH CHECK (auth.uid() IS NOT NULL);
+
+CREATE POLICY "Allow authenticated update on burn_plans"
+ON burn_plans FOR UPDATE
+TO authenticated
+USING (auth.uid() IS NOT NULL);
@@ -0,0 +1,8 @@
+-- Prescription limits per burn unit for the prescription window evaluator
+-- { temperature: {min,max}, humidity: {min,max}, windSpeed: {min,max},
+--   windDirections: ["SW","W",...], fuelMoisture: {min,max} }
+
+ALTER TABLE fire_data ADD COLUMN IF NOT EXISTS prescription JSONB;
+
+-- Weather series are looked up by station and time range
+CREATE INDEX IF NOT EXISTS idx_weather_data_station_time ON weather_data(location_name, datetime);
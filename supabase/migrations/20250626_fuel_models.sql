@@ -0,0 +1,2 @@
+-- Standard fuel model (Anderson 13 / Scott & Burgan 40 code) recorded with each risk assessment
+ALTER TABLE risk_assessments ADD COLUMN IF NOT EXISTS fuel_model TEXT;
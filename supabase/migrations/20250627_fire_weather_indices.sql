@@ -0,0 +1,12 @@
+-- Fire weather indices stored with each weather record
+-- upper_air holds an optional sounding for the Haines Index:
+-- { variant: "low"|"mid"|"high", lowerTemperature, upperTemperature, lowerDewpoint } (°C)
+
+ALTER TABLE weather_data ADD COLUMN IF NOT EXISTS fosberg_index DECIMAL;
+ALTER TABLE weather_data ADD COLUMN IF NOT EXISTS hot_dry_windy_index DECIMAL;
+ALTER TABLE weather_data ADD COLUMN IF NOT EXISTS chandler_burning_index DECIMAL;
+ALTER TABLE weather_data ADD COLUMN IF NOT EXISTS upper_air JSONB;
+ALTER TABLE weather_data ADD COLUMN IF NOT EXISTS indices_computed_at TIMESTAMP WITH TIME ZONE;
+
+-- Sensor series are read per node over a time range
+CREATE INDEX IF NOT EXISTS idx_air_quality_node_time ON air_quality(from_node, datetime);
@@ -0,0 +1,39 @@
+-- Registry of smoke-sensitive receptors (schools, hospitals, highways, towns)
+-- screened against the downwind cone of planned burns
+
+CREATE TABLE IF NOT EXISTS smoke_receptors (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  receptor_type TEXT NOT NULL DEFAULT 'other'
+    CHECK (receptor_type IN ('school', 'hospital', 'care_facility', 'highway', 'town', 'residence', 'airport', 'other')),
+  sensitivity TEXT NOT NULL DEFAULT 'moderate'
+    CHECK (sensitivity IN ('high', 'moderate', 'low')),
+  latitude DOUBLE PRECISION NOT NULL,
+  longitude DOUBLE PRECISION NOT NULL,
+  contact TEXT,
+  notes TEXT,
+  archived_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_smoke_receptors_location ON smoke_receptors(latitude, longitude);
+
+COMMENT ON TABLE smoke_receptors IS 'Smoke-sensitive receptors with coordinates and sensitivity class';
+
+-- Enable Row Level Security
+ALTER TABLE smoke_receptors ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public read access on smoke_receptors"
+ON smoke_receptors FOR SELECT
+USING (true);
+
+CREATE POLICY "Allow authenticated insert on smoke_receptors"
+ON smoke_receptors FOR INSERT
+TO authenticated
+WITH CHECK (auth.uid() IS NOT NULL);
+
+CREATE POLICY "Allow authenticated update on smoke_receptors"
+ON smoke_receptors FOR UPDATE
+TO authenticated
+USING (auth.uid() IS NOT NULL);
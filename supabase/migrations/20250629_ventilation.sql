@@ -0,0 +1,14 @@
+-- Smoke ventilation inputs and index stored with each weather record
+-- mixing_height is ft above ground level; transport_wind_speed is the mean
+-- wind through the mixed layer in mph. ventilation_index is mixing height ×
+-- transport wind in knot-ft, with its category (Poor / Fair / Good / Excellent).
+
+ALTER TABLE weather_data ADD COLUMN IF NOT EXISTS mixing_height DECIMAL;
+ALTER TABLE weather_data ADD COLUMN IF NOT EXISTS transport_wind_speed DECIMAL;
+ALTER TABLE weather_data ADD COLUMN IF NOT EXISTS transport_wind_direction TEXT;
+ALTER TABLE weather_data ADD COLUMN IF NOT EXISTS ventilation_index DECIMAL;
+ALTER TABLE weather_data ADD COLUMN IF NOT EXISTS ventilation_category TEXT;
+
+COMMENT ON COLUMN weather_data.mixing_height IS 'Mixing height, ft AGL';
+COMMENT ON COLUMN weather_data.transport_wind_speed IS 'Transport wind speed through the mixed layer, mph';
+COMMENT ON COLUMN weather_data.ventilation_index IS 'Ventilation index, knot-ft';
@@ -0,0 +1,46 @@
+-- Burn status lifecycle for fire_data units
+-- Draft → Approved → Ready → Ignition → Holding → Mop-up → Patrol → Monitoring → Completed,
+-- with Cancelled and Escaped as terminal branches. Transitions are made through
+-- /api/burn-units/status, which checks preconditions and logs each change here.
+
+-- Map free-text statuses onto the lifecycle
+UPDATE fire_data SET status = 'Draft' WHERE status IS NULL OR lower(status) = 'planned';
+UPDATE fire_data SET status = 'Holding' WHERE lower(status) = 'in progress';
+UPDATE fire_data SET status = 'Completed' WHERE lower(status) = 'completed';
+UPDATE fire_data SET status = 'Monitoring' WHERE lower(status) = 'monitoring';
+UPDATE fire_data SET status = 'Cancelled' WHERE lower(status) IN ('cancelled', 'canceled');
+
+ALTER TABLE fire_data ALTER COLUMN status SET DEFAULT 'Draft';
+
+-- NOT VALID leaves unrecognized historical values in place but checks every new write
+ALTER TABLE fire_data DROP CONSTRAINT IF EXISTS fire_data_status_lifecycle;
+ALTER TABLE fire_data ADD CONSTRAINT fire_data_status_lifecycle CHECK (
+  status IN ('Draft', 'Approved', 'Ready', 'Ignition', 'Holding', 'Mop-up', 'Patrol', 'Monitoring', 'Completed', 'Cancelled', 'Escaped')
+) NOT VALID;
+
+CREATE TABLE IF NOT EXISTS fire_status_history (
+  id SERIAL PRIMARY KEY,
+  fire_data_id INTEGER NOT NULL REFERENCES fire_data(id),
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  changed_by TEXT NOT NULL,
+  reason TEXT,
+  checks JSONB DEFAULT '[]'::jsonb,
+  changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_fire_status_history_unit ON fire_status_history(fire_data_id, changed_at);
+
+COMMENT ON TABLE fire_status_history IS 'Log of burn status changes with who made them, why, and the precondition checks at the time';
+
+-- Enable Row Level Security
+ALTER TABLE fire_status_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public read access on fire_status_history"
+ON fire_status_history FOR SELECT
+USING (true);
+
+CREATE POLICY "Allow authenticated insert on fire_status_history"
+ON fire_status_history FOR INSERT
+TO authenticated
+WITH CHECK (auth.uid() IS NOT NULL);
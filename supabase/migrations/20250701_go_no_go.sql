@@ -0,0 +1,7 @@
+-- Prescribed fire go/no-go checklist on burn plans
+-- Shape: { answers: { <questionId>: { answer: 'yes'|'no', initials, answeredAt } },
+--          signatures: { burnBoss: { name, signedAt }, agencyAdministrator: { name, signedAt } } }
+-- Answers lock once the burn boss signs; the unit cannot move to Ignition
+-- until every answer is yes and both signatures are present.
+
+ALTER TABLE burn_plans ADD COLUMN IF NOT EXISTS go_no_go JSONB DEFAULT '{}'::jsonb;
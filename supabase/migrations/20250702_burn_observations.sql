@@ -0,0 +1,53 @@
+-- Burn-day belt weather observations, taken every 30–60 minutes during a burn
+-- Temperatures °F, wind mph (eye level), flame length and spot distance in feet.
+-- RH is computed from the dry and wet bulb when a wet bulb is recorded
+-- (rh_computed). Each reading is checked against the unit's prescription
+-- when it is recorded and the result is stored with it.
+
+CREATE TABLE IF NOT EXISTS burn_observations (
+  id SERIAL PRIMARY KEY,
+  fire_data_id INTEGER NOT NULL REFERENCES fire_data(id),
+  observed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  observer TEXT NOT NULL,
+  location TEXT,
+  latitude DOUBLE PRECISION,
+  longitude DOUBLE PRECISION,
+  elevation DOUBLE PRECISION,
+  dry_bulb DOUBLE PRECISION NOT NULL,
+  wet_bulb DOUBLE PRECISION,
+  relative_humidity DOUBLE PRECISION,
+  rh_computed BOOLEAN DEFAULT FALSE,
+  wind_speed DOUBLE PRECISION,
+  wind_gust DOUBLE PRECISION,
+  wind_direction TEXT,
+  fuel_moisture DOUBLE PRECISION,
+  flame_length DOUBLE PRECISION,
+  spotting BOOLEAN DEFAULT FALSE,
+  spot_distance DOUBLE PRECISION,
+  notes TEXT,
+  in_prescription BOOLEAN,
+  prescription_failures JSONB DEFAULT '[]'::jsonb,
+  archived_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_burn_observations_unit ON burn_observations(fire_data_id, observed_at);
+
+COMMENT ON TABLE burn_observations IS 'Belt weather kit observations during a burn, flagged against the unit prescription';
+
+-- Enable Row Level Security
+ALTER TABLE burn_observations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public read access on burn_observations"
+ON burn_observations FOR SELECT
+USING (true);
+
+CREATE POLICY "Allow authenticated insert on burn_observations"
+ON burn_observations FOR INSERT
+TO authenticated
+WITH CHECK (auth.uid() IS NOT NULL);
+
+CREATE POLICY "Allow authenticated update on burn_observations"
+ON burn_observations FOR UPDATE
+TO authenticated
+USING (auth.uid() IS NOT NULL);
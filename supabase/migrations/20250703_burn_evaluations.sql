@@ -0,0 +1,48 @@
+-- Post-burn evaluations and effects monitoring
+-- Scorch and char heights in feet; percent burned, consumption and plot cover
+-- values in percent. Photos are file references (storage path or URL) with
+-- GPS position and capture time: [{ ref, caption, latitude, longitude, takenAt, plotId }].
+-- Saving an evaluation sets fire_data.acres_completed from acres_burned.
+
+CREATE TABLE IF NOT EXISTS burn_evaluations (
+  id SERIAL PRIMARY KEY,
+  fire_data_id INTEGER NOT NULL REFERENCES fire_data(id),
+  evaluator TEXT NOT NULL,
+  evaluated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  burn_date DATE,
+  objectives JSONB DEFAULT '[]'::jsonb,
+  outcome TEXT CHECK (outcome IN ('successful', 'partial', 'unsuccessful')),
+  percent_burned DOUBLE PRECISION CHECK (percent_burned BETWEEN 0 AND 100),
+  acres_burned DOUBLE PRECISION,
+  scorch_height_avg DOUBLE PRECISION,
+  scorch_height_max DOUBLE PRECISION,
+  consumption JSONB DEFAULT '{}'::jsonb,
+  effects_plots JSONB DEFAULT '[]'::jsonb,
+  photos JSONB DEFAULT '[]'::jsonb,
+  notes TEXT,
+  archived_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_burn_evaluations_unit ON burn_evaluations(fire_data_id, evaluated_at);
+CREATE INDEX IF NOT EXISTS idx_burn_evaluations_burn_date ON burn_evaluations(burn_date);
+
+COMMENT ON TABLE burn_evaluations IS 'Post-burn evaluations: objectives met, area burned, scorch, consumption, effects plots and photo references';
+
+-- Enable Row Level Security
+ALTER TABLE burn_evaluations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public read access on burn_evaluations"
+ON burn_evaluations FOR SELECT
+USING (true);
+
+CREATE POLICY "Allow authenticated insert on burn_evaluations"
+ON burn_evaluations FOR INSERT
+TO authenticated
+WITH CHECK (auth.uid() IS NOT NULL);
+
+CREATE POLICY "Allow authenticated update on burn_evaluations"
+ON burn_evaluations FOR UPDATE
+TO authenticated
+USING (auth.uid() IS NOT NULL);
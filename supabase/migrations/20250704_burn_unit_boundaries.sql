@@ -0,0 +1,9 @@
+-- Burn unit boundary polygons
+-- boundary is a GeoJSON MultiPolygon ([longitude, latitude] positions), imported
+-- or drawn on the map. Acreage and perimeter (holding line length) are computed
+-- from it when it is saved, and acres_planned is checked against the mapped area.
+
+ALTER TABLE fire_data ADD COLUMN IF NOT EXISTS boundary JSONB;
+ALTER TABLE fire_data ADD COLUMN IF NOT EXISTS boundary_acres DECIMAL;
+ALTER TABLE fire_data ADD COLUMN IF NOT EXISTS boundary_perimeter_ft DECIMAL;
+ALTER TABLE fire_data ADD COLUMN IF NOT EXISTS boundary_updated_at TIMESTAMP WITH TIME ZONE;
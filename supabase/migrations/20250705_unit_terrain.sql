@@ -0,0 +1,11 @@
+-- Burn unit terrain computed from local GeoTIFF DEMs
+-- elevation (TEXT, "<feet> ft") is kept for existing readers; the numeric
+-- columns hold the unit's mean elevation, mean slope and dominant aspect.
+-- terrain holds the full statistics:
+-- { cells, elevationFt: {min,mean,max}, slopePercent: {mean,p90,max},
+--   aspect: {degrees, sector, distribution, flatPercent}, basis, source: {file, projection}, computedAt }
+
+ALTER TABLE fire_data ADD COLUMN IF NOT EXISTS elevation_ft DECIMAL;
+ALTER TABLE fire_data ADD COLUMN IF NOT EXISTS slope_percent DECIMAL;
+ALTER TABLE fire_data ADD COLUMN IF NOT EXISTS aspect TEXT;
+ALTER TABLE fire_data ADD COLUMN IF NOT EXISTS terrain JSONB;
@@ -0,0 +1,51 @@
+-- Structured contingency plans and the alerts raised when a trigger is crossed
+-- contingency_plan shape:
+-- { triggers: [{ id, parameter, operator: 'above'|'below', threshold, sectors, action, resourceIds }],
+--   resources: [{ id, name, kind, quantity, responseMinutes, contact }],
+--   notes, updatedBy, updatedAt }
+-- Thresholds use the belt weather units: °F, %, mph, ft; PM2.5 in µg/m³.
+
+ALTER TABLE fire_data ADD COLUMN IF NOT EXISTS contingency_plan JSONB;
+
+-- One row per trigger crossing, from an observation or an hourly sensor reading.
+-- source_key identifies the reading (observation:<id> or sensor:<node>:<hour>)
+-- so re-checking the same readings never raises a duplicate alert.
+CREATE TABLE IF NOT EXISTS contingency_alerts (
+  id SERIAL PRIMARY KEY,
+  fire_data_id INTEGER NOT NULL REFERENCES fire_data(id),
+  trigger_id TEXT NOT NULL,
+  parameter TEXT NOT NULL,
+  condition TEXT NOT NULL,
+  source TEXT NOT NULL CHECK (source IN ('observation', 'sensor')),
+  source_key TEXT NOT NULL,
+  observed_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  value TEXT,
+  message TEXT NOT NULL,
+  action TEXT NOT NULL,
+  resources JSONB DEFAULT '[]'::jsonb,
+  acknowledged_at TIMESTAMP WITH TIME ZONE,
+  acknowledged_by TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (fire_data_id, trigger_id, source_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_contingency_alerts_unit ON contingency_alerts(fire_data_id, observed_at);
+
+COMMENT ON TABLE contingency_alerts IS 'Contingency trigger crossings raised during a burn, with the planned action';
+
+-- Enable Row Level Security
+ALTER TABLE contingency_alerts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public read access on contingency_alerts"
+ON contingency_alerts FOR SELECT
+USING (true);
+
+CREATE POLICY "Allow authenticated insert on contingency_alerts"
+ON contingency_alerts FOR INSERT
+TO authenticated
+WITH CHECK (auth.uid() IS NOT NULL);
+
+CREATE POLICY "Allow authenticated update on contingency_alerts"
+ON contingency_alerts FOR UPDATE
+TO authenticated
+USING (auth.uid() IS NOT NULL);
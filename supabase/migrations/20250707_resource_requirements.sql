@@ -0,0 +1,9 @@
+-- Holding and ignition resource requirements calculated for a burn plan
+-- Shape: { positions: [{ id, label, count, personnel, basis }],
+--          totals: { personnel, engines, waterTenders },
+--          inputs: { perimeterFt, flameLength, rateOfSpread, firingMethod, holdingDifficulty, firingHours },
+--          perimeterSource: 'input'|'boundary'|'acres', calculatedAt }
+-- Personnel are checked against fire_data.crew_size when read, so a crew
+-- size changed later is reflected without recalculating.
+
+ALTER TABLE burn_plans ADD COLUMN IF NOT EXISTS resource_requirements JSONB;
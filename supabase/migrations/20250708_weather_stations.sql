@@ -0,0 +1,25 @@
+-- One row per weather_data station, so a burn unit's nearest station can be
+-- chosen before its readings are queried and limited
+CREATE OR REPLACE FUNCTION weather_stations()
+RETURNS TABLE (
+  location_name text,
+  latitude double precision,
+  longitude double precision,
+  readings bigint,
+  latest_datetime timestamptz
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    w.location_name,
+    AVG(w.latitude)::double precision,
+    AVG(w.longitude)::double precision,
+    COUNT(*),
+    MAX(w.datetime)::timestamptz
+  FROM weather_data w
+  WHERE w.location_name IS NOT NULL
+  GROUP BY w.location_name;
+$$;
+
+COMMENT ON FUNCTION weather_stations IS 'Distinct weather_data stations with their location and reading count';
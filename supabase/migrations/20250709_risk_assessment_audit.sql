@@ -0,0 +1,7 @@
+-- Saved risk assessments are an append-only audit trail
+-- Distances to infrastructure can be fractional feet, as the risk engine
+-- accepts them, so store them unrounded.
+
+ALTER TABLE risk_assessments ALTER COLUMN infrastructure_distance TYPE NUMERIC;
+
+DROP POLICY IF EXISTS "Allow authenticated delete on risk_assessments" ON risk_assessments;
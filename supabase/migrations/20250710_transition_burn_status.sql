@@ -0,0 +1,34 @@
+-- Change a burn unit's status and log it to fire_status_history in one
+-- transaction, so a status never changes without its history entry.
+-- The status only moves if it still equals p_from; otherwise no row is returned.
+CREATE OR REPLACE FUNCTION transition_burn_status(
+  p_fire_data_id integer,
+  p_from text,
+  p_to text,
+  p_changed_by text,
+  p_reason text DEFAULT NULL,
+  p_checks jsonb DEFAULT '[]'::jsonb
+)
+RETURNS SETOF fire_status_history
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  entry fire_status_history;
+BEGIN
+  UPDATE fire_data
+  SET status = p_to, updated_at = NOW()
+  WHERE id = p_fire_data_id AND status IS NOT DISTINCT FROM p_from;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  INSERT INTO fire_status_history (fire_data_id, from_status, to_status, changed_by, reason, checks)
+  VALUES (p_fire_data_id, p_from, p_to, p_changed_by, p_reason, COALESCE(p_checks, '[]'::jsonb))
+  RETURNING * INTO entry;
+
+  RETURN NEXT entry;
+END;
+$$;
+
+COMMENT ON FUNCTION transition_burn_status IS 'Conditionally change fire_data.status and log the change atomically';